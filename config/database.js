@@ -221,9 +221,16 @@ export async function initializeDatabase() {
     await executeQuery(createProductsTable);
     Logger.success("Products table initialized successfully!");
     
+    // Add columns introduced after the initial schema
+    await addMissingColumns();
+
     // Create performance indexes after table creation
     await createPerformanceIndexes();
 
+    // Full-text index for product search (ngram parser, see utils/productSearch.js)
+    const { ensureSearchIndex } = await import("../utils/productSearch.js");
+    await ensureSearchIndex();
+
     await executeQuery(createAdminUsersTable);
     Logger.success("Admin users table initialized successfully!");
 
@@ -234,6 +241,9 @@ export async function initializeDatabase() {
         category_id INT NOT NULL,
         keyword VARCHAR(255) NOT NULL,
         is_high_priority BOOLEAN DEFAULT FALSE,
+        match_type ENUM('substring', 'phrase', 'regex') DEFAULT 'substring',
+        is_negative BOOLEAN DEFAULT FALSE,
+        weight INT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
         FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE,
@@ -251,6 +261,369 @@ export async function initializeDatabase() {
       Logger2.warn("Category keywords table creation skipped (categories table may not exist yet)");
     }
 
+    // Create product_price_history table (price / commission / sales snapshots)
+    const createProductPriceHistoryTable = `
+      CREATE TABLE IF NOT EXISTS product_price_history (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        item_id VARCHAR(50) NOT NULL,
+        price DECIMAL(10,2),
+        price_min DECIMAL(10,2),
+        price_max DECIMAL(10,2),
+        commission_rate DECIMAL(5,4),
+        commission_amount DECIMAL(10,2),
+        sales_count INT,
+        source ENUM('save', 'sync') DEFAULT 'save',
+        recorded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_price_history_item_recorded (item_id, recorded_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductPriceHistoryTable);
+    Logger.success("Product price history table initialized successfully!");
+
+    // Create job_runs table (background job history)
+    const createJobRunsTable = `
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        job_name VARCHAR(100) NOT NULL,
+        trigger_type ENUM('schedule', 'manual') DEFAULT 'schedule',
+        triggered_by INT NULL,
+        status ENUM('running', 'completed', 'failed') DEFAULT 'running',
+        total_items INT DEFAULT 0,
+        processed_items INT DEFAULT 0,
+        stats TEXT,
+        error_message TEXT,
+        started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP NULL,
+        INDEX idx_job_runs_name_started (job_name, started_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createJobRunsTable);
+    Logger.success("Job runs table initialized successfully!");
+
+    // Create product import tables (bulk CSV/JSON import)
+    const createProductImportsTable = `
+      CREATE TABLE IF NOT EXISTS product_imports (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        filename VARCHAR(255),
+        format ENUM('csv', 'json') NOT NULL,
+        status ENUM('pending', 'processing', 'completed', 'failed') DEFAULT 'pending',
+        total_rows INT DEFAULT 0,
+        created_count INT DEFAULT 0,
+        updated_count INT DEFAULT 0,
+        skipped_count INT DEFAULT 0,
+        failed_count INT DEFAULT 0,
+        skip_existing BOOLEAN DEFAULT FALSE,
+        error_message TEXT,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        finished_at TIMESTAMP NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    const createProductImportRowsTable = `
+      CREATE TABLE IF NOT EXISTS product_import_rows (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        import_id INT NOT NULL,
+        line_number INT NOT NULL,
+        input_value VARCHAR(500),
+        item_id VARCHAR(50) NULL,
+        status ENUM('pending', 'created', 'updated', 'skipped', 'failed') DEFAULT 'pending',
+        message VARCHAR(500) NULL,
+        processed_at TIMESTAMP NULL,
+        INDEX idx_import_rows_import_status (import_id, status, line_number),
+        FOREIGN KEY (import_id) REFERENCES product_imports(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductImportsTable);
+    await executeQuery(createProductImportRowsTable);
+    Logger.success("Product import tables initialized successfully!");
+
+    // Create category reclassification tables (keyword re-analysis preview / apply)
+    const createCategoryReclassificationsTable = `
+      CREATE TABLE IF NOT EXISTS category_reclassifications (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        scope ENUM('uncategorized', 'all') NOT NULL DEFAULT 'uncategorized',
+        status ENUM('pending', 'previewing', 'ready', 'applying', 'applied', 'failed', 'discarded') DEFAULT 'pending',
+        total_products INT DEFAULT 0,
+        changed_products INT DEFAULT 0,
+        applied_products INT DEFAULT 0,
+        skipped_products INT DEFAULT 0,
+        error_message TEXT,
+        created_by INT NULL,
+        applied_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        previewed_at TIMESTAMP NULL,
+        applied_at TIMESTAMP NULL
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    const createCategoryReclassificationItemsTable = `
+      CREATE TABLE IF NOT EXISTS category_reclassification_items (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        reclassification_id INT NOT NULL,
+        product_id INT NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        product_name VARCHAR(500),
+        old_category_id INT NULL,
+        new_category_id INT NOT NULL,
+        score INT DEFAULT 0,
+        reason VARCHAR(500) NULL,
+        status ENUM('pending', 'applied', 'skipped') DEFAULT 'pending',
+        INDEX idx_reclassification_items_status (reclassification_id, status),
+        FOREIGN KEY (reclassification_id) REFERENCES category_reclassifications(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createCategoryReclassificationsTable);
+    await executeQuery(createCategoryReclassificationItemsTable);
+    Logger.success("Category reclassification tables initialized successfully!");
+
+    // Create category keyword learning tables (manual assignments and mined keyword suggestions)
+    const createCategoryManualAssignmentsTable = `
+      CREATE TABLE IF NOT EXISTS category_manual_assignments (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        item_id VARCHAR(50) NOT NULL,
+        category_id INT NOT NULL,
+        assigned_by INT NULL,
+        assigned_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_manual_assignment_item (item_id),
+        INDEX idx_manual_assignments_category (category_id),
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    const createCategoryKeywordSuggestionsTable = `
+      CREATE TABLE IF NOT EXISTS category_keyword_suggestions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        category_id INT NOT NULL,
+        keyword VARCHAR(255) NOT NULL,
+        support INT DEFAULT 0,
+        matched_products INT DEFAULT 0,
+        true_positives INT DEFAULT 0,
+        precision_score DECIMAL(5,4) DEFAULT 0,
+        recall_score DECIMAL(5,4) DEFAULT 0,
+        status ENUM('pending', 'accepted', 'rejected') DEFAULT 'pending',
+        reviewed_by INT NULL,
+        reviewed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_keyword_suggestion (category_id, keyword),
+        INDEX idx_keyword_suggestions_status (status, precision_score),
+        FOREIGN KEY (category_id) REFERENCES categories(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createCategoryManualAssignmentsTable);
+    await executeQuery(createCategoryKeywordSuggestionsTable);
+    Logger.success("Category keyword suggestion tables initialized successfully!");
+
+    // Create curated collection tables (see services/collectionService.js)
+    const createCollectionsTable = `
+      CREATE TABLE IF NOT EXISTS collections (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        name VARCHAR(255) NOT NULL,
+        slug VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+        description TEXT NULL,
+        hero_image_url TEXT NULL,
+        hero_title VARCHAR(255) NULL,
+        hero_alt_text VARCHAR(255) NULL,
+        hero_target_url TEXT NULL,
+        start_time DATETIME NULL,
+        end_time DATETIME NULL,
+        is_active BOOLEAN DEFAULT TRUE,
+        created_by INT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_collections_slug (slug),
+        INDEX idx_collections_schedule (is_active, start_time, end_time)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    const createCollectionItemsTable = `
+      CREATE TABLE IF NOT EXISTS collection_items (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        collection_id INT NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        position INT NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_collection_item (collection_id, item_id),
+        INDEX idx_collection_items_position (collection_id, position),
+        INDEX idx_collection_items_item (item_id),
+        FOREIGN KEY (collection_id) REFERENCES collections(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createCollectionsTable);
+    await executeQuery(createCollectionItemsTable);
+    Logger.success("Collection tables initialized successfully!");
+
+    // Create product_clicks table (outbound affiliate click log)
+    const createProductClicksTable = `
+      CREATE TABLE IF NOT EXISTS product_clicks (
+        id BIGINT PRIMARY KEY AUTO_INCREMENT,
+        item_id VARCHAR(50) NOT NULL,
+        category_id INT NULL,
+        referrer VARCHAR(500) NULL,
+        referrer_host VARCHAR(255) NULL,
+        ua_class ENUM('desktop', 'mobile', 'tablet', 'bot', 'unknown') DEFAULT 'unknown',
+        ip_hash CHAR(64) NOT NULL,
+        utm_source VARCHAR(100) NULL,
+        utm_medium VARCHAR(100) NULL,
+        utm_campaign VARCHAR(100) NULL,
+        utm_content VARCHAR(100) NULL,
+        utm_term VARCHAR(100) NULL,
+        sub_id VARCHAR(100) NULL,
+        clicked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_product_clicks_clicked (clicked_at),
+        INDEX idx_product_clicks_item_clicked (item_id, clicked_at),
+        INDEX idx_product_clicks_category_clicked (category_id, clicked_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createProductClicksTable);
+    Logger.success("Product clicks table initialized successfully!");
+
+    // Create search_queries table (storefront search terms, counts only - no visitor data)
+    const createSearchQueriesTable = `
+      CREATE TABLE IF NOT EXISTS search_queries (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        term VARCHAR(100) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+        search_count INT NOT NULL DEFAULT 1,
+        client_count INT NOT NULL DEFAULT 0,
+        last_result_count INT NOT NULL DEFAULT 0,
+        first_searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_searched_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_search_term (term),
+        INDEX idx_search_queries_count (search_count)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createSearchQueriesTable);
+    Logger.success("Search queries table initialized successfully!");
+
+    // Create search_query_clients table (salted per-term client hashes, kept only until the
+    // term has enough distinct clients to be suggested)
+    const createSearchQueryClientsTable = `
+      CREATE TABLE IF NOT EXISTS search_query_clients (
+        query_id INT NOT NULL,
+        client_hash CHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (query_id, client_hash),
+        FOREIGN KEY (query_id) REFERENCES search_queries(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createSearchQueryClientsTable);
+    Logger.success("Search query clients table initialized successfully!");
+
+    // Create banner_daily_stats table (banner impressions / clicks per day)
+    const createBannerDailyStatsTable = `
+      CREATE TABLE IF NOT EXISTS banner_daily_stats (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        stat_date DATE NOT NULL,
+        banner_id INT NOT NULL,
+        campaign_id INT NULL,
+        position_id INT NULL,
+        impressions INT DEFAULT 0,
+        clicks INT DEFAULT 0,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_banner_day (stat_date, banner_id),
+        INDEX idx_banner_stats_campaign_date (campaign_id, stat_date),
+        INDEX idx_banner_stats_position_date (position_id, stat_date)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createBannerDailyStatsTable);
+    Logger.success("Banner daily stats table initialized successfully!");
+
+    // Create affiliate_conversions table (Shopee conversion report, one row per order item)
+    const createAffiliateConversionsTable = `
+      CREATE TABLE IF NOT EXISTS affiliate_conversions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        conversion_id VARCHAR(50) NULL,
+        order_id VARCHAR(50) NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        model_id VARCHAR(50) NOT NULL DEFAULT '',
+        item_name TEXT,
+        shop_id VARCHAR(50) NULL,
+        shop_name VARCHAR(255) NULL,
+        order_status VARCHAR(30) NOT NULL DEFAULT 'PENDING',
+        item_status VARCHAR(100) NULL,
+        qty INT DEFAULT 0,
+        item_price DECIMAL(12,2) NULL,
+        actual_amount DECIMAL(12,2) NULL,
+        estimated_commission DECIMAL(12,2) NULL,
+        actual_commission DECIMAL(12,2) NULL,
+        seller_commission DECIMAL(12,2) NULL,
+        shopee_commission DECIMAL(12,2) NULL,
+        utm_content VARCHAR(255) NULL,
+        purchase_time DATETIME NULL,
+        complete_time DATETIME NULL,
+        click_time DATETIME NULL,
+        source ENUM('api', 'csv') DEFAULT 'api',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_order_item (order_id, item_id, model_id),
+        INDEX idx_conversions_item_purchase (item_id, purchase_time),
+        INDEX idx_conversions_purchase_status (purchase_time, order_status)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createAffiliateConversionsTable);
+    Logger.success("Affiliate conversions table initialized successfully!");
+
+    // Create admin_sessions table (login sessions, token stored as SHA-256 hash)
+    const createAdminSessionsTable = `
+      CREATE TABLE IF NOT EXISTS admin_sessions (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        token_hash CHAR(64) NOT NULL,
+        user_id INT NOT NULL,
+        user_data TEXT NOT NULL,
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(500) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        last_access_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NULL,
+        UNIQUE KEY unique_session_token (token_hash),
+        INDEX idx_admin_sessions_user (user_id),
+        INDEX idx_admin_sessions_expires (expires_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createAdminSessionsTable);
+    Logger.success("Admin sessions table initialized successfully!");
+
+    // Create admin_activity_logs table (audit trail, see utils/auditLog.js)
+    const createAdminActivityLogsTable = `
+      CREATE TABLE IF NOT EXISTS admin_activity_logs (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        admin_user_id INT NULL,
+        action VARCHAR(255) NOT NULL,
+        entity_type VARCHAR(50) NULL,
+        entity_id VARCHAR(100) NULL,
+        changes MEDIUMTEXT NULL,
+        details TEXT NULL,
+        ip_address VARCHAR(45) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_activity_user_created (admin_user_id, created_at),
+        INDEX idx_activity_entity (entity_type, entity_id),
+        INDEX idx_activity_created (created_at)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createAdminActivityLogsTable);
+    Logger.success("Admin activity logs table initialized successfully!");
+
+    // Create slug_history table (old slugs that redirect to the current one, see utils/slug.js)
+    const createSlugHistoryTable = `
+      CREATE TABLE IF NOT EXISTS slug_history (
+        id INT PRIMARY KEY AUTO_INCREMENT,
+        entity_type VARCHAR(20) NOT NULL,
+        old_slug VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NOT NULL,
+        entity_id INT NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY unique_slug_history (entity_type, old_slug),
+        INDEX idx_slug_history_entity (entity_type, entity_id)
+      ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+    `;
+    await executeQuery(createSlugHistoryTable);
+    Logger.success("Slug history table initialized successfully!");
+
+    // Seed permissions checked by requirePermission()
+    try {
+      const { seedPermissionCatalog } = await import("../utils/permissions.js");
+      await seedPermissionCatalog();
+    } catch (error) {
+      Logger.warn(`Permission catalog seeding skipped: ${error.message}`);
+    }
+
     // Create default admin user if not exists
     await createDefaultAdmin();
     
@@ -275,6 +648,225 @@ export async function initializeDatabase() {
   }
 }
 
+// Add columns that were introduced after the initial schema
+async function addMissingColumns() {
+  const Logger = (await import("../utils/logger.js")).default;
+
+  const columns = [
+    // Last successful background re-sync with Shopee API
+    {
+      table: "shopee_products",
+      name: "last_synced_at",
+      query: "ALTER TABLE shopee_products ADD COLUMN last_synced_at TIMESTAMP NULL DEFAULT NULL"
+    },
+    // Last re-sync attempt, successful or not (the sync job picks the oldest attempts first)
+    {
+      table: "shopee_products",
+      name: "last_sync_attempt_at",
+      query: "ALTER TABLE shopee_products ADD COLUMN last_sync_attempt_at TIMESTAMP NULL DEFAULT NULL"
+    },
+    // Set when the re-sync deactivated a product because its offer disappeared; only these
+    // inactive products are re-synced (products deactivated by an admin stay inactive)
+    {
+      table: "shopee_products",
+      name: "sync_deactivated",
+      query: "ALTER TABLE shopee_products ADD COLUMN sync_deactivated TINYINT(1) NOT NULL DEFAULT 0"
+    },
+    // How a banner position picks the banner to show (see utils/bannerRotation.js)
+    {
+      table: "banner_positions",
+      name: "rotation_mode",
+      query: "ALTER TABLE banner_positions ADD COLUMN rotation_mode ENUM('sequential', 'random', 'weighted', 'ab') DEFAULT 'sequential'"
+    },
+    // Share of a banner in weighted / A/B rotation
+    {
+      table: "banners",
+      name: "weight",
+      query: "ALTER TABLE banners ADD COLUMN weight INT DEFAULT 1"
+    },
+    // TOTP two-factor authentication (see utils/twoFactor.js)
+    {
+      table: "admin_users",
+      name: "totp_enabled",
+      query: "ALTER TABLE admin_users ADD COLUMN totp_enabled BOOLEAN DEFAULT FALSE"
+    },
+    {
+      table: "admin_users",
+      name: "totp_secret",
+      query: "ALTER TABLE admin_users ADD COLUMN totp_secret VARCHAR(64) NULL"
+    },
+    // Secret generated by setup, moved to totp_secret once a code is confirmed
+    {
+      table: "admin_users",
+      name: "totp_pending_secret",
+      query: "ALTER TABLE admin_users ADD COLUMN totp_pending_secret VARCHAR(64) NULL"
+    },
+    // Time step of the last accepted code, so a code cannot be replayed
+    {
+      table: "admin_users",
+      name: "totp_last_counter",
+      query: "ALTER TABLE admin_users ADD COLUMN totp_last_counter BIGINT NULL"
+    },
+    // JSON array of SHA-256 hashes of unused recovery codes
+    {
+      table: "admin_users",
+      name: "totp_recovery_codes",
+      query: "ALTER TABLE admin_users ADD COLUMN totp_recovery_codes TEXT NULL"
+    },
+    {
+      table: "admin_users",
+      name: "totp_enabled_at",
+      query: "ALTER TABLE admin_users ADD COLUMN totp_enabled_at TIMESTAMP NULL DEFAULT NULL"
+    },
+    // Audit trail entity and before/after diff (tables created by setup-database.js)
+    {
+      table: "admin_activity_logs",
+      name: "entity_type",
+      query: "ALTER TABLE admin_activity_logs ADD COLUMN entity_type VARCHAR(50) NULL AFTER action"
+    },
+    {
+      table: "admin_activity_logs",
+      name: "entity_id",
+      query: "ALTER TABLE admin_activity_logs ADD COLUMN entity_id VARCHAR(100) NULL AFTER entity_type"
+    },
+    {
+      table: "admin_activity_logs",
+      name: "changes",
+      query: "ALTER TABLE admin_activity_logs ADD COLUMN changes MEDIUMTEXT NULL AFTER entity_id"
+    },
+    // Group shown in the role editor (older schemas used "category")
+    {
+      table: "permissions",
+      name: "group_name",
+      query: "ALTER TABLE permissions ADD COLUMN group_name VARCHAR(50) NULL"
+    },
+    // Users of this role cannot log in without two-factor authentication
+    {
+      table: "roles",
+      name: "require_2fa",
+      query: "ALTER TABLE roles ADD COLUMN require_2fa BOOLEAN DEFAULT FALSE"
+    },
+    // Soft delete: rows in the trash are hidden until restored or purged (see services/trashService.js)
+    {
+      table: "shopee_products",
+      name: "deleted_at",
+      query: "ALTER TABLE shopee_products ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL"
+    },
+    {
+      table: "categories",
+      name: "deleted_at",
+      query: "ALTER TABLE categories ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL"
+    },
+    {
+      table: "tags",
+      name: "deleted_at",
+      query: "ALTER TABLE tags ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL"
+    },
+    {
+      table: "banners",
+      name: "deleted_at",
+      query: "ALTER TABLE banners ADD COLUMN deleted_at TIMESTAMP NULL DEFAULT NULL"
+    },
+    // Category hierarchy (see utils/categoryTree.js); children become roots when a parent is purged
+    {
+      table: "categories",
+      name: "parent_id",
+      query:
+        "ALTER TABLE categories ADD COLUMN parent_id INT NULL AFTER name, " +
+        "ADD CONSTRAINT fk_category_parent FOREIGN KEY (parent_id) REFERENCES categories (id) ON DELETE SET NULL"
+    },
+    // Keyword rules (see utils/categoryService.js): match mode, exclusion keywords, explicit points
+    {
+      table: "category_keywords",
+      name: "match_type",
+      query: "ALTER TABLE category_keywords ADD COLUMN match_type ENUM('substring', 'phrase', 'regex') DEFAULT 'substring'"
+    },
+    {
+      table: "category_keywords",
+      name: "is_negative",
+      query: "ALTER TABLE category_keywords ADD COLUMN is_negative BOOLEAN DEFAULT FALSE"
+    },
+    {
+      table: "category_keywords",
+      name: "weight",
+      query: "ALTER TABLE category_keywords ADD COLUMN weight INT NULL"
+    },
+    // Shop tier from the Shopee offer (mall, preferred_plus, preferred, normal)
+    {
+      table: "shopee_products",
+      name: "shop_type",
+      query: "ALTER TABLE shopee_products ADD COLUMN shop_type VARCHAR(20) NULL"
+    },
+    // Smart tags (see utils/tagRules.js): a rule attaches matching products automatically;
+    // rule_applied_version lags rule_version until the backfill job has re-evaluated the rule
+    {
+      table: "tags",
+      name: "rule",
+      query: "ALTER TABLE tags ADD COLUMN rule VARCHAR(500) NULL"
+    },
+    {
+      table: "tags",
+      name: "rule_version",
+      query: "ALTER TABLE tags ADD COLUMN rule_version INT DEFAULT 0"
+    },
+    {
+      table: "tags",
+      name: "rule_applied_version",
+      query: "ALTER TABLE tags ADD COLUMN rule_applied_version INT DEFAULT 0"
+    },
+    {
+      table: "product_tags",
+      name: "source",
+      query: "ALTER TABLE product_tags ADD COLUMN source ENUM('manual', 'rule') DEFAULT 'manual'"
+    },
+    // URL slug and SEO metadata (see utils/slug.js); binary collation so Thai tone marks stay distinct
+    ...["shopee_products", "categories", "tags"].flatMap((table) => [
+      {
+        table,
+        name: "slug",
+        query:
+          `ALTER TABLE ${table} ADD COLUMN slug VARCHAR(255) CHARACTER SET utf8mb4 COLLATE utf8mb4_bin NULL, ` +
+          `ADD UNIQUE KEY unique_${table}_slug (slug)`
+      },
+      {
+        table,
+        name: "meta_title",
+        query: `ALTER TABLE ${table} ADD COLUMN meta_title VARCHAR(255) NULL`
+      },
+      {
+        table,
+        name: "meta_description",
+        query: `ALTER TABLE ${table} ADD COLUMN meta_description VARCHAR(500) NULL`
+      },
+      {
+        table,
+        name: "og_image",
+        query: `ALTER TABLE ${table} ADD COLUMN og_image TEXT NULL`
+      }
+    ])
+  ];
+
+  for (const column of columns) {
+    const checkQuery = `
+      SELECT COUNT(*) as count 
+      FROM information_schema.columns 
+      WHERE table_schema = DATABASE() 
+      AND table_name = ? 
+      AND column_name = ?
+    `;
+    const checkResult = await executeQuery(checkQuery, [column.table, column.name]);
+
+    if (checkResult.success && checkResult.data[0].count === 0) {
+      const result = await executeQuery(column.query);
+      if (result.success) {
+        Logger.success(`Column ${column.table}.${column.name} added`);
+      } else {
+        Logger.warn(`Failed to add column ${column.table}.${column.name}: ${result.error}`);
+      }
+    }
+  }
+}
+
 // Create performance indexes for better query performance
 async function createPerformanceIndexes() {
   try {
@@ -317,6 +909,35 @@ async function createPerformanceIndexes() {
         name: "idx_products_period_time",
         table: "shopee_products",
         query: "CREATE INDEX idx_products_period_time ON shopee_products (period_start_time, period_end_time)"
+      },
+      // Index for background re-sync (stale active products)
+      {
+        name: "idx_products_status_synced",
+        table: "shopee_products",
+        query: "CREATE INDEX idx_products_status_synced ON shopee_products (status, last_synced_at)"
+      },
+      // Index for background re-sync (oldest attempts first)
+      {
+        name: "idx_products_status_sync_attempt",
+        table: "shopee_products",
+        query: "CREATE INDEX idx_products_status_sync_attempt ON shopee_products (status, last_sync_attempt_at)"
+      },
+      // Index for trash listing and purge
+      {
+        name: "idx_products_deleted_at",
+        table: "shopee_products",
+        query: "CREATE INDEX idx_products_deleted_at ON shopee_products (deleted_at)"
+      },
+      // Audit trail lookups by entity and by date
+      {
+        name: "idx_activity_entity",
+        table: "admin_activity_logs",
+        query: "CREATE INDEX idx_activity_entity ON admin_activity_logs (entity_type, entity_id)"
+      },
+      {
+        name: "idx_activity_created",
+        table: "admin_activity_logs",
+        query: "CREATE INDEX idx_activity_created ON admin_activity_logs (created_at)"
       }
     ];
 
@@ -96,6 +96,7 @@ const options = {
             status: { type: 'string', enum: ['active', 'inactive'] },
             category_id: { type: 'integer' },
             is_flash_sale: { type: 'boolean' },
+            slug: { type: 'string', nullable: true, example: 'เคสไอโฟน-15-pro' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
           }
@@ -105,23 +106,46 @@ const options = {
           properties: {
             id: { type: 'integer' },
             name: { type: 'string' },
+            parent_id: { type: 'integer', nullable: true },
+            slug: { type: 'string', nullable: true },
             is_active: { type: 'boolean' },
             product_count: { type: 'integer' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
           }
         },
+        CategoryNode: {
+          allOf: [
+            { $ref: '#/components/schemas/Category' },
+            {
+              type: 'object',
+              properties: {
+                total_product_count: { type: 'integer', description: 'Active products in this category and its subcategories' },
+                children: { type: 'array', items: { $ref: '#/components/schemas/CategoryNode' } }
+              }
+            }
+          ]
+        },
         Tag: {
           type: 'object',
           properties: {
             id: { type: 'integer' },
             name: { type: 'string' },
+            slug: { type: 'string', nullable: true },
             is_active: { type: 'boolean' },
             product_count: { type: 'integer' },
             created_at: { type: 'string', format: 'date-time' },
             updated_at: { type: 'string', format: 'date-time' }
           }
         },
+        SeoMetadata: {
+          type: 'object',
+          properties: {
+            meta_title: { type: 'string', maxLength: 255, nullable: true },
+            meta_description: { type: 'string', maxLength: 500, nullable: true },
+            og_image: { type: 'string', nullable: true, description: 'http(s) URL or a path starting with /' }
+          }
+        },
         User: {
           type: 'object',
           properties: {
@@ -174,6 +198,7 @@ const options = {
       { name: 'Products', description: 'Product management endpoints' },
       { name: 'Categories', description: 'Category management endpoints' },
       { name: 'Tags', description: 'Tag management endpoints' },
+      { name: 'Collections', description: 'Curated product collections' },
       { name: 'Banners', description: 'Banner management endpoints' },
       { name: 'Settings', description: 'Settings management endpoints' },
       { name: 'Roles', description: 'Role and permission management endpoints' },
@@ -181,7 +206,11 @@ const options = {
       { name: 'Social Media', description: 'Social media links management' },
       { name: 'Uploads', description: 'File upload endpoints' },
       { name: 'AI SEO', description: 'AI-powered SEO endpoints' },
-      { name: 'IP Blocking', description: 'IP blocking and whitelist management endpoints' }
+      { name: 'IP Blocking', description: 'IP blocking and whitelist management endpoints' },
+      { name: 'Feeds', description: 'Public product feeds for ad catalogs' },
+      { name: 'SEO', description: 'Sitemap and robots.txt' },
+      { name: 'Clicks', description: 'Affiliate click tracking' },
+      { name: 'Conversions', description: 'Shopee Affiliate conversion reports and earnings' }
     ]
   },
   apis: [
@@ -5,7 +5,16 @@ import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import { testConnection, initializeDatabase } from "./config/database.js";
-import { cleanupExpiredSessions, getSessionTimeoutHours } from "./utils/auth.js";
+import { cleanupExpiredSessions, getSessionTimeoutHours, getSessionStoreType } from "./utils/auth.js";
+import { startScheduler } from "./services/jobScheduler.js";
+import { registerProductSyncJob } from "./services/productSyncService.js";
+import { registerProductImportJob } from "./services/productImportService.js";
+import { registerConversionSyncJob } from "./services/conversionReportService.js";
+import { registerTrashPurgeJob } from "./services/trashService.js";
+import { registerSlugBackfillJob } from "./services/seoMetadataService.js";
+import { registerCategoryReclassifyJob } from "./services/categoryReclassifyService.js";
+import { registerKeywordMiningJob } from "./services/categoryKeywordSuggestionService.js";
+import { registerSmartTagBackfillJob } from "./services/smartTagService.js";
 import { validateEnv } from "./config/env.js";
 import compression from "compression";
 import helmet from "helmet";
@@ -21,7 +30,9 @@ import authRoutes from "./routes/auth.js";
 import adminRoutes from "./routes/admin.js";
 import categoryRoutes from "./routes/categories.js";
 import categoryKeywordRoutes from "./routes/category-keywords.js";
+import categoryReclassificationRoutes from "./routes/category-reclassifications.js";
 import tagRoutes from "./routes/tags.js";
+import collectionRoutes from "./routes/collections.js";
 import bannerPositionRoutes from "./routes/banner-positions.js";
 import bannerCampaignRoutes from "./routes/banner-campaigns.js";
 import bannerRoutes from "./routes/banners.js";
@@ -31,6 +42,14 @@ import roleRoutes from "./routes/roles.js";
 import uploadRoutes from "./routes/upload.js";
 import aiSeoRoutes from "./routes/ai-seo.js";
 import ipBlockingRoutes from "./routes/ip-blocking.js";
+import productImportRoutes from "./routes/product-imports.js";
+import feedRoutes from "./routes/feeds.js";
+import seoRoutes from "./routes/seo.js";
+import goRoutes from "./routes/go.js";
+import conversionRoutes from "./routes/conversions.js";
+import { invalidateCacheOnWrite } from "./middleware/responseCache.js";
+import { auditTrail } from "./middleware/auditTrail.js";
+import { CATALOG_CACHE_PATTERNS } from "./utils/productService.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -424,22 +443,55 @@ app.use((req, res, next) => {
   next();
 });
 
+// Clear cached catalog outputs (feeds, sitemaps) after writes that change them
+const invalidateCatalogCache = invalidateCacheOnWrite(CATALOG_CACHE_PATTERNS);
+
 // API Routes
-app.use("/api/auth", authRoutes);
-app.use("/api/products", productRoutes);
-app.use("/api/categories", categoryRoutes);
-app.use("/api/category-keywords", categoryKeywordRoutes);
-app.use("/api/tags", tagRoutes);
-app.use("/api/banner-positions", bannerPositionRoutes);
-app.use("/api/banner-campaigns", bannerCampaignRoutes);
-app.use("/api/banners", bannerRoutes);
-app.use("/api/settings", settingsRoutes);
-app.use("/api/socials", socialRoutes);
-app.use("/api/roles", roleRoutes);
-app.use("/api/admin", adminRoutes);
-app.use("/api/uploads", uploadRoutes);
-app.use("/api/ai-seo", aiSeoRoutes);
-app.use("/api/ip-blocking", ipBlockingRoutes);
+app.use("/api/auth", auditTrail("auth"), authRoutes);
+app.use("/api/products", auditTrail("product", { table: "shopee_products" }), invalidateCatalogCache, productRoutes);
+app.use("/api/product-imports", auditTrail("product_import", { table: "product_imports" }), productImportRoutes);
+app.use("/api/categories", auditTrail("category", { table: "categories" }), invalidateCatalogCache, categoryRoutes);
+app.use("/api/category-keywords", auditTrail("category_keyword", { table: "category_keywords" }), categoryKeywordRoutes);
+app.use(
+  "/api/category-reclassifications",
+  auditTrail("category_reclassification", { table: "category_reclassifications" }),
+  categoryReclassificationRoutes
+);
+app.use("/api/tags", auditTrail("tag", { table: "tags" }), invalidateCatalogCache, tagRoutes);
+app.use(
+  "/api/collections",
+  auditTrail("collection", { table: "collections" }),
+  invalidateCacheOnWrite(["/api/collections/public"]),
+  collectionRoutes
+);
+app.use("/api/banner-positions", auditTrail("banner_position", { table: "banner_positions" }), bannerPositionRoutes);
+app.use("/api/banner-campaigns", auditTrail("banner_campaign", { table: "banner_campaigns" }), bannerCampaignRoutes);
+app.use("/api/banners", auditTrail("banner", { table: "banners" }), bannerRoutes);
+app.use("/api/settings", auditTrail("settings", { table: "settings", fixedId: 1 }), invalidateCatalogCache, settingsRoutes);
+app.use("/api/socials", auditTrail("social", { table: "social_media" }), socialRoutes);
+app.use("/api/roles", auditTrail("role", { table: "roles" }), roleRoutes);
+app.use(
+  "/api/admin",
+  auditTrail("admin", {
+    subResources: {
+      users: { entityType: "admin_user", table: "admin_users" },
+      roles: { entityType: "role", table: "roles" },
+      jobs: { entityType: "job" }
+    }
+  }),
+  adminRoutes
+);
+app.use("/api/uploads", auditTrail("upload"), uploadRoutes);
+app.use("/api/ai-seo", auditTrail("ai_seo"), aiSeoRoutes);
+app.use("/api/ip-blocking", auditTrail("ip_blocking"), ipBlockingRoutes);
+app.use("/api/feeds", feedRoutes);
+app.use("/api/conversions", auditTrail("conversion"), conversionRoutes);
+
+// Sitemap and robots.txt (site root)
+app.use(seoRoutes);
+
+// Tracked affiliate redirects
+app.use("/go", goRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -525,6 +577,7 @@ async function startServer() {
 🔍 Health: http://localhost:${port}/health
 💾 Database: Connected ✅
 🔐 Session Timeout: ${getSessionTimeoutHours()} hours (${getSessionTimeoutHours() / 24} days)
+🗄️  Session Store: ${getSessionStoreType()}
 ⏰ Started: ${new Date().toLocaleString()}
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
       `);
@@ -558,6 +611,17 @@ async function startServer() {
     setInterval(async () => {
       await cleanupExpiredSessions();
     }, 60 * 60 * 1000); // Every hour
+
+    // Background jobs (product re-sync, ...)
+    registerProductSyncJob();
+    registerProductImportJob();
+    registerConversionSyncJob();
+    registerTrashPurgeJob();
+    registerSlugBackfillJob();
+    registerCategoryReclassifyJob();
+    registerKeywordMiningJob();
+    registerSmartTagBackfillJob();
+    await startScheduler();
   } catch (error) {
     Logger.error("Failed to start server:", error);
     process.exit(1);
@@ -0,0 +1,110 @@
+import { executeQuery } from "../config/database.js";
+import { recordActivity, diffSnapshots } from "../utils/auditLog.js";
+import { getClientIP } from "./ipBlocking.js";
+
+/**
+ * Audit trail middleware
+ * Records every successful POST/PUT/PATCH/DELETE made by a logged-in admin under
+ * the router it is mounted on (see utils/auditLog.js).
+ *
+ * The entity ID is the route's :id param when it is the first path segment ("/:id/..."); when
+ * the router's table is known, the row is loaded before and after the request so the log
+ * holds a field-level diff. The "before" row is loaded by requireAuth once the admin is
+ * authenticated (req.captureAuditSnapshot), never for anonymous requests. Remaining path
+ * segments name the action, e.g.
+ * PATCH /api/categories/5/status -> "category.status", PUT /api/tags/3 -> "tag.update".
+ *
+ * @param {string} entityType - Entity type of the router, e.g. "category"
+ * @param {Object} options - Options
+ * @param {string} options.table - Table of the entity (enables before/after diff)
+ * @param {number} options.fixedId - Entity ID for single-row resources (e.g. settings)
+ * @param {Object} options.subResources - { pathSegment: { entityType, table } } for routers
+ *   that manage several entities (e.g. /api/admin/users/:id)
+ */
+export const auditTrail = (entityType, { table = null, fixedId = null, subResources = {} } = {}) => {
+  const DEFAULT_VERBS = { POST: "create", PUT: "update", PATCH: "update", DELETE: "delete" };
+
+  const resolveTarget = (req) => {
+    let segments = req.path.split("/").filter(Boolean);
+    let target = { entityType, table, id: fixedId };
+
+    const subResource = subResources[segments[0]];
+    if (subResource) {
+      target = { entityType: subResource.entityType, table: subResource.table || null, id: null };
+      segments = segments.slice(1);
+    }
+
+    // Route params are not known yet; a leading numeric segment is confirmed as :id by captureSnapshot
+    if (target.id === null && /^\d+$/.test(segments[0] || "")) {
+      target.idSegment = segments[0];
+      segments = segments.slice(1);
+    }
+
+    // Path segments naming the action; IDs further down the path (e.g. item IDs) are dropped
+    const verb = segments.filter((segment) => !/^\d+$/.test(segment)).join(".");
+    target.action = `${target.entityType}.${verb || DEFAULT_VERBS[req.method]}`;
+    return target;
+  };
+
+  const loadRow = async (target, id) => {
+    if (!target.table || !id) {
+      return null;
+    }
+    const result = await executeQuery(`SELECT * FROM ${target.table} WHERE id = ?`, [id]);
+    return result.success ? result.data[0] || null : null;
+  };
+
+  return async (req, res, next) => {
+    if (!DEFAULT_VERBS[req.method]) {
+      return next();
+    }
+
+    const target = resolveTarget(req);
+    let before = null;
+
+    // Called by requireAuth after req.user is set (req.params are the matched route's then)
+    req.captureAuditSnapshot = async () => {
+      req.captureAuditSnapshot = null;
+      if (target.idSegment && req.params.id === target.idSegment) {
+        target.id = parseInt(target.idSegment);
+      }
+      before = await loadRow(target, target.id).catch(() => null);
+    };
+
+    // Keep the response body: create endpoints return the new ID there
+    let responseBody = null;
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      responseBody = body;
+      return originalJson(body);
+    };
+
+    res.on("finish", async () => {
+      // Only completed actions by an authenticated admin
+      if (res.statusCode >= 400 || !req.user) {
+        return;
+      }
+
+      const entityId = target.id || responseBody?.data?.id || responseBody?.data?.insertId || null;
+      const after = await loadRow(target, entityId).catch(() => null);
+
+      await recordActivity({
+        userId: req.user.id,
+        action: target.action,
+        entityType: target.entityType,
+        entityId,
+        changes: diffSnapshots(before, after),
+        details: {
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          status: res.statusCode,
+          body: req.body && Object.keys(req.body).length > 0 ? req.body : undefined,
+          file: req.file?.originalname
+        },
+        ipAddress: getClientIP(req)
+      });
+    });
+
+    next();
+  };
+};
@@ -0,0 +1,33 @@
+import multer from "multer";
+import { formatResponse } from "../utils/helpers.js";
+
+/**
+ * Error for files rejected by a multer fileFilter (answered with 400 by singleFileUpload)
+ */
+export class FileTypeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FileTypeError";
+  }
+}
+
+/**
+ * Accept a single uploaded file
+ * Rejected file types (FileTypeError) and multer limit errors are client errors: they are
+ * answered with 400 here instead of reaching the generic 500 error handler.
+ * @param {Object} upload - multer instance
+ * @param {string} field - Form field of the file
+ * @returns {Function} Express middleware
+ */
+export const singleFileUpload = (upload, field) => {
+  const handler = upload.single(field);
+
+  return (req, res, next) => {
+    handler(req, res, (error) => {
+      if (error instanceof FileTypeError || error instanceof multer.MulterError) {
+        return res.status(400).json(formatResponse(false, null, error.message));
+      }
+      next(error);
+    });
+  };
+};
@@ -37,6 +37,11 @@ export const responseCache = (options = {}) => {
     if (cached && Date.now() < cached.expiresAt) {
       Logger.debug(`Cache HIT: ${cacheKey}`);
       res.setHeader("X-Cache", "HIT");
+      if (cached.contentType) {
+        // Non-JSON body (XML feeds, CSV, ...)
+        res.setHeader("Content-Type", cached.contentType);
+        return res.send(cached.body);
+      }
       return res.json(cached.data);
     }
 
@@ -66,6 +71,28 @@ export const responseCache = (options = {}) => {
       return originalJson(data);
     };
 
+    // Store original send method
+    const originalSend = res.send.bind(res);
+
+    // Override send method to cache non-JSON responses (res.json has already cached JSON)
+    res.send = function (body) {
+      const contentType = res.get("Content-Type");
+      const isJson = contentType && contentType.includes("application/json");
+
+      if (!isJson && contentType && shouldCache(req, res)) {
+        cache.set(cacheKey, {
+          body,
+          contentType,
+          expiresAt: Date.now() + ttl,
+          createdAt: Date.now()
+        });
+        res.setHeader("X-Cache", "MISS");
+        Logger.debug(`Cache SET: ${cacheKey} (TTL: ${ttl}ms)`);
+      }
+
+      return originalSend(body);
+    };
+
     next();
   };
 };
@@ -91,6 +118,27 @@ export const clearCache = (pattern = null) => {
   Logger.info(`Cache cleared: ${cleared} entries matching "${pattern}"`);
 };
 
+/**
+ * Clear cache patterns after a successful write request (POST/PUT/PATCH/DELETE)
+ * Mount in front of a router whose writes make cached public output stale.
+ * @param {Array<string>} patterns - Cache key patterns to clear
+ */
+export const invalidateCacheOnWrite = (patterns = []) => {
+  return (req, res, next) => {
+    if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") {
+      return next();
+    }
+
+    res.on("finish", () => {
+      if (res.statusCode < 400) {
+        patterns.forEach((pattern) => clearCache(pattern));
+      }
+    });
+
+    next();
+  };
+};
+
 /**
  * Cleanup expired cache entries periodically
  */
@@ -0,0 +1,43 @@
+import { recordSearchQuery } from "../services/searchSuggestionService.js";
+import { classifyUserAgent } from "../services/clickTrackingService.js";
+import { getClientIP } from "./ipBlocking.js";
+
+/**
+ * Search tracking middleware
+ * Counts storefront searches for popular-query suggestions (see services/searchSuggestionService.js).
+ * Mount before responseCache so searches answered from the cache are counted too. Only the
+ * first page is counted and bots are ignored. The client IP is only used to count distinct
+ * searchers of a term and is stored salted and hashed together with the term.
+ *
+ * @param {Object} options - Options
+ * @param {string} options.param - Query parameter holding the search term (default "search")
+ */
+export const trackSearchQuery = ({ param = "search" } = {}) => {
+  // Result count of a products response: an array, or { products, pagination }
+  const countResults = (data) => {
+    if (Array.isArray(data)) {
+      return data.length;
+    }
+    return data?.pagination?.total ?? 0;
+  };
+
+  return (req, res, next) => {
+    const term = typeof req.query[param] === "string" ? req.query[param].trim() : "";
+    const page = parseInt(req.query.page) || 1;
+
+    if (!term || page > 1 || classifyUserAgent(req.get("user-agent")) === "bot") {
+      return next();
+    }
+
+    const originalJson = res.json.bind(res);
+    res.json = function (body) {
+      if (res.statusCode === 200 && body?.success) {
+        // Recorded in the background so the response is not delayed by the insert
+        recordSearchQuery(term, countResults(body.data), getClientIP(req));
+      }
+      return originalJson(body);
+    };
+
+    next();
+  };
+};
@@ -38,3 +38,78 @@ export const PRODUCT_OFFER_QUERY = `query Fetch($page: Int, $keyword: String) {
     }
   }
 }`;
+
+// Product Offer Query V2 for a single item (used by background re-sync)
+export const PRODUCT_OFFER_BY_ITEM_QUERY = `query FetchItem($itemId: Int64) {
+  productOfferV2(
+    itemId: $itemId,
+    page: 1,
+    limit: 1
+  ) {
+    nodes {
+      productName
+      itemId
+      commissionRate
+      commission
+      price
+      sales
+      imageUrl
+      shopName
+      productLink
+      offerLink
+      periodStartTime
+      periodEndTime
+      priceMin
+      priceMax
+      productCatIds
+      ratingStar
+      priceDiscountRate
+      shopId
+      shopType
+      sellerCommissionRate
+      shopeeCommissionRate
+    }
+  }
+}`;
+
+// Conversion (order) report, paged with scrollId (used by conversion report sync)
+export const CONVERSION_REPORT_QUERY = `query ConversionReport($purchaseTimeStart: Int64, $purchaseTimeEnd: Int64, $limit: Int, $scrollId: String) {
+  conversionReport(
+    purchaseTimeStart: $purchaseTimeStart,
+    purchaseTimeEnd: $purchaseTimeEnd,
+    limit: $limit,
+    scrollId: $scrollId
+  ) {
+    nodes {
+      purchaseTime
+      clickTime
+      conversionId
+      totalCommission
+      utmContent
+      orders {
+        orderId
+        orderStatus
+        items {
+          itemId
+          itemName
+          modelId
+          shopId
+          shopName
+          qty
+          itemPrice
+          actualAmount
+          completeTime
+          itemTotalCommission
+          itemSellerCommission
+          itemShopeeCommissionCapped
+          displayItemStatus
+        }
+      }
+    }
+    pageInfo {
+      limit
+      hasNextPage
+      scrollId
+    }
+  }
+}`;
@@ -1,27 +1,22 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
-import { hashPassword } from "../utils/auth.js";
+import { hashPassword, listUserSessions, revokeUserSessions } from "../utils/auth.js";
 import { formatResponse, validateRequiredFields, generatePagination } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { listJobs, getJob, getJobRuns, runJob } from "../services/jobScheduler.js";
+import { CLICK_GROUP_BY, getClickStats, resolveStatsRange } from "../services/clickTrackingService.js";
+import { disableTwoFactor, setRoleTwoFactorRequired } from "../utils/twoFactor.js";
+import { getActivityLogs } from "../utils/auditLog.js";
 
 const router = express.Router();
 
-// Middleware to check admin role
-function requireAdmin(req, res, next) {
-  const role = req.user?.role?.toLowerCase();
-  if (!req.user || !["admin", "super admin"].includes(role)) {
-    return res.status(403).json(formatResponse(false, null, "Admin access required"));
-  }
-  next();
-}
-
 /**
  * @swagger
  * /api/admin/users:
  *   get:
- *     summary: Get all admin users (admin only)
+ *     summary: Get all admin users
  *     tags: [Admin]
  *     security:
  *       - bearerAuth: []
@@ -46,10 +41,10 @@ function requireAdmin(req, res, next) {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin access required
+ *         description: Missing view_admin_users permission
  */
 // Get all admin users
-router.get("/users", requireAuth, requireAdmin, async (req, res) => {
+router.get("/users", requireAuth, requirePermission("view_admin_users"), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -73,7 +68,7 @@ router.get("/users", requireAuth, requireAdmin, async (req, res) => {
     // Using direct interpolation for LIMIT/OFFSET to avoid prepared statement issues with numbers in some environments
     const usersQuery = `
       SELECT u.id, u.username, u.role_id, r.name as role_name, u.full_name, u.email, u.status, 
-             u.last_login_at, u.created_at, u.updated_at 
+             u.totp_enabled, u.last_login_at, u.created_at, u.updated_at 
       FROM admin_users u
       LEFT JOIN roles r ON u.role_id = r.id
       ${whereClause} 
@@ -105,7 +100,7 @@ router.get("/users", requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Create new admin user
-router.post("/users", requireAuth, requireAdmin, async (req, res) => {
+router.post("/users", requireAuth, requirePermission("create_admin_users"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -159,7 +154,7 @@ router.post("/users", requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Update admin user
-router.patch("/users/:id", requireAuth, requireAdmin, async (req, res) => {
+router.patch("/users/:id", requireAuth, requirePermission("edit_admin_users"), async (req, res) => {
   try {
     const { id } = req.params;
     const updates = req.body;
@@ -201,6 +196,11 @@ router.patch("/users/:id", requireAuth, requireAdmin, async (req, res) => {
     const result = await executeQuery(updateQuery, updateValues);
 
     if (result.success && result.data.affectedRows > 0) {
+      // Permissions are resolved per request from the session's role_id, which is fixed at login,
+      // so a new role needs a new login
+      if ((updates.status !== undefined && updates.status !== "active") || updates.role_id !== undefined) {
+        await revokeUserSessions(id);
+      }
       res.json(formatResponse(true, null, "Admin user updated successfully"));
     } else {
       res.status(404).json(formatResponse(false, null, "Admin user not found"));
@@ -212,7 +212,7 @@ router.patch("/users/:id", requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Reset Password
-router.post("/users/:id/reset-password", requireAuth, requireAdmin, async (req, res) => {
+router.post("/users/:id/reset-password", requireAuth, requirePermission("edit_admin_users"), async (req, res) => {
     try {
         const { id } = req.params;
         const { password } = req.body;
@@ -229,6 +229,7 @@ router.post("/users/:id/reset-password", requireAuth, requireAdmin, async (req,
         );
 
         if (result.success && result.data.affectedRows > 0) {
+            await revokeUserSessions(id);
             res.json(formatResponse(true, null, "Password reset successfully"));
         } else {
             res.status(404).json(formatResponse(false, null, "Admin user not found"));
@@ -240,7 +241,7 @@ router.post("/users/:id/reset-password", requireAuth, requireAdmin, async (req,
 });
 
 // Change admin user status
-router.patch("/users/:id/status", requireAuth, requireAdmin, async (req, res) => {
+router.patch("/users/:id/status", requireAuth, requirePermission("edit_admin_users"), async (req, res) => {
   try {
     const { id } = req.params;
     const { status } = req.body; // active or inactive
@@ -259,7 +260,9 @@ router.patch("/users/:id/status", requireAuth, requireAdmin, async (req, res) =>
     );
 
     if (result.success && result.data.affectedRows > 0) {
-      res.json(formatResponse(true, null, `Admin user ${status} successfully`));
+      // A deactivated user must not keep using sessions opened before
+      const revokedSessions = status === "inactive" ? await revokeUserSessions(id) : 0;
+      res.json(formatResponse(true, { revokedSessions }, `Admin user ${status} successfully`));
     } else {
       res.status(404).json(formatResponse(false, null, "Admin user not found"));
     }
@@ -268,8 +271,182 @@ router.patch("/users/:id/status", requireAuth, requireAdmin, async (req, res) =>
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/users/{id}/sessions:
+ *   get:
+ *     summary: List a user's active sessions
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       403:
+ *         description: Missing view_admin_users permission
+ */
+// Get admin user sessions
+router.get("/users/:id/sessions", requireAuth, requirePermission("view_admin_users"), async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.params.id);
+    res.json(formatResponse(true, sessions, "Sessions retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve sessions", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/logout:
+ *   post:
+ *     summary: Force-logout a user by revoking all their sessions
+ *     description: When used on yourself, the session making the request is kept.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sessions revoked ({ revoked })
+ *       404:
+ *         description: Admin user not found
+ */
+// Force logout admin user
+router.post("/users/:id/logout", requireAuth, requirePermission("edit_admin_users"), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const userResult = await executeQuery("SELECT id, username FROM admin_users WHERE id = ?", [userId]);
+    if (!userResult.success) {
+      throw new Error(userResult.error);
+    }
+    if (userResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Admin user not found"));
+    }
+
+    const revoked = await revokeUserSessions(userId, {
+      exceptSessionId: userId === req.user.id ? req.sessionId : null
+    });
+    Logger.info(`[Admin] ${req.user.username} force-logged out ${userResult.data[0].username} (${revoked} session(s))`);
+
+    res.json(formatResponse(true, { revoked }, `${revoked} session(s) revoked`));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to force logout admin user", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/2fa/reset:
+ *   post:
+ *     summary: Reset a user's two-factor authentication
+ *     description: Removes the TOTP secret and recovery codes (e.g. lost phone) and revokes the user's sessions. If the role requires 2FA, the user enrolls again at next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication reset
+ *       404:
+ *         description: Admin user not found
+ */
+// Reset admin user two-factor authentication
+router.post("/users/:id/2fa/reset", requireAuth, requirePermission("edit_admin_users"), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+
+    const found = await disableTwoFactor(userId);
+    if (!found) {
+      return res.status(404).json(formatResponse(false, null, "Admin user not found"));
+    }
+
+    const revokedSessions = await revokeUserSessions(userId, {
+      exceptSessionId: userId === req.user.id ? req.sessionId : null
+    });
+    Logger.info(`[Admin] ${req.user.username} reset two-factor authentication of user ${userId}`);
+
+    res.json(formatResponse(true, { revokedSessions }, "Two-factor authentication reset successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to reset two-factor authentication", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/roles/{id}/2fa:
+ *   put:
+ *     summary: Require two-factor authentication for a role
+ *     description: Users of the role without 2FA get a session limited to 2FA setup at their next login.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - required
+ *             properties:
+ *               required:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Role updated
+ *       404:
+ *         description: Role not found
+ */
+// Set role two-factor requirement
+router.put("/roles/:id/2fa", requireAuth, requirePermission("edit_roles"), async (req, res) => {
+  try {
+    const { required } = req.body;
+    if (typeof required !== "boolean") {
+      return res.status(400).json(formatResponse(false, null, "required must be a boolean"));
+    }
+
+    const found = await setRoleTwoFactorRequired(parseInt(req.params.id), required);
+    if (!found) {
+      return res.status(404).json(formatResponse(false, null, "Role not found"));
+    }
+
+    res.json(
+      formatResponse(
+        true,
+        { role_id: parseInt(req.params.id), require_2fa: required },
+        `Two-factor authentication ${required ? "required" : "no longer required"} for role`
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update role two-factor requirement", 500, formatResponse);
+  }
+});
+
 // Delete admin user
-router.delete("/users/:id", requireAuth, requireAdmin, async (req, res) => {
+router.delete("/users/:id", requireAuth, requirePermission("delete_admin_users"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -286,6 +463,7 @@ router.delete("/users/:id", requireAuth, requireAdmin, async (req, res) => {
     const result = await executeQuery("DELETE FROM admin_users WHERE id = ?", [id]);
 
     if (result.success && result.data.affectedRows > 0) {
+      await revokeUserSessions(id);
       res.json(formatResponse(true, null, "Admin user deleted successfully"));
     } else {
       res.status(404).json(formatResponse(false, null, "Admin user not found"));
@@ -297,7 +475,7 @@ router.delete("/users/:id", requireAuth, requireAdmin, async (req, res) => {
 });
 
 // Get dashboard statistics
-router.get("/stats", requireAuth, requireAdmin, async (req, res) => {
+router.get("/stats", requireAuth, requirePermission("view_reports"), async (req, res) => {
   try {
     // Get product statistics
     const productStats = await executeQuery(`
@@ -306,6 +484,7 @@ router.get("/stats", requireAuth, requireAdmin, async (req, res) => {
         COUNT(CASE WHEN status = 'active' THEN 1 END) as active_products,
         COUNT(CASE WHEN status = 'inactive' THEN 1 END) as inactive_products
       FROM shopee_products
+      WHERE deleted_at IS NULL
     `);
 
     // Get user statistics
@@ -340,4 +519,331 @@ router.get("/stats", requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/admin/jobs:
+ *   get:
+ *     summary: List background jobs with live progress
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Jobs retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ *       403:
+ *         description: Missing view_jobs permission
+ */
+// Get background jobs
+router.get("/jobs", requireAuth, requirePermission("view_jobs"), async (req, res) => {
+  try {
+    res.json(formatResponse(true, listJobs(), "Jobs retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve jobs", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/runs:
+ *   get:
+ *     summary: Get run history of a background job
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: product-sync
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Job runs retrieved successfully
+ *       404:
+ *         description: Job not found
+ */
+// Get job run history
+router.get("/jobs/:name/runs", requireAuth, requirePermission("view_jobs"), async (req, res) => {
+  try {
+    const job = getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json(formatResponse(false, null, "Job not found"));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { runs, total } = await getJobRuns(job.name, { limit, offset: (page - 1) * limit });
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          job,
+          runs,
+          pagination: generatePagination(page, limit, total)
+        },
+        "Job runs retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve job runs", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/jobs/{name}/run:
+ *   post:
+ *     summary: Trigger a background job run now
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: product-sync
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Job specific parameters (product-sync accepts budget and batchSize)
+ *     responses:
+ *       202:
+ *         description: Job run started
+ *       404:
+ *         description: Job not found
+ *       409:
+ *         description: Job is already running
+ */
+// Trigger job run
+router.post("/jobs/:name/run", requireAuth, requirePermission("run_jobs"), async (req, res) => {
+  try {
+    const job = getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json(formatResponse(false, null, "Job not found"));
+    }
+
+    const run = await runJob(job.name, {
+      trigger: "manual",
+      triggeredBy: req.user.id,
+      params: req.body || {}
+    });
+
+    if (!run) {
+      return res.status(409).json(formatResponse(false, getJob(job.name), "Job is already running"));
+    }
+
+    res.status(202).json(formatResponse(true, run, "Job run started"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to start job", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/clicks:
+ *   get:
+ *     summary: Aggregate affiliate clicks
+ *     description: Clicks and unique visitors (hashed IP) per product, category, tag or day. Bots are excluded unless include_bots=true.
+ *     tags: [Admin, Clicks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: group_by
+ *         schema:
+ *           type: string
+ *           enum: [product, category, tag, day]
+ *           default: day
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (default 30 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date, inclusive (default today)
+ *       - in: query
+ *         name: item_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: tag_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: utm_source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: utm_campaign
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sub_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: include_bots
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Click statistics retrieved successfully
+ *       400:
+ *         description: Invalid group_by
+ */
+// Get click statistics
+router.get("/clicks", requireAuth, requirePermission("view_reports"), async (req, res) => {
+  try {
+    const groupBy = req.query.group_by || "day";
+    if (!CLICK_GROUP_BY.includes(groupBy)) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `group_by must be one of: ${CLICK_GROUP_BY.join(", ")}`));
+    }
+
+    const { from, to } = resolveStatsRange(req.query.from, req.query.to);
+    const stats = await getClickStats({
+      groupBy,
+      from,
+      to,
+      limit: req.query.limit,
+      filters: {
+        itemId: req.query.item_id,
+        categoryId: parseInt(req.query.category_id) || null,
+        tagId: parseInt(req.query.tag_id) || null,
+        utmSource: req.query.utm_source,
+        utmCampaign: req.query.utm_campaign,
+        subId: req.query.sub_id,
+        includeBots: req.query.include_bots === "true"
+      }
+    });
+
+    res.json(formatResponse(true, stats, "Click statistics retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve click statistics", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/admin/activity:
+ *   get:
+ *     summary: Audit trail of admin actions
+ *     description: |
+ *       Every successful POST/PUT/PATCH/DELETE by a logged-in admin: actor, action (e.g. "category.status"),
+ *       entity, before/after diff of the changed row, request body and IP. Secrets are redacted.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user_id
+ *         schema:
+ *           type: integer
+ *         description: Acting admin user
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: Exact action, or a prefix ending with "." (e.g. "category.")
+ *       - in: query
+ *         name: entity_type
+ *         schema:
+ *           type: string
+ *         description: e.g. product, category, tag, banner, settings, admin_user, role
+ *       - in: query
+ *         name: entity_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Activity retrieved successfully
+ *       403:
+ *         description: Missing view_activity permission
+ */
+// Get admin activity (audit trail)
+router.get("/activity", requireAuth, requirePermission("view_activity"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+
+    // Date filter only when asked for (the audit trail has no default window)
+    const range = req.query.from || req.query.to ? resolveStatsRange(req.query.from, req.query.to) : {};
+
+    const { logs, total } = await getActivityLogs({
+      userId: parseInt(req.query.user_id) || null,
+      action: req.query.action || null,
+      entityType: req.query.entity_type || null,
+      entityId: req.query.entity_id || null,
+      from: range.from || null,
+      to: range.to || null,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(
+      formatResponse(
+        true,
+        { logs, pagination: generatePagination(page, limit, total) },
+        "Activity retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve activity", 500, formatResponse);
+  }
+});
+
 export default router;
@@ -11,7 +11,7 @@ import {
   optimizeContent,
 } from '../services/aiSeoService.js';
 import { handleErrorWithFormat } from '../utils/errorHandler.js';
-import { requireAuth } from './auth.js';
+import { requireAuth, requirePermission } from './auth.js';
 import { rateLimiter } from '../middleware/rateLimiter.js';
 
 const router = express.Router();
@@ -59,6 +59,7 @@ const router = express.Router();
  */
 router.post('/meta-description', 
   requireAuth,
+  requirePermission('use_ai_seo'),
   rateLimiter({ windowMs: 60 * 1000, maxRequests: 20 }), // 20 requests per minute
   async (req, res) => {
   try {
@@ -101,6 +102,7 @@ router.post('/meta-description',
  */
 router.post('/keywords', 
   requireAuth,
+  requirePermission('use_ai_seo'),
   rateLimiter({ windowMs: 60 * 1000, maxRequests: 20 }), // 20 requests per minute
   async (req, res) => {
   try {
@@ -136,6 +138,7 @@ router.post('/keywords',
  */
 router.post('/alt-text', 
   requireAuth,
+  requirePermission('use_ai_seo'),
   rateLimiter({ windowMs: 60 * 1000, maxRequests: 20 }), // 20 requests per minute
   async (req, res) => {
   try {
@@ -178,6 +181,7 @@ router.post('/alt-text',
  */
 router.post('/optimize', 
   requireAuth,
+  requirePermission('use_ai_seo'),
   rateLimiter({ windowMs: 60 * 1000, maxRequests: 20 }), // 20 requests per minute
   async (req, res) => {
   try {
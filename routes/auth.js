@@ -1,15 +1,75 @@
 import express from "express";
 import { strictRateLimit } from "../middleware/rateLimiter.js";
 import { executeQuery } from "../config/database.js";
-import { verifyPassword, createSession, getSession, deleteSession, hashPassword } from "../utils/auth.js";
+import {
+  verifyPassword,
+  createSession,
+  getSession,
+  deleteSession,
+  hashPassword,
+  listUserSessions,
+  revokeSession,
+  revokeUserSessions
+} from "../utils/auth.js";
 import { formatResponse, validateRequiredFields } from "../utils/helpers.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { checkAccountLocked, incrementFailedAttempts, clearAccountLockout, getLockoutConfig } from "../utils/accountLockout.js";
 import { validatePasswordStrength, getPasswordPolicyDescription } from "../utils/passwordPolicy.js";
+import { getClientIP } from "../middleware/ipBlocking.js";
+import { isKnownPermission, getRolePermissions } from "../utils/permissions.js";
+import {
+  getTwoFactorStatus,
+  startTwoFactorEnrollment,
+  confirmTwoFactorEnrollment,
+  verifyTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from "../utils/twoFactor.js";
 
 const router = express.Router();
 
+// How long the second login step may take after the password was accepted
+const TWO_FACTOR_CHALLENGE_TTL_MS = 5 * 60 * 1000; // 5 minutes
+
+// Client details stored with a new session
+function getSessionMeta(req) {
+  return {
+    ipAddress: getClientIP(req),
+    userAgent: req.get("user-agent") || null
+  };
+}
+
+/**
+ * Build the user data stored in a session (exposed as req.user)
+ * @param {Object} user - admin_users row with role_name
+ * @returns {Promise<Object>} User data with permission slugs
+ */
+async function buildSessionUserData(user) {
+  // Returned to the client at login; requests resolve permissions again (see withCurrentPermissions)
+  const permissions = await getRolePermissions(user.role_id);
+
+  return {
+    id: user.id,
+    username: user.username,
+    full_name: user.full_name,
+    email: user.email,
+    role_id: user.role_id,
+    role: user.role_name || 'Viewer', // Fallback role name
+    permissions
+  };
+}
+
+/**
+ * Session user data with the role's current permissions
+ * The permissions stored in the session are a snapshot from login and may be outdated.
+ * @param {Object} userData - User data from the session
+ * @returns {Promise<Object>} User data for req.user
+ */
+async function withCurrentPermissions(userData) {
+  return { ...userData, permissions: await getRolePermissions(userData.role_id) };
+}
+
 /**
  * @swagger
  * /api/auth/login:
@@ -50,7 +110,8 @@ router.post("/login", strictRateLimit(), async (req, res) => {
 
     // Find user in database with role info
     const userResult = await executeQuery(`
-      SELECT u.id, u.username, u.password, u.password_hash, u.full_name, u.email, u.status, u.role_id, r.name as role_name 
+      SELECT u.id, u.username, u.password, u.password_hash, u.full_name, u.email, u.status, u.role_id, r.name as role_name,
+             u.totp_enabled, COALESCE(r.require_2fa, 0) as role_requires_2fa
       FROM admin_users u 
       LEFT JOIN roles r ON u.role_id = r.id 
       WHERE u.username = ?
@@ -104,7 +165,7 @@ router.post("/login", strictRateLimit(), async (req, res) => {
         requiresPasswordChange: true
       };
       
-      const tempSessionToken = createSession(user.id, tempUserData);
+      const tempSessionToken = await createSession(user.id, tempUserData, getSessionMeta(req));
       
       return res.status(403).json(
         formatResponse(
@@ -182,35 +243,53 @@ router.post("/login", strictRateLimit(), async (req, res) => {
       ));
     }
 
+    // Two-factor enabled: the password alone does not log in, and failed attempts
+    // are only cleared once the second factor is verified
+    if (user.totp_enabled) {
+      const challengeToken = await createSession(
+        user.id,
+        { id: user.id, twoFactorChallenge: true },
+        { ...getSessionMeta(req), ttlMs: TWO_FACTOR_CHALLENGE_TTL_MS }
+      );
+
+      return res.status(403).json(
+        formatResponse(
+          false,
+          {
+            requiresTwoFactor: true,
+            challengeToken,
+            expiresIn: TWO_FACTOR_CHALLENGE_TTL_MS / 1000
+          },
+          "Two-factor authentication code required."
+        )
+      );
+    }
+
     // Password is valid - clear failed attempts and unlock account
     await clearAccountLockout(user.id);
 
-    // Fetch Permissions
-    let permissions = [];
-    if (user.role_id) {
-        const permRes = await executeQuery(`
-            SELECT p.slug 
-            FROM permissions p 
-            JOIN role_permissions rp ON p.id = rp.permission_id 
-            WHERE rp.role_id = ?
-        `, [user.role_id]);
-        if (permRes.success) {
-            permissions = permRes.data.map(p => p.slug);
-        }
+    const userData = await buildSessionUserData(user);
+
+    // Role requires 2FA but the user has not enrolled yet: session limited to 2FA setup
+    if (user.role_requires_2fa) {
+      const setupUserData = { ...userData, requiresTwoFactorSetup: true };
+      const setupSessionToken = await createSession(user.id, setupUserData, getSessionMeta(req));
+
+      return res.status(403).json(
+        formatResponse(
+          false,
+          {
+            requiresTwoFactorSetup: true,
+            token: setupSessionToken,
+            user: setupUserData
+          },
+          "Two-factor authentication is required for your role. Please set it up to continue."
+        )
+      );
     }
 
     // Create session
-    const userData = {
-      id: user.id,
-      username: user.username,
-      full_name: user.full_name,
-      email: user.email,
-      role_id: user.role_id,
-      role: user.role_name || 'Viewer', // Fallback role name
-      permissions
-    };
-
-    const sessionToken = createSession(user.id, userData);
+    const sessionToken = await createSession(user.id, userData, getSessionMeta(req));
 
     res.json(
       formatResponse(
@@ -230,6 +309,136 @@ router.post("/login", strictRateLimit(), async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Second login step for accounts with two-factor authentication
+ *     description: |
+ *       Exchanges the challengeToken returned by /api/auth/login (403 with requiresTwoFactor)
+ *       and a TOTP code, or one of the one-time recovery codes, for a session token.
+ *       Failed codes count towards account lockout.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One-time recovery code (instead of code)
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *       401:
+ *         description: Invalid code or expired challenge
+ *       423:
+ *         description: Account locked
+ *       429:
+ *         description: Too many login attempts
+ */
+// Two-factor login step
+router.post("/login/2fa", strictRateLimit(), async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json(formatResponse(false, null, "challengeToken and code or recoveryCode are required"));
+    }
+
+    const challenge = await getSession(challengeToken, false);
+    if (!challenge?.userData?.twoFactorChallenge) {
+      return res.status(401).json(formatResponse(false, null, "Login challenge is invalid or expired. Please log in again."));
+    }
+
+    const lockStatus = await checkAccountLocked(challenge.userId);
+    if (lockStatus.isLocked) {
+      await deleteSession(challengeToken);
+      return res.status(423).json(formatResponse(
+        false,
+        {
+          locked: true,
+          lockedUntil: lockStatus.lockedUntil?.toISOString(),
+          remainingMinutes: lockStatus.remainingMinutes
+        },
+        `Account is temporarily locked due to too many failed login attempts. Please try again in ${lockStatus.remainingMinutes} minute(s).`
+      ));
+    }
+
+    const verification = await verifyTwoFactor(challenge.userId, code ? { code } : { recoveryCode });
+
+    if (!verification.valid) {
+      const lockResult = await incrementFailedAttempts(challenge.userId);
+
+      if (lockResult.isLocked) {
+        await deleteSession(challengeToken);
+        Logger.warn(`[Auth] Account locked after failed two-factor attempts`, { userId: challenge.userId });
+
+        return res.status(423).json(formatResponse(
+          false,
+          {
+            locked: true,
+            lockedUntil: lockResult.lockedUntil.toISOString(),
+            remainingMinutes: getLockoutConfig().lockoutDurationMinutes
+          },
+          `Too many failed login attempts. Account has been locked for ${getLockoutConfig().lockoutDurationMinutes} minutes.`
+        ));
+      }
+
+      return res.status(401).json(formatResponse(
+        false,
+        { remainingAttempts: Math.max(getLockoutConfig().maxFailedAttempts - lockResult.attempts, 0) },
+        "Invalid two-factor authentication code"
+      ));
+    }
+
+    // Challenge is single use
+    await deleteSession(challengeToken);
+
+    const userResult = await executeQuery(`
+      SELECT u.id, u.username, u.full_name, u.email, u.status, u.role_id, r.name as role_name
+      FROM admin_users u
+      LEFT JOIN roles r ON u.role_id = r.id
+      WHERE u.id = ?
+    `, [challenge.userId]);
+
+    const user = userResult.success ? userResult.data[0] : null;
+    if (!user || user.status !== "active") {
+      return res.status(401).json(formatResponse(false, null, "Account is disabled"));
+    }
+
+    await clearAccountLockout(user.id);
+
+    const userData = await buildSessionUserData(user);
+    const sessionToken = await createSession(user.id, userData, getSessionMeta(req));
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          user: userData,
+          token: sessionToken,
+          ...(verification.method === "recovery_code" && {
+            recoveryCodesRemaining: verification.recoveryCodesRemaining
+          })
+        },
+        "Login successful"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Two-factor login failed", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/auth/logout:
@@ -247,12 +456,12 @@ router.post("/login", strictRateLimit(), async (req, res) => {
  *               $ref: '#/components/schemas/SuccessResponse'
  */
 // Logout endpoint
-router.post("/logout", (req, res) => {
+router.post("/logout", async (req, res) => {
   try {
     const token = req.headers.authorization?.replace("Bearer ", "");
 
     if (token) {
-      deleteSession(token);
+      await deleteSession(token);
     }
 
     res.json(formatResponse(true, null, "Logout successful"));
@@ -294,7 +503,7 @@ router.post("/logout", (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 // Get current user info
-router.get("/me", (req, res) => {
+router.get("/me", async (req, res) => {
   try {
     const token = req.headers.authorization?.replace("Bearer ", "");
 
@@ -302,12 +511,12 @@ router.get("/me", (req, res) => {
       return res.status(401).json(formatResponse(false, null, "No token provided"));
     }
 
-    const session = getSession(token);
-    if (!session) {
+    const session = await getSession(token);
+    if (!session || session.userData?.twoFactorChallenge) {
       return res.status(401).json(formatResponse(false, null, "Invalid or expired session"));
     }
 
-    res.json(formatResponse(true, session.userData, "User info retrieved successfully"));
+    res.json(formatResponse(true, await withCurrentPermissions(session.userData), "User info retrieved successfully"));
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to retrieve user information", 500, formatResponse);
     const isDevelopment = process.env.NODE_ENV === "development";
@@ -316,6 +525,335 @@ router.get("/me", (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List my active sessions
+ *     description: Each session has its creation time, last access, IP address and user agent; the session making the request is flagged as current.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// List current user's sessions
+router.get("/sessions", requireAuth, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user.id);
+
+    res.json(
+      formatResponse(
+        true,
+        sessions.map((session) => ({ ...session, current: session.id === req.sessionId })),
+        "Sessions retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve sessions", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/revoke-others:
+ *   post:
+ *     summary: Revoke all my sessions except the current one
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Other sessions revoked ({ revoked })
+ *       401:
+ *         description: Unauthorized
+ */
+// Revoke all other sessions of current user
+router.post("/sessions/revoke-others", requireAuth, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user.id, { exceptSessionId: req.sessionId });
+
+    res.json(formatResponse(true, { revoked }, `${revoked} other session(s) revoked`));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to revoke sessions", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of my sessions
+ *     description: Revoking the current session is the same as logging out.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+// Revoke one session of current user
+router.delete("/sessions/:id", requireAuth, async (req, res) => {
+  try {
+    const sessionId = parseInt(req.params.id);
+    if (!sessionId) {
+      return res.status(400).json(formatResponse(false, null, "Invalid session ID"));
+    }
+
+    const revoked = await revokeSession(req.user.id, sessionId);
+    if (!revoked) {
+      return res.status(404).json(formatResponse(false, null, "Session not found"));
+    }
+
+    res.json(formatResponse(true, { current: sessionId === req.sessionId }, "Session revoked successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to revoke session", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Get my two-factor authentication status
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Status ({ enabled, required, enabledAt, recoveryCodesRemaining })
+ */
+// Get two-factor status
+router.get("/2fa", requireAuthOrTwoFactorSetup, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status) {
+      return res.status(404).json(formatResponse(false, null, "User not found"));
+    }
+
+    res.json(formatResponse(true, status, "Two-factor status retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve two-factor status", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor enrollment
+ *     description: Returns a new secret and its otpauth:// URI (render as QR code). 2FA is enabled only after /api/auth/2fa/enable confirms a code.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Enrollment started ({ secret, otpauthUri })
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ */
+// Start two-factor enrollment
+router.post("/2fa/setup", requireAuthOrTwoFactorSetup, async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status) {
+      return res.status(404).json(formatResponse(false, null, "User not found"));
+    }
+    if (status.enabled) {
+      return res.status(409).json(formatResponse(false, null, "Two-factor authentication is already enabled"));
+    }
+
+    const enrollment = await startTwoFactorEnrollment(req.user.id);
+    res.json(formatResponse(true, enrollment, "Scan the QR code and confirm with a code from your authenticator app"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to start two-factor setup", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Confirm enrollment and enable two-factor authentication
+ *     description: |
+ *       Returns one-time recovery codes; they are shown only once.
+ *       When called with a session limited to 2FA setup, a full session token is returned as well.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled ({ recoveryCodes, token?, user? })
+ *       400:
+ *         description: Invalid code or setup not started
+ */
+// Enable two-factor authentication
+router.post("/2fa/enable", requireAuthOrTwoFactorSetup, async (req, res) => {
+  try {
+    const missing = validateRequiredFields(req.body, ["code"]);
+    if (missing.length > 0) {
+      return res.status(400).json(formatResponse(false, null, `Missing required fields: ${missing.join(", ")}`));
+    }
+
+    const recoveryCodes = await confirmTwoFactorEnrollment(req.user.id, req.body.code);
+    if (!recoveryCodes) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, "Invalid code, or two-factor setup has not been started"));
+    }
+
+    // Setup-only session: replace it with a full session
+    if (req.user.requiresTwoFactorSetup) {
+      const { requiresTwoFactorSetup, ...userData } = req.user;
+      await revokeSession(req.user.id, req.sessionId);
+      const token = await createSession(req.user.id, userData, getSessionMeta(req));
+
+      return res.json(
+        formatResponse(true, { recoveryCodes, token, user: userData }, "Two-factor authentication enabled")
+      );
+    }
+
+    res.json(formatResponse(true, { recoveryCodes }, "Two-factor authentication enabled"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to enable two-factor authentication", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the current password and a TOTP or recovery code. Not allowed when the user's role requires 2FA.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Invalid password or code
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ */
+// Disable two-factor authentication
+router.post("/2fa/disable", requireAuth, async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!password || (!code && !recoveryCode)) {
+      return res.status(400).json(formatResponse(false, null, "password and code or recoveryCode are required"));
+    }
+
+    const status = await getTwoFactorStatus(req.user.id);
+    if (!status?.enabled) {
+      return res.status(400).json(formatResponse(false, null, "Two-factor authentication is not enabled"));
+    }
+    if (status.required) {
+      return res.status(403).json(formatResponse(false, null, "Two-factor authentication is required for your role"));
+    }
+
+    const userResult = await executeQuery("SELECT password_hash FROM admin_users WHERE id = ?", [req.user.id]);
+    const passwordHash = userResult.success ? userResult.data[0]?.password_hash : null;
+    if (!passwordHash || !verifyPassword(password, passwordHash)) {
+      return res.status(401).json(formatResponse(false, null, "Invalid password"));
+    }
+
+    const verification = await verifyTwoFactor(req.user.id, code ? { code } : { recoveryCode });
+    if (!verification.valid) {
+      return res.status(401).json(formatResponse(false, null, "Invalid two-factor authentication code"));
+    }
+
+    await disableTwoFactor(req.user.id);
+    res.json(formatResponse(true, null, "Two-factor authentication disabled"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to disable two-factor authentication", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace my recovery codes
+ *     description: Requires a current TOTP code. Previous recovery codes stop working.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes ({ recoveryCodes })
+ *       401:
+ *         description: Invalid code
+ */
+// Regenerate recovery codes
+router.post("/2fa/recovery-codes", requireAuth, async (req, res) => {
+  try {
+    const missing = validateRequiredFields(req.body, ["code"]);
+    if (missing.length > 0) {
+      return res.status(400).json(formatResponse(false, null, `Missing required fields: ${missing.join(", ")}`));
+    }
+
+    const verification = await verifyTwoFactor(req.user.id, { code: req.body.code });
+    if (!verification.valid) {
+      return res.status(401).json(formatResponse(false, null, "Invalid two-factor authentication code"));
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(req.user.id);
+    res.json(formatResponse(true, { recoveryCodes }, "Recovery codes regenerated"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to regenerate recovery codes", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/auth/change-password:
@@ -342,7 +880,7 @@ router.get("/me", (req, res) => {
  *                 minLength: 6
  *     responses:
  *       200:
- *         description: Password changed successfully
+ *         description: Password changed successfully; the user's other sessions are signed out ({ revokedSessions })
  *         content:
  *           application/json:
  *             schema:
@@ -416,7 +954,9 @@ router.put("/change-password", requireAuth, async (req, res) => {
     );
 
     if (updateResult.success && updateResult.data.affectedRows > 0) {
-      res.json(formatResponse(true, null, "Password changed successfully"));
+      // Sign out everywhere else: another session may belong to whoever knew the old password
+      const revoked = await revokeUserSessions(userId, { exceptSessionId: req.sessionId });
+      res.json(formatResponse(true, { revokedSessions: revoked }, "Password changed successfully"));
     } else {
       throw new Error("Failed to update password");
     }
@@ -627,7 +1167,40 @@ export function requireAdmin(req, res, next) {
   next();
 }
 
-export function requireAuth(req, res, next) {
+/**
+ * Middleware factory: require a permission slug from the permission catalog
+ * Use after requireAuth, which loads the role's current permissions. Super Admin passes every check.
+ * @param {string} permission - Permission slug (e.g. "edit_products")
+ * @returns {Function} Express middleware
+ */
+export function requirePermission(permission) {
+  if (!isKnownPermission(permission)) {
+    throw new Error(`Unknown permission "${permission}" (add it to PERMISSION_CATALOG in utils/permissions.js)`);
+  }
+
+  return (req, res, next) => {
+    const role = req.user?.role?.toLowerCase();
+    if (["super_admin", "super admin"].includes(role) || req.user?.permissions?.includes(permission)) {
+      return next();
+    }
+
+    Logger.warn(`[Auth] Permission denied: ${req.user?.username || "anonymous"} lacks ${permission} (${req.method} ${req.originalUrl})`);
+    return res
+      .status(403)
+      .json(formatResponse(false, { requiredPermission: permission }, "You do not have permission to perform this action"));
+  };
+}
+
+export async function requireAuth(req, res, next) {
+  return authenticateRequest(req, res, next, { allowTwoFactorSetup: false });
+}
+
+// Same as requireAuth, but also accepts sessions limited to two-factor setup
+async function requireAuthOrTwoFactorSetup(req, res, next) {
+  return authenticateRequest(req, res, next, { allowTwoFactorSetup: true });
+}
+
+async function authenticateRequest(req, res, next, { allowTwoFactorSetup }) {
   try {
     const token = req.headers.authorization?.replace("Bearer ", "");
 
@@ -635,12 +1208,22 @@ export function requireAuth(req, res, next) {
       return res.status(401).json(formatResponse(false, null, "Authentication required"));
     }
 
-    const session = getSession(token);
-    if (!session) {
+    const session = await getSession(token);
+    if (!session || session.userData?.twoFactorChallenge) {
       return res.status(401).json(formatResponse(false, null, "Invalid or expired session"));
     }
 
-    req.user = session.userData;
+    if (session.userData.requiresTwoFactorSetup && !allowTwoFactorSetup) {
+      return res
+        .status(403)
+        .json(formatResponse(false, { requiresTwoFactorSetup: true }, "Two-factor authentication setup required"));
+    }
+
+    req.user = await withCurrentPermissions(session.userData);
+    req.sessionId = session.id;
+    if (req.captureAuditSnapshot) {
+      await req.captureAuditSnapshot();
+    }
     next();
   } catch (error) {
     Logger.error("Auth middleware error:", error);
@@ -1,14 +1,14 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
 import { formatResponse } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 
 const router = express.Router();
 
 // Get all campaigns
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, requirePermission("view_banners"), async (req, res) => {
   try {
     // Auto-update status if end_time passed? 
     // Requirement: "if Campaign End Date–Time chang status inactive"
@@ -39,7 +39,7 @@ router.get("/", requireAuth, async (req, res) => {
 });
 
 // Create campaign
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, requirePermission("create_banners"), async (req, res) => {
   try {
     const { name, start_time, end_time } = req.body;
 
@@ -68,7 +68,7 @@ router.post("/", requireAuth, async (req, res) => {
 });
 
 // Update campaign
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("edit_banners"), async (req, res) => {
   try {
     const { id } = req.params;
     const { name, start_time, end_time } = req.body;
@@ -96,7 +96,7 @@ router.put("/:id", requireAuth, async (req, res) => {
 });
 
 // Toggle status
-router.patch("/:id/status", requireAuth, async (req, res) => {
+router.patch("/:id/status", requireAuth, requirePermission("edit_banners"), async (req, res) => {
   try {
     const { id } = req.params;
     const { is_active } = req.body;
@@ -129,7 +129,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
 });
 
 // Delete campaign
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("delete_banners"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1,14 +1,15 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
 import { formatResponse } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { ROTATION_MODES, DEFAULT_ROTATION_MODE } from "../utils/bannerRotation.js";
 
 const router = express.Router();
 
 // Get all positions
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, requirePermission("view_banners"), async (req, res) => {
   try {
     const query = `
       SELECT bp.*, COUNT(b.id) as banner_count 
@@ -30,21 +31,25 @@ router.get("/", requireAuth, async (req, res) => {
 });
 
 // Create position
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, requirePermission("create_banners"), async (req, res) => {
   try {
     const { name, width, height } = req.body;
+    const rotation_mode = req.body.rotation_mode || DEFAULT_ROTATION_MODE;
 
     if (!name || !name.trim() || !width || !height) {
       return res.status(400).json(formatResponse(false, null, "Name, width, and height are required"));
     }
+    if (!ROTATION_MODES.includes(rotation_mode)) {
+      return res.status(400).json(formatResponse(false, null, `Rotation mode must be one of: ${ROTATION_MODES.join(", ")}`));
+    }
 
     const result = await executeQuery(
-      "INSERT INTO banner_positions (name, width, height, is_active) VALUES (?, ?, ?, 1)",
-      [name.trim(), width, height]
+      "INSERT INTO banner_positions (name, width, height, rotation_mode, is_active) VALUES (?, ?, ?, ?, 1)",
+      [name.trim(), width, height, rotation_mode]
     );
 
     if (result.success) {
-      res.status(201).json(formatResponse(true, { id: result.data.insertId, name, width, height, is_active: 1, banner_count: 0 }, "Position created successfully"));
+      res.status(201).json(formatResponse(true, { id: result.data.insertId, name, width, height, rotation_mode, is_active: 1, banner_count: 0 }, "Position created successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
         return res.status(409).json(formatResponse(false, null, "Position name already exists"));
@@ -57,22 +62,26 @@ router.post("/", requireAuth, async (req, res) => {
 });
 
 // Update position
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("edit_banners"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { name, width, height } = req.body;
+    const { name, width, height, rotation_mode } = req.body;
 
     if (!name || !name.trim() || !width || !height) {
       return res.status(400).json(formatResponse(false, null, "Name, width, and height are required"));
     }
+    if (rotation_mode !== undefined && !ROTATION_MODES.includes(rotation_mode)) {
+      return res.status(400).json(formatResponse(false, null, `Rotation mode must be one of: ${ROTATION_MODES.join(", ")}`));
+    }
 
+    // rotation_mode is optional on update; the current mode is kept when omitted
     const result = await executeQuery(
-      "UPDATE banner_positions SET name = ?, width = ?, height = ? WHERE id = ?",
-      [name.trim(), width, height, id]
+      "UPDATE banner_positions SET name = ?, width = ?, height = ?, rotation_mode = COALESCE(?, rotation_mode) WHERE id = ?",
+      [name.trim(), width, height, rotation_mode || null, id]
     );
 
     if (result.success) {
-      res.json(formatResponse(true, { id, name, width, height }, "Position updated successfully"));
+      res.json(formatResponse(true, { id, name, width, height, rotation_mode }, "Position updated successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
         return res.status(409).json(formatResponse(false, null, "Position name already exists"));
@@ -85,7 +94,7 @@ router.put("/:id", requireAuth, async (req, res) => {
 });
 
 // Toggle status
-router.patch("/:id/status", requireAuth, async (req, res) => {
+router.patch("/:id/status", requireAuth, requirePermission("edit_banners"), async (req, res) => {
   try {
     const { id } = req.params;
     const { is_active } = req.body;
@@ -118,7 +127,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
 });
 
 // Delete position
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("delete_banners"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -1,12 +1,28 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
-import { formatResponse } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { formatResponse, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import { sanitizeObject } from "../utils/sanitize.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { validateRequest } from "../middleware/requestValidator.js";
+import { classifyUserAgent, resolveStatsRange } from "../services/clickTrackingService.js";
+import {
+  MAX_IMPRESSION_BATCH,
+  parseBannerIds,
+  recordBannerImpressions,
+  recordBannerClick,
+  getBannerStats
+} from "../services/bannerAnalyticsService.js";
+import {
+  VISITOR_COOKIE,
+  getVisitorId,
+  createVisitorId,
+  normalizeBannerWeight,
+  rotateBanners
+} from "../utils/bannerRotation.js";
+import { moveToTrash, restoreFromTrash, listTrash } from "../services/trashService.js";
 
 const router = express.Router();
 
@@ -28,20 +44,28 @@ const clearBannersCache = () => {
   Logger.debug('Banners cache cleared');
 };
 
+// Public base URL of this API: BACKEND_URL when set, otherwise this server's own origin
+const getApiBaseUrl = (req) => (process.env.BACKEND_URL || `${req.protocol}://${req.get("host")}`).replace(/\/+$/, "");
+
+// Add the tracked click-through URL to public banners (absolute: the storefront runs on another origin)
+const withClickUrls = (req, banners) =>
+  banners.map((banner) => ({ ...banner, click_url: `${getApiBaseUrl(req)}/api/banners/public/${banner.id}/click` }));
+
 // Get all banners
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, requirePermission("view_banners"), async (req, res) => {
   try {
     const query = `
       SELECT 
         b.id, b.position_id, b.campaign_id, b.image_url, b.target_url, b.alt_text, 
-        b.title, b.description, b.sort_order, b.start_time, b.end_time, 
+        b.title, b.description, b.sort_order, b.weight, b.start_time, b.end_time, 
         b.open_new_tab, b.is_active, b.created_at, b.updated_at,
-        bp.name as position_name, bp.width, bp.height, 
+        bp.name as position_name, bp.width, bp.height, bp.rotation_mode, 
         bc.name as campaign_name, bc.start_time as campaign_start, 
         bc.end_time as campaign_end, bc.is_active as campaign_active
       FROM banners b
       JOIN banner_positions bp ON b.position_id = bp.id
       LEFT JOIN banner_campaigns bc ON b.campaign_id = bc.id
+      WHERE b.deleted_at IS NULL
       ORDER BY b.created_at DESC
     `;
     const result = await executeQuery(query);
@@ -56,8 +80,60 @@ router.get("/", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/banners/stats:
+ *   get:
+ *     summary: Banner impressions, clicks and CTR per banner and campaign
+ *     tags: [Banners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Start date (default 30 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: End date, inclusive (default today)
+ *       - in: query
+ *         name: position_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: campaign_id
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Banner statistics retrieved successfully (ctr in percent)
+ *       401:
+ *         description: Unauthorized
+ */
+// Get banner statistics
+router.get("/stats", requireAuth, requirePermission("view_banners"), async (req, res) => {
+  try {
+    const { from, to } = resolveStatsRange(req.query.from, req.query.to);
+    const stats = await getBannerStats({
+      from,
+      to,
+      positionId: parseInt(req.query.position_id) || null,
+      campaignId: parseInt(req.query.campaign_id) || null
+    });
+
+    res.json(formatResponse(true, stats, "Banner statistics retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve banner statistics", 500, formatResponse);
+  }
+});
+
 // Create banner
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, requirePermission("create_banners"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -70,6 +146,7 @@ router.post("/", requireAuth, async (req, res) => {
       title, 
       description, 
       sort_order,
+      weight,
       start_time, 
       end_time, 
       open_new_tab 
@@ -88,7 +165,7 @@ router.post("/", requireAuth, async (req, res) => {
 
     // Check for duplicate sort_order in the same position
     const checkSort = await executeQuery(
-        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ?",
+        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ? AND deleted_at IS NULL",
         [position_id, finalSortOrder]
     );
     if (checkSort.success && checkSort.data.length > 0) {
@@ -98,8 +175,8 @@ router.post("/", requireAuth, async (req, res) => {
     const result = await executeQuery(
       `INSERT INTO banners (
         position_id, campaign_id, image_url, target_url, alt_text, title, description, sort_order,
-        start_time, end_time, open_new_tab, is_active
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
+        weight, start_time, end_time, open_new_tab, is_active
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1)`,
       [
         position_id, 
         campaign_id || null, 
@@ -109,6 +186,7 @@ router.post("/", requireAuth, async (req, res) => {
         title || '', 
         description || '', 
         finalSortOrder,
+        normalizeBannerWeight(weight),
         final_start, 
         final_end, 
         open_new_tab ? 1 : 0
@@ -126,7 +204,7 @@ router.post("/", requireAuth, async (req, res) => {
 });
 
 // Update banner
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("edit_banners"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -140,6 +218,7 @@ router.put("/:id", requireAuth, async (req, res) => {
       title, 
       description, 
       sort_order,
+      weight,
       start_time, 
       end_time, 
       open_new_tab 
@@ -153,7 +232,7 @@ router.put("/:id", requireAuth, async (req, res) => {
     const finalSortOrder = (sort_order !== undefined && sort_order !== null) ? sort_order : 0;
 
     const checkSort = await executeQuery(
-        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ? AND id != ?",
+        "SELECT id FROM banners WHERE position_id = ? AND sort_order = ? AND id != ? AND deleted_at IS NULL",
         [position_id, finalSortOrder, id]
     );
     if (checkSort.success && checkSort.data.length > 0) {
@@ -166,7 +245,8 @@ router.put("/:id", requireAuth, async (req, res) => {
     const result = await executeQuery(
       `UPDATE banners SET 
         position_id = ?, campaign_id = ?, image_url = ?, target_url = ?, alt_text = ?, 
-        title = ?, description = ?, sort_order = ?, start_time = ?, end_time = ?, open_new_tab = ?
+        title = ?, description = ?, sort_order = ?, weight = COALESCE(?, weight),
+        start_time = ?, end_time = ?, open_new_tab = ?
        WHERE id = ?`,
       [
         position_id, 
@@ -177,6 +257,7 @@ router.put("/:id", requireAuth, async (req, res) => {
         title || '', 
         description || '', 
         finalSortOrder,
+        normalizeBannerWeight(weight, null), // keep current weight when not sent
         final_start, 
         final_end, 
         open_new_tab ? 1 : 0,
@@ -195,7 +276,7 @@ router.put("/:id", requireAuth, async (req, res) => {
 });
 
 // Toggle status
-router.patch("/:id/status", requireAuth, async (req, res) => {
+router.patch("/:id/status", requireAuth, requirePermission("edit_banners"), async (req, res) => {
   try {
     const { id } = req.params;
     const { is_active } = req.body;
@@ -218,26 +299,109 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
   }
 });
 
-// Delete banner
-router.delete("/:id", requireAuth, async (req, res) => {
+// Delete banner (moves it to the trash)
+router.delete("/:id", requireAuth, requirePermission("delete_banners"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await executeQuery(
-      "DELETE FROM banners WHERE id = ?",
-      [id]
-    );
+    const deleted = await moveToTrash("banner", id);
 
-    if (result.success) {
-      res.json(formatResponse(true, null, "Banner deleted successfully"));
+    if (deleted) {
+      res.json(formatResponse(true, null, "Banner moved to trash successfully"));
     } else {
-      throw new Error(result.error);
+      res.status(404).json(formatResponse(false, null, "Banner not found"));
     }
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete banner", 500, formatResponse);
   }
 });
 
+/**
+ * @swagger
+ * /api/banners/trash:
+ *   get:
+ *     summary: List deleted banners (trash)
+ *     description: Banners stay in the trash until restored or purged after the retention period (purge_at).
+ *     tags: [Banners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// List banners in the trash
+router.get("/trash", requireAuth, requirePermission("delete_banners"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { items, total } = await listTrash("banner", {
+      search: req.query.search || "",
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(formatResponse(true, { items, pagination: generatePagination(page, limit, total) }, "Trash retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trash", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/banners/{id}/restore:
+ *   post:
+ *     summary: Restore a banner from the trash
+ *     description: The banner keeps its position, campaign, schedule and statistics.
+ *     tags: [Banners]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Banner restored successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Banner not found in trash
+ */
+// Restore banner from the trash
+router.post("/:id/restore", requireAuth, requirePermission("delete_banners"), async (req, res) => {
+  try {
+    const restored = await restoreFromTrash("banner", req.params.id);
+
+    if (restored) {
+      res.json(formatResponse(true, { id: req.params.id }, "Banner restored successfully"));
+    } else {
+      res.status(404).json(formatResponse(false, null, "Banner not found in trash"));
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to restore banner", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/banners/public/{positionName}:
@@ -251,9 +415,14 @@ router.delete("/:id", requireAuth, async (req, res) => {
  *         schema:
  *           type: string
  *         description: Banner position name
+ *       - in: query
+ *         name: visitor_id
+ *         schema:
+ *           type: string
+ *         description: Visitor ID for sticky A/B assignment (also read from X-Visitor-Id header or banner_vid cookie)
  *     responses:
  *       200:
- *         description: Banner retrieved successfully
+ *         description: Banners retrieved successfully, selected banner first. The "rotation" field reports mode, banner_id and variant. Each banner has an absolute click_url (based on BACKEND_URL) for tracked click-through.
  *       404:
  *         description: Position not found
  *       429:
@@ -277,7 +446,7 @@ router.get("/public/:positionName",
     Logger.debug('[Banner API] Fetching banner for position:', decodedPositionName);
     
     // ตรวจสอบว่ามี position หรือไม่
-    const checkPositionQuery = `SELECT id, name, is_active FROM banner_positions WHERE name = ?`;
+    const checkPositionQuery = `SELECT id, name, is_active, rotation_mode FROM banner_positions WHERE name = ?`;
     const positionResult = await executeQuery(checkPositionQuery, [decodedPositionName]);
     
     Logger.debug('[Banner API] Position check:', {
@@ -294,12 +463,31 @@ router.get("/public/:positionName",
       Logger.warn('[Banner API] Position is inactive:', decodedPositionName);
       return res.json(formatResponse(true, null, `Position "${decodedPositionName}" is inactive.`));
     }
+
+    // Apply the position's rotation mode; the selected banner comes first and is reported in "rotation"
+    const sendBanners = (banners, message) => {
+      let visitorId = getVisitorId(req);
+      if (position.rotation_mode === "ab" && !visitorId) {
+        visitorId = createVisitorId();
+        res.cookie(VISITOR_COOKIE, visitorId, {
+          maxAge: 365 * 24 * 60 * 60 * 1000,
+          httpOnly: true,
+          sameSite: "lax",
+          secure: process.env.NODE_ENV === "production"
+        });
+      }
+
+      const rotated = rotateBanners(banners, position, visitorId);
+      const rotation = position.rotation_mode === "ab" ? { ...rotated.rotation, visitor_id: visitorId } : rotated.rotation;
+
+      return res.json({ ...formatResponse(true, withClickUrls(req, rotated.banners), message), rotation });
+    };
     
     // ตรวจสอบว่ามี banner หรือไม่ (ไม่เช็คเวลา)
     const checkBannerQuery = `
       SELECT COUNT(*) as count 
       FROM banners 
-      WHERE position_id = ? AND is_active = 1
+      WHERE position_id = ? AND is_active = 1 AND deleted_at IS NULL
     `;
     const bannerCountResult = await executeQuery(checkBannerQuery, [position.id]);
     Logger.debug('[Banner API] Banner count:', bannerCountResult.data?.[0]?.count || 0);
@@ -315,6 +503,7 @@ router.get("/public/:positionName",
         b.title,
         b.description,
         b.sort_order,
+        b.weight,
         b.open_new_tab,
         b.start_time,
         b.end_time,
@@ -330,6 +519,7 @@ router.get("/public/:positionName",
         bp.name = ?
         AND bp.is_active = 1
         AND b.is_active = 1
+        AND b.deleted_at IS NULL
         AND (
           -- กรณีมี campaign: เช็ค campaign status และเวลา
           (b.campaign_id IS NOT NULL 
@@ -383,6 +573,7 @@ router.get("/public/:positionName",
           b.title,
           b.description,
           b.sort_order,
+          b.weight,
           b.open_new_tab,
           b.start_time,
           b.end_time,
@@ -398,6 +589,7 @@ router.get("/public/:positionName",
           bp.name = ?
           AND bp.is_active = 1
           AND b.is_active = 1
+          AND b.deleted_at IS NULL
         ORDER BY b.sort_order ASC, b.created_at DESC
       `;
       
@@ -425,7 +617,7 @@ router.get("/public/:positionName",
         const bannersArray = Array.isArray(banners) ? banners : [banners];
         
         // Always return as array for consistency (frontend handles both array and object)
-        return res.json(formatResponse(true, bannersArray, "Banners retrieved successfully (no time restriction)"));
+        return sendBanners(bannersArray, "Banners retrieved successfully (no time restriction)");
       }
     }
     
@@ -437,7 +629,7 @@ router.get("/public/:positionName",
       const bannersArray = Array.isArray(banners) ? banners : [banners];
       
       // Always return as array for consistency (frontend handles both array and object)
-      res.json(formatResponse(true, bannersArray, "Banners retrieved successfully"));
+      sendBanners(bannersArray, "Banners retrieved successfully");
     } else {
       // ไม่พบ banner active → return null
       Logger.info('[Banner API] No active banner found for position:', decodedPositionName);
@@ -450,4 +642,118 @@ router.get("/public/:positionName",
   }
 });
 
+/**
+ * @swagger
+ * /api/banners/public/impressions:
+ *   post:
+ *     summary: Impression beacon for banners that were shown (public)
+ *     tags: [Banners]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               banner_ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of displayed banners (max 20)
+ *     responses:
+ *       204:
+ *         description: Impressions recorded
+ *       400:
+ *         description: No banner IDs given
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Public endpoint - Banner impression beacon
+router.post("/public/impressions",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 120 }), // 120 requests per minute
+  validateRequest({
+    allowedOrigins,
+    requireReferer: process.env.NODE_ENV === 'production', // Only require in production
+    allowedReferers,
+    allowNoReferer: true
+  }),
+  async (req, res) => {
+  try {
+    const bannerIds = parseBannerIds(req.body?.banner_ids);
+    if (bannerIds.length === 0) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `banner_ids must contain 1-${MAX_IMPRESSION_BATCH} banner IDs`));
+    }
+
+    // Crawlers render pages too, but should not count as impressions
+    if (classifyUserAgent(req.get("user-agent")) !== "bot") {
+      await recordBannerImpressions(bannerIds);
+    }
+
+    res.status(204).end();
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to record impressions", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/banners/public/{id}/click:
+ *   get:
+ *     summary: Tracked click-through redirect to a banner's target URL (public)
+ *     tags: [Banners]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       302:
+ *         description: Redirect to target_url
+ *       404:
+ *         description: Banner not found, inactive or without target URL
+ */
+// Public endpoint - Banner click redirect
+router.get("/public/:id/click",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 120 }), // 120 requests per minute
+  async (req, res) => {
+  try {
+    const bannerId = parseInt(req.params.id);
+    if (!bannerId) {
+      return res.status(404).type("text/plain").send("Banner not found");
+    }
+
+    const result = await executeQuery(
+      "SELECT id, target_url FROM banners WHERE id = ? AND is_active = 1 AND deleted_at IS NULL",
+      [bannerId]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const banner = result.data[0];
+    let targetUrl = banner?.target_url || "";
+    // Site-relative targets ("/category/5") point at the client site, not this API
+    if (/^\/(?!\/)/.test(targetUrl) && process.env.CLIENT_URL) {
+      targetUrl = `${process.env.CLIENT_URL.replace(/\/+$/, "")}${targetUrl}`;
+    }
+    if (!/^https?:\/\//i.test(targetUrl)) {
+      return res.status(404).type("text/plain").send("Banner not found");
+    }
+
+    if (classifyUserAgent(req.get("user-agent")) !== "bot") {
+      // Logged in the background so the redirect is not delayed by the insert
+      recordBannerClick(banner.id);
+    }
+
+    res.set("Cache-Control", "no-store");
+    res.redirect(302, targetUrl);
+  } catch (error) {
+    Logger.error("[BannerAnalytics] Click redirect failed:", error);
+    res.status(500).type("text/plain").send("Failed to redirect");
+  }
+});
+
 export default router;
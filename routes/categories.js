@@ -1,14 +1,20 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
-import { formatResponse } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { formatResponse, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import { sanitizeObject } from "../utils/sanitize.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { validateRequest } from "../middleware/requestValidator.js";
-import { clearCategoryCache } from "../utils/categoryService.js";
+import { clearCategoryCache, explainCategory } from "../utils/categoryService.js";
 import { responseCache } from "../middleware/responseCache.js";
+import { moveToTrash, restoreFromTrash, listTrash, findTrashedByName } from "../services/trashService.js";
+import { recordManualAssignments, forgetManualAssignments } from "../services/categoryKeywordSuggestionService.js";
+import { applySmartTagsToProducts } from "../utils/tagRules.js";
+import { loadCategoryRows, buildCategoryTree, wouldCreateCycle, getCategoryPath } from "../utils/categoryTree.js";
+import { normalizeSlug, findSlugRedirect, syncSlugSafely } from "../utils/slug.js";
+import { validateSeoMetadata, updateSeoMetadata, generateSeoMetadata } from "../services/seoMetadataService.js";
 
 const router = express.Router();
 
@@ -21,12 +27,54 @@ const allowedReferers = process.env.CLIENT_URL
   ? [process.env.CLIENT_URL, "http://localhost:3000"]
   : ["http://localhost:3000"];
 
+// Parse parent_id from a request body: undefined = not sent, null = root category, NaN = invalid
+const parseParentId = (value) => {
+  if (value === undefined) {
+    return undefined;
+  }
+  if (value === null || value === "") {
+    return null;
+  }
+  return parseInt(value);
+};
+
+// Check a new parent for a category (categoryId is null when creating); returns an error message or null
+const validateParent = async (categoryId, parentId) => {
+  if (parentId === null) {
+    return null;
+  }
+  if (Number.isNaN(parentId)) {
+    return "Invalid parent category";
+  }
+
+  // Include the trash: a trashed subcategory can be restored later and must not close a loop
+  const rows = await loadCategoryRows({ includeDeleted: true });
+  const parent = rows.find((row) => row.id === parentId);
+  if (!parent || parent.deleted_at) {
+    return "Parent category not found";
+  }
+  if (categoryId && wouldCreateCycle(rows, categoryId, parentId)) {
+    return "A category cannot be moved under itself or one of its subcategories";
+  }
+  return null;
+};
+
 /**
  * @swagger
  * /api/categories/public:
  *   get:
- *     summary: Get all active categories with product counts (public)
+ *     summary: Get active categories with product counts (public)
+ *     description: |
+ *       A flat list (with parent_id) by default. With tree=true: root categories with nested children,
+ *       where product_count counts the category's own active products and total_product_count includes
+ *       its subcategories; subcategories of an inactive category are hidden.
  *     tags: [Categories]
+ *     parameters:
+ *       - in: query
+ *         name: tree
+ *         schema:
+ *           type: boolean
+ *         description: Return the category tree instead of the flat list
  *     responses:
  *       200:
  *         description: Categories retrieved successfully
@@ -39,8 +87,9 @@ const allowedReferers = process.env.CLIENT_URL
  *                   type: boolean
  *                 data:
  *                   type: array
+ *                   description: Flat category rows, or CategoryNode trees with tree=true
  *                   items:
- *                     $ref: '#/components/schemas/Category'
+ *                     $ref: '#/components/schemas/CategoryNode'
  *       429:
  *         description: Rate limit exceeded
  */
@@ -59,18 +108,20 @@ router.get("/public",
   try {
     const query = `
       SELECT 
-        c.id, c.name, c.is_active, c.created_at, c.updated_at,
+        c.id, c.name, c.parent_id, c.slug, c.is_active, c.created_at, c.updated_at,
         COUNT(sp.id) as product_count 
       FROM categories c 
-      LEFT JOIN shopee_products sp ON c.id = sp.category_id AND sp.status = 'active'
-      WHERE c.is_active = 1
+      LEFT JOIN shopee_products sp ON c.id = sp.category_id AND sp.status = 'active' AND sp.deleted_at IS NULL
+      WHERE c.is_active = 1 AND c.deleted_at IS NULL
       GROUP BY c.id 
       ORDER BY c.name ASC
     `;
     const result = await executeQuery(query);
 
     if (result.success) {
-      res.json(formatResponse(true, result.data, "Categories retrieved successfully"));
+      // The flat list stays the default for existing clients
+      const categories = req.query.tree === "true" ? buildCategoryTree(result.data) : result.data;
+      res.json(formatResponse(true, categories, "Categories retrieved successfully"));
     } else {
       throw new Error(result.error);
     }
@@ -79,6 +130,118 @@ router.get("/public",
   }
 });
 
+/**
+ * @swagger
+ * /api/categories/public/{id}/breadcrumb:
+ *   get:
+ *     summary: Get the path from the root category to a category (public)
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Breadcrumb retrieved successfully (root first, e.g. Electronics > Phones > Cases)
+ *       404:
+ *         description: Category not found
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Get category breadcrumb (public endpoint for client)
+router.get("/public/:id/breadcrumb",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 60 }), // 60 requests per minute
+  responseCache({ ttl: 5 * 60 * 1000 }), // Cache for 5 minutes
+  async (req, res) => {
+  try {
+    // Only active categories: a path through an inactive category is not shown on the storefront
+    const rows = (await loadCategoryRows()).filter((row) => row.is_active);
+    const path = getCategoryPath(rows, req.params.id);
+
+    // Unknown category, or the path is cut short by an inactive ancestor
+    const root = rows.find((row) => row.id === path[0]?.id);
+    if (!root || root.parent_id) {
+      return res.status(404).json(formatResponse(false, null, "Category not found"));
+    }
+
+    res.json(formatResponse(true, path, "Breadcrumb retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve breadcrumb", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/public/slug/{slug}:
+ *   get:
+ *     summary: Get an active category by slug, with its breadcrumb and SEO metadata (public)
+ *     description: An old slug of a renamed category answers 301 with the current slug in the Location header.
+ *     tags: [Categories]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Category retrieved successfully
+ *       301:
+ *         description: Slug has changed; data.slug and the Location header point to the current one
+ *       404:
+ *         description: Category not found
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Get category by slug (public endpoint for client)
+router.get("/public/slug/:slug",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 60 }), // 60 requests per minute
+  responseCache({ ttl: 5 * 60 * 1000 }), // Cache for 5 minutes
+  async (req, res) => {
+  try {
+    const slug = normalizeSlug(req.params.slug);
+    const result = await executeQuery(
+      `SELECT
+        c.id, c.name, c.parent_id, c.slug, c.meta_title, c.meta_description, c.og_image,
+        COUNT(sp.id) as product_count
+      FROM categories c
+      LEFT JOIN shopee_products sp ON c.id = sp.category_id AND sp.status = 'active' AND sp.deleted_at IS NULL
+      WHERE c.slug = ? AND c.is_active = 1 AND c.deleted_at IS NULL
+      GROUP BY c.id`,
+      [slug]
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    if (result.data.length === 0) {
+      // Renamed category: redirect old links to the current slug
+      const currentSlug = await findSlugRedirect("category", slug);
+      if (currentSlug) {
+        res.location(`${req.baseUrl}/public/slug/${encodeURIComponent(currentSlug)}`);
+        return res.status(301).json(formatResponse(false, { slug: currentSlug }, "Category has moved to a new URL"));
+      }
+      return res.status(404).json(formatResponse(false, null, "Category not found"));
+    }
+
+    // Same rule as the breadcrumb endpoint: hidden if an ancestor is inactive
+    const category = result.data[0];
+    const rows = (await loadCategoryRows()).filter((row) => row.is_active);
+    const breadcrumb = getCategoryPath(rows, category.id);
+    const root = rows.find((row) => row.id === breadcrumb[0]?.id);
+    if (!root || root.parent_id) {
+      return res.status(404).json(formatResponse(false, null, "Category not found"));
+    }
+
+    res.json(formatResponse(true, { ...category, breadcrumb }, "Category retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve category", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/categories:
@@ -94,14 +257,15 @@ router.get("/public",
  *         description: Unauthorized
  */
 // Get all categories (admin endpoint)
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, requirePermission("view_categories"), async (req, res) => {
   try {
     const query = `
       SELECT 
-        c.id, c.name, c.is_active, c.created_at, c.updated_at,
+        c.id, c.name, c.parent_id, c.slug, c.is_active, c.created_at, c.updated_at,
         COUNT(sp.id) as product_count 
       FROM categories c 
-      LEFT JOIN shopee_products sp ON c.id = sp.category_id 
+      LEFT JOIN shopee_products sp ON c.id = sp.category_id AND sp.deleted_at IS NULL
+      WHERE c.deleted_at IS NULL
       GROUP BY c.id 
       ORDER BY c.name ASC
     `;
@@ -136,37 +300,52 @@ router.get("/", requireAuth, async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Parent category (omit or null for a root category)
  *     responses:
  *       201:
  *         description: Category created successfully
  *       400:
- *         description: Category name is required
+ *         description: Category name is required or parent category is invalid
  *       401:
  *         description: Unauthorized
  *       409:
  *         description: Category name already exists
  */
 // Create new category
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, requirePermission("create_categories"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
     const { name } = req.body;
+    const parentId = parseParentId(req.body.parent_id) ?? null;
 
     if (!name || !name.trim()) {
       return res.status(400).json(formatResponse(false, null, "Category name is required"));
     }
 
+    const parentError = await validateParent(null, parentId);
+    if (parentError) {
+      return res.status(400).json(formatResponse(false, null, parentError));
+    }
+
     const result = await executeQuery(
-      "INSERT INTO categories (name, is_active) VALUES (?, 1)",
-      [name.trim()]
+      "INSERT INTO categories (name, parent_id, is_active) VALUES (?, ?, 1)",
+      [name.trim(), parentId]
     );
 
     if (result.success) {
       clearCategoryCache();
-      res.status(201).json(formatResponse(true, { id: result.data.insertId, name, is_active: 1 }, "Category created successfully"));
+      const slug = await syncSlugSafely("category", result.data.insertId);
+      res.status(201).json(formatResponse(true, { id: result.data.insertId, name, parent_id: parentId, slug, is_active: 1 }, "Category created successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
+        const trashedId = await findTrashedByName("category", name.trim());
+        if (trashedId) {
+          return res.status(409).json(formatResponse(false, { id: trashedId, inTrash: true }, "A category with this name is in the trash. Restore it instead."));
+        }
         return res.status(409).json(formatResponse(false, null, "Category name already exists"));
       }
       throw new Error(result.error);
@@ -183,7 +362,7 @@ router.post("/", requireAuth, async (req, res) => {
  * @swagger
  * /api/categories/{id}:
  *   put:
- *     summary: Update category name
+ *     summary: Update category name and parent
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -204,36 +383,48 @@ router.post("/", requireAuth, async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               parent_id:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: New parent category (null for a root category, omit to keep the current parent)
  *     responses:
  *       200:
  *         description: Category updated successfully
  *       400:
- *         description: Category name is required
+ *         description: Category name is required, or the parent is invalid or would create a cycle
  *       401:
  *         description: Unauthorized
  *       409:
  *         description: Category name already exists
  */
-// Update category (Name)
-router.put("/:id", requireAuth, async (req, res) => {
+// Update category (Name, parent)
+router.put("/:id", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
     const { id } = req.params;
     const { name } = req.body;
+    const parentId = parseParentId(req.body.parent_id);
 
     if (!name || !name.trim()) {
       return res.status(400).json(formatResponse(false, null, "Category name is required"));
     }
 
-    const result = await executeQuery(
-      "UPDATE categories SET name = ? WHERE id = ?",
-      [name.trim(), id]
-    );
+    if (parentId !== undefined) {
+      const parentError = await validateParent(parseInt(id), parentId);
+      if (parentError) {
+        return res.status(400).json(formatResponse(false, null, parentError));
+      }
+    }
+
+    const result = parentId === undefined
+      ? await executeQuery("UPDATE categories SET name = ? WHERE id = ?", [name.trim(), id])
+      : await executeQuery("UPDATE categories SET name = ?, parent_id = ? WHERE id = ?", [name.trim(), parentId, id]);
 
     if (result.success) {
       clearCategoryCache();
-      res.json(formatResponse(true, { id, name }, "Category updated successfully"));
+      const slug = await syncSlugSafely("category", id);
+      res.json(formatResponse(true, parentId === undefined ? { id, name, slug } : { id, name, parent_id: parentId, slug }, "Category updated successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
         return res.status(409).json(formatResponse(false, null, "Category name already exists"));
@@ -245,6 +436,128 @@ router.put("/:id", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/categories/{id}/seo:
+ *   put:
+ *     summary: Update category SEO metadata
+ *     description: Fields left out are kept; an empty string or null clears a field.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SeoMetadata'
+ *     responses:
+ *       200:
+ *         description: SEO metadata updated successfully
+ *       400:
+ *         description: Invalid SEO metadata
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Category not found
+ */
+// Update category SEO metadata
+router.put("/:id/seo", requireAuth, requirePermission("edit_categories"), async (req, res) => {
+  try {
+    // Sanitize input
+    req.body = sanitizeObject(req.body);
+    const { values, error } = validateSeoMetadata(req.body);
+
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const metadata = await updateSeoMetadata("category", req.params.id, values);
+
+    if (!metadata) {
+      return res.status(404).json(formatResponse(false, null, "Category not found"));
+    }
+
+    res.json(formatResponse(true, metadata, "SEO metadata updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update SEO metadata", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}/seo/generate:
+ *   post:
+ *     summary: Fill category SEO metadata with AI
+ *     description: |
+ *       meta_description is generated by AI; meta_title defaults to the category name.
+ *       Fields that are already filled are kept unless overwrite is true.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *               language:
+ *                 type: string
+ *                 default: th
+ *     responses:
+ *       200:
+ *         description: SEO metadata generated successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Category not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       503:
+ *         description: AI service is not available
+ */
+// Generate category SEO metadata with AI
+router.post("/:id/seo/generate",
+  requireAuth,
+  requirePermission("edit_categories"),
+  requirePermission("use_ai_seo"),
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 20 }), // 20 requests per minute
+  async (req, res) => {
+  try {
+    const result = await generateSeoMetadata("category", req.params.id, {
+      overwrite: req.body?.overwrite === true,
+      language: req.body?.language === "en" ? "en" : "th"
+    });
+
+    if (!result) {
+      return res.status(404).json(formatResponse(false, null, "Category not found"));
+    }
+
+    if (!result.generated) {
+      return res.status(503).json(formatResponse(false, null, "AI service is not available"));
+    }
+
+    res.json(formatResponse(true, result.metadata, "SEO metadata generated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to generate SEO metadata", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/categories/{id}/status:
@@ -277,7 +590,7 @@ router.put("/:id", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Update category status (Active/Inactive)
-router.patch("/:id/status", requireAuth, async (req, res) => {
+router.patch("/:id/status", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -295,7 +608,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
 
     if (is_active === false) {
         const checkResult = await executeQuery(
-            "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ?",
+            "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ? AND deleted_at IS NULL",
             [id]
         );
         
@@ -327,7 +640,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
  * @swagger
  * /api/categories/{id}:
  *   delete:
- *     summary: Delete category
+ *     summary: Delete category (moves it to the trash)
  *     tags: [Categories]
  *     security:
  *       - bearerAuth: []
@@ -341,18 +654,20 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
  *       200:
  *         description: Category deleted successfully
  *       400:
- *         description: Cannot delete category with assigned products
+ *         description: Cannot delete category with assigned products or subcategories
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Category not found
  */
 // Delete category
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("delete_categories"), async (req, res) => {
   try {
     const { id } = req.params;
 
     // Check if any products are linked to this category
     const checkResult = await executeQuery(
-      "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ?",
+      "SELECT COUNT(*) as count FROM shopee_products WHERE category_id = ? AND deleted_at IS NULL",
       [id]
     );
 
@@ -360,16 +675,23 @@ router.delete("/:id", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "Cannot delete category because it has assigned products"));
     }
 
-    const result = await executeQuery(
-      "DELETE FROM categories WHERE id = ?",
+    // Subcategories would disappear from the tree with their parent
+    const childResult = await executeQuery(
+      "SELECT COUNT(*) as count FROM categories WHERE parent_id = ? AND deleted_at IS NULL",
       [id]
     );
 
-    if (result.success) {
+    if (childResult.success && childResult.data[0].count > 0) {
+      return res.status(400).json(formatResponse(false, null, "Cannot delete category because it has subcategories"));
+    }
+
+    const deleted = await moveToTrash("category", id);
+
+    if (deleted) {
       clearCategoryCache();
-      res.json(formatResponse(true, null, "Category deleted successfully"));
+      res.json(formatResponse(true, null, "Category moved to trash successfully"));
     } else {
-      throw new Error(result.error);
+      res.status(404).json(formatResponse(false, null, "Category not found"));
     }
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete category", 500, formatResponse);
@@ -379,6 +701,106 @@ router.delete("/:id", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/categories/trash:
+ *   get:
+ *     summary: List deleted categories (trash)
+ *     description: Categories stay in the trash until restored or purged after the retention period (purge_at).
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// List categories in the trash
+router.get("/trash", requireAuth, requirePermission("delete_categories"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { items, total } = await listTrash("category", {
+      search: req.query.search || "",
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(formatResponse(true, { items, pagination: generatePagination(page, limit, total) }, "Trash retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trash", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/categories/{id}/restore:
+ *   post:
+ *     summary: Restore a category from the trash
+ *     description: Keywords and products still pointing at the category are kept while it is in the trash.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Category restored successfully
+ *       400:
+ *         description: The parent category is in the trash
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Category not found in trash
+ */
+// Restore category from the trash
+router.post("/:id/restore", requireAuth, requirePermission("delete_categories"), async (req, res) => {
+  try {
+    // A subcategory of a trashed parent would stay hidden from the tree
+    const parentResult = await executeQuery(
+      `SELECT parent.id FROM categories c
+       JOIN categories parent ON c.parent_id = parent.id
+       WHERE c.id = ? AND parent.deleted_at IS NOT NULL`,
+      [req.params.id]
+    );
+    if (parentResult.success && parentResult.data.length > 0) {
+      return res.status(400).json(formatResponse(false, { parent_id: parentResult.data[0].id }, "Restore the parent category first"));
+    }
+
+    const restored = await restoreFromTrash("category", req.params.id);
+
+    if (restored) {
+      clearCategoryCache();
+      res.json(formatResponse(true, { id: req.params.id }, "Category restored successfully"));
+    } else {
+      res.status(404).json(formatResponse(false, null, "Category not found in trash"));
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to restore category", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/categories/{id}/products:
@@ -400,12 +822,12 @@ router.delete("/:id", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Get products by category
-router.get("/:id/products", requireAuth, async (req, res) => {
+router.get("/:id/products", requireAuth, requirePermission("view_categories"), async (req, res) => {
   try {
     const { id } = req.params;
     
     const result = await executeQuery(
-      "SELECT item_id, product_name, image_url, price, status FROM shopee_products WHERE category_id = ? ORDER BY product_name ASC",
+      "SELECT item_id, product_name, image_url, price, status FROM shopee_products WHERE category_id = ? AND deleted_at IS NULL ORDER BY product_name ASC",
       [id]
     );
 
@@ -422,6 +844,50 @@ router.get("/:id/products", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/categories/analyze:
+ *   get:
+ *     summary: Dry-run category analysis for a product name
+ *     description: |
+ *       Scores the product name against every active category's keywords without saving anything.
+ *       Returns the winning category, a one-line reason, and for every category its own score,
+ *       path score (own score plus ancestors), matched keywords with the rule and points of each
+ *       match, bonuses, and the negative keywords that excluded it (excluded_by). Categories are
+ *       sorted best first.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: product_name
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Analysis completed
+ *       400:
+ *         description: product_name is required
+ *       401:
+ *         description: Unauthorized
+ */
+// Explain category analysis of a product name (dry run)
+router.get("/analyze", requireAuth, requirePermission("view_categories"), async (req, res) => {
+  try {
+    const productName = String(req.query.product_name || "").trim();
+    if (!productName) {
+      return res.status(400).json(formatResponse(false, null, "product_name is required"));
+    }
+
+    const analysis = await explainCategory(productName);
+
+    res.json(formatResponse(true, { product_name: productName, ...analysis }, "Category analysis completed"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to analyze category", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/categories/products/unassigned:
@@ -437,10 +903,10 @@ router.get("/:id/products", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Get unassigned products (for assigning to category)
-router.get("/products/unassigned", requireAuth, async (req, res) => {
+router.get("/products/unassigned", requireAuth, requirePermission("view_categories"), async (req, res) => {
   try {
     const result = await executeQuery(
-      "SELECT item_id, product_name, image_url, price, status FROM shopee_products WHERE category_id IS NULL ORDER BY product_name ASC"
+      "SELECT item_id, product_name, image_url, price, status FROM shopee_products WHERE category_id IS NULL AND deleted_at IS NULL ORDER BY product_name ASC"
     );
 
     if (result.success) {
@@ -486,7 +952,7 @@ router.get("/products/unassigned", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Unassign products (set category_id to NULL)
-router.post("/unassign", requireAuth, async (req, res) => {
+router.post("/unassign", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -502,6 +968,8 @@ router.post("/unassign", requireAuth, async (req, res) => {
     const result = await executeQuery(query, productIds);
 
     if (result.success) {
+      await forgetManualAssignments(productIds);
+      await applySmartTagsToProducts(productIds);
       res.json(formatResponse(true, { updated: result.data.affectedRows }, "Products unassigned successfully"));
     } else {
       throw new Error(result.error);
@@ -550,7 +1018,7 @@ router.post("/unassign", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Assign products to category
-router.post("/:id/assign", requireAuth, async (req, res) => {
+router.post("/:id/assign", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -569,6 +1037,9 @@ router.post("/:id/assign", requireAuth, async (req, res) => {
     const result = await executeQuery(query, [id, ...productIds]);
 
     if (result.success) {
+      // Manual assignments teach keyword suggestions (see services/categoryKeywordSuggestionService.js)
+      await recordManualAssignments(productIds, id, req.user.id);
+      await applySmartTagsToProducts(productIds);
       res.json(formatResponse(true, { updated: result.data.affectedRows }, "Products assigned successfully"));
     } else {
       throw new Error(result.error);
@@ -582,7 +1053,7 @@ router.post("/:id/assign", requireAuth, async (req, res) => {
 });
 
 // Remove product from category (set category_id to NULL)
-router.post("/:id/remove-product", requireAuth, async (req, res) => {
+router.post("/:id/remove-product", requireAuth, requirePermission("edit_categories"), async (req, res) => {
     try {
       // Sanitize input
       req.body = sanitizeObject(req.body);
@@ -599,6 +1070,10 @@ router.post("/:id/remove-product", requireAuth, async (req, res) => {
       );
   
       if (result.success) {
+        if (result.data.affectedRows > 0) {
+          await forgetManualAssignments([itemId]);
+          await applySmartTagsToProducts([itemId]);
+        }
         res.json(formatResponse(true, { updated: result.data.affectedRows }, "Product removed from category successfully"));
       } else {
         throw new Error(result.error);
@@ -645,7 +1120,7 @@ router.post("/:id/remove-product", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Bulk move products from one category to another
-router.post("/:id/move-products", requireAuth, async (req, res) => {
+router.post("/:id/move-products", requireAuth, requirePermission("edit_categories"), async (req, res) => {
     try {
         // Sanitize input
         req.body = sanitizeObject(req.body);
@@ -656,12 +1131,22 @@ router.post("/:id/move-products", requireAuth, async (req, res) => {
             return res.status(400).json(formatResponse(false, null, "Target category ID is required"));
         }
 
+        const movedResult = await executeQuery(
+            "SELECT item_id FROM shopee_products WHERE category_id = ? AND deleted_at IS NULL",
+            [id]
+        );
+
         const result = await executeQuery(
             "UPDATE shopee_products SET category_id = ? WHERE category_id = ?",
             [targetCategoryId, id]
         );
 
         if (result.success) {
+            if (movedResult.success) {
+                const movedItemIds = movedResult.data.map((row) => row.item_id);
+                await recordManualAssignments(movedItemIds, targetCategoryId, req.user.id);
+                await applySmartTagsToProducts(movedItemIds);
+            }
             res.json(formatResponse(true, { updated: result.data.affectedRows }, "Products moved successfully"));
         } else {
             throw new Error(result.error);
@@ -1,14 +1,23 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
-import { formatResponse, validateRequiredFields } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { formatResponse, validateRequiredFields, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { clearCategoryCache, parseKeywordRule } from "../utils/categoryService.js";
+import {
+  SUGGESTION_STATUSES,
+  listKeywordSuggestions,
+  getKeywordSuggestion,
+  acceptKeywordSuggestion,
+  reviewKeywordSuggestion,
+  startKeywordMiningJob
+} from "../services/categoryKeywordSuggestionService.js";
 
 const router = express.Router();
 
 // Get all keywords for a category
-router.get("/category/:categoryId", requireAuth, async (req, res) => {
+router.get("/category/:categoryId", requireAuth, requirePermission("view_categories"), async (req, res) => {
   try {
     const { categoryId } = req.params;
 
@@ -32,7 +41,7 @@ router.get("/category/:categoryId", requireAuth, async (req, res) => {
 });
 
 // Get all keywords (for management page)
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, requirePermission("view_categories"), async (req, res) => {
   try {
     const { category_id, search } = req.query;
 
@@ -79,16 +88,117 @@ router.get("/", requireAuth, async (req, res) => {
   }
 });
 
+// Get keyword suggestions learned from manual assignments (best precision first)
+router.get("/suggestions", requireAuth, requirePermission("view_categories"), async (req, res) => {
+  try {
+    const status = req.query.status || "pending";
+    if (!SUGGESTION_STATUSES.includes(status)) {
+      return res.status(400).json(formatResponse(false, null, `status must be one of: ${SUGGESTION_STATUSES.join(", ")}`));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const { suggestions, total } = await listKeywordSuggestions({
+      categoryId: parseInt(req.query.category_id) || null,
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(
+      formatResponse(
+        true,
+        { suggestions, pagination: generatePagination(page, limit, total) },
+        "Keyword suggestions retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve keyword suggestions", 500, formatResponse);
+  }
+});
+
+// Mine keyword suggestions now instead of waiting for the scheduled run
+router.post("/suggestions/refresh", requireAuth, requirePermission("edit_categories"), async (req, res) => {
+  try {
+    const run = await startKeywordMiningJob(req.user.id);
+    if (!run) {
+      return res.status(409).json(formatResponse(false, null, "Keyword suggestions are already being refreshed"));
+    }
+
+    res.status(202).json(formatResponse(true, run, "Keyword suggestion refresh started"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to refresh keyword suggestions", 500, formatResponse);
+  }
+});
+
+// Accept keyword suggestion (optionally with rule options: is_high_priority, match_type, weight)
+router.post("/suggestions/:id/accept", requireAuth, requirePermission("edit_categories"), async (req, res) => {
+  try {
+    const suggestion = await getKeywordSuggestion(req.params.id);
+    if (!suggestion) {
+      return res.status(404).json(formatResponse(false, null, "Keyword suggestion not found"));
+    }
+    if (suggestion.status !== "pending") {
+      return res.status(409).json(formatResponse(false, null, `Keyword suggestion was already ${suggestion.status}`));
+    }
+
+    const { rule, error: ruleError } = parseKeywordRule({ ...req.body, keyword: suggestion.keyword, is_negative: false });
+    if (ruleError) {
+      return res.status(400).json(formatResponse(false, null, ruleError));
+    }
+
+    let keywordId;
+    try {
+      keywordId = await acceptKeywordSuggestion(suggestion, rule, req.user.id);
+    } catch (error) {
+      if (error.message && error.message.includes("Duplicate entry")) {
+        return res.status(409).json(formatResponse(false, null, "Keyword already exists for this category"));
+      }
+      throw error;
+    }
+    if (!keywordId) {
+      return res.status(409).json(formatResponse(false, null, "Keyword suggestion was already reviewed"));
+    }
+
+    res.status(201).json(formatResponse(true, { id: keywordId, suggestion_id: suggestion.id }, "Keyword suggestion accepted"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to accept keyword suggestion", 500, formatResponse);
+  }
+});
+
+// Reject keyword suggestion (it is not suggested again)
+router.post("/suggestions/:id/reject", requireAuth, requirePermission("edit_categories"), async (req, res) => {
+  try {
+    const suggestion = await getKeywordSuggestion(req.params.id);
+    if (!suggestion) {
+      return res.status(404).json(formatResponse(false, null, "Keyword suggestion not found"));
+    }
+
+    if (!(await reviewKeywordSuggestion(suggestion.id, "rejected", req.user.id))) {
+      return res.status(409).json(formatResponse(false, null, `Keyword suggestion was already ${suggestion.status}`));
+    }
+
+    res.json(formatResponse(true, { id: suggestion.id, status: "rejected" }, "Keyword suggestion rejected"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to reject keyword suggestion", 500, formatResponse);
+  }
+});
+
 // Create keyword
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
-    const { category_id, keyword, is_high_priority } = req.body;
+    const { category_id } = req.body;
 
     const missing = validateRequiredFields(req.body, ["category_id", "keyword"]);
     if (missing.length > 0) {
       return res.status(400).json(formatResponse(false, null, `Missing required fields: ${missing.join(", ")}`));
     }
 
+    const { rule, error: ruleError } = parseKeywordRule(req.body);
+    if (ruleError) {
+      return res.status(400).json(formatResponse(false, null, ruleError));
+    }
+
     // Check if category exists
     const categoryCheck = await executeQuery("SELECT id, name FROM categories WHERE id = ?", [category_id]);
     if (!categoryCheck.success || !categoryCheck.data || categoryCheck.data.length === 0) {
@@ -98,18 +208,20 @@ router.post("/", requireAuth, async (req, res) => {
     // Check for duplicate
     const duplicateCheck = await executeQuery(
       "SELECT id FROM category_keywords WHERE category_id = ? AND keyword = ?",
-      [category_id, keyword.trim()]
+      [category_id, rule.keyword]
     );
     if (duplicateCheck.success && duplicateCheck.data && duplicateCheck.data.length > 0) {
       return res.status(409).json(formatResponse(false, null, "Keyword already exists for this category"));
     }
 
     const result = await executeQuery(
-      `INSERT INTO category_keywords (category_id, keyword, is_high_priority) VALUES (?, ?, ?)`,
-      [category_id, keyword.trim(), is_high_priority ? 1 : 0]
+      `INSERT INTO category_keywords (category_id, keyword, is_high_priority, match_type, is_negative, weight)
+       VALUES (?, ?, ?, ?, ?, ?)`,
+      [category_id, rule.keyword, rule.is_high_priority ? 1 : 0, rule.match_type, rule.is_negative ? 1 : 0, rule.weight]
     );
 
     if (result.success) {
+      clearCategoryCache();
       res.status(201).json(formatResponse(true, { id: result.data.insertId }, "Keyword created successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
@@ -123,38 +235,55 @@ router.post("/", requireAuth, async (req, res) => {
 });
 
 // Update keyword
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
     const { id } = req.params;
-    const { keyword, is_high_priority } = req.body;
+    const { keyword } = req.body;
 
     if (!keyword || !keyword.trim()) {
       return res.status(400).json(formatResponse(false, null, "Keyword is required"));
     }
 
     // Check if keyword exists
-    const keywordCheck = await executeQuery("SELECT category_id FROM category_keywords WHERE id = ?", [id]);
+    const keywordCheck = await executeQuery(
+      "SELECT category_id, match_type, is_negative, weight FROM category_keywords WHERE id = ?",
+      [id]
+    );
     if (!keywordCheck.success || !keywordCheck.data || keywordCheck.data.length === 0) {
       return res.status(404).json(formatResponse(false, null, "Keyword not found"));
     }
 
-    const categoryId = keywordCheck.data[0].category_id;
+    const { category_id: categoryId, ...current } = keywordCheck.data[0];
+
+    // Rule options left out of the request keep their current value
+    const { rule, error: ruleError } = parseKeywordRule({
+      match_type: current.match_type,
+      is_negative: !!current.is_negative,
+      weight: current.weight,
+      ...req.body
+    });
+    if (ruleError) {
+      return res.status(400).json(formatResponse(false, null, ruleError));
+    }
 
     // Check for duplicate (excluding current keyword)
     const duplicateCheck = await executeQuery(
       "SELECT id FROM category_keywords WHERE category_id = ? AND keyword = ? AND id != ?",
-      [categoryId, keyword.trim(), id]
+      [categoryId, rule.keyword, id]
     );
     if (duplicateCheck.success && duplicateCheck.data && duplicateCheck.data.length > 0) {
       return res.status(409).json(formatResponse(false, null, "Keyword already exists for this category"));
     }
 
     const result = await executeQuery(
-      `UPDATE category_keywords SET keyword = ?, is_high_priority = ? WHERE id = ?`,
-      [keyword.trim(), is_high_priority ? 1 : 0, id]
+      `UPDATE category_keywords
+       SET keyword = ?, is_high_priority = ?, match_type = ?, is_negative = ?, weight = ?
+       WHERE id = ?`,
+      [rule.keyword, rule.is_high_priority ? 1 : 0, rule.match_type, rule.is_negative ? 1 : 0, rule.weight, id]
     );
 
     if (result.success) {
+      clearCategoryCache();
       res.json(formatResponse(true, { id }, "Keyword updated successfully"));
     } else {
       throw new Error(result.error);
@@ -165,13 +294,14 @@ router.put("/:id", requireAuth, async (req, res) => {
 });
 
 // Delete keyword
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
     const { id } = req.params;
 
     const result = await executeQuery("DELETE FROM category_keywords WHERE id = ?", [id]);
 
     if (result.success) {
+      clearCategoryCache();
       res.json(formatResponse(true, null, "Keyword deleted successfully"));
     } else {
       throw new Error(result.error);
@@ -182,7 +312,7 @@ router.delete("/:id", requireAuth, async (req, res) => {
 });
 
 // Bulk create keywords
-router.post("/bulk", requireAuth, async (req, res) => {
+router.post("/bulk", requireAuth, requirePermission("edit_categories"), async (req, res) => {
   try {
     const { category_id, keywords } = req.body;
 
@@ -198,19 +328,30 @@ router.post("/bulk", requireAuth, async (req, res) => {
 
     let inserted = 0;
     let skipped = 0;
+    const invalid = [];
 
+    // Plain strings, or rule objects: { keyword, is_high_priority, match_type, is_negative, weight }
     for (const keywordData of keywords) {
-      const keyword = typeof keywordData === 'string' ? keywordData : keywordData.keyword;
-      const isHighPriority = typeof keywordData === 'object' ? (keywordData.is_high_priority || false) : false;
+      const keyword = typeof keywordData === 'string' ? keywordData : keywordData?.keyword;
 
-      if (!keyword || !keyword.trim()) continue;
+      if (!keyword || typeof keyword !== 'string' || !keyword.trim()) continue;
+
+      const { rule, error: ruleError } = parseKeywordRule(keywordData);
+      if (ruleError) {
+        invalid.push({ keyword, error: ruleError });
+        continue;
+      }
 
       try {
         await executeQuery(
-          `INSERT INTO category_keywords (category_id, keyword, is_high_priority) 
-           VALUES (?, ?, ?) 
-           ON DUPLICATE KEY UPDATE is_high_priority = VALUES(is_high_priority)`,
-          [category_id, keyword.trim(), isHighPriority ? 1 : 0]
+          `INSERT INTO category_keywords (category_id, keyword, is_high_priority, match_type, is_negative, weight)
+           VALUES (?, ?, ?, ?, ?, ?)
+           ON DUPLICATE KEY UPDATE
+             is_high_priority = VALUES(is_high_priority),
+             match_type = VALUES(match_type),
+             is_negative = VALUES(is_negative),
+             weight = VALUES(weight)`,
+          [category_id, rule.keyword, rule.is_high_priority ? 1 : 0, rule.match_type, rule.is_negative ? 1 : 0, rule.weight]
         );
         inserted++;
       } catch (error) {
@@ -222,7 +363,14 @@ router.post("/bulk", requireAuth, async (req, res) => {
       }
     }
 
-    res.json(formatResponse(true, { created: inserted, skipped }, `Bulk insert completed: ${inserted} inserted, ${skipped} skipped`));
+    clearCategoryCache();
+    res.json(
+      formatResponse(
+        true,
+        { created: inserted, skipped, invalid },
+        `Bulk insert completed: ${inserted} inserted, ${skipped} skipped, ${invalid.length} invalid`
+      )
+    );
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to bulk create keywords", 500, formatResponse);
   }
@@ -0,0 +1,277 @@
+import express from "express";
+import { formatResponse, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import {
+  RECLASSIFY_SCOPES,
+  createReclassification,
+  getReclassification,
+  getReclassificationItems,
+  listReclassifications,
+  requestApply,
+  discardReclassification,
+  startReclassifyJob
+} from "../services/categoryReclassifyService.js";
+
+const router = express.Router();
+
+const ITEM_STATUSES = ["pending", "applied", "skipped"];
+
+/**
+ * @swagger
+ * /api/category-reclassifications:
+ *   post:
+ *     summary: Preview keyword re-classification of products
+ *     description: |
+ *       Re-runs category analysis in a background job and stores every product whose category
+ *       would change, without changing any product. Poll GET /api/category-reclassifications/{id}
+ *       until the status is "ready", review the diff, then apply it.
+ *       Products that no keyword matches keep their current category.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               scope:
+ *                 type: string
+ *                 enum: [uncategorized, all]
+ *                 default: uncategorized
+ *                 description: Only products without a category, or every product
+ *     responses:
+ *       202:
+ *         description: Preview queued
+ *       400:
+ *         description: Invalid scope
+ *       401:
+ *         description: Unauthorized
+ */
+// Create reclassification preview
+router.post("/", requireAuth, requirePermission("edit_categories"), async (req, res) => {
+  try {
+    const scope = req.body.scope || "uncategorized";
+    if (!RECLASSIFY_SCOPES.includes(scope)) {
+      return res.status(400).json(formatResponse(false, null, `scope must be one of: ${RECLASSIFY_SCOPES.join(", ")}`));
+    }
+
+    const reclassificationId = await createReclassification({ scope, createdBy: req.user.id });
+    Logger.info(`[CategoryReclassify] ${req.user.username} requested a preview for ${scope} products`);
+
+    await startReclassifyJob(req.user.id);
+
+    res.status(202).json(
+      formatResponse(true, await getReclassification(reclassificationId), "Reclassification preview queued")
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to create reclassification", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/category-reclassifications:
+ *   get:
+ *     summary: List category reclassifications
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reclassifications retrieved successfully
+ */
+// Get reclassifications
+router.get("/", requireAuth, requirePermission("view_categories"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { reclassifications, total } = await listReclassifications({ limit, offset: (page - 1) * limit });
+
+    res.json(
+      formatResponse(
+        true,
+        { reclassifications, pagination: generatePagination(page, limit, total) },
+        "Reclassifications retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve reclassifications", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/category-reclassifications/{id}:
+ *   get:
+ *     summary: Get a reclassification diff
+ *     description: |
+ *       Summary with the changes grouped by old -> new category (transitions), and the
+ *       per-product changes with the score and reason of the new category.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, applied, skipped]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Reclassification retrieved successfully
+ *       404:
+ *         description: Reclassification not found
+ */
+// Get reclassification diff
+router.get("/:id", requireAuth, requirePermission("view_categories"), async (req, res) => {
+  try {
+    const summary = await getReclassification(req.params.id);
+    if (!summary) {
+      return res.status(404).json(formatResponse(false, null, "Reclassification not found"));
+    }
+
+    const status = req.query.status;
+    if (status && !ITEM_STATUSES.includes(status)) {
+      return res.status(400).json(formatResponse(false, null, "Invalid item status"));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const { items, total } = await getReclassificationItems(summary.id, {
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(
+      formatResponse(
+        true,
+        { reclassification: summary, items, pagination: generatePagination(page, limit, total) },
+        "Reclassification retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve reclassification", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/category-reclassifications/{id}/apply:
+ *   post:
+ *     summary: Apply a previewed reclassification
+ *     description: |
+ *       Moves the previewed products to their new category in a background job. Products whose
+ *       category changed since the preview, or whose new category is no longer active, are skipped.
+ *       A failed apply can be applied again and continues where it stopped.
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Apply queued
+ *       404:
+ *         description: Reclassification not found
+ *       409:
+ *         description: Preview not finished, or already applied / discarded
+ */
+// Apply reclassification
+router.post("/:id/apply", requireAuth, requirePermission("edit_categories"), async (req, res) => {
+  try {
+    const summary = await getReclassification(req.params.id);
+    if (!summary) {
+      return res.status(404).json(formatResponse(false, null, "Reclassification not found"));
+    }
+
+    if (!(await requestApply(summary.id, req.user.id))) {
+      return res
+        .status(409)
+        .json(formatResponse(false, { status: summary.status }, `Reclassification cannot be applied while ${summary.status}`));
+    }
+
+    await startReclassifyJob(req.user.id);
+
+    res.status(202).json(formatResponse(true, await getReclassification(summary.id), "Reclassification apply queued"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to apply reclassification", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/category-reclassifications/{id}:
+ *   delete:
+ *     summary: Discard a reclassification preview
+ *     tags: [Categories]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Reclassification discarded
+ *       404:
+ *         description: Reclassification not found
+ *       409:
+ *         description: Reclassification is being processed or was already applied
+ */
+// Discard reclassification
+router.delete("/:id", requireAuth, requirePermission("edit_categories"), async (req, res) => {
+  try {
+    const summary = await getReclassification(req.params.id);
+    if (!summary) {
+      return res.status(404).json(formatResponse(false, null, "Reclassification not found"));
+    }
+
+    if (!(await discardReclassification(summary.id))) {
+      return res
+        .status(409)
+        .json(formatResponse(false, { status: summary.status }, `Reclassification cannot be discarded while ${summary.status}`));
+    }
+
+    res.json(formatResponse(true, { id: summary.id, status: "discarded" }, "Reclassification discarded"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to discard reclassification", 500, formatResponse);
+  }
+});
+
+export default router;
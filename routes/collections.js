@@ -0,0 +1,628 @@
+import express from "express";
+import { formatResponse, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { rateLimiter } from "../middleware/rateLimiter.js";
+import { responseCache } from "../middleware/responseCache.js";
+import { sanitizeObject } from "../utils/sanitize.js";
+import { normalizeSlug } from "../utils/slug.js";
+import {
+  MAX_COLLECTION_ITEMS,
+  validateCollection,
+  getCollection,
+  listCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  getCollectionItems,
+  addCollectionItems,
+  removeCollectionItem,
+  reorderCollectionItems,
+  moveCollectionItem,
+  listLiveCollections,
+  resolvePublicCollection
+} from "../services/collectionService.js";
+
+const router = express.Router();
+
+const SCHEDULE_STATUSES = ["live", "scheduled", "ended", "inactive"];
+
+/**
+ * @swagger
+ * /api/collections/public:
+ *   get:
+ *     summary: Get live collections (public)
+ *     description: Active collections inside their start / end time, with hero banner and the number of products shown.
+ *     tags: [Collections]
+ *     responses:
+ *       200:
+ *         description: Collections retrieved successfully
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Get live collections (public endpoint for client)
+router.get("/public",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  responseCache({ ttl: 60 * 1000 }), // Cache for 1 minute (collections start and end on schedule)
+  async (req, res) => {
+  try {
+    const collections = await listLiveCollections();
+    res.json(formatResponse(true, collections, "Collections retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve collections", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/public/{slug}:
+ *   get:
+ *     summary: Get a live collection with its products (public)
+ *     description: |
+ *       Products in collection order, with the same fields as GET /api/products/public.
+ *       Products that are inactive, in the trash, or whose campaign has ended are skipped.
+ *     tags: [Collections]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Collection retrieved successfully
+ *       404:
+ *         description: Collection not found, inactive, or outside its schedule
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Get collection products by slug (public endpoint for client)
+router.get("/public/:slug",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 60 }), // 60 requests per minute
+  responseCache({ ttl: 60 * 1000 }), // Cache for 1 minute
+  async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const resolved = await resolvePublicCollection(normalizeSlug(req.params.slug), {
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    if (!resolved) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    res.json(
+      formatResponse(
+        true,
+        {
+          collection: resolved.collection,
+          products: resolved.products,
+          pagination: generatePagination(page, limit, resolved.total)
+        },
+        "Collection retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve collection", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections:
+ *   get:
+ *     summary: Get all collections (admin)
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [live, scheduled, ended, inactive]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Collections retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// Get collections
+router.get("/", requireAuth, requirePermission("view_collections"), async (req, res) => {
+  try {
+    const status = req.query.status;
+    if (status && !SCHEDULE_STATUSES.includes(status)) {
+      return res.status(400).json(formatResponse(false, null, `status must be one of: ${SCHEDULE_STATUSES.join(", ")}`));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { collections, total } = await listCollections({
+      search: req.query.search || "",
+      status,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(
+      formatResponse(true, { collections, pagination: generatePagination(page, limit, total) }, "Collections retrieved successfully")
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve collections", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections:
+ *   post:
+ *     summary: Create collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Payday picks
+ *               slug:
+ *                 type: string
+ *                 description: Defaults to a slug of the name
+ *               description:
+ *                 type: string
+ *               hero_image_url:
+ *                 type: string
+ *               hero_title:
+ *                 type: string
+ *               hero_alt_text:
+ *                 type: string
+ *               hero_target_url:
+ *                 type: string
+ *               start_time:
+ *                 type: string
+ *                 example: "2026-10-25 00:00"
+ *                 description: Bangkok time unless a time zone is given (ISO 8601)
+ *               end_time:
+ *                 type: string
+ *                 example: "2026-10-28 23:59"
+ *               is_active:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Collection created successfully
+ *       400:
+ *         description: Invalid collection
+ *       401:
+ *         description: Unauthorized
+ *       409:
+ *         description: Slug already exists
+ */
+// Create collection
+router.post("/", requireAuth, requirePermission("create_collections"), async (req, res) => {
+  try {
+    // Sanitize input
+    req.body = sanitizeObject(req.body);
+    const { values, error } = validateCollection(req.body);
+
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const result = await createCollection(values, req.user.id);
+    if (result.error) {
+      return res.status(409).json(formatResponse(false, null, "Collection slug already exists"));
+    }
+
+    Logger.info(`[Collections] ${req.user.username} created collection "${values.name}"`);
+    res.status(201).json(formatResponse(true, await getCollection(result.collectionId), "Collection created successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to create collection", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   get:
+ *     summary: Get a collection with all its items (admin)
+ *     description: |
+ *       Items in collection order. availability tells whether a product is shown publicly
+ *       (available) or skipped (missing, deleted, inactive, expired).
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Collection retrieved successfully
+ *       404:
+ *         description: Collection not found
+ */
+// Get collection
+router.get("/:id", requireAuth, requirePermission("view_collections"), async (req, res) => {
+  try {
+    const collection = await getCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const items = await getCollectionItems(collection.id);
+    res.json(formatResponse(true, { collection, items }, "Collection retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve collection", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   put:
+ *     summary: Update collection
+ *     description: Fields left out are kept; null or an empty string clears an optional field.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: Same fields as POST /api/collections
+ *     responses:
+ *       200:
+ *         description: Collection updated successfully
+ *       400:
+ *         description: Invalid collection
+ *       404:
+ *         description: Collection not found
+ *       409:
+ *         description: Slug already exists
+ */
+// Update collection
+router.put("/:id", requireAuth, requirePermission("edit_collections"), async (req, res) => {
+  try {
+    const current = await getCollection(req.params.id);
+    if (!current) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    // Sanitize input
+    req.body = sanitizeObject(req.body);
+    const { values, error } = validateCollection(req.body, { current });
+
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const result = await updateCollection(current.id, values);
+    if (result.error) {
+      return res.status(409).json(formatResponse(false, null, "Collection slug already exists"));
+    }
+
+    res.json(formatResponse(true, await getCollection(current.id), "Collection updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update collection", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}:
+ *   delete:
+ *     summary: Delete collection
+ *     description: The products themselves are not affected.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Collection deleted successfully
+ *       404:
+ *         description: Collection not found
+ */
+// Delete collection
+router.delete("/:id", requireAuth, requirePermission("delete_collections"), async (req, res) => {
+  try {
+    if (!(await deleteCollection(req.params.id))) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    res.json(formatResponse(true, null, "Collection deleted successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to delete collection", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/items:
+ *   post:
+ *     summary: Add products to a collection
+ *     description: |
+ *       Products are appended in the given order. Products already in the collection keep their
+ *       place (duplicates); unknown or deleted products are skipped (missing).
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Products added to collection successfully
+ *       400:
+ *         description: No products selected, or the collection would exceed 500 products
+ *       404:
+ *         description: Collection not found
+ */
+// Add products to collection
+router.post("/:id/items", requireAuth, requirePermission("edit_collections"), async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+
+    if (!Array.isArray(itemIds) || itemIds.length === 0) {
+      return res.status(400).json(formatResponse(false, null, "No products selected"));
+    }
+
+    const collection = await getCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const result = await addCollectionItems(collection.id, itemIds);
+    if (result.error) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `A collection can have at most ${MAX_COLLECTION_ITEMS} products`));
+    }
+
+    res.json(formatResponse(true, result, "Products added to collection successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to add products to collection", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/items/order:
+ *   put:
+ *     summary: Reorder all products of a collection
+ *     description: itemIds must list every product of the collection exactly once, in the new order.
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - itemIds
+ *             properties:
+ *               itemIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Collection order updated successfully
+ *       400:
+ *         description: itemIds does not match the products of the collection
+ *       404:
+ *         description: Collection not found
+ */
+// Reorder collection products
+router.put("/:id/items/order", requireAuth, requirePermission("edit_collections"), async (req, res) => {
+  try {
+    const { itemIds } = req.body;
+
+    if (!Array.isArray(itemIds)) {
+      return res.status(400).json(formatResponse(false, null, "Item IDs must be an array"));
+    }
+
+    const collection = await getCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const result = await reorderCollectionItems(collection.id, itemIds);
+    if (result.error) {
+      return res
+        .status(400)
+        .json(
+          formatResponse(
+            false,
+            { missing: result.missing, unknown: result.unknown },
+            "Item IDs must list every product of the collection exactly once"
+          )
+        );
+    }
+
+    res.json(formatResponse(true, result, "Collection order updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update collection order", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/items/{itemId}/position:
+ *   patch:
+ *     summary: Move one product of a collection (drag and drop)
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - position
+ *             properties:
+ *               position:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: New 0-based position; larger values move the product to the end
+ *     responses:
+ *       200:
+ *         description: Product moved successfully
+ *       400:
+ *         description: Invalid position
+ *       404:
+ *         description: Collection or product not found
+ */
+// Move collection product
+router.patch("/:id/items/:itemId/position", requireAuth, requirePermission("edit_collections"), async (req, res) => {
+  try {
+    const position = Number(req.body.position);
+
+    if (!Number.isInteger(position) || position < 0) {
+      return res.status(400).json(formatResponse(false, null, "Position must be a whole number of 0 or more"));
+    }
+
+    const collection = await getCollection(req.params.id);
+    if (!collection) {
+      return res.status(404).json(formatResponse(false, null, "Collection not found"));
+    }
+
+    const result = await moveCollectionItem(collection.id, req.params.itemId, position);
+    if (!result) {
+      return res.status(404).json(formatResponse(false, null, "Product is not in this collection"));
+    }
+
+    res.json(formatResponse(true, result, "Product moved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to move product", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/collections/{id}/items/{itemId}:
+ *   delete:
+ *     summary: Remove a product from a collection
+ *     tags: [Collections]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product removed from collection successfully
+ *       404:
+ *         description: Product is not in this collection
+ */
+// Remove product from collection
+router.delete("/:id/items/:itemId", requireAuth, requirePermission("edit_collections"), async (req, res) => {
+  try {
+    if (!(await removeCollectionItem(req.params.id, req.params.itemId))) {
+      return res.status(404).json(formatResponse(false, null, "Product is not in this collection"));
+    }
+
+    res.json(formatResponse(true, null, "Product removed from collection successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to remove product from collection", 500, formatResponse);
+  }
+});
+
+export default router;
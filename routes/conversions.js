@@ -0,0 +1,219 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import { formatResponse, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { singleFileUpload, FileTypeError } from "../middleware/fileUpload.js";
+import { runJob, getJob } from "../services/jobScheduler.js";
+import { resolveStatsRange } from "../services/clickTrackingService.js";
+import {
+  CONVERSION_SYNC_JOB,
+  ORDER_STATUSES,
+  parseConversionCsv,
+  saveConversionItems,
+  getProductEarnings
+} from "../services/conversionReportService.js";
+
+const router = express.Router();
+
+// Report files are parsed in memory and never written to disk
+const uploadReportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 5 * 1024 * 1024 // 5MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    if (path.extname(file.originalname).toLowerCase() === ".csv") {
+      return cb(null, true);
+    }
+    cb(new FileTypeError("Only .csv files are allowed"));
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversions/upload:
+ *   post:
+ *     summary: Upload a Shopee Affiliate conversion report CSV
+ *     description: |
+ *       Accepts the dashboard export. Columns are matched by header (Order ID and Item ID are required;
+ *       Order Status, Qty, Purchase Value, Item Total Commission, Purchase Time, ... are used when present).
+ *       Order items already stored are updated, so re-uploading a newer report is safe.
+ *     tags: [Conversions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       200:
+ *         description: Report imported ({ received, saved, skipped })
+ *       400:
+ *         description: Invalid or empty file
+ *       401:
+ *         description: Unauthorized
+ */
+// Upload conversion report
+router.post("/upload", requireAuth, requirePermission("import_conversions"), singleFileUpload(uploadReportFile, "file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(formatResponse(false, null, "No report file provided"));
+    }
+
+    let items;
+    try {
+      items = parseConversionCsv(req.file);
+    } catch (parseError) {
+      return res.status(400).json(formatResponse(false, null, parseError.message));
+    }
+
+    if (items.length === 0) {
+      return res.status(400).json(formatResponse(false, null, "Report file contains no rows"));
+    }
+
+    const stats = await saveConversionItems(items, "csv");
+    Logger.info(`[ConversionReport] ${req.user.username} uploaded ${req.file.originalname} (${stats.saved} order items)`);
+
+    res.json(formatResponse(true, stats, "Conversion report imported"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to import conversion report", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversions/sync:
+ *   post:
+ *     summary: Pull recent conversions from the Shopee Affiliate API now
+ *     tags: [Conversions]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               days:
+ *                 type: integer
+ *                 description: Purchase window in days (default 30, max 90)
+ *     responses:
+ *       202:
+ *         description: Sync job started
+ *       409:
+ *         description: Sync is already running
+ */
+// Trigger conversion sync
+router.post("/sync", requireAuth, requirePermission("import_conversions"), async (req, res) => {
+  try {
+    const run = await runJob(CONVERSION_SYNC_JOB, {
+      trigger: "manual",
+      triggeredBy: req.user.id,
+      params: { days: req.body?.days }
+    });
+
+    if (!run) {
+      return res.status(409).json(formatResponse(false, getJob(CONVERSION_SYNC_JOB), "Conversion sync is already running"));
+    }
+
+    res.status(202).json(formatResponse(true, run, "Conversion sync started"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to start conversion sync", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/conversions/earnings:
+ *   get:
+ *     summary: Rank saved products by real (reported) commission
+ *     description: Compares the estimated commission (advertised rate x purchase value) with what Shopee reported.
+ *     tags: [Conversions]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Purchase date from (default 30 days ago)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Purchase date to, inclusive (default today)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           default: COMPLETED
+ *         description: Comma separated order statuses (PENDING, COMPLETED, CANCELLED, UNPAID)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Product earnings retrieved successfully
+ *       400:
+ *         description: Invalid status
+ */
+// Get product earnings ranking
+router.get("/earnings", requireAuth, requirePermission("view_conversions"), async (req, res) => {
+  try {
+    const statuses = String(req.query.status || "COMPLETED")
+      .split(",")
+      .map((status) => status.trim().toUpperCase())
+      .filter(Boolean);
+
+    const invalid = statuses.filter((status) => !ORDER_STATUSES.includes(status));
+    if (statuses.length === 0 || invalid.length > 0) {
+      return res
+        .status(400)
+        .json(formatResponse(false, null, `status must be one or more of: ${ORDER_STATUSES.join(", ")}`));
+    }
+
+    const { from, to } = resolveStatsRange(req.query.from, req.query.to);
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { products, total, totals } = await getProductEarnings({
+      from,
+      to,
+      statuses,
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(
+      formatResponse(
+        true,
+        { from, to, statuses, totals, products, pagination: generatePagination(page, limit, total) },
+        "Product earnings retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve product earnings", 500, formatResponse);
+  }
+});
+
+export default router;
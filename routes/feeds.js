@@ -0,0 +1,125 @@
+import express from "express";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { formatResponse } from "../utils/helpers.js";
+import { responseCache } from "../middleware/responseCache.js";
+import { rateLimiter } from "../middleware/rateLimiter.js";
+import {
+  loadFeedProducts,
+  loadFeedChannel,
+  renderGoogleMerchantFeed,
+  renderFacebookCatalogFeed
+} from "../utils/productFeed.js";
+
+const router = express.Router();
+
+// Feeds are cleared on product/category/tag writes (see index.js), the TTL is only a fallback
+const FEED_CACHE_TTL = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Read feed filters from query string
+ * tag_id accepts a comma separated list (products with any of the tags)
+ * @param {Object} query - req.query
+ * @returns {Object} { categoryId, tagId }
+ */
+function getFeedFilters(query) {
+  const categoryId = /^\d+$/.test(query.category_id || "") ? query.category_id : "all";
+  const tagIds = String(query.tag_id || "")
+    .split(",")
+    .map((id) => id.trim())
+    .filter((id) => /^\d+$/.test(id));
+
+  return {
+    categoryId,
+    tagId: tagIds.length > 0 ? tagIds : "all"
+  };
+}
+
+/**
+ * @swagger
+ * /api/feeds/google-merchant.xml:
+ *   get:
+ *     summary: Google Merchant Center product feed (public)
+ *     description: RSS 2.0 feed of active products, using offer_link as the product link.
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: tag_id
+ *         schema:
+ *           type: string
+ *         description: Tag ID or comma separated tag IDs
+ *     responses:
+ *       200:
+ *         description: RSS/XML feed
+ *         content:
+ *           application/xml: {}
+ *       429:
+ *         description: Too many requests
+ */
+// Public endpoint - Google Merchant feed
+router.get("/google-merchant.xml",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  responseCache({ ttl: FEED_CACHE_TTL }),
+  async (req, res) => {
+  try {
+    const [channel, products] = await Promise.all([
+      loadFeedChannel(),
+      loadFeedProducts(getFeedFilters(req.query))
+    ]);
+
+    Logger.debug(`[Feeds] Google Merchant feed generated with ${products.length} products`);
+
+    res.type("application/xml; charset=utf-8");
+    res.send(renderGoogleMerchantFeed(channel, products));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to generate feed", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/feeds/facebook-catalog.csv:
+ *   get:
+ *     summary: Facebook catalog product feed (public)
+ *     description: CSV feed of active products, using offer_link as the product link.
+ *     tags: [Feeds]
+ *     parameters:
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: tag_id
+ *         schema:
+ *           type: string
+ *         description: Tag ID or comma separated tag IDs
+ *     responses:
+ *       200:
+ *         description: CSV feed
+ *         content:
+ *           text/csv: {}
+ *       429:
+ *         description: Too many requests
+ */
+// Public endpoint - Facebook catalog feed
+router.get("/facebook-catalog.csv",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  responseCache({ ttl: FEED_CACHE_TTL }),
+  async (req, res) => {
+  try {
+    const products = await loadFeedProducts(getFeedFilters(req.query));
+
+    Logger.debug(`[Feeds] Facebook catalog feed generated with ${products.length} products`);
+
+    res.type("text/csv; charset=utf-8");
+    res.send(renderFacebookCatalogFeed(products));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to generate feed", 500, formatResponse);
+  }
+});
+
+export default router;
@@ -0,0 +1,88 @@
+import express from "express";
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { rateLimiter } from "../middleware/rateLimiter.js";
+import { getClickContext, recordProductClick } from "../services/clickTrackingService.js";
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /go/{itemId}:
+ *   get:
+ *     summary: Tracked redirect to a product's affiliate link (public)
+ *     description: Logs the click (referrer, device class, hashed IP, UTM / sub_id) and redirects to offer_link.
+ *     tags: [Clicks]
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: utm_source
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: utm_medium
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: utm_campaign
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: utm_content
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: utm_term
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sub_id
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Redirect to the affiliate link
+ *       404:
+ *         description: Product not found or inactive
+ */
+// Public endpoint - Tracked affiliate redirect
+router.get("/:itemId",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 120 }), // 120 requests per minute
+  async (req, res) => {
+  try {
+    const { itemId } = req.params;
+    if (!/^\d+$/.test(itemId)) {
+      return res.status(404).type("text/plain").send("Product not found");
+    }
+
+    const result = await executeQuery(
+      "SELECT item_id, category_id, offer_link, product_link FROM shopee_products WHERE item_id = ? AND status = 'active' AND deleted_at IS NULL",
+      [itemId]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const product = result.data[0];
+    const target = product && (product.offer_link || product.product_link);
+    if (!target || !/^https?:\/\//i.test(target)) {
+      return res.status(404).type("text/plain").send("Product not found");
+    }
+
+    // Logged in the background so the redirect is not delayed by the insert
+    recordProductClick(product, getClickContext(req));
+
+    // Every click must reach the server, so the redirect itself is never cached
+    res.set("Cache-Control", "no-store");
+    res.redirect(302, target);
+  } catch (error) {
+    Logger.error("[ClickTracking] Redirect failed:", error);
+    res.status(500).type("text/plain").send("Failed to redirect");
+  }
+});
+
+export default router;
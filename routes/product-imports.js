@@ -0,0 +1,276 @@
+import express from "express";
+import multer from "multer";
+import path from "path";
+import { formatResponse, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
+import Logger from "../utils/logger.js";
+import { handleErrorWithFormat } from "../utils/errorHandler.js";
+import { singleFileUpload, FileTypeError } from "../middleware/fileUpload.js";
+import {
+  IMPORT_MAX_ROWS,
+  IMPORT_INLINE_MAX_ROWS,
+  parseImportFile,
+  createImport,
+  processImport,
+  getImport,
+  getImportRows,
+  listImports,
+  requeueImport,
+  startImportJob
+} from "../services/productImportService.js";
+
+const router = express.Router();
+
+const ROW_STATUSES = ["pending", "created", "updated", "skipped", "failed"];
+
+// Import files are parsed in memory and never written to disk
+const uploadImportFile = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 2 * 1024 * 1024 // 2MB limit
+  },
+  fileFilter: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    if ([".csv", ".json"].includes(ext)) {
+      return cb(null, true);
+    }
+    cb(new FileTypeError("Only .csv and .json files are allowed"));
+  }
+});
+
+/**
+ * @swagger
+ * /api/product-imports:
+ *   post:
+ *     summary: Import products from a CSV or JSON file of item IDs / Shopee links
+ *     description: |
+ *       Rows are validated and deduplicated, then each item is fetched from the Shopee API,
+ *       auto-categorized and saved. Small files are processed immediately and the report is
+ *       returned; larger files are processed by a background job (poll GET /api/product-imports/{id}).
+ *       CSV files may have a header row with an item_id or link column, otherwise the first column is used.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - file
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *               skipExisting:
+ *                 type: boolean
+ *                 description: Skip items that are already saved instead of updating them
+ *     responses:
+ *       200:
+ *         description: Import processed, per-row report returned
+ *       202:
+ *         description: Import queued as a background job
+ *       400:
+ *         description: Invalid or empty file
+ *       401:
+ *         description: Unauthorized
+ */
+// Upload import file
+router.post("/", requireAuth, requirePermission("create_products"), singleFileUpload(uploadImportFile, "file"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json(formatResponse(false, null, "No import file provided"));
+    }
+
+    let parsed;
+    try {
+      parsed = parseImportFile(req.file);
+    } catch (parseError) {
+      return res.status(400).json(formatResponse(false, null, parseError.message));
+    }
+
+    if (parsed.values.length === 0) {
+      return res.status(400).json(formatResponse(false, null, "Import file contains no rows"));
+    }
+
+    if (parsed.values.length > IMPORT_MAX_ROWS) {
+      return res.status(400).json(formatResponse(false, null, `Import file exceeds ${IMPORT_MAX_ROWS} rows`));
+    }
+
+    const importId = await createImport({
+      filename: req.file.originalname,
+      format: parsed.format,
+      values: parsed.values,
+      skipExisting: req.body.skipExisting === true || req.body.skipExisting === "true",
+      createdBy: req.user.id
+    });
+
+    Logger.info(`[ProductImport] ${req.user.username} uploaded ${req.file.originalname} (${parsed.values.length} rows)`);
+
+    // Small files: process now and return the full report
+    if (parsed.values.length <= IMPORT_INLINE_MAX_ROWS) {
+      const summary = await processImport(importId);
+      const { rows } = await getImportRows(importId, { limit: IMPORT_INLINE_MAX_ROWS });
+      return res.json(formatResponse(true, { import: summary, rows }, "Import processed"));
+    }
+
+    await startImportJob(req.user.id);
+    const summary = await getImport(importId);
+
+    res.status(202).json(formatResponse(true, { import: summary }, "Import queued for background processing"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to import products", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/product-imports:
+ *   get:
+ *     summary: List product imports
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Imports retrieved successfully
+ */
+// Get imports
+router.get("/", requireAuth, requirePermission("view_products"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const { imports, total } = await listImports({ limit, offset: (page - 1) * limit });
+
+    res.json(
+      formatResponse(true, { imports, pagination: generatePagination(page, limit, total) }, "Imports retrieved successfully")
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve imports", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/product-imports/{id}:
+ *   get:
+ *     summary: Get import progress and per-row report
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, created, updated, skipped, failed]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Import retrieved successfully
+ *       404:
+ *         description: Import not found
+ */
+// Get import report
+router.get("/:id", requireAuth, requirePermission("view_products"), async (req, res) => {
+  try {
+    const summary = await getImport(req.params.id);
+    if (!summary) {
+      return res.status(404).json(formatResponse(false, null, "Import not found"));
+    }
+
+    const status = req.query.status;
+    if (status && !ROW_STATUSES.includes(status)) {
+      return res.status(400).json(formatResponse(false, null, "Invalid row status"));
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const { rows, total } = await getImportRows(summary.id, { status, limit, offset: (page - 1) * limit });
+
+    res.json(
+      formatResponse(
+        true,
+        { import: summary, rows, pagination: generatePagination(page, limit, total) },
+        "Import retrieved successfully"
+      )
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve import", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/product-imports/{id}/resume:
+ *   post:
+ *     summary: Resume an interrupted or failed import
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       202:
+ *         description: Import resumed
+ *       400:
+ *         description: Import has no pending rows
+ *       404:
+ *         description: Import not found
+ */
+// Resume import
+router.post("/:id/resume", requireAuth, requirePermission("create_products"), async (req, res) => {
+  try {
+    const summary = await getImport(req.params.id);
+    if (!summary) {
+      return res.status(404).json(formatResponse(false, null, "Import not found"));
+    }
+
+    if (summary.pending_count === 0) {
+      return res.status(400).json(formatResponse(false, summary, "Import has no pending rows"));
+    }
+
+    // Failed imports are skipped by the job until they are queued again
+    if (summary.status === "failed") {
+      await requeueImport(summary.id);
+    }
+
+    await startImportJob(req.user.id);
+
+    res.status(202).json(formatResponse(true, await getImport(summary.id), "Import resumed"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to resume import", 500, formatResponse);
+  }
+});
+
+export default router;
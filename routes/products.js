@@ -1,8 +1,7 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
-import { generateSignature, createAuthorizationHeader } from "../utils/helpers.js";
-import { formatResponse, validateRequiredFields } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { formatResponse, validateRequiredFields, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import { PRODUCT_OFFER_QUERY } from "../queries.js";
 import { sanitizeObject } from "../utils/sanitize.js";
 import Logger from "../utils/logger.js";
@@ -10,13 +9,22 @@ import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { responseCache } from "../middleware/responseCache.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { buildProductQuery } from "../utils/productQueryBuilder.js";
-import { prepareProductData, saveProduct } from "../utils/productService.js";
+import { planProductSearch } from "../utils/productSearch.js";
+import { getSearchSuggestions } from "../services/searchSuggestionService.js";
+import { trackSearchQuery } from "../middleware/searchTracking.js";
+import { prepareProductData, saveProduct, updateProductFromOffer } from "../utils/productService.js";
+import { applySmartTags, applySmartTagsToProducts } from "../utils/tagRules.js";
+import { makeGraphQLRequest } from "../services/shopeeApiService.js";
+import { getProductHistory } from "../utils/productHistoryService.js";
+import { streamProductExport, EXPORT_FORMATS } from "../utils/productExport.js";
+import { moveToTrash, restoreFromTrash, listTrash, findTrashed } from "../services/trashService.js";
+import { validateSeoMetadata, updateSeoMetadata, generateSeoMetadata } from "../services/seoMetadataService.js";
+import { normalizeSlug, findSlugRedirect } from "../utils/slug.js";
 // Category analysis moved to utils/categoryService.js (used via productService)
 
 const router = express.Router();
 
 // Constants
-const API_URL = "https://open-api.affiliate.shopee.co.th/graphql";
 const APP_ID = process.env.SHOPEE_APP_ID;
 const APP_SECRET = process.env.SHOPEE_APP_SECRET;
 
@@ -30,13 +38,6 @@ const MAX_FLASH_SALE_LIMIT = 20; // Maximum products to show in flash sale
 // Category cache moved to utils/categoryService.js
 // Import clearCategoryCache from categoryService if needed
 
-// Debug environment variables on startup (only in development)
-Logger.debug("Products Route Environment:", {
-  API_URL: API_URL,
-  APP_ID: APP_ID ? "SET" : "NOT SET",
-  APP_SECRET: APP_SECRET ? "SET (length: " + APP_SECRET.length + ")" : "NOT SET"
-});
-
 // Alternative query format (if needed)
 const PRODUCT_SEARCH_QUERY = `
   query ProductSearch($keyword: String!, $page: Int) {
@@ -68,59 +69,6 @@ const PRODUCT_SEARCH_QUERY = `
   }
 `;
 
-async function makeGraphQLRequest(query, variables = {}) {
-  const timestamp = Math.floor(Date.now() / 1000);
-  const payload = JSON.stringify({ query, variables });
-
-  const signature = generateSignature({
-    appId: APP_ID,
-    timestamp: timestamp.toString(),
-    payload,
-    secret: APP_SECRET
-  });
-
-  const authHeader = createAuthorizationHeader({
-    appId: APP_ID,
-    timestamp: timestamp.toString(),
-    signature
-  });
-
-  Logger.debug("Making request to Shopee API:", {
-    url: API_URL,
-    bodyLength: payload.length
-  });
-
-  try {
-    const response = await fetch(API_URL, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        Authorization: authHeader
-      },
-      body: payload
-    });
-
-    Logger.debug("Response status:", response.status, response.statusText);
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      Logger.error("Error response body:", errorText);
-      throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
-    }
-
-    const jsonResponse = await response.json();
-    Logger.debug("Response received:", {
-      hasData: !!jsonResponse.data,
-      hasErrors: !!jsonResponse.errors
-    });
-
-    return jsonResponse;
-  } catch (error) {
-    Logger.error("GraphQL Request failed:", error);
-    throw error;
-  }
-}
-
 /**
  * @swagger
  * /api/products/search:
@@ -355,7 +303,7 @@ router.get("/search", async (req, res) => {
  *         description: Unauthorized
  */
 // Check if product exists in database
-router.post("/check", requireAuth, async (req, res) => {
+router.post("/check", requireAuth, requirePermission("view_products"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -372,7 +320,7 @@ router.post("/check", requireAuth, async (req, res) => {
         category_id, commission_rate, commission, rating_star, sales_count,
         is_flash_sale, status, source, created_at, updated_at
       FROM shopee_products 
-      WHERE item_id = ?
+      WHERE item_id = ? AND deleted_at IS NULL
     `, [itemId]);
 
     if (result.success && result.data.length > 0) {
@@ -619,6 +567,12 @@ router.post("/check", requireAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Product is in the trash (restore it with POST /api/products/{id}/restore)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       500:
  *         description: Server error
  *         content:
@@ -627,7 +581,7 @@ router.post("/check", requireAuth, async (req, res) => {
  *               $ref: '#/components/schemas/Error'
  */
 // Save product to database
-router.post("/save", requireAuth, async (req, res) => {
+router.post("/save", requireAuth, requirePermission("create_products"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -640,6 +594,11 @@ router.post("/save", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, `Missing required fields: ${missing.join(", ")}`));
     }
 
+    const trashedId = await findTrashed("product", productData.itemId, { key: "item_id" });
+    if (trashedId) {
+      return res.status(409).json(formatResponse(false, { id: trashedId, inTrash: true }, "This product is in the trash. Restore it instead."));
+    }
+
     // Prepare product data using service helper
     const preparedData = await prepareProductData(productData, {
       fromFrontend: false,
@@ -809,6 +768,12 @@ router.post("/save", requireAuth, async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Product was deleted by an admin
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       429:
  *         description: Rate limit exceeded (10 requests per minute)
  *         content:
@@ -849,6 +814,11 @@ router.post("/save-from-frontend",
       return res.status(400).json(formatResponse(false, null, `Missing required fields: ${missing.join(", ")}`));
     }
 
+    // Products deleted by an admin must not come back through the public endpoint
+    if (await findTrashed("product", productData.itemId, { key: "item_id" })) {
+      return res.status(409).json(formatResponse(false, null, "Product cannot be saved"));
+    }
+
     // Prepare product data using service helper (with frontend-specific options)
     const preparedData = await prepareProductData(productData, {
       fromFrontend: true, // Enable commission rate conversion
@@ -900,7 +870,7 @@ router.post("/save-from-frontend",
  *         description: Unauthorized
  */
 // Test Shopee API connection (development only)
-router.get("/test-shopee", requireAuth, async (req, res) => {
+router.get("/test-shopee", requireAuth, requirePermission("view_products"), async (req, res) => {
   // Only allow in development mode
   if (process.env.NODE_ENV === "production") {
     return res.status(403).json(formatResponse(false, null, "Test endpoint is not available in production"));
@@ -969,7 +939,7 @@ router.get("/test-shopee", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Test database connection (development only, requires auth)
-router.get("/test-db", requireAuth, async (req, res) => {
+router.get("/test-db", requireAuth, requirePermission("view_products"), async (req, res) => {
   // Only allow in development mode
   if (process.env.NODE_ENV === "production") {
     return res.status(403).json(formatResponse(false, null, "Test endpoint is not available in production"));
@@ -1036,7 +1006,7 @@ router.get("/test-db", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Sync single product with Shopee API
-router.post("/sync-single", requireAuth, async (req, res) => {
+router.post("/sync-single", requireAuth, requirePermission("edit_products"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -1088,67 +1058,15 @@ router.post("/sync-single", requireAuth, async (req, res) => {
       Logger.warn(`No results from Shopee API for "${searchName}". Status -> inactive`);
     }
 
-    // 3. Update Database
-    let updateQuery;
-    let queryParams;
+    // 3. Update Database (only changed fields are written)
+    const syncResult = await updateProductFromOffer(itemId, foundProduct);
 
-    if (foundProduct) {
-      // Update details and status to active
-      updateQuery = `
-        UPDATE shopee_products 
-        SET 
-          product_name = ?,
-          price = ?,
-          price_min = ?,
-          price_max = ?,
-          commission_rate = ?,
-          seller_commission_rate = ?,
-          shopee_commission_rate = ?,
-          commission_amount = ?,
-          image_url = ?,
-          rating_star = ?,
-          sales_count = ?,
-          discount_rate = ?,
-          status = 'active',
-          updated_at = CURRENT_TIMESTAMP
-        WHERE item_id = ?
-      `;
-      queryParams = [
-        foundProduct.productName,
-        foundProduct.price,
-        foundProduct.priceMin,
-        foundProduct.priceMax,
-        foundProduct.commissionRate,
-        foundProduct.sellerCommissionRate,
-        foundProduct.shopeeCommissionRate,
-        foundProduct.commission, // commission amount
-        foundProduct.imageUrl,
-        foundProduct.ratingStar,
-        foundProduct.sales,
-        foundProduct.priceDiscountRate || 0,
-        String(itemId)
-      ];
-    } else {
-      // Not found, set status to inactive
-      updateQuery = `
-        UPDATE shopee_products 
-        SET status = 'inactive', updated_at = CURRENT_TIMESTAMP 
-        WHERE item_id = ?
-      `;
-      queryParams = [String(itemId)];
-    }
-
-    const result = await executeQuery(updateQuery, queryParams);
-
-    if (result.success) {
-      res.json(formatResponse(true, { 
-        status: newStatus, 
-        found: !!foundProduct,
-        updated: result.data.affectedRows > 0
-      }, `Product synced. Status: ${newStatus}`));
-    } else {
-      throw new Error(result.error || "Failed to update database");
-    }
+    res.json(formatResponse(true, { 
+      status: newStatus, 
+      found: !!foundProduct,
+      updated: syncResult.updated,
+      changedFields: syncResult.changedFields
+    }, `Product synced. Status: ${newStatus}`));
 
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to sync product", 500, formatResponse);
@@ -1192,7 +1110,7 @@ router.post("/sync-single", requireAuth, async (req, res) => {
  *         description: Product not found
  */
 // Update product status
-router.patch("/:id/status", requireAuth, async (req, res) => {
+router.patch("/:id/status", requireAuth, requirePermission("edit_products"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
@@ -1204,11 +1122,15 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
     }
 
     const result = await executeQuery(
-      "UPDATE shopee_products SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      "UPDATE shopee_products SET status = ?, sync_deactivated = 0, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND deleted_at IS NULL",
       [status, id]
     );
 
     if (result.success && result.data.affectedRows > 0) {
+      const productResult = await executeQuery("SELECT item_id FROM shopee_products WHERE id = ?", [id]);
+      if (productResult.success && productResult.data.length > 0) {
+        await applySmartTags(productResult.data[0].item_id);
+      }
       res.json(formatResponse(true, null, "Product status updated successfully"));
     } else {
       res.status(404).json(formatResponse(false, null, "Product not found"));
@@ -1220,7 +1142,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
 
 /**
  * @swagger
- * /api/products/{id}/flash-sale:
+ * /api/products/{itemId}/flash-sale:
  *   patch:
  *     summary: Update flash sale status
  *     tags: [Products]
@@ -1228,10 +1150,10 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
  *       - bearerAuth: []
  *     parameters:
  *       - in: path
- *         name: id
+ *         name: itemId
  *         required: true
  *         schema:
- *           type: integer
+ *           type: string
  *     requestBody:
  *       required: true
  *       content:
@@ -1254,11 +1176,11 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
  *         description: Product not found
  */
 // Update flash sale status
-router.patch("/:id/flash-sale", requireAuth, async (req, res) => {
+router.patch("/:itemId/flash-sale", requireAuth, requirePermission("edit_products"), async (req, res) => {
   try {
     // Sanitize input
     req.body = sanitizeObject(req.body);
-    const { id } = req.params;
+    const { itemId } = req.params;
     const { isFlashSale } = req.body;
 
     if (typeof isFlashSale !== 'boolean') {
@@ -1266,11 +1188,13 @@ router.patch("/:id/flash-sale", requireAuth, async (req, res) => {
     }
 
     const result = await executeQuery(
-      "UPDATE shopee_products SET is_flash_sale = ?, updated_at = CURRENT_TIMESTAMP WHERE item_id = ?",
-      [isFlashSale ? 1 : 0, id]
+      "UPDATE shopee_products SET is_flash_sale = ?, updated_at = CURRENT_TIMESTAMP WHERE item_id = ? AND deleted_at IS NULL",
+      [isFlashSale ? 1 : 0, itemId]
     );
 
     if (result.success && result.data.affectedRows > 0) {
+      // Smart tag rules may use is_flash_sale
+      await applySmartTags(itemId);
       res.json(formatResponse(true, null, "Flash sale status updated successfully"));
     } else {
       res.status(404).json(formatResponse(false, null, "Product not found"));
@@ -1280,11 +1204,133 @@ router.patch("/:id/flash-sale", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/products/{id}/seo:
+ *   put:
+ *     summary: Update product SEO metadata
+ *     description: Fields left out are kept; an empty string or null clears a field.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SeoMetadata'
+ *     responses:
+ *       200:
+ *         description: SEO metadata updated successfully
+ *       400:
+ *         description: Invalid SEO metadata
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Product not found
+ */
+// Update product SEO metadata
+router.put("/:id/seo", requireAuth, requirePermission("edit_products"), async (req, res) => {
+  try {
+    // Sanitize input
+    req.body = sanitizeObject(req.body);
+    const { values, error } = validateSeoMetadata(req.body);
+
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const metadata = await updateSeoMetadata("product", req.params.id, values);
+
+    if (!metadata) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    res.json(formatResponse(true, metadata, "SEO metadata updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update SEO metadata", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/seo/generate:
+ *   post:
+ *     summary: Fill product SEO metadata with AI
+ *     description: |
+ *       meta_description is generated by AI; meta_title defaults to the product name and og_image to the product image.
+ *       Fields that are already filled are kept unless overwrite is true.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *               language:
+ *                 type: string
+ *                 default: th
+ *     responses:
+ *       200:
+ *         description: SEO metadata generated successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Product not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       503:
+ *         description: AI service is not available
+ */
+// Generate product SEO metadata with AI
+router.post("/:id/seo/generate",
+  requireAuth,
+  requirePermission("edit_products"),
+  requirePermission("use_ai_seo"),
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 20 }), // 20 requests per minute
+  async (req, res) => {
+  try {
+    const result = await generateSeoMetadata("product", req.params.id, {
+      overwrite: req.body?.overwrite === true,
+      language: req.body?.language === "en" ? "en" : "th"
+    });
+
+    if (!result) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    if (!result.generated) {
+      return res.status(503).json(formatResponse(false, null, "AI service is not available"));
+    }
+
+    res.json(formatResponse(true, result.metadata, "SEO metadata generated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to generate SEO metadata", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/products/delete:
  *   delete:
- *     summary: Delete product by itemId
+ *     summary: Delete product by itemId (moves it to the trash)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -1310,7 +1356,7 @@ router.patch("/:id/flash-sale", requireAuth, async (req, res) => {
  *         description: Product not found
  */
 // Delete product by itemId (specific route must come before parameterized route)
-router.delete("/delete", requireAuth, async (req, res) => {
+router.delete("/delete", requireAuth, requirePermission("delete_products"), async (req, res) => {
   try {
     const { itemId } = req.body;
 
@@ -1320,23 +1366,20 @@ router.delete("/delete", requireAuth, async (req, res) => {
 
     Logger.debug("Delete request - itemId:", itemId);
 
-    const deleteQuery = `DELETE FROM shopee_products WHERE item_id = ?`;
-    const result = await executeQuery(deleteQuery, [String(itemId)]);
+    const deleted = await moveToTrash("product", itemId, { key: "item_id" });
 
-    if (result.success && result.data.affectedRows > 0) {
+    if (deleted) {
       res.json(
         formatResponse(
           true,
           {
-            affectedRows: result.data.affectedRows
+            affectedRows: 1
           },
-          "Product deleted successfully"
+          "Product moved to trash successfully"
         )
       );
-    } else if (result.success && result.data.affectedRows === 0) {
-      res.status(404).json(formatResponse(false, null, "Product not found"));
     } else {
-      throw new Error(result.error);
+      res.status(404).json(formatResponse(false, null, "Product not found"));
     }
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete product", 500, formatResponse);
@@ -1347,7 +1390,7 @@ router.delete("/delete", requireAuth, async (req, res) => {
  * @swagger
  * /api/products/{id}:
  *   delete:
- *     summary: Delete product by ID
+ *     summary: Delete product by ID (moves it to the trash)
  *     tags: [Products]
  *     security:
  *       - bearerAuth: []
@@ -1366,14 +1409,14 @@ router.delete("/delete", requireAuth, async (req, res) => {
  *         description: Product not found
  */
 // Delete product by ID (parameterized route comes after specific routes)
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("delete_products"), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await executeQuery("DELETE FROM shopee_products WHERE id = ?", [id]);
+    const deleted = await moveToTrash("product", id);
 
-    if (result.success && result.data.affectedRows > 0) {
-      res.json(formatResponse(true, null, "Product deleted successfully"));
+    if (deleted) {
+      res.json(formatResponse(true, null, "Product moved to trash successfully"));
     } else {
       res.status(404).json(formatResponse(false, null, "Product not found"));
     }
@@ -1382,6 +1425,174 @@ router.delete("/:id", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/products/trash:
+ *   get:
+ *     summary: List deleted products (trash)
+ *     description: Products stay in the trash until restored or purged after the retention period (purge_at).
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// List products in the trash
+router.get("/trash", requireAuth, requirePermission("delete_products"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { items, total } = await listTrash("product", {
+      search: req.query.search || "",
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(formatResponse(true, { items, pagination: generatePagination(page, limit, total) }, "Trash retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trash", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{id}/restore:
+ *   post:
+ *     summary: Restore a product from the trash
+ *     description: Category and tag assignments are kept while a product is in the trash and come back with it.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Product restored successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Product not found in trash
+ */
+// Restore product from the trash
+router.post("/:id/restore", requireAuth, requirePermission("delete_products"), async (req, res) => {
+  try {
+    const restored = await restoreFromTrash("product", req.params.id);
+
+    if (restored) {
+      res.json(formatResponse(true, { id: req.params.id }, "Product restored successfully"));
+    } else {
+      res.status(404).json(formatResponse(false, null, "Product not found in trash"));
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to restore product", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/export:
+ *   get:
+ *     summary: Export saved products as CSV or NDJSON (streamed)
+ *     description: |
+ *       Streams all products matching the filters, with category and tag names joined in.
+ *       CSV output has a UTF-8 BOM and separates tag names with "|" so it opens cleanly in Excel.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *           default: csv
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [all, active, inactive, flash-sale]
+ *       - in: query
+ *         name: category_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: include_descendants
+ *         schema:
+ *           type: boolean
+ *         description: Also match products in subcategories of category_id
+ *       - in: query
+ *         name: tag_id
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv: {}
+ *           application/x-ndjson: {}
+ *       400:
+ *         description: Invalid format
+ *       401:
+ *         description: Unauthorized
+ */
+// Export saved products
+router.get("/export", requireAuth, requirePermission("view_products"), async (req, res) => {
+  try {
+    const format = (req.query.format || "csv").toLowerCase();
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json(formatResponse(false, null, `Invalid format. Must be one of: ${EXPORT_FORMATS.join(", ")}`));
+    }
+
+    const exported = await streamProductExport(req, res, {
+      format,
+      filters: {
+        status: req.query.status || "all",
+        categoryId: req.query.category_id || "all",
+        includeDescendants: req.query.include_descendants === "true",
+        tagId: req.query.tag_id || "all",
+        search: req.query.search || ""
+      }
+    });
+
+    Logger.info(`[ProductExport] ${req.user.username} exported ${exported} products as ${format}`);
+  } catch (error) {
+    // Once streaming has started the only option is to cut the response short
+    if (res.headersSent) {
+      Logger.error("[ProductExport] Export failed mid-stream:", error);
+      return res.end();
+    }
+    return handleErrorWithFormat(error, res, "Failed to export products", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/products/saved:
@@ -1411,6 +1622,11 @@ router.delete("/:id", requireAuth, async (req, res) => {
  *         schema:
  *           type: integer
  *       - in: query
+ *         name: include_descendants
+ *         schema:
+ *           type: boolean
+ *         description: Also match products in subcategories of category_id
+ *       - in: query
  *         name: tag_id
  *         schema:
  *           type: integer
@@ -1422,7 +1638,8 @@ router.delete("/:id", requireAuth, async (req, res) => {
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [date, commission, sales, price]
+ *           enum: [date, commission, sales, price, relevance]
+ *         description: relevance (with search) ranks by text match, sales and rating
  *       - in: query
  *         name: sort_order
  *         schema:
@@ -1435,7 +1652,7 @@ router.delete("/:id", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Get saved products with pagination, filtering, and search
-router.get("/saved", requireAuth, async (req, res) => {
+router.get("/saved", requireAuth, requirePermission("view_products"), async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -1450,12 +1667,14 @@ router.get("/saved", requireAuth, async (req, res) => {
     Logger.debug(`Fetching saved products: page=${page}, limit=${limit}, status=${status}, category=${categoryId}, tag=${tagId}, sort=${sortBy}:${sortOrder}`);
 
     // Build query using helper function
-    const { selectQuery, countQuery, queryParams } = buildProductQuery({
+    const { selectQuery, countQuery, queryParams, selectParams } = buildProductQuery({
       filters: {
         status,
         categoryId,
+        includeDescendants: req.query.include_descendants === "true",
         tagId,
-        search
+        search,
+        searchPlan: await planProductSearch(search)
       },
       sortBy,
       sortOrder,
@@ -1468,7 +1687,7 @@ router.get("/saved", requireAuth, async (req, res) => {
     // Execute queries
     const [countResult, productsResult] = await Promise.all([
       executeQuery(countQuery, queryParams),
-      executeQuery(selectQuery, queryParams)
+      executeQuery(selectQuery, selectParams)
     ]);
 
     if (!countResult.success) {
@@ -1536,7 +1755,7 @@ router.get("/saved", requireAuth, async (req, res) => {
  *         description: Product not found
  */
 // Update product status via patch (for consistency)
-router.patch("/status", requireAuth, async (req, res) => {
+router.patch("/status", requireAuth, requirePermission("edit_products"), async (req, res) => {
     try {
       // Sanitize input
       req.body = sanitizeObject(req.body);
@@ -1550,13 +1769,14 @@ router.patch("/status", requireAuth, async (req, res) => {
   
       const updateQuery = `
         UPDATE shopee_products 
-        SET status = ?, updated_at = CURRENT_TIMESTAMP 
-        WHERE item_id = ?
+        SET status = ?, sync_deactivated = 0, updated_at = CURRENT_TIMESTAMP 
+        WHERE item_id = ? AND deleted_at IS NULL
       `;
   
       const result = await executeQuery(updateQuery, [status, String(itemId)]);
   
       if (result.success && result.data.affectedRows > 0) {
+        await applySmartTags(itemId);
         res.json(
           formatResponse(
             true,
@@ -1648,9 +1868,10 @@ router.get("/flash-sale",
         p.sales_count, p.discount_rate, 
         p.status, p.is_flash_sale, p.period_start_time, p.period_end_time, p.campaign_active, p.updated_at
       FROM shopee_products p
-      LEFT JOIN categories c ON p.category_id = c.id
+      LEFT JOIN categories c ON p.category_id = c.id AND c.deleted_at IS NULL
       WHERE 
         p.status = 'active'
+        AND p.deleted_at IS NULL
         AND (
           -- กรณี 1: ไม่ตั้งเวลาเลย → แสดงได้
           ( (p.period_start_time IS NULL OR p.period_start_time = 0) 
@@ -1697,6 +1918,7 @@ router.get("/flash-sale",
     // 2) อัปเดตสถานะ is_flash_sale ให้เฉพาะชุดที่เลือก (สูงสุด 20 ตัว)
     //    - เคลียร์ is_flash_sale ทั้งหมดก่อน
     //    - จากนั้นตั้ง is_flash_sale = 1 เฉพาะ item_id ที่อยู่ใน flashSaleProducts
+    const previousResult = await executeQuery("SELECT item_id FROM shopee_products WHERE is_flash_sale = 1");
     const clearFlashSaleQuery = `
       UPDATE shopee_products
       SET is_flash_sale = 0, updated_at = CURRENT_TIMESTAMP
@@ -1704,22 +1926,24 @@ router.get("/flash-sale",
     `;
     await executeQuery(clearFlashSaleQuery);
 
-    if (flashSaleProducts.length > 0) {
-      const itemIds = flashSaleProducts
-        .map(p => p.item_id)
-        .filter(id => id !== null && id !== undefined);
-
-      if (itemIds.length > 0) {
-        const placeholders = itemIds.map(() => "?").join(",");
-        const markFlashSaleQuery = `
-          UPDATE shopee_products
-          SET is_flash_sale = 1, updated_at = CURRENT_TIMESTAMP
-          WHERE item_id IN (${placeholders})
-        `;
-        await executeQuery(markFlashSaleQuery, itemIds);
-      }
+    const itemIds = flashSaleProducts
+      .map(p => p.item_id)
+      .filter(id => id !== null && id !== undefined);
+
+    if (itemIds.length > 0) {
+      const placeholders = itemIds.map(() => "?").join(",");
+      const markFlashSaleQuery = `
+        UPDATE shopee_products
+        SET is_flash_sale = 1, updated_at = CURRENT_TIMESTAMP
+        WHERE item_id IN (${placeholders})
+      `;
+      await executeQuery(markFlashSaleQuery, itemIds);
     }
 
+    // Smart tag rules may use is_flash_sale; not awaited, this is a public endpoint
+    // (applySmartTagsToProducts never throws)
+    applySmartTagsToProducts([...(previousResult.success ? previousResult.data.map((row) => row.item_id) : []), ...itemIds]);
+
     res.json(formatResponse(true, flashSaleProducts, "Flash Sale products retrieved successfully"));
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to retrieve flash sale products", 500, formatResponse);
@@ -1761,6 +1985,11 @@ router.get("/flash-sale",
  *         description: Filter by category ID (use "all" to show all categories)
  *         example: 1
  *       - in: query
+ *         name: include_descendants
+ *         schema:
+ *           type: boolean
+ *         description: Also match products in subcategories of category_id
+ *       - in: query
  *         name: tag_id
  *         schema:
  *           type: array
@@ -1772,22 +2001,26 @@ router.get("/flash-sale",
  *         name: search
  *         schema:
  *           type: string
- *         description: Search keyword (searches in product name and shop name)
+ *         description: |
+ *           Search keyword (product name and shop name). Thai and English words match in any order;
+ *           when nothing matches every word, close matches are returned (typo tolerance).
  *         example: "ครีมบำรุง"
  *       - in: query
- *         name: sortBy
+ *         name: sort
  *         schema:
  *           type: string
- *           enum: [price, sales_count, updated_at, rating_star]
- *         description: Sort field
- *         example: "price"
+ *           enum: [relevance, date, commission, sales, price]
+ *         description: |
+ *           Sort field (default: last updated). relevance needs a search term and ranks by text match
+ *           blended with sales count and rating.
+ *         example: "relevance"
  *       - in: query
- *         name: sortOrder
+ *         name: sort_order
  *         schema:
  *           type: string
  *           enum: [asc, desc]
  *           default: desc
- *         description: Sort order
+ *         description: Sort order (not used by relevance)
  *         example: "desc"
  *     responses:
  *       200:
@@ -1834,6 +2067,7 @@ router.get("/flash-sale",
  */
 // Public endpoint for client - Get active products with filtering
 router.get("/public", 
+  trackSearchQuery(), // Before the cache so cached searches are counted
   responseCache({ 
     ttl: PUBLIC_PRODUCTS_CACHE_TTL,
     keyGenerator: (req) => {
@@ -1855,29 +2089,33 @@ router.get("/public",
         ? [req.query.tag_id] 
         : [];
     const search = req.query.search || "";
+    const sortBy = req.query.sort;
+    const sortOrder = req.query.sort_order === 'asc' ? 'asc' : 'desc';
 
-    Logger.debug(`[Public] Fetching products: page=${page}, limit=${limit}, category=${categoryId}, tags=${tagIds.join(',')}`);
+    Logger.debug(`[Public] Fetching products: page=${page}, limit=${limit}, category=${categoryId}, tags=${tagIds.join(',')}, sort=${sortBy}`);
 
     // Build query using helper function - ONLY ACTIVE PRODUCTS
     // Convert tagIds array to single value or array for productQueryBuilder
     const tagIdFilter = tagIds.length === 0 ? "all" : (tagIds.length === 1 ? tagIds[0] : tagIds);
 
-    const { selectQuery, queryParams } = buildProductQuery({
+    const { selectQuery, selectParams } = buildProductQuery({
       filters: {
         status: "all", // Public endpoint - status filter not applicable (always active)
         categoryId,
+        includeDescendants: req.query.include_descendants === "true",
         tagId: tagIdFilter, // Can be single value or array
-        search
+        search,
+        searchPlan: await planProductSearch(search, { onlyActive: true })
       },
-      sortBy: undefined, // Use default sort (updated_at DESC)
-      sortOrder: "DESC",
+      sortBy, // Default sort is updated_at DESC
+      sortOrder,
       limit,
       offset,
       onlyActive: true, // Public endpoint - only show active products
       includeAllFields: false // Public endpoint - minimal fields only
     });
 
-    const productsResult = await executeQuery(selectQuery, queryParams);
+    const productsResult = await executeQuery(selectQuery, selectParams);
 
     if (!productsResult.success) {
       throw new Error(`Query failed: ${productsResult.error}`);
@@ -1889,6 +2127,57 @@ router.get("/public",
   }
 });
 
+/**
+ * @swagger
+ * /api/products/suggest:
+ *   get:
+ *     summary: Search box suggestions (public)
+ *     description: |
+ *       Products, categories, tags and shops matching what has been typed so far, plus popular
+ *       past searches starting with it. Products and shops need at least 2 characters.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *         example: "เคสไอ"
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 5
+ *           maximum: 10
+ *         description: Max suggestions per group
+ *     responses:
+ *       200:
+ *         description: Suggestions grouped as queries, products, categories, tags and shops
+ *       400:
+ *         description: q is required
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Public endpoint - Search box suggestions (typed-ahead, so a higher limit than listing routes)
+router.get("/suggest",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 120 }), // 120 requests per minute
+  responseCache({ ttl: 60 * 1000 }), // Cache for 1 minute
+  async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+
+    if (!q) {
+      return res.status(400).json(formatResponse(false, null, "q is required"));
+    }
+
+    const suggestions = await getSearchSuggestions(q, { limit: req.query.limit });
+
+    res.json(formatResponse(true, suggestions, "Suggestions retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve suggestions", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/products/saved-public:
@@ -1911,6 +2200,11 @@ router.get("/public",
  *         schema:
  *           type: integer
  *       - in: query
+ *         name: include_descendants
+ *         schema:
+ *           type: boolean
+ *         description: Also match products in subcategories of category_id
+ *       - in: query
  *         name: tag_id
  *         schema:
  *           type: integer
@@ -1922,7 +2216,8 @@ router.get("/public",
  *         name: sort_by
  *         schema:
  *           type: string
- *           enum: [date, commission, sales, price]
+ *           enum: [date, commission, sales, price, relevance]
+ *         description: relevance (with search) ranks by text match, sales and rating
  *       - in: query
  *         name: sort_order
  *         schema:
@@ -1938,6 +2233,7 @@ router.get("/public",
 // Similar to /saved but public and only shows active products
 router.get("/saved-public",
   rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  trackSearchQuery(), // Before the cache so cached searches are counted
   responseCache({ 
     ttl: 2 * 60 * 1000, // Cache for 2 minutes
     keyGenerator: (req) => {
@@ -1959,12 +2255,14 @@ router.get("/saved-public",
     Logger.debug(`[Public] Fetching saved products: page=${page}, limit=${limit}, category=${categoryId}, tag=${tagId}, sort=${sortBy}:${sortOrder}`);
 
     // Build query using helper function - ONLY ACTIVE PRODUCTS for security
-    const { selectQuery, countQuery, queryParams } = buildProductQuery({
+    const { selectQuery, countQuery, queryParams, selectParams } = buildProductQuery({
       filters: {
         status: "all", // Public endpoint - status filter not applicable (always active)
         categoryId,
+        includeDescendants: req.query.include_descendants === "true",
         tagId,
-        search
+        search,
+        searchPlan: await planProductSearch(search, { onlyActive: true })
       },
       sortBy,
       sortOrder,
@@ -1977,7 +2275,7 @@ router.get("/saved-public",
     // Execute queries
     const [countResult, productsResult] = await Promise.all([
       executeQuery(countQuery, queryParams),
-      executeQuery(selectQuery, queryParams)
+      executeQuery(selectQuery, selectParams)
     ]);
 
     if (!countResult.success) {
@@ -2049,7 +2347,8 @@ router.get("/item/:itemId", async (req, res) => {
       limit: 1,
       offset: 0,
       onlyActive: true, // Public endpoint - only show active products
-      includeAllFields: true // Include all fields for detail page
+      includeAllFields: true, // Include all fields for detail page
+      includeSeoFields: true
     });
 
     const result = await executeQuery(selectQuery, queryParams);
@@ -2068,4 +2367,126 @@ router.get("/item/:itemId", async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/products/slug/{slug}:
+ *   get:
+ *     summary: Get a single product by slug (public)
+ *     description: An old slug of a renamed product answers 301 with the current slug in the Location header.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product retrieved successfully (with meta_title, meta_description and og_image)
+ *       301:
+ *         description: Slug has changed; data.slug and the Location header point to the current one
+ *       404:
+ *         description: Product not found
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Public endpoint - Get single product by slug
+router.get("/slug/:slug",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 60 }), // 60 requests per minute
+  responseCache({ ttl: 2 * 60 * 1000 }), // Cache for 2 minutes
+  async (req, res) => {
+  try {
+    const slug = normalizeSlug(req.params.slug);
+
+    const { selectQuery, queryParams } = buildProductQuery({
+      filters: { slug },
+      limit: 1,
+      offset: 0,
+      onlyActive: true, // Public endpoint - only show active products
+      includeAllFields: true, // Include all fields for detail page
+      includeSeoFields: true
+    });
+
+    const result = await executeQuery(selectQuery, queryParams);
+
+    if (!result.success) {
+      throw new Error(`Query failed: ${result.error}`);
+    }
+
+    if (result.data.length > 0) {
+      return res.json(formatResponse(true, result.data[0], "Product retrieved successfully"));
+    }
+
+    // Renamed product: redirect old links to the current slug
+    const currentSlug = await findSlugRedirect("product", slug);
+    if (currentSlug) {
+      res.location(`${req.baseUrl}/slug/${encodeURIComponent(currentSlug)}`);
+      return res.status(301).json(formatResponse(false, { slug: currentSlug }, "Product has moved to a new URL"));
+    }
+
+    res.status(404).json(formatResponse(false, null, "Product not found"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve product", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/products/{itemId}/history:
+ *   get:
+ *     summary: Get price, commission and sales history of a product (public)
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: itemId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Product item ID
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 365
+ *         description: Window size in days
+ *     responses:
+ *       200:
+ *         description: Time series plus min/max/avg over the window
+ *       404:
+ *         description: Product not found
+ *       429:
+ *         description: Too many requests
+ */
+// Public endpoint - Get product price / commission history
+router.get("/:itemId/history",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  async (req, res) => {
+  try {
+    const { itemId } = req.params;
+
+    const productResult = await executeQuery(
+      "SELECT price, commission_rate, sales_count FROM shopee_products WHERE item_id = ? AND status = 'active' AND deleted_at IS NULL",
+      [String(itemId)]
+    );
+
+    if (!productResult.success) {
+      throw new Error(productResult.error);
+    }
+
+    if (productResult.data.length === 0) {
+      return res.status(404).json(formatResponse(false, null, "Product not found"));
+    }
+
+    const history = await getProductHistory(itemId, req.query.days);
+
+    res.json(formatResponse(true, {
+      ...history,
+      current: productResult.data[0]
+    }, "Product history retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve product history", 500, formatResponse);
+  }
+});
+
 export default router;
@@ -3,19 +3,11 @@ import { executeQuery } from '../config/database.js';
 import pool from '../config/database.js';
 import Logger from '../utils/logger.js';
 import { handleError } from '../utils/errorHandler.js';
-import { requireAuth } from './auth.js';
+import { requireAuth, requirePermission } from './auth.js';
+import { clearRolePermissionCache } from '../utils/permissions.js';
 
 const router = express.Router();
 
-// Middleware to check admin role
-function requireAdmin(req, res, next) {
-  const role = req.user?.role?.toLowerCase();
-  if (!req.user || !["admin", "super admin"].includes(role)) {
-    return res.status(403).json({ success: false, message: "Admin access required" });
-  }
-  next();
-}
-
 /**
  * @swagger
  * /api/roles:
@@ -30,11 +22,11 @@ function requireAdmin(req, res, next) {
  *       401:
  *         description: Unauthorized
  */
-// Get all roles (requires authentication)
-router.get('/', requireAuth, async (req, res) => {
+// Get all roles (requires view_roles)
+router.get('/', requireAuth, requirePermission('view_roles'), async (req, res) => {
   try {
     const result = await executeQuery(`
-      SELECT id, name, description, created_at, updated_at
+      SELECT id, name, description, require_2fa, created_at, updated_at
       FROM roles 
       ORDER BY id ASC
     `);
@@ -52,7 +44,7 @@ router.get('/', requireAuth, async (req, res) => {
  * @swagger
  * /api/roles:
  *   post:
- *     summary: Create new role (admin only)
+ *     summary: Create new role
  *     tags: [Roles]
  *     security:
  *       - bearerAuth: []
@@ -77,12 +69,12 @@ router.get('/', requireAuth, async (req, res) => {
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin access required
+ *         description: Missing create_roles permission
  *       409:
  *         description: Role name already exists
  */
-// Create new role (requires admin)
-router.post('/', requireAuth, requireAdmin, async (req, res) => {
+// Create new role (requires create_roles)
+router.post('/', requireAuth, requirePermission('create_roles'), async (req, res) => {
   const { name, description } = req.body;
   
   if (!name) {
@@ -108,8 +100,8 @@ router.post('/', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-// Update role (requires admin)
-router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
+// Update role (requires edit_roles)
+router.put('/:id', requireAuth, requirePermission('edit_roles'), async (req, res) => {
   const { id } = req.params;
   const { name, description } = req.body;
 
@@ -133,8 +125,8 @@ router.put('/:id', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-// Delete role (requires admin)
-router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
+// Delete role (requires delete_roles)
+router.delete('/:id', requireAuth, requirePermission('delete_roles'), async (req, res) => {
   const { id } = req.params;
 
   if (id === '1') {
@@ -151,6 +143,7 @@ router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
     const result = await executeQuery('DELETE FROM roles WHERE id = ?', [id]);
     
     if (result.success) {
+      clearRolePermissionCache();
       res.json({ success: true, message: 'Role deleted successfully' });
     } else {
       throw new Error(result.error);
@@ -160,8 +153,8 @@ router.delete('/:id', requireAuth, requireAdmin, async (req, res) => {
   }
 });
 
-// Get all permissions (requires authentication)
-router.get('/permissions', requireAuth, async (req, res) => {
+// Get all permissions (requires view_roles)
+router.get('/permissions', requireAuth, requirePermission('view_roles'), async (req, res) => {
     try {
         const result = await executeQuery(`
           SELECT id, name, slug, description, group_name, created_at
@@ -184,8 +177,8 @@ router.get('/permissions', requireAuth, async (req, res) => {
     }
 });
 
-// Get role permissions (requires authentication)
-router.get('/:id/permissions', requireAuth, async (req, res) => {
+// Get role permissions (requires view_roles)
+router.get('/:id/permissions', requireAuth, requirePermission('view_roles'), async (req, res) => {
     const { id } = req.params;
     try {
         const result = await executeQuery('SELECT permission_id FROM role_permissions WHERE role_id = ?', [id]);
@@ -200,8 +193,8 @@ router.get('/:id/permissions', requireAuth, async (req, res) => {
     }
 });
 
-// Update role permissions (requires admin)
-router.post('/:id/permissions', requireAuth, requireAdmin, async (req, res) => {
+// Update role permissions (requires edit_roles)
+router.post('/:id/permissions', requireAuth, requirePermission('edit_roles'), async (req, res) => {
     const { id } = req.params;
     const { permissionIds } = req.body;
 
@@ -247,6 +240,7 @@ router.post('/:id/permissions', requireAuth, requireAdmin, async (req, res) => {
         }
 
         await connection.commit();
+        clearRolePermissionCache();
         Logger.success(`[Roles] Transaction committed successfully for role ${id}`);
         res.json({ success: true, message: 'Permissions updated successfully' });
 
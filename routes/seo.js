@@ -0,0 +1,133 @@
+import express from "express";
+import Logger from "../utils/logger.js";
+import { responseCache } from "../middleware/responseCache.js";
+import { rateLimiter } from "../middleware/rateLimiter.js";
+import { loadSitemapSettings, renderSitemapIndex, renderChildSitemap, renderRobotsTxt } from "../utils/sitemap.js";
+
+const router = express.Router();
+
+// Cleared on product/category/tag/settings writes (see index.js), the TTL is only a fallback
+const SITEMAP_CACHE_TTL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Public base URL the sitemap files are served from
+ * Uses the configured sitemap_url when set, otherwise this server's own origin.
+ * @param {Object} req - Express request
+ * @param {Object} settings - Result of loadSitemapSettings
+ * @returns {string} Base URL without trailing slash
+ */
+function getSitemapBaseUrl(req, settings) {
+  if (settings.sitemapUrl) {
+    return settings.sitemapUrl.replace(/\/[^/]*$/, "");
+  }
+  return `${req.protocol}://${req.get("host")}`;
+}
+
+/**
+ * @swagger
+ * /sitemap.xml:
+ *   get:
+ *     summary: Sitemap index (public)
+ *     description: Lists paged child sitemaps for products, categories and tags.
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: Sitemap index XML
+ *         content:
+ *           application/xml: {}
+ */
+// Public endpoint - Sitemap index
+router.get("/sitemap.xml",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  responseCache({ ttl: SITEMAP_CACHE_TTL }),
+  async (req, res) => {
+  try {
+    const settings = await loadSitemapSettings();
+    const xml = await renderSitemapIndex(getSitemapBaseUrl(req, settings));
+
+    res.type("application/xml; charset=utf-8");
+    res.send(xml);
+  } catch (error) {
+    Logger.error("[Sitemap] Failed to generate sitemap index:", error);
+    res.status(500).type("text/plain").send("Failed to generate sitemap");
+  }
+});
+
+/**
+ * @swagger
+ * /sitemaps/{type}-{page}.xml:
+ *   get:
+ *     summary: Child sitemap page (public)
+ *     tags: [SEO]
+ *     parameters:
+ *       - in: path
+ *         name: type
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [products, categories, tags]
+ *       - in: path
+ *         name: page
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Sitemap XML (lastmod from updated_at)
+ *         content:
+ *           application/xml: {}
+ *       404:
+ *         description: Sitemap page not found
+ */
+// Public endpoint - Child sitemap
+router.get("/sitemaps/:type-:page.xml",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 60 }), // 60 requests per minute
+  responseCache({ ttl: SITEMAP_CACHE_TTL }),
+  async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    const settings = await loadSitemapSettings();
+    const xml = await renderChildSitemap(req.params.type, page, settings.siteUrl);
+
+    if (!xml) {
+      return res.status(404).type("text/plain").send("Sitemap not found");
+    }
+
+    res.type("application/xml; charset=utf-8");
+    res.send(xml);
+  } catch (error) {
+    Logger.error("[Sitemap] Failed to generate child sitemap:", error);
+    res.status(500).type("text/plain").send("Failed to generate sitemap");
+  }
+});
+
+/**
+ * @swagger
+ * /robots.txt:
+ *   get:
+ *     summary: robots.txt built from settings (public)
+ *     tags: [SEO]
+ *     responses:
+ *       200:
+ *         description: robots.txt
+ *         content:
+ *           text/plain: {}
+ */
+// Public endpoint - robots.txt
+router.get("/robots.txt",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 30 }), // 30 requests per minute
+  responseCache({ ttl: SITEMAP_CACHE_TTL }),
+  async (req, res) => {
+  try {
+    const settings = await loadSitemapSettings();
+    const sitemapUrl = settings.sitemapUrl || `${getSitemapBaseUrl(req, settings)}/sitemap.xml`;
+
+    res.type("text/plain; charset=utf-8");
+    res.send(renderRobotsTxt(settings, sitemapUrl));
+  } catch (error) {
+    Logger.error("[Sitemap] Failed to generate robots.txt:", error);
+    res.status(500).type("text/plain").send("Failed to generate robots.txt");
+  }
+});
+
+export default router;
@@ -6,7 +6,7 @@ import { handleErrorWithFormat } from '../utils/errorHandler.js';
 import { formatResponse } from '../utils/helpers.js';
 import { rateLimiter } from '../middleware/rateLimiter.js';
 import { validateRequest } from '../middleware/requestValidator.js';
-import { requireAuth } from './auth.js';
+import { requireAuth, requirePermission } from './auth.js';
 
 const router = express.Router();
 
@@ -219,15 +219,10 @@ router.get('/',
  *       401:
  *         description: Unauthorized
  *       403:
- *         description: Admin access required
+ *         description: Permission edit_settings required
  */
-// Update global settings (requires authentication and admin role)
-router.put('/', requireAuth, async (req, res) => {
-  // Check if user is admin
-  const role = req.user?.role?.toLowerCase();
-  if (!req.user || !["admin", "super admin"].includes(role)) {
-    return res.status(403).json(formatResponse(false, null, "Admin access required"));
-  }
+// Update global settings (requires edit_settings permission)
+router.put('/', requireAuth, requirePermission('edit_settings'), async (req, res) => {
   // Sanitize input
   req.body = sanitizeObject(req.body);
   const { 
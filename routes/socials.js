@@ -2,7 +2,7 @@ import express from 'express';
 import { executeQuery } from '../config/database.js';
 import Logger from '../utils/logger.js';
 import { handleError } from '../utils/errorHandler.js';
-import { requireAuth } from './auth.js';
+import { requireAuth, requirePermission } from './auth.js';
 
 const router = express.Router();
 
@@ -95,7 +95,7 @@ router.get('/', async (req, res) => {
  *         description: Unauthorized
  */
 // Create new social link (requires authentication)
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, requirePermission('create_socials'), async (req, res) => {
   const { name, icon_url, url, is_active, sort_order } = req.body;
   
   if (!url || !icon_url) {
@@ -128,7 +128,7 @@ router.post('/', requireAuth, async (req, res) => {
 });
 
 // Update social link (requires authentication)
-router.put('/:id', requireAuth, async (req, res) => {
+router.put('/:id', requireAuth, requirePermission('edit_socials'), async (req, res) => {
   const { id } = req.params;
   const { name, icon_url, url, is_active, sort_order } = req.body;
 
@@ -160,7 +160,7 @@ router.put('/:id', requireAuth, async (req, res) => {
 });
 
 // Delete social link (requires authentication)
-router.delete('/:id', requireAuth, async (req, res) => {
+router.delete('/:id', requireAuth, requirePermission('delete_socials'), async (req, res) => {
   const { id } = req.params;
   
   try {
@@ -177,7 +177,7 @@ router.delete('/:id', requireAuth, async (req, res) => {
 });
 
 // Toggle status (requires authentication)
-router.patch('/:id/status', requireAuth, async (req, res) => {
+router.patch('/:id/status', requireAuth, requirePermission('edit_socials'), async (req, res) => {
   const { id } = req.params;
   const { is_active } = req.body;
 
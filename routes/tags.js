@@ -1,12 +1,18 @@
 import express from "express";
 import { executeQuery } from "../config/database.js";
-import { formatResponse } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { formatResponse, generatePagination } from "../utils/helpers.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
 import { rateLimiter } from "../middleware/rateLimiter.js";
 import { validateRequest } from "../middleware/requestValidator.js";
 import { responseCache } from "../middleware/responseCache.js";
+import { moveToTrash, restoreFromTrash, listTrash, findTrashedByName } from "../services/trashService.js";
+import { sanitizeObject } from "../utils/sanitize.js";
+import { normalizeSlug, findSlugRedirect, syncSlugSafely } from "../utils/slug.js";
+import { validateSeoMetadata, updateSeoMetadata, generateSeoMetadata } from "../services/seoMetadataService.js";
+import { parseTagRule, clearTagRuleCache } from "../utils/tagRules.js";
+import { setTagRule, startSmartTagBackfill } from "../services/smartTagService.js";
 
 const router = express.Router();
 
@@ -57,12 +63,12 @@ router.get("/public",
   try {
     const query = `
       SELECT 
-        t.id, t.name, t.is_active, t.created_at, t.updated_at,
+        t.id, t.name, t.slug, t.is_active, t.created_at, t.updated_at,
         COUNT(DISTINCT pt.product_item_id) as product_count 
       FROM tags t 
       LEFT JOIN product_tags pt ON t.id = pt.tag_id 
       LEFT JOIN shopee_products sp ON pt.product_item_id = sp.item_id AND sp.status = 'active'
-      WHERE t.is_active = 1
+      WHERE t.is_active = 1 AND t.deleted_at IS NULL
       GROUP BY t.id 
       ORDER BY t.name ASC
     `;
@@ -78,12 +84,76 @@ router.get("/public",
   }
 });
 
+/**
+ * @swagger
+ * /api/tags/public/slug/{slug}:
+ *   get:
+ *     summary: Get an active tag by slug, with its SEO metadata (public)
+ *     description: An old slug of a renamed tag answers 301 with the current slug in the Location header.
+ *     tags: [Tags]
+ *     parameters:
+ *       - in: path
+ *         name: slug
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tag retrieved successfully
+ *       301:
+ *         description: Slug has changed; data.slug and the Location header point to the current one
+ *       404:
+ *         description: Tag not found
+ *       429:
+ *         description: Rate limit exceeded
+ */
+// Get tag by slug (public endpoint for client)
+router.get("/public/slug/:slug",
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 60 }), // 60 requests per minute
+  responseCache({ ttl: 5 * 60 * 1000 }), // Cache for 5 minutes
+  async (req, res) => {
+  try {
+    const slug = normalizeSlug(req.params.slug);
+    const result = await executeQuery(
+      `SELECT
+        t.id, t.name, t.slug, t.meta_title, t.meta_description, t.og_image,
+        COUNT(DISTINCT sp.id) as product_count
+      FROM tags t
+      LEFT JOIN product_tags pt ON t.id = pt.tag_id
+      LEFT JOIN shopee_products sp ON pt.product_item_id = sp.item_id AND sp.status = 'active' AND sp.deleted_at IS NULL
+      WHERE t.slug = ? AND t.is_active = 1 AND t.deleted_at IS NULL
+      GROUP BY t.id`,
+      [slug]
+    );
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    if (result.data.length > 0) {
+      return res.json(formatResponse(true, result.data[0], "Tag retrieved successfully"));
+    }
+
+    // Renamed tag: redirect old links to the current slug
+    const currentSlug = await findSlugRedirect("tag", slug);
+    if (currentSlug) {
+      res.location(`${req.baseUrl}/public/slug/${encodeURIComponent(currentSlug)}`);
+      return res.status(301).json(formatResponse(false, { slug: currentSlug }, "Tag has moved to a new URL"));
+    }
+
+    res.status(404).json(formatResponse(false, null, "Tag not found"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve tag", 500, formatResponse);
+  }
+});
+
 // Get all tags with product counts (admin endpoint)
 /**
  * @swagger
  * /api/tags:
  *   get:
  *     summary: Get all tags (admin)
+ *     description: rule_pending is true while the products of a changed smart tag rule are being re-evaluated.
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -93,14 +163,16 @@ router.get("/public",
  *       401:
  *         description: Unauthorized
  */
-router.get("/", requireAuth, async (req, res) => {
+router.get("/", requireAuth, requirePermission("view_tags"), async (req, res) => {
   try {
     const query = `
       SELECT 
-        t.id, t.name, t.is_active, t.created_at, t.updated_at,
+        t.id, t.name, t.slug, t.is_active, t.created_at, t.updated_at,
+        t.rule, (t.rule_version > t.rule_applied_version) as rule_pending,
         COUNT(pt.product_item_id) as product_count 
       FROM tags t 
       LEFT JOIN product_tags pt ON t.id = pt.tag_id 
+      WHERE t.deleted_at IS NULL
       GROUP BY t.id 
       ORDER BY t.name ASC
     `;
@@ -135,18 +207,21 @@ router.get("/", requireAuth, async (req, res) => {
  *             properties:
  *               name:
  *                 type: string
+ *               rule:
+ *                 type: string
+ *                 description: Smart tag rule, see PUT /api/tags/{id}/rule
  *     responses:
  *       201:
  *         description: Tag created successfully
  *       400:
- *         description: Tag name is required
+ *         description: Tag name is required or the rule is invalid
  *       401:
  *         description: Unauthorized
  *       409:
  *         description: Tag name already exists
  */
 // Create new tag
-router.post("/", requireAuth, async (req, res) => {
+router.post("/", requireAuth, requirePermission("create_tags"), async (req, res) => {
   try {
     const { name } = req.body;
 
@@ -154,15 +229,39 @@ router.post("/", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "Tag name is required"));
     }
 
+    let rule = null;
+    if (req.body.rule) {
+      const parsed = parseTagRule(req.body.rule);
+      if (parsed.error) {
+        return res.status(400).json(formatResponse(false, null, parsed.error));
+      }
+      rule = parsed.rule;
+    }
+
     const result = await executeQuery(
-      "INSERT INTO tags (name, is_active) VALUES (?, 1)",
-      [name.trim()]
+      "INSERT INTO tags (name, is_active, rule, rule_version) VALUES (?, 1, ?, ?)",
+      [name.trim(), rule ? rule.text : null, rule ? 1 : 0]
     );
 
     if (result.success) {
-      res.status(201).json(formatResponse(true, { id: result.data.insertId, name, is_active: 1, product_count: 0 }, "Tag created successfully"));
+      const slug = await syncSlugSafely("tag", result.data.insertId);
+      if (rule) {
+        clearTagRuleCache();
+        await startSmartTagBackfill(req.user.id);
+      }
+      res.status(201).json(
+        formatResponse(
+          true,
+          { id: result.data.insertId, name, slug, is_active: 1, rule: rule ? rule.text : null, product_count: 0 },
+          "Tag created successfully"
+        )
+      );
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
+        const trashedId = await findTrashedByName("tag", name.trim());
+        if (trashedId) {
+          return res.status(409).json(formatResponse(false, { id: trashedId, inTrash: true }, "A tag with this name is in the trash. Restore it instead."));
+        }
         return res.status(409).json(formatResponse(false, null, "Tag name already exists"));
       }
       throw new Error(result.error);
@@ -208,7 +307,7 @@ router.post("/", requireAuth, async (req, res) => {
  *         description: Tag name already exists
  */
 // Update tag (Name)
-router.put("/:id", requireAuth, async (req, res) => {
+router.put("/:id", requireAuth, requirePermission("edit_tags"), async (req, res) => {
   try {
     const { id } = req.params;
     const { name } = req.body;
@@ -223,7 +322,8 @@ router.put("/:id", requireAuth, async (req, res) => {
     );
 
     if (result.success) {
-      res.json(formatResponse(true, { id, name }, "Tag updated successfully"));
+      const slug = await syncSlugSafely("tag", id);
+      res.json(formatResponse(true, { id, name, slug }, "Tag updated successfully"));
     } else {
       if (result.error && result.error.includes("Duplicate entry")) {
         return res.status(409).json(formatResponse(false, null, "Tag name already exists"));
@@ -235,6 +335,203 @@ router.put("/:id", requireAuth, async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/tags/{id}/rule:
+ *   put:
+ *     summary: Set or remove the smart tag rule
+ *     description: |
+ *       Products matching the rule are attached to the tag automatically, and detached when they
+ *       stop matching. Products are re-evaluated whenever they are saved or synced; after a rule
+ *       change, a background job re-evaluates the whole catalog (rule_pending in GET /api/tags).
+ *
+ *       A rule is one or more conditions "field operator value" joined with "and" / "or"
+ *       ("and" binds tighter), e.g. "rating_star >= 4.8 and sales_count > 1000".
+ *       - Number fields (= != < <= > >=): price, price_min, price_max, discount_rate, rating_star,
+ *         sales_count, commission_amount, commission_rate (percent), category_id
+ *       - shop_type (= !=): mall, preferred_plus, preferred, normal
+ *       - is_flash_sale (= !=): true, false
+ *
+ *       Removing the rule detaches the products the rule attached; manually assigned products stay.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               rule:
+ *                 type: string
+ *                 nullable: true
+ *                 example: "price < 199"
+ *     responses:
+ *       200:
+ *         description: Tag rule updated successfully
+ *       400:
+ *         description: Invalid rule
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tag not found
+ */
+// Set / remove smart tag rule
+router.put("/:id/rule", requireAuth, requirePermission("edit_tags"), async (req, res) => {
+  try {
+    let rule = null;
+    if (req.body.rule !== null && req.body.rule !== undefined && String(req.body.rule).trim() !== "") {
+      const parsed = parseTagRule(String(req.body.rule));
+      if (parsed.error) {
+        return res.status(400).json(formatResponse(false, null, parsed.error));
+      }
+      rule = parsed.rule;
+    }
+
+    if (!(await setTagRule(req.params.id, rule))) {
+      return res.status(404).json(formatResponse(false, null, "Tag not found"));
+    }
+
+    Logger.info(`[SmartTags] ${req.user.username} set the rule of tag ${req.params.id} to ${rule ? `"${rule.text}"` : "none"}`);
+    await startSmartTagBackfill(req.user.id);
+
+    res.json(
+      formatResponse(true, { id: req.params.id, rule: rule ? rule.text : null, rule_pending: true }, "Tag rule updated successfully")
+    );
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update tag rule", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}/seo:
+ *   put:
+ *     summary: Update tag SEO metadata
+ *     description: Fields left out are kept; an empty string or null clears a field.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SeoMetadata'
+ *     responses:
+ *       200:
+ *         description: SEO metadata updated successfully
+ *       400:
+ *         description: Invalid SEO metadata
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tag not found
+ */
+// Update tag SEO metadata
+router.put("/:id/seo", requireAuth, requirePermission("edit_tags"), async (req, res) => {
+  try {
+    // Sanitize input
+    req.body = sanitizeObject(req.body);
+    const { values, error } = validateSeoMetadata(req.body);
+
+    if (error) {
+      return res.status(400).json(formatResponse(false, null, error));
+    }
+
+    const metadata = await updateSeoMetadata("tag", req.params.id, values);
+
+    if (!metadata) {
+      return res.status(404).json(formatResponse(false, null, "Tag not found"));
+    }
+
+    res.json(formatResponse(true, metadata, "SEO metadata updated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to update SEO metadata", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}/seo/generate:
+ *   post:
+ *     summary: Fill tag SEO metadata with AI
+ *     description: |
+ *       meta_description is generated by AI; meta_title defaults to the tag name.
+ *       Fields that are already filled are kept unless overwrite is true.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               overwrite:
+ *                 type: boolean
+ *                 default: false
+ *               language:
+ *                 type: string
+ *                 default: th
+ *     responses:
+ *       200:
+ *         description: SEO metadata generated successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tag not found
+ *       429:
+ *         description: Rate limit exceeded
+ *       503:
+ *         description: AI service is not available
+ */
+// Generate tag SEO metadata with AI
+router.post("/:id/seo/generate",
+  requireAuth,
+  requirePermission("edit_tags"),
+  requirePermission("use_ai_seo"),
+  rateLimiter({ windowMs: 60 * 1000, maxRequests: 20 }), // 20 requests per minute
+  async (req, res) => {
+  try {
+    const result = await generateSeoMetadata("tag", req.params.id, {
+      overwrite: req.body?.overwrite === true,
+      language: req.body?.language === "en" ? "en" : "th"
+    });
+
+    if (!result) {
+      return res.status(404).json(formatResponse(false, null, "Tag not found"));
+    }
+
+    if (!result.generated) {
+      return res.status(503).json(formatResponse(false, null, "AI service is not available"));
+    }
+
+    res.json(formatResponse(true, result.metadata, "SEO metadata generated successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to generate SEO metadata", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/tags/{id}/status:
@@ -267,7 +564,7 @@ router.put("/:id", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Update tag status
-router.patch("/:id/status", requireAuth, async (req, res) => {
+router.patch("/:id/status", requireAuth, requirePermission("edit_tags"), async (req, res) => {
   try {
     const { id } = req.params;
     const { is_active } = req.body;
@@ -291,7 +588,7 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
  * @swagger
  * /api/tags/{id}:
  *   delete:
- *     summary: Delete tag
+ *     summary: Delete tag (moves it to the trash)
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -308,9 +605,11 @@ router.patch("/:id/status", requireAuth, async (req, res) => {
  *         description: Cannot delete tag with assigned products
  *       401:
  *         description: Unauthorized
+ *       404:
+ *         description: Tag not found
  */
 // Delete tag
-router.delete("/:id", requireAuth, async (req, res) => {
+router.delete("/:id", requireAuth, requirePermission("delete_tags"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -328,26 +627,112 @@ router.delete("/:id", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "Cannot delete tag because it has assigned products"));
     }
 
-    const result = await executeQuery(
-      "DELETE FROM tags WHERE id = ?",
-      [id]
-    );
+    const deleted = await moveToTrash("tag", id);
 
-    if (result.success) {
-      res.json(formatResponse(true, null, "Tag deleted successfully"));
+    if (deleted) {
+      clearTagRuleCache();
+      res.json(formatResponse(true, null, "Tag moved to trash successfully"));
     } else {
-      throw new Error(result.error);
+      res.status(404).json(formatResponse(false, null, "Tag not found"));
     }
   } catch (error) {
     return handleErrorWithFormat(error, res, "Failed to delete tag", 500, formatResponse);
   }
 });
 
+/**
+ * @swagger
+ * /api/tags/trash:
+ *   get:
+ *     summary: List deleted tags (trash)
+ *     description: Tags stay in the trash until restored or purged after the retention period (purge_at).
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Trash retrieved successfully
+ *       401:
+ *         description: Unauthorized
+ */
+// List tags in the trash
+router.get("/trash", requireAuth, requirePermission("delete_tags"), async (req, res) => {
+  try {
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+
+    const { items, total } = await listTrash("tag", {
+      search: req.query.search || "",
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    res.json(formatResponse(true, { items, pagination: generatePagination(page, limit, total) }, "Trash retrieved successfully"));
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to retrieve trash", 500, formatResponse);
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/{id}/restore:
+ *   post:
+ *     summary: Restore a tag from the trash
+ *     description: Product assignments are kept while a tag is in the trash and come back with it.
+ *     tags: [Tags]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Tag restored successfully
+ *       401:
+ *         description: Unauthorized
+ *       404:
+ *         description: Tag not found in trash
+ */
+// Restore tag from the trash
+router.post("/:id/restore", requireAuth, requirePermission("delete_tags"), async (req, res) => {
+  try {
+    const restored = await restoreFromTrash("tag", req.params.id);
+
+    if (restored) {
+      clearTagRuleCache();
+      res.json(formatResponse(true, { id: req.params.id }, "Tag restored successfully"));
+    } else {
+      res.status(404).json(formatResponse(false, null, "Tag not found in trash"));
+    }
+  } catch (error) {
+    return handleErrorWithFormat(error, res, "Failed to restore tag", 500, formatResponse);
+  }
+});
+
 /**
  * @swagger
  * /api/tags/{id}/products:
  *   get:
  *     summary: Get products by tag
+ *     description: source is "rule" for products attached by the tag's smart rule, "manual" otherwise.
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -364,15 +749,15 @@ router.delete("/:id", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Get products by tag
-router.get("/:id/products", requireAuth, async (req, res) => {
+router.get("/:id/products", requireAuth, requirePermission("view_tags"), async (req, res) => {
   try {
     const { id } = req.params;
     
     const query = `
-      SELECT p.item_id, p.product_name, p.image_url, p.price, p.status 
+      SELECT p.item_id, p.product_name, p.image_url, p.price, p.status, pt.source
       FROM shopee_products p
       JOIN product_tags pt ON p.item_id = pt.product_item_id
-      WHERE pt.tag_id = ?
+      WHERE pt.tag_id = ? AND p.deleted_at IS NULL
       ORDER BY p.product_name ASC
     `;
 
@@ -409,7 +794,7 @@ router.get("/:id/products", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Get unassigned products (Not in this specific tag)
-router.get("/:id/products/unassigned", requireAuth, async (req, res) => {
+router.get("/:id/products/unassigned", requireAuth, requirePermission("view_tags"), async (req, res) => {
   try {
     const { id } = req.params;
 
@@ -417,7 +802,7 @@ router.get("/:id/products/unassigned", requireAuth, async (req, res) => {
     const query = `
       SELECT item_id, product_name, image_url, price, status 
       FROM shopee_products 
-      WHERE item_id NOT IN (
+      WHERE deleted_at IS NULL AND item_id NOT IN (
         SELECT product_item_id FROM product_tags WHERE tag_id = ?
       )
       ORDER BY product_name ASC
@@ -471,7 +856,7 @@ router.get("/:id/products/unassigned", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Assign products to tag
-router.post("/:id/assign", requireAuth, async (req, res) => {
+router.post("/:id/assign", requireAuth, requirePermission("edit_tags"), async (req, res) => {
   try {
     const { id } = req.params;
     const { productIds } = req.body; // Array of item_ids
@@ -480,7 +865,7 @@ router.post("/:id/assign", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "No products selected"));
     }
 
-    // We need to insert multiple rows. IGNORE duplicates just in case.
+    // We need to insert multiple rows. Existing rows are kept, rule-attached ones become manual.
     const values = productIds.map(pid => [pid, id]);
     
     // Need to construct a multi-value insert or loop.
@@ -497,7 +882,8 @@ router.post("/:id/assign", requireAuth, async (req, res) => {
         flatParams.push(id);
     });
 
-    const query = `INSERT IGNORE INTO product_tags (product_item_id, tag_id) VALUES ${placeholders}`;
+    const query = `INSERT INTO product_tags (product_item_id, tag_id) VALUES ${placeholders}
+      ON DUPLICATE KEY UPDATE source = 'manual'`;
     
     const result = await executeQuery(query, flatParams);
 
@@ -543,9 +929,11 @@ router.post("/:id/assign", requireAuth, async (req, res) => {
  *         description: Item ID is required
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: Product is attached by the tag rule (change the rule instead)
  */
 // Remove product from tag
-router.post("/:id/remove-product", requireAuth, async (req, res) => {
+router.post("/:id/remove-product", requireAuth, requirePermission("edit_tags"), async (req, res) => {
   try {
     const { id } = req.params;
     const { itemId } = req.body;
@@ -554,12 +942,22 @@ router.post("/:id/remove-product", requireAuth, async (req, res) => {
       return res.status(400).json(formatResponse(false, null, "Item ID is required"));
     }
 
+    // Rule rows would be attached again on the next save or sync
     const result = await executeQuery(
-      "DELETE FROM product_tags WHERE product_item_id = ? AND tag_id = ?",
+      "DELETE FROM product_tags WHERE product_item_id = ? AND tag_id = ? AND source = 'manual'",
       [itemId, id]
     );
 
     if (result.success) {
+      if (result.data.affectedRows === 0) {
+        const ruleResult = await executeQuery(
+          "SELECT 1 FROM product_tags WHERE product_item_id = ? AND tag_id = ? AND source = 'rule'",
+          [itemId, id]
+        );
+        if (ruleResult.success && ruleResult.data.length > 0) {
+          return res.status(409).json(formatResponse(false, null, "Product is attached by the tag rule"));
+        }
+      }
       res.json(formatResponse(true, { updated: result.data.affectedRows }, "Product removed from tag successfully"));
     } else {
       throw new Error(result.error);
@@ -574,6 +972,7 @@ router.post("/:id/remove-product", requireAuth, async (req, res) => {
  * /api/tags/product/{itemId}:
  *   get:
  *     summary: Get tags for a specific product
+ *     description: source is "rule" for tags attached by a smart tag rule, "manual" otherwise.
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -590,15 +989,15 @@ router.post("/:id/remove-product", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Get tags for a specific product
-router.get("/product/:itemId", requireAuth, async (req, res) => {
+router.get("/product/:itemId", requireAuth, requirePermission("view_tags"), async (req, res) => {
     try {
         const { itemId } = req.params;
         
         const query = `
-            SELECT t.* 
+            SELECT t.*, pt.source
             FROM tags t
             JOIN product_tags pt ON t.id = pt.tag_id
-            WHERE pt.product_item_id = ?
+            WHERE pt.product_item_id = ? AND t.deleted_at IS NULL
             ORDER BY t.name ASC
         `;
         
@@ -619,6 +1018,7 @@ router.get("/product/:itemId", requireAuth, async (req, res) => {
  * /api/tags/product/{itemId}:
  *   post:
  *     summary: Update tags for a product
+ *     description: Replaces the manually assigned tags; tags attached by a smart tag rule are kept.
  *     tags: [Tags]
  *     security:
  *       - bearerAuth: []
@@ -648,7 +1048,7 @@ router.get("/product/:itemId", requireAuth, async (req, res) => {
  *         description: Unauthorized
  */
 // Update tags for a product (Sync/Set tags)
-router.post("/product/:itemId", requireAuth, async (req, res) => {
+router.post("/product/:itemId", requireAuth, requirePermission("edit_tags"), async (req, res) => {
     try {
         const { itemId } = req.params;
         const { tagIds } = req.body; // Array of tag IDs
@@ -661,10 +1061,10 @@ router.post("/product/:itemId", requireAuth, async (req, res) => {
         // Note: mysql2/promise with our wrapper doesn't expose transactions easily unless we refactor.
         // For now, we'll do it sequentially. It's a small risk of inconsistency if crash happens in between.
         
-        // 1. Delete existing
-        await executeQuery("DELETE FROM product_tags WHERE product_item_id = ?", [itemId]);
+        // 1. Delete existing (manual only; rule tags follow their rule)
+        await executeQuery("DELETE FROM product_tags WHERE product_item_id = ? AND source = 'manual'", [itemId]);
         
-        // 2. Insert new if any
+        // 2. Insert new if any (rule-attached rows become manual, so the rule no longer detaches them)
         if (tagIds.length > 0) {
             const placeholders = tagIds.map(() => '(?, ?)').join(',');
             const flatParams = [];
@@ -673,7 +1073,8 @@ router.post("/product/:itemId", requireAuth, async (req, res) => {
                 flatParams.push(tagId);
             });
             
-            const insertQuery = `INSERT INTO product_tags (product_item_id, tag_id) VALUES ${placeholders}`;
+            const insertQuery = `INSERT INTO product_tags (product_item_id, tag_id) VALUES ${placeholders}
+              ON DUPLICATE KEY UPDATE source = 'manual'`;
             await executeQuery(insertQuery, flatParams);
         }
 
@@ -4,7 +4,7 @@ import path from "path";
 import fs from "fs";
 import { fileURLToPath } from "url";
 import { formatResponse } from "../utils/helpers.js";
-import { requireAuth } from "./auth.js";
+import { requireAuth, requirePermission } from "./auth.js";
 import { executeQuery } from "../config/database.js";
 import Logger from "../utils/logger.js";
 import { handleErrorWithFormat } from "../utils/errorHandler.js";
@@ -98,7 +98,7 @@ const uploadImage = multer({
 const router = express.Router();
 
 // Upload banner image
-router.post("/banner", requireAuth, uploadBanner.single("image"), async (req, res) => {
+router.post("/banner", requireAuth, requirePermission("upload_media"), uploadBanner.single("image"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json(formatResponse(false, null, "No image file provided"));
@@ -159,7 +159,7 @@ router.post("/banner", requireAuth, uploadBanner.single("image"), async (req, re
 });
 
 // Upload logo/image
-router.post("/image", requireAuth, uploadImage.single("image"), async (req, res) => {
+router.post("/image", requireAuth, requirePermission("upload_media"), uploadImage.single("image"), async (req, res) => {
   try {
     if (!req.file) {
       return res.status(400).json(formatResponse(false, null, "No image file provided"));
@@ -283,7 +283,7 @@ router.get("/images/:filename", (req, res) => {
 });
 
 // List all uploaded banner images
-router.get("/banners", requireAuth, async (req, res) => {
+router.get("/banners", requireAuth, requirePermission("view_media"), async (req, res) => {
   try {
     // Log directory path for debugging
     Logger.info("Listing banners from:", {
@@ -340,7 +340,7 @@ router.get("/banners", requireAuth, async (req, res) => {
 });
 
 // Check if image is used
-router.get("/banners/:filename/check", requireAuth, async (req, res) => {
+router.get("/banners/:filename/check", requireAuth, requirePermission("view_media"), async (req, res) => {
   try {
     const filename = req.params.filename;
     const fileUrl = `/api/uploads/banners/${filename}`;
@@ -363,7 +363,7 @@ router.get("/banners/:filename/check", requireAuth, async (req, res) => {
 });
 
 // Delete uploaded banner image
-router.delete("/banners/:filename", requireAuth, async (req, res) => {
+router.delete("/banners/:filename", requireAuth, requirePermission("delete_media"), async (req, res) => {
   try {
     const filename = req.params.filename;
     const filePath = path.join(bannersDir, filename);
@@ -399,7 +399,7 @@ router.delete("/banners/:filename", requireAuth, async (req, res) => {
 });
 
 // List all images from all directories under uploads
-router.get("/all", requireAuth, async (req, res) => {
+router.get("/all", requireAuth, requirePermission("view_media"), async (req, res) => {
   try {
     const allImages = [];
 
@@ -497,7 +497,7 @@ router.get("/all", requireAuth, async (req, res) => {
 });
 
 // Delete image from any folder under uploads
-router.delete("/:folder/:filename", requireAuth, async (req, res) => {
+router.delete("/:folder/:filename", requireAuth, requirePermission("delete_media"), async (req, res) => {
   try {
     const { folder, filename } = req.params;
 
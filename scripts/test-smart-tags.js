@@ -0,0 +1,140 @@
+/**
+ * Smart Tags Test Script
+ * Checks that smart tags follow category and flash sale changes made through the admin routes
+ * (rules on category_id / is_flash_sale must not wait for the next save or sync)
+ *
+ * Needs a running backend and an admin account:
+ *   TEST_ADMIN_USERNAME=admin TEST_ADMIN_PASSWORD=... node shonraApi/scripts/test-smart-tags.js
+ *
+ * The test product, category and tags are removed again at the end.
+ */
+
+import { executeQuery } from "../config/database.js";
+
+const BACKEND_URL = process.env.BACKEND_URL || "http://localhost:3002";
+const TEST_PREFIX = "TEST_";
+
+let token = null;
+const failures = [];
+
+async function api(method, path, body) {
+  const response = await fetch(`${BACKEND_URL}${path}`, {
+    method,
+    headers: {
+      "Content-Type": "application/json",
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const json = await response.json().catch(() => ({}));
+  if (!response.ok || json.success === false) {
+    throw new Error(`${method} ${path} failed (${response.status}): ${json.message || json.error || "no message"}`);
+  }
+  return json.data;
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Wait until the backfill started by creating a rule tag is done, so it cannot mask the result
+async function waitForBackfill(tagIds) {
+  for (let attempt = 0; attempt < 30; attempt++) {
+    const tags = await api("GET", "/api/tags");
+    if (!tags.some((tag) => tagIds.includes(tag.id) && Number(tag.rule_pending) === 1)) {
+      return;
+    }
+    await sleep(1000);
+  }
+  throw new Error("Smart tag backfill did not finish within 30 seconds");
+}
+
+async function expectRuleTag(itemId, tagId, expected, label) {
+  const tags = await api("GET", `/api/tags/product/${itemId}`);
+  const tag = tags.find((row) => row.id === tagId);
+  const attached = !!tag && tag.source === "rule";
+  if (attached === expected) {
+    console.log(`  ✅ ${label}`);
+  } else {
+    console.log(`  ❌ ${label}`);
+    failures.push(label);
+  }
+}
+
+async function runSmartTagTests() {
+  console.log("🚀 Starting Smart Tag Tests...\n");
+  console.log(`Backend URL: ${BACKEND_URL}\n`);
+
+  const { TEST_ADMIN_USERNAME, TEST_ADMIN_PASSWORD } = process.env;
+  if (!TEST_ADMIN_USERNAME || !TEST_ADMIN_PASSWORD) {
+    console.error("❌ Set TEST_ADMIN_USERNAME and TEST_ADMIN_PASSWORD");
+    process.exit(1);
+  }
+
+  const suffix = Date.now();
+  const itemId = `${TEST_PREFIX}SMART_TAGS_${suffix}`;
+  const created = { categoryId: null, tagIds: [] };
+
+  try {
+    const login = await api("POST", "/api/auth/login", { username: TEST_ADMIN_USERNAME, password: TEST_ADMIN_PASSWORD });
+    token = login.token;
+
+    await api("POST", "/api/products/save", {
+      itemId,
+      productName: `${TEST_PREFIX}Smart tag product ${suffix}`,
+      price: 100,
+      commissionRate: 0.1,
+      category_id: null,
+      is_flash_sale: false
+    });
+
+    const category = await api("POST", "/api/categories", { name: `${TEST_PREFIX}Smart tag category ${suffix}` });
+    created.categoryId = category.id;
+
+    const flashSaleTag = await api("POST", "/api/tags", { name: `${TEST_PREFIX}Flash sale ${suffix}`, rule: "is_flash_sale = true" });
+    const categoryTag = await api("POST", "/api/tags", {
+      name: `${TEST_PREFIX}Category ${suffix}`,
+      rule: `category_id = ${category.id}`
+    });
+    created.tagIds.push(flashSaleTag.id, categoryTag.id);
+    await waitForBackfill(created.tagIds);
+
+    console.log("=".repeat(60));
+    console.log("TEST 1: Flash sale flag (PATCH /api/products/:id/flash-sale)");
+    console.log("=".repeat(60));
+    await expectRuleTag(itemId, flashSaleTag.id, false, "Not tagged before the flag is set");
+    await api("PATCH", `/api/products/${itemId}/flash-sale`, { isFlashSale: true });
+    await expectRuleTag(itemId, flashSaleTag.id, true, "Tagged after setting the flag");
+    await api("PATCH", `/api/products/${itemId}/flash-sale`, { isFlashSale: false });
+    await expectRuleTag(itemId, flashSaleTag.id, false, "Untagged after clearing the flag");
+
+    console.log("\n" + "=".repeat(60));
+    console.log("TEST 2: Category (POST /api/categories/:id/assign, /unassign)");
+    console.log("=".repeat(60));
+    await expectRuleTag(itemId, categoryTag.id, false, "Not tagged before the category is assigned");
+    await api("POST", `/api/categories/${category.id}/assign`, { productIds: [itemId] });
+    await expectRuleTag(itemId, categoryTag.id, true, "Tagged after assigning the category");
+    await api("POST", "/api/categories/unassign", { productIds: [itemId] });
+    await expectRuleTag(itemId, categoryTag.id, false, "Untagged after unassigning the category");
+  } catch (error) {
+    console.error(`\n❌ ${error.message}`);
+    failures.push(error.message);
+  } finally {
+    // Hard delete: foreign keys cascade to product_tags and category assignments
+    await executeQuery("DELETE FROM shopee_products WHERE item_id = ?", [itemId]);
+    if (created.tagIds.length > 0) {
+      await executeQuery(`DELETE FROM tags WHERE id IN (${created.tagIds.map(() => "?").join(",")})`, created.tagIds);
+    }
+    if (created.categoryId) {
+      await executeQuery("DELETE FROM categories WHERE id = ?", [created.categoryId]);
+    }
+  }
+
+  console.log("\n" + "=".repeat(60));
+  if (failures.length > 0) {
+    console.log(`❌ ${failures.length} check(s) failed`);
+    process.exit(1);
+  }
+  console.log("✅ All smart tag checks passed");
+  process.exit(0);
+}
+
+runSmartTagTests();
@@ -0,0 +1,170 @@
+/**
+ * Banner Analytics Service
+ * Daily impression / click counters per banner (with the banner's campaign and
+ * position at the time of the event) and CTR reporting over a date range.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+
+// Upper bound of banner IDs accepted in one impression beacon
+export const MAX_IMPRESSION_BATCH = 20;
+
+/**
+ * Increment a daily counter for the given banners
+ * Only active banners are counted; campaign and position are copied from the banner.
+ * @param {Array<number>} bannerIds - Banner IDs
+ * @param {string} counter - "impressions" or "clicks"
+ * @returns {Promise<void>}
+ */
+async function incrementDailyCounter(bannerIds, counter) {
+  const placeholders = bannerIds.map(() => "?").join(",");
+  const result = await executeQuery(
+    `INSERT INTO banner_daily_stats (stat_date, banner_id, campaign_id, position_id, ${counter})
+     SELECT CURDATE(), b.id, b.campaign_id, b.position_id, 1
+     FROM banners b
+     WHERE b.id IN (${placeholders}) AND b.is_active = 1 AND b.deleted_at IS NULL
+     ON DUPLICATE KEY UPDATE
+       ${counter} = ${counter} + 1,
+       campaign_id = VALUES(campaign_id),
+       position_id = VALUES(position_id)`,
+    bannerIds
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+}
+
+/**
+ * Record impressions for banners that were shown
+ * Never throws: analytics must not break the page that sent the beacon.
+ * @param {Array<number>} bannerIds - Banner IDs (deduplicated, at most MAX_IMPRESSION_BATCH)
+ * @returns {Promise<boolean>} True if recorded
+ */
+export async function recordBannerImpressions(bannerIds) {
+  if (bannerIds.length === 0) {
+    return false;
+  }
+  try {
+    await incrementDailyCounter(bannerIds, "impressions");
+    return true;
+  } catch (error) {
+    Logger.warn(`[BannerAnalytics] Failed to record impressions: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Record a banner click
+ * Never throws: a failed insert must not block the redirect.
+ * @param {number} bannerId - Banner ID
+ * @returns {Promise<boolean>} True if recorded
+ */
+export async function recordBannerClick(bannerId) {
+  try {
+    await incrementDailyCounter([bannerId], "clicks");
+    return true;
+  } catch (error) {
+    Logger.warn(`[BannerAnalytics] Failed to record click for banner ${bannerId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Parse banner IDs from an impression beacon body
+ * @param {*} value - Array of IDs or comma separated string
+ * @returns {Array<number>} Unique positive IDs (at most MAX_IMPRESSION_BATCH)
+ */
+export function parseBannerIds(value) {
+  const list = Array.isArray(value) ? value : String(value ?? "").split(",");
+  const ids = list.map((id) => parseInt(id)).filter((id) => Number.isInteger(id) && id > 0);
+  return [...new Set(ids)].slice(0, MAX_IMPRESSION_BATCH);
+}
+
+function withCtr(row) {
+  const impressions = Number(row.impressions) || 0;
+  const clicks = Number(row.clicks) || 0;
+  return {
+    ...row,
+    impressions,
+    clicks,
+    ctr: impressions > 0 ? Number(((clicks / impressions) * 100).toFixed(2)) : 0
+  };
+}
+
+/**
+ * CTR report per banner and per campaign
+ * @param {Object} options - Report options
+ * @param {string} options.from - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} options.to - End date (YYYY-MM-DD, inclusive)
+ * @param {number|null} options.positionId - Only this position
+ * @param {number|null} options.campaignId - Only this campaign
+ * @returns {Promise<Object>} { from, to, totals, banners, campaigns } (ctr in percent)
+ */
+export async function getBannerStats({ from, to, positionId = null, campaignId = null }) {
+  let whereClause = "WHERE s.stat_date BETWEEN ? AND ?";
+  const params = [from, to];
+
+  if (positionId) {
+    whereClause += " AND s.position_id = ?";
+    params.push(positionId);
+  }
+  if (campaignId) {
+    whereClause += " AND s.campaign_id = ?";
+    params.push(campaignId);
+  }
+
+  const [bannersResult, campaignsResult] = await Promise.all([
+    executeQuery(
+      `SELECT s.banner_id, MAX(b.title) as title,
+              s.position_id, MAX(bp.name) as position_name,
+              s.campaign_id, MAX(bc.name) as campaign_name,
+              SUM(s.impressions) as impressions, SUM(s.clicks) as clicks
+       FROM banner_daily_stats s
+       LEFT JOIN banners b ON b.id = s.banner_id
+       LEFT JOIN banner_positions bp ON bp.id = s.position_id
+       LEFT JOIN banner_campaigns bc ON bc.id = s.campaign_id
+       ${whereClause}
+       GROUP BY s.banner_id, s.position_id, s.campaign_id
+       ORDER BY impressions DESC`,
+      params
+    ),
+    executeQuery(
+      `SELECT s.campaign_id, MAX(bc.name) as campaign_name,
+              COUNT(DISTINCT s.banner_id) as banner_count,
+              SUM(s.impressions) as impressions, SUM(s.clicks) as clicks
+       FROM banner_daily_stats s
+       LEFT JOIN banner_campaigns bc ON bc.id = s.campaign_id
+       ${whereClause}
+       GROUP BY s.campaign_id
+       ORDER BY impressions DESC`,
+      params
+    )
+  ]);
+
+  if (!bannersResult.success) {
+    throw new Error(bannersResult.error);
+  }
+  if (!campaignsResult.success) {
+    throw new Error(campaignsResult.error);
+  }
+
+  const banners = bannersResult.data.map(withCtr);
+  const totals = withCtr(
+    banners.reduce(
+      (sum, banner) => ({
+        impressions: sum.impressions + banner.impressions,
+        clicks: sum.clicks + banner.clicks
+      }),
+      { impressions: 0, clicks: 0 }
+    )
+  );
+
+  return {
+    from,
+    to,
+    totals,
+    banners,
+    campaigns: campaignsResult.data.map(withCtr)
+  };
+}
@@ -0,0 +1,404 @@
+/**
+ * Category Keyword Suggestion Service
+ * Learns category keywords from the corrections editors make by hand:
+ * - Manual assignments (assign / move-products) are remembered in category_manual_assignments
+ * - The mining job collects words and two-word phrases shared by several manually assigned
+ *   products of a category and scores each against the whole catalog:
+ *     precision = products in the category containing the term / all products containing it
+ *     recall    = products in the category containing the term / all products in the category
+ * - Suggestions are reviewed by an editor; accepted ones become category_keywords, rejected ones
+ *   are never suggested again
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { registerJob, runJob } from "./jobScheduler.js";
+import { normalizeSearchTerm } from "../utils/productSearch.js";
+import { clearCategoryCache } from "../utils/categoryService.js";
+
+export const KEYWORD_MINING_JOB = "category-keyword-mining";
+
+// Configuration (can be overridden by environment variables)
+const MINING_ENABLED = process.env.CATEGORY_KEYWORD_MINING_ENABLED !== "false";
+const MINING_INTERVAL_MS = parseInt(process.env.CATEGORY_KEYWORD_MINING_INTERVAL_MS) || 24 * 60 * 60 * 1000; // 1 day
+// A term must appear in this many manually assigned products of the category
+const MIN_SUPPORT = parseInt(process.env.CATEGORY_KEYWORD_MIN_SUPPORT) || 3;
+const MIN_PRECISION = parseFloat(process.env.CATEGORY_KEYWORD_MIN_PRECISION) || 0.6;
+
+// Only the most frequent terms of a category are scored against the catalog
+const MAX_CANDIDATES_PER_CATEGORY = 50;
+const MAX_SUGGESTIONS_PER_CATEGORY = 20;
+const MIN_TERM_LENGTH = 2;
+
+export const SUGGESTION_STATUSES = ["pending", "accepted", "rejected"];
+
+const wordSegmenter = new Intl.Segmenter("th", { granularity: "word" });
+
+/**
+ * Remember that products were put in a category by hand
+ * Never throws: a failed insert must not fail the assignment.
+ * @param {Array<string>} itemIds - Item IDs
+ * @param {number} categoryId - Category the products were assigned to
+ * @param {number|null} assignedBy - Admin user ID
+ * @returns {Promise<void>}
+ */
+export async function recordManualAssignments(itemIds, categoryId, assignedBy = null) {
+  if (!Array.isArray(itemIds) || itemIds.length === 0) {
+    return;
+  }
+
+  try {
+    // Insert in chunks to keep statements small (move-products can move a whole category)
+    for (let i = 0; i < itemIds.length; i += 500) {
+      const chunk = itemIds.slice(i, i + 500);
+      const result = await executeQuery(
+        `INSERT INTO category_manual_assignments (item_id, category_id, assigned_by)
+         VALUES ${chunk.map(() => "(?, ?, ?)").join(", ")}
+         ON DUPLICATE KEY UPDATE
+           category_id = VALUES(category_id),
+           assigned_by = VALUES(assigned_by),
+           assigned_at = CURRENT_TIMESTAMP`,
+        chunk.flatMap((itemId) => [String(itemId), categoryId, assignedBy])
+      );
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+    }
+  } catch (error) {
+    Logger.warn(`[KeywordSuggestions] Failed to record manual assignments: ${error.message}`);
+  }
+}
+
+/**
+ * Forget manual assignments of products that were taken out of their category
+ * Never throws.
+ * @param {Array<string>} itemIds - Item IDs
+ * @returns {Promise<void>}
+ */
+export async function forgetManualAssignments(itemIds) {
+  if (!Array.isArray(itemIds) || itemIds.length === 0) {
+    return;
+  }
+
+  const result = await executeQuery(
+    `DELETE FROM category_manual_assignments WHERE item_id IN (${itemIds.map(() => "?").join(", ")})`,
+    itemIds.map(String)
+  );
+  if (!result.success) {
+    Logger.warn(`[KeywordSuggestions] Failed to forget manual assignments: ${result.error}`);
+  }
+}
+
+/**
+ * Candidate terms of a product name: words and two-word phrases as they appear in the name
+ * ("iphone case" gives "iphone", "case" and "iphone case"; Thai is split with the ICU dictionary,
+ * so neighbouring Thai words form a phrase without a space)
+ * @param {string} name - Normalized product name
+ * @returns {Set<string>}
+ */
+function extractTerms(name) {
+  const words = [...wordSegmenter.segment(name)].filter((segment) => segment.isWordLike);
+  const terms = new Set();
+
+  words.forEach((word, index) => {
+    if (word.segment.length >= MIN_TERM_LENGTH && !/^\d+$/.test(word.segment)) {
+      terms.add(word.segment);
+    }
+
+    const next = words[index + 1];
+    // Only neighbours separated by nothing or spaces form a phrase
+    if (next && /^\s*$/.test(name.slice(word.index + word.segment.length, next.index))) {
+      terms.add(name.slice(word.index, next.index + next.segment.length));
+    }
+  });
+  return terms;
+}
+
+// Manually assigned products that are still in the category they were assigned to
+async function loadManualProducts() {
+  const result = await executeQuery(
+    `SELECT m.category_id, p.product_name
+     FROM category_manual_assignments m
+     JOIN shopee_products p ON p.item_id = m.item_id AND p.category_id = m.category_id AND p.deleted_at IS NULL
+     JOIN categories c ON c.id = m.category_id AND c.is_active = 1 AND c.deleted_at IS NULL`
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const byCategory = new Map();
+  result.data.forEach((row) => {
+    if (!byCategory.has(row.category_id)) {
+      byCategory.set(row.category_id, []);
+    }
+    byCategory.get(row.category_id).push(normalizeSearchTerm(row.product_name));
+  });
+  return byCategory;
+}
+
+// Terms that need no suggestion: existing keywords and reviewed suggestions of each category
+async function loadKnownTerms() {
+  const [keywordsResult, reviewedResult] = await Promise.all([
+    executeQuery("SELECT category_id, keyword as term FROM category_keywords"),
+    executeQuery("SELECT category_id, keyword as term FROM category_keyword_suggestions WHERE status != 'pending'")
+  ]);
+  if (!keywordsResult.success || !reviewedResult.success) {
+    throw new Error(keywordsResult.error || reviewedResult.error);
+  }
+
+  const known = new Set();
+  [...keywordsResult.data, ...reviewedResult.data].forEach((row) => {
+    known.add(`${row.category_id}:${normalizeSearchTerm(row.term)}`);
+  });
+  return known;
+}
+
+/**
+ * Score candidate terms of one category against the catalog
+ * Matches are counted in SQL (one scan per category), so the catalog is never loaded into memory.
+ * @returns {Promise<Array<Object>>} Suggestions ranked by precision, then recall
+ */
+async function scoreCandidates(categoryId, names, categorySize, known) {
+  const support = new Map();
+  names.forEach((name) => {
+    extractTerms(name).forEach((term) => support.set(term, (support.get(term) || 0) + 1));
+  });
+
+  const candidates = [...support.entries()]
+    .filter(([term, count]) => count >= MIN_SUPPORT && !known.has(`${categoryId}:${term}`))
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, MAX_CANDIDATES_PER_CATEGORY);
+
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  // Case-insensitive substring match, like the keyword matcher (binary collation: no accent folding)
+  const matchExpression = "INSTR(LOWER(product_name) COLLATE utf8mb4_bin, ?) > 0";
+  const countsResult = await executeQuery(
+    `SELECT ${candidates
+      .map((candidate, index) =>
+        `SUM(${matchExpression}) as matched_${index}, SUM(${matchExpression} AND category_id = ?) as true_positives_${index}`
+      )
+      .join(", ")}
+     FROM shopee_products
+     WHERE deleted_at IS NULL`,
+    candidates.flatMap(([term]) => [term, term, categoryId])
+  );
+  if (!countsResult.success) {
+    throw new Error(countsResult.error);
+  }
+  const counts = countsResult.data[0];
+
+  const suggestions = [];
+  for (const [index, [term, count]] of candidates.entries()) {
+    const matched = Number(counts[`matched_${index}`]) || 0;
+    const truePositives = Number(counts[`true_positives_${index}`]) || 0;
+
+    const precision = matched > 0 ? truePositives / matched : 0;
+    if (precision < MIN_PRECISION) {
+      continue;
+    }
+    suggestions.push({
+      category_id: categoryId,
+      keyword: term,
+      support: count,
+      matched_products: matched,
+      true_positives: truePositives,
+      precision,
+      recall: categorySize > 0 ? truePositives / categorySize : 0
+    });
+  }
+
+  return suggestions
+    .sort((a, b) => b.precision - a.precision || b.recall - a.recall)
+    .slice(0, MAX_SUGGESTIONS_PER_CATEGORY);
+}
+
+/**
+ * Mine keyword suggestions from manual assignments (job handler)
+ * Pending suggestions are replaced by the new ones; reviewed suggestions are kept.
+ * @param {Object} context - Job context from jobScheduler
+ * @returns {Promise<Object>} Run statistics
+ */
+export async function mineKeywordSuggestions({ reportProgress }) {
+  const stats = { categories: 0, suggestions: 0 };
+  const manualProducts = await loadManualProducts();
+  const known = await loadKnownTerms();
+
+  const sizesResult = await executeQuery(
+    "SELECT category_id, COUNT(*) as total FROM shopee_products WHERE deleted_at IS NULL AND category_id IS NOT NULL GROUP BY category_id"
+  );
+  if (!sizesResult.success) {
+    throw new Error(sizesResult.error);
+  }
+  const categorySizes = new Map(sizesResult.data.map((row) => [row.category_id, Number(row.total)]));
+
+  await reportProgress({ processed: 0, total: manualProducts.size, stats });
+
+  const suggestions = [];
+  for (const [categoryId, names] of manualProducts) {
+    suggestions.push(...(await scoreCandidates(categoryId, names, categorySizes.get(categoryId) || 0, known)));
+    stats.categories++;
+    await reportProgress({ processed: stats.categories, total: manualProducts.size, stats });
+  }
+
+  const deleteResult = await executeQuery("DELETE FROM category_keyword_suggestions WHERE status = 'pending'");
+  if (!deleteResult.success) {
+    throw new Error(deleteResult.error);
+  }
+
+  // Insert in chunks to keep statements small
+  for (let i = 0; i < suggestions.length; i += 200) {
+    const chunk = suggestions.slice(i, i + 200);
+    const insertResult = await executeQuery(
+      `INSERT IGNORE INTO category_keyword_suggestions
+         (category_id, keyword, support, matched_products, true_positives, precision_score, recall_score)
+       VALUES ${chunk.map(() => "(?, ?, ?, ?, ?, ?, ?)").join(", ")}`,
+      chunk.flatMap((suggestion) => [
+        suggestion.category_id,
+        suggestion.keyword,
+        suggestion.support,
+        suggestion.matched_products,
+        suggestion.true_positives,
+        suggestion.precision.toFixed(4),
+        suggestion.recall.toFixed(4)
+      ])
+    );
+    if (!insertResult.success) {
+      throw new Error(insertResult.error);
+    }
+    stats.suggestions += insertResult.data.affectedRows;
+  }
+
+  Logger.info(`[KeywordSuggestions] ${stats.suggestions} suggestion(s) for ${stats.categories} category(ies)`);
+  return stats;
+}
+
+/**
+ * List keyword suggestions, best first
+ * @param {Object} options - Filter and pagination
+ * @param {number} options.categoryId - Category filter (optional)
+ * @param {string} options.status - Status filter (default "pending")
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} { suggestions, total }
+ */
+export async function listKeywordSuggestions({ categoryId, status = "pending", limit = 50, offset = 0 } = {}) {
+  let whereClause = "WHERE s.status = ?";
+  const queryParams = [status];
+
+  if (categoryId) {
+    whereClause += " AND s.category_id = ?";
+    queryParams.push(categoryId);
+  }
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) as total FROM category_keyword_suggestions s ${whereClause}`,
+    queryParams
+  );
+  const listResult = await executeQuery(
+    `SELECT s.id, s.category_id, c.name as category_name, s.keyword, s.support, s.matched_products,
+            s.true_positives, s.precision_score, s.recall_score, s.status, s.reviewed_by, s.reviewed_at, s.created_at
+     FROM category_keyword_suggestions s
+     JOIN categories c ON c.id = s.category_id
+     ${whereClause}
+     ORDER BY s.precision_score DESC, s.recall_score DESC, s.id ASC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+    queryParams
+  );
+  if (!countResult.success || !listResult.success) {
+    throw new Error(countResult.error || listResult.error);
+  }
+
+  return { suggestions: listResult.data, total: countResult.data[0].total };
+}
+
+/**
+ * Get a keyword suggestion
+ * @param {number} suggestionId - Suggestion ID
+ * @returns {Promise<Object|null>}
+ */
+export async function getKeywordSuggestion(suggestionId) {
+  const result = await executeQuery("SELECT * FROM category_keyword_suggestions WHERE id = ?", [suggestionId]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data[0] || null;
+}
+
+/**
+ * Accept a pending suggestion as a category keyword
+ * @param {Object} suggestion - Suggestion record
+ * @param {Object} rule - Validated keyword rule (see parseKeywordRule)
+ * @param {number} reviewedBy - Admin user ID
+ * @returns {Promise<number|null>} Keyword ID, or null if the suggestion was already reviewed
+ */
+export async function acceptKeywordSuggestion(suggestion, rule, reviewedBy = null) {
+  // Claim the suggestion first so two editors cannot accept it twice
+  if (!(await reviewKeywordSuggestion(suggestion.id, "accepted", reviewedBy))) {
+    return null;
+  }
+
+  const insertResult = await executeQuery(
+    `INSERT INTO category_keywords (category_id, keyword, is_high_priority, match_type, is_negative, weight)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      suggestion.category_id,
+      rule.keyword,
+      rule.is_high_priority ? 1 : 0,
+      rule.match_type,
+      rule.is_negative ? 1 : 0,
+      rule.weight
+    ]
+  );
+  if (!insertResult.success) {
+    await executeQuery(
+      "UPDATE category_keyword_suggestions SET status = 'pending', reviewed_by = NULL, reviewed_at = NULL WHERE id = ?",
+      [suggestion.id]
+    );
+    throw new Error(insertResult.error);
+  }
+
+  clearCategoryCache();
+  return insertResult.data.insertId;
+}
+
+/**
+ * Mark a suggestion as reviewed
+ * @param {number} suggestionId - Suggestion ID
+ * @param {string} status - "accepted" or "rejected"
+ * @param {number} reviewedBy - Admin user ID
+ * @returns {Promise<boolean>} False if the suggestion was not pending
+ */
+export async function reviewKeywordSuggestion(suggestionId, status, reviewedBy = null) {
+  const result = await executeQuery(
+    `UPDATE category_keyword_suggestions SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending'`,
+    [status, reviewedBy, suggestionId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * Start the mining job in the background
+ * @param {number|null} triggeredBy - Admin user ID
+ * @returns {Promise<Object|null>} Started run or null if already running
+ */
+export async function startKeywordMiningJob(triggeredBy = null) {
+  return runJob(KEYWORD_MINING_JOB, { trigger: "manual", triggeredBy });
+}
+
+/**
+ * Register the keyword mining job with the scheduler
+ */
+export function registerKeywordMiningJob() {
+  registerJob(KEYWORD_MINING_JOB, mineKeywordSuggestions, {
+    intervalMs: MINING_INTERVAL_MS,
+    enabled: MINING_ENABLED,
+    description: "Suggest category keywords learned from manual category assignments"
+  });
+}
@@ -0,0 +1,412 @@
+/**
+ * Category Reclassification Service
+ * Re-runs keyword category analysis over saved products, e.g. after keywords change:
+ * - Preview: every product in scope is analyzed and the products whose category would change
+ *   are stored in category_reclassification_items; nothing is updated yet
+ * - Apply: the stored changes are written, skipping products whose category was changed
+ *   by someone else since the preview
+ * Both steps run in the background job, so large catalogs do not block the request.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { registerJob, runJob } from "./jobScheduler.js";
+import { explainCategory, clearCategoryCache } from "../utils/categoryService.js";
+import { clearCatalogCaches } from "../utils/productService.js";
+import { applySmartTags } from "../utils/tagRules.js";
+
+export const CATEGORY_RECLASSIFY_JOB = "category-reclassify";
+
+// uncategorized: only products without a category; all: every product in the catalog
+export const RECLASSIFY_SCOPES = ["uncategorized", "all"];
+
+const PREVIEW_BATCH_SIZE = 500;
+const APPLY_BATCH_SIZE = 100;
+
+/**
+ * Create a reclassification and queue its preview
+ * @param {Object} params - Parameters
+ * @param {string} params.scope - One of RECLASSIFY_SCOPES
+ * @param {number} params.createdBy - Admin user ID
+ * @returns {Promise<number>} Reclassification ID
+ */
+export async function createReclassification({ scope = "uncategorized", createdBy = null }) {
+  const result = await executeQuery(
+    "INSERT INTO category_reclassifications (scope, status, created_by) VALUES (?, 'pending', ?)",
+    [scope, createdBy]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.insertId;
+}
+
+/**
+ * Analyze every product in scope and store the changes
+ * A preview interrupted by a restart starts over.
+ */
+async function previewReclassification(record, onProgress) {
+  await executeQuery("DELETE FROM category_reclassification_items WHERE reclassification_id = ?", [record.id]);
+  await executeQuery(
+    "UPDATE category_reclassifications SET status = 'previewing', error_message = NULL WHERE id = ?",
+    [record.id]
+  );
+
+  // Keywords may have changed a moment ago: analyze against the current ones
+  clearCategoryCache();
+
+  const scopeClause = record.scope === "all" ? "" : "AND category_id IS NULL";
+  let lastId = 0;
+  let total = 0;
+  let changed = 0;
+
+  while (true) {
+    const productsResult = await executeQuery(
+      `SELECT id, item_id, product_name, category_id FROM shopee_products
+       WHERE deleted_at IS NULL ${scopeClause} AND id > ?
+       ORDER BY id ASC
+       LIMIT ${PREVIEW_BATCH_SIZE}`,
+      [lastId]
+    );
+    if (!productsResult.success) {
+      throw new Error(productsResult.error);
+    }
+    if (productsResult.data.length === 0) {
+      break;
+    }
+
+    const changes = [];
+    for (const product of productsResult.data) {
+      const analysis = await explainCategory(product.product_name);
+      // Products no keyword matches keep their category; they are never uncategorized
+      if (analysis.category_id && analysis.category_id !== product.category_id) {
+        changes.push([
+          record.id,
+          product.id,
+          product.item_id,
+          String(product.product_name || "").slice(0, 500),
+          product.category_id,
+          analysis.category_id,
+          analysis.score,
+          analysis.reason.slice(0, 500)
+        ]);
+      }
+    }
+
+    if (changes.length > 0) {
+      const placeholders = changes.map(() => "(?, ?, ?, ?, ?, ?, ?, ?)").join(", ");
+      const insertResult = await executeQuery(
+        `INSERT INTO category_reclassification_items
+           (reclassification_id, product_id, item_id, product_name, old_category_id, new_category_id, score, reason)
+         VALUES ${placeholders}`,
+        changes.flat()
+      );
+      if (!insertResult.success) {
+        throw new Error(insertResult.error);
+      }
+    }
+
+    total += productsResult.data.length;
+    changed += changes.length;
+    lastId = productsResult.data[productsResult.data.length - 1].id;
+    await onProgress({ processed: total });
+  }
+
+  await executeQuery(
+    `UPDATE category_reclassifications
+     SET status = 'ready', total_products = ?, changed_products = ?, previewed_at = CURRENT_TIMESTAMP
+     WHERE id = ?`,
+    [total, changed, record.id]
+  );
+  Logger.info(`[CategoryReclassify] Preview ${record.id}: ${changed} of ${total} product(s) would change category`);
+  return total;
+}
+
+// Recalculate applied / skipped counters from the items
+async function refreshApplyCounts(reclassificationId) {
+  const countsResult = await executeQuery(
+    "SELECT status, COUNT(*) as count FROM category_reclassification_items WHERE reclassification_id = ? GROUP BY status",
+    [reclassificationId]
+  );
+  if (!countsResult.success) {
+    throw new Error(countsResult.error);
+  }
+
+  const counts = { pending: 0, applied: 0, skipped: 0 };
+  for (const row of countsResult.data) {
+    counts[row.status] = row.count;
+  }
+
+  await executeQuery(
+    "UPDATE category_reclassifications SET applied_products = ?, skipped_products = ? WHERE id = ?",
+    [counts.applied, counts.skipped, reclassificationId]
+  );
+  return counts;
+}
+
+/**
+ * Write the previewed changes
+ * Only pending items are processed, so an interrupted apply continues where it stopped.
+ */
+async function applyReclassification(record, onProgress) {
+  let processed = 0;
+
+  while (true) {
+    const itemsResult = await executeQuery(
+      `SELECT i.id, i.product_id, i.old_category_id, i.new_category_id, c.id as category_exists, p.item_id
+       FROM category_reclassification_items i
+       LEFT JOIN shopee_products p ON p.id = i.product_id
+       LEFT JOIN categories c ON c.id = i.new_category_id AND c.is_active = 1 AND c.deleted_at IS NULL
+       WHERE i.reclassification_id = ? AND i.status = 'pending'
+       ORDER BY i.id ASC
+       LIMIT ${APPLY_BATCH_SIZE}`,
+      [record.id]
+    );
+    if (!itemsResult.success) {
+      throw new Error(itemsResult.error);
+    }
+    if (itemsResult.data.length === 0) {
+      break;
+    }
+
+    for (const item of itemsResult.data) {
+      let status = "skipped";
+      // The category may have been deactivated or deleted since the preview
+      if (item.category_exists) {
+        const updateResult = await executeQuery(
+          `UPDATE shopee_products SET category_id = ?
+           WHERE id = ? AND category_id <=> ? AND deleted_at IS NULL`,
+          [item.new_category_id, item.product_id, item.old_category_id]
+        );
+        if (!updateResult.success) {
+          throw new Error(updateResult.error);
+        }
+        status = updateResult.data.affectedRows > 0 ? "applied" : "skipped";
+        if (status === "applied") {
+          // Smart tag rules may use category_id
+          await applySmartTags(item.item_id);
+        }
+      }
+
+      await executeQuery("UPDATE category_reclassification_items SET status = ? WHERE id = ?", [status, item.id]);
+      processed++;
+    }
+
+    await refreshApplyCounts(record.id);
+    await onProgress({ processed });
+  }
+
+  const counts = await refreshApplyCounts(record.id);
+  await executeQuery(
+    "UPDATE category_reclassifications SET status = 'applied', applied_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [record.id]
+  );
+  Logger.success(
+    `[CategoryReclassify] Applied ${record.id}: ${counts.applied} product(s) moved, ${counts.skipped} skipped`
+  );
+  if (counts.applied > 0) {
+    clearCatalogCaches();
+  }
+  return processed;
+}
+
+/**
+ * Get a reclassification with its changes grouped by old -> new category
+ * @param {number} reclassificationId - Reclassification ID
+ * @returns {Promise<Object|null>} Record with transitions, or null if not found
+ */
+export async function getReclassification(reclassificationId) {
+  const result = await executeQuery(
+    `SELECT id, scope, status, total_products, changed_products, applied_products, skipped_products,
+            error_message, created_by, applied_by, created_at, updated_at, previewed_at, applied_at
+     FROM category_reclassifications WHERE id = ?`,
+    [reclassificationId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.length === 0) {
+    return null;
+  }
+
+  const transitionsResult = await executeQuery(
+    `SELECT i.old_category_id, oc.name as old_category_name, i.new_category_id, nc.name as new_category_name,
+            COUNT(*) as product_count
+     FROM category_reclassification_items i
+     LEFT JOIN categories oc ON oc.id = i.old_category_id
+     LEFT JOIN categories nc ON nc.id = i.new_category_id
+     WHERE i.reclassification_id = ?
+     GROUP BY i.old_category_id, oc.name, i.new_category_id, nc.name
+     ORDER BY product_count DESC`,
+    [reclassificationId]
+  );
+  if (!transitionsResult.success) {
+    throw new Error(transitionsResult.error);
+  }
+
+  return { ...result.data[0], transitions: transitionsResult.data };
+}
+
+/**
+ * Get the per-product changes of a reclassification
+ * @param {number} reclassificationId - Reclassification ID
+ * @param {Object} options - Filter and pagination
+ * @param {string} options.status - Item status filter (optional)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} { items, total }
+ */
+export async function getReclassificationItems(reclassificationId, { status, limit = 100, offset = 0 } = {}) {
+  let whereClause = "WHERE i.reclassification_id = ?";
+  const queryParams = [reclassificationId];
+
+  if (status) {
+    whereClause += " AND i.status = ?";
+    queryParams.push(status);
+  }
+
+  const countResult = await executeQuery(
+    `SELECT COUNT(*) as total FROM category_reclassification_items i ${whereClause}`,
+    queryParams
+  );
+  const itemsResult = await executeQuery(
+    `SELECT i.item_id, i.product_name, i.old_category_id, oc.name as old_category_name,
+            i.new_category_id, nc.name as new_category_name, i.score, i.reason, i.status
+     FROM category_reclassification_items i
+     LEFT JOIN categories oc ON oc.id = i.old_category_id
+     LEFT JOIN categories nc ON nc.id = i.new_category_id
+     ${whereClause}
+     ORDER BY i.id ASC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+    queryParams
+  );
+  if (!countResult.success || !itemsResult.success) {
+    throw new Error(countResult.error || itemsResult.error);
+  }
+
+  return { items: itemsResult.data, total: countResult.data[0].total };
+}
+
+/**
+ * List reclassifications, newest first
+ * @param {Object} options - Pagination
+ * @returns {Promise<Object>} { reclassifications, total }
+ */
+export async function listReclassifications({ limit = 20, offset = 0 } = {}) {
+  const countResult = await executeQuery("SELECT COUNT(*) as total FROM category_reclassifications");
+  const listResult = await executeQuery(
+    `SELECT id, scope, status, total_products, changed_products, applied_products, skipped_products,
+            created_by, applied_by, created_at, previewed_at, applied_at
+     FROM category_reclassifications
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`
+  );
+  if (!countResult.success || !listResult.success) {
+    throw new Error(countResult.error || listResult.error);
+  }
+
+  return { reclassifications: listResult.data, total: countResult.data[0].total };
+}
+
+/**
+ * Queue the previewed changes of a reclassification to be applied
+ * A failed apply can be queued again; it continues with the items not yet applied.
+ * @param {number} reclassificationId - Reclassification ID
+ * @param {number} appliedBy - Admin user ID
+ * @returns {Promise<boolean>} False if the reclassification has no finished preview
+ */
+export async function requestApply(reclassificationId, appliedBy = null) {
+  const result = await executeQuery(
+    `UPDATE category_reclassifications SET status = 'applying', applied_by = ?, error_message = NULL
+     WHERE id = ? AND previewed_at IS NOT NULL AND status IN ('ready', 'failed')`,
+    [appliedBy, reclassificationId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * Discard a preview that should not be applied
+ * @param {number} reclassificationId - Reclassification ID
+ * @returns {Promise<boolean>} False if it is being processed or already applied
+ */
+export async function discardReclassification(reclassificationId) {
+  const result = await executeQuery(
+    "UPDATE category_reclassifications SET status = 'discarded' WHERE id = ? AND status IN ('ready', 'failed')",
+    [reclassificationId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * Start the reclassification job in the background
+ * @param {number|null} triggeredBy - Admin user ID
+ * @returns {Promise<Object|null>} Started run or null if already running (it picks up new work before finishing)
+ */
+export async function startReclassifyJob(triggeredBy = null) {
+  return runJob(CATEGORY_RECLASSIFY_JOB, { trigger: "manual", triggeredBy });
+}
+
+/**
+ * Preview or apply every queued reclassification (job handler)
+ * @param {Object} context - Job context from jobScheduler
+ * @returns {Promise<Object>} Run statistics
+ */
+export async function processPendingReclassifications({ reportProgress }) {
+  const stats = { previewed: 0, applied: 0, failed: 0, products: 0 };
+  const attempted = new Set();
+
+  while (true) {
+    // Runs left "previewing" or "applying" by a restart are picked up again
+    const nextResult = await executeQuery(
+      `SELECT id, scope, status FROM category_reclassifications
+       WHERE status IN ('pending', 'previewing', 'applying')
+       ORDER BY id ASC`
+    );
+    if (!nextResult.success) {
+      throw new Error(nextResult.error);
+    }
+
+    const next = nextResult.data.find((row) => !attempted.has(row.id));
+    if (!next) {
+      break;
+    }
+    attempted.add(next.id);
+
+    const isApply = next.status === "applying";
+    const processedBefore = stats.products;
+    const onProgress = ({ processed }) => reportProgress({ processed: processedBefore + processed, stats });
+
+    try {
+      stats.products += isApply
+        ? await applyReclassification(next, onProgress)
+        : await previewReclassification(next, onProgress);
+      stats[isApply ? "applied" : "previewed"]++;
+    } catch (error) {
+      stats.failed++;
+      await executeQuery("UPDATE category_reclassifications SET status = 'failed', error_message = ? WHERE id = ?", [
+        error.message,
+        next.id
+      ]);
+      Logger.error(`[CategoryReclassify] Reclassification ${next.id} failed:`, error);
+    }
+    await reportProgress({ processed: stats.products, stats });
+  }
+
+  return stats;
+}
+
+/**
+ * Register the reclassification job with the scheduler (manual runs only)
+ */
+export function registerCategoryReclassifyJob() {
+  registerJob(CATEGORY_RECLASSIFY_JOB, processPendingReclassifications, {
+    intervalMs: 0,
+    description: "Preview and apply keyword re-classification of product categories"
+  });
+}
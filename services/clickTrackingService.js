@@ -0,0 +1,273 @@
+/**
+ * Click Tracking Service
+ * Records outbound affiliate clicks (/go/:itemId) and aggregates them per
+ * product, category, tag and day. IPs are never stored, only a salted hash
+ * that is good enough to count unique visitors.
+ */
+
+import crypto from "crypto";
+import { executeQuery } from "../config/database.js";
+import { getClientIP } from "../middleware/ipBlocking.js";
+import Logger from "../utils/logger.js";
+
+// Without a configured salt the hashes (and unique visitor counts) only hold until restart
+const IP_HASH_SALT = process.env.CLICK_IP_SALT || crypto.randomBytes(32).toString("hex");
+if (!process.env.CLICK_IP_SALT) {
+  Logger.warn("[ClickTracking] CLICK_IP_SALT not set, using a random salt for this process");
+}
+
+// Optional attribution parameters accepted on tracked links
+export const CLICK_TRACKING_PARAMS = ["utm_source", "utm_medium", "utm_campaign", "utm_content", "utm_term", "sub_id"];
+
+export const CLICK_GROUP_BY = ["product", "category", "tag", "day"];
+
+const MAX_PARAM_LENGTH = 100;
+const MAX_REFERRER_LENGTH = 500;
+const MAX_STATS_DAYS = 365;
+
+/**
+ * Classify a user agent into a coarse device class
+ * @param {string} userAgent - User-Agent header
+ * @returns {string} "bot", "tablet", "mobile", "desktop" or "unknown"
+ */
+export function classifyUserAgent(userAgent) {
+  const ua = String(userAgent || "");
+  if (!ua) {
+    return "unknown";
+  }
+  if (/bot|crawler|spider|slurp|facebookexternalhit|preview|curl|wget|python|headless/i.test(ua)) {
+    return "bot";
+  }
+  if (/ipad|tablet|kindle|silk|playbook|android(?!.*mobile)/i.test(ua)) {
+    return "tablet";
+  }
+  if (/mobi|iphone|ipod|android|windows phone|blackberry|opera mini/i.test(ua)) {
+    return "mobile";
+  }
+  return "desktop";
+}
+
+/**
+ * Hash a client IP with the tracking salt
+ * @param {string} ip - Client IP
+ * @returns {string} Hex SHA-256 HMAC
+ */
+export function hashClientIP(ip) {
+  return crypto.createHmac("sha256", IP_HASH_SALT).update(String(ip)).digest("hex");
+}
+
+/**
+ * Extract the tracking context of a request (shared by product and banner click tracking)
+ * @param {Object} req - Express request
+ * @returns {Object} { referrer, referrerHost, uaClass, ipHash, params }
+ */
+export function getClickContext(req) {
+  const referrer = String(req.get("referer") || "").slice(0, MAX_REFERRER_LENGTH) || null;
+
+  let referrerHost = null;
+  if (referrer) {
+    try {
+      referrerHost = new URL(referrer).hostname.slice(0, 255) || null;
+    } catch {
+      referrerHost = null;
+    }
+  }
+
+  const params = {};
+  for (const name of CLICK_TRACKING_PARAMS) {
+    const value = req.query[name];
+    params[name] = typeof value === "string" && value.trim() ? value.trim().slice(0, MAX_PARAM_LENGTH) : null;
+  }
+
+  return {
+    referrer,
+    referrerHost,
+    uaClass: classifyUserAgent(req.get("user-agent")),
+    ipHash: hashClientIP(getClientIP(req)),
+    params
+  };
+}
+
+/**
+ * Store a product click
+ * Never throws: a failed insert must not block the redirect.
+ * @param {Object} product - { item_id, category_id }
+ * @param {Object} context - Result of getClickContext
+ * @returns {Promise<boolean>} True if the click was stored
+ */
+export async function recordProductClick(product, context) {
+  try {
+    const result = await executeQuery(
+      `INSERT INTO product_clicks
+        (item_id, category_id, referrer, referrer_host, ua_class, ip_hash,
+         ${CLICK_TRACKING_PARAMS.join(", ")})
+       VALUES (?, ?, ?, ?, ?, ?, ${CLICK_TRACKING_PARAMS.map(() => "?").join(", ")})`,
+      [
+        String(product.item_id),
+        product.category_id || null,
+        context.referrer,
+        context.referrerHost,
+        context.uaClass,
+        context.ipHash,
+        ...CLICK_TRACKING_PARAMS.map((name) => context.params[name])
+      ]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return true;
+  } catch (error) {
+    Logger.warn(`[ClickTracking] Failed to record click for ${product.item_id}: ${error.message}`);
+    return false;
+  }
+}
+
+// Grouping definitions: key/label columns and extra joins per group_by value
+const GROUPINGS = {
+  product: {
+    key: "c.item_id",
+    label: "MAX(p.product_name)",
+    join: "LEFT JOIN shopee_products p ON p.item_id = c.item_id",
+    order: "clicks DESC"
+  },
+  category: {
+    key: "c.category_id",
+    label: "MAX(cat.name)",
+    join: "LEFT JOIN categories cat ON cat.id = c.category_id",
+    order: "clicks DESC"
+  },
+  tag: {
+    key: "t.id",
+    label: "MAX(t.name)",
+    join: "JOIN product_tags pt ON pt.product_item_id = c.item_id JOIN tags t ON t.id = pt.tag_id",
+    order: "clicks DESC"
+  },
+  day: {
+    key: "DATE_FORMAT(c.clicked_at, '%Y-%m-%d')",
+    label: "NULL",
+    join: "",
+    order: "group_key ASC"
+  }
+};
+
+/**
+ * Aggregate clicks
+ * @param {Object} options - Aggregation options
+ * @param {string} options.groupBy - One of CLICK_GROUP_BY
+ * @param {string} options.from - Start date (YYYY-MM-DD, inclusive)
+ * @param {string} options.to - End date (YYYY-MM-DD, inclusive)
+ * @param {Object} options.filters - Optional { itemId, categoryId, tagId, utmSource, utmCampaign, subId, includeBots }
+ * @param {number} options.limit - Max rows
+ * @returns {Promise<Object>} { group_by, from, to, totals: { clicks, unique_visitors }, rows }
+ */
+export async function getClickStats({ groupBy = "day", from, to, filters = {}, limit = 50 }) {
+  const grouping = GROUPINGS[groupBy] || GROUPINGS.day;
+
+  const whereParts = ["c.clicked_at >= ?", "c.clicked_at < DATE_ADD(?, INTERVAL 1 DAY)"];
+  const params = [from, to];
+
+  if (!filters.includeBots) {
+    whereParts.push("c.ua_class <> 'bot'");
+  }
+  if (filters.itemId) {
+    whereParts.push("c.item_id = ?");
+    params.push(String(filters.itemId));
+  }
+  if (filters.categoryId) {
+    whereParts.push("c.category_id = ?");
+    params.push(filters.categoryId);
+  }
+  if (filters.tagId) {
+    whereParts.push("c.item_id IN (SELECT product_item_id FROM product_tags WHERE tag_id = ?)");
+    params.push(filters.tagId);
+  }
+  if (filters.utmSource) {
+    whereParts.push("c.utm_source = ?");
+    params.push(filters.utmSource);
+  }
+  if (filters.utmCampaign) {
+    whereParts.push("c.utm_campaign = ?");
+    params.push(filters.utmCampaign);
+  }
+  if (filters.subId) {
+    whereParts.push("c.sub_id = ?");
+    params.push(filters.subId);
+  }
+
+  const whereClause = `WHERE ${whereParts.join(" AND ")}`;
+  const rowLimit = Math.min(Math.max(parseInt(limit) || 50, 1), 500);
+
+  const [rowsResult, totalsResult] = await Promise.all([
+    executeQuery(
+      `SELECT ${grouping.key} as group_key,
+              ${grouping.label} as label,
+              COUNT(*) as clicks,
+              COUNT(DISTINCT c.ip_hash) as unique_visitors
+       FROM product_clicks c
+       ${grouping.join}
+       ${whereClause}
+       GROUP BY group_key
+       ORDER BY ${grouping.order}
+       LIMIT ${rowLimit}`,
+      params
+    ),
+    executeQuery(
+      `SELECT COUNT(*) as clicks, COUNT(DISTINCT c.ip_hash) as unique_visitors
+       FROM product_clicks c
+       ${whereClause}`,
+      params
+    )
+  ]);
+
+  if (!rowsResult.success) {
+    throw new Error(rowsResult.error);
+  }
+  if (!totalsResult.success) {
+    throw new Error(totalsResult.error);
+  }
+
+  return {
+    group_by: groupBy,
+    from,
+    to,
+    totals: totalsResult.data[0],
+    rows: rowsResult.data
+  };
+}
+
+/**
+ * Resolve a from/to date range from query parameters
+ * Defaults to the last 30 days (Bangkok time, like the database session) and
+ * caps the range at MAX_STATS_DAYS.
+ * @param {string} from - YYYY-MM-DD or empty
+ * @param {string} to - YYYY-MM-DD or empty
+ * @returns {Object} { from, to } as YYYY-MM-DD strings
+ */
+export function resolveStatsRange(from, to) {
+  const DAY_MS = 24 * 60 * 60 * 1000;
+  const isDate = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || "")) {
+      return false;
+    }
+    const date = new Date(value);
+    // Rejects dates that roll over, e.g. 2026-02-30
+    return !isNaN(date.getTime()) && date.toISOString().startsWith(value);
+  };
+
+  // Date-only strings parse as UTC midnight, so keep all arithmetic in UTC
+  const toDate = isDate(to) ? new Date(to) : new Date(new Date(Date.now() + 7 * 60 * 60 * 1000).toISOString().slice(0, 10));
+  let fromDate = isDate(from) ? new Date(from) : new Date(toDate.getTime() - 29 * DAY_MS);
+
+  const minFrom = new Date(toDate.getTime() - (MAX_STATS_DAYS - 1) * DAY_MS);
+  if (fromDate < minFrom) {
+    fromDate = minFrom;
+  }
+  if (fromDate > toDate) {
+    fromDate = toDate;
+  }
+
+  return {
+    from: fromDate.toISOString().slice(0, 10),
+    to: toDate.toISOString().slice(0, 10)
+  };
+}
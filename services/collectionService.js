@@ -0,0 +1,550 @@
+/**
+ * Collection Service
+ * Hand-curated product lists ("Payday picks") for marketing pages:
+ * - Items keep an explicit order (collection_items.position, 0 = first), changed by drag and drop
+ * - A collection is public while it is active and inside its start / end time (both optional)
+ * - A hero banner (image, title, alt text, link) is shown above the products
+ * - The public list skips products that are inactive, in the trash, or whose campaign has ended,
+ *   so a collection never needs cleaning up by hand
+ */
+
+import { executeQuery } from "../config/database.js";
+import { slugify } from "../utils/slug.js";
+import { sanitizeUrl } from "../utils/sanitize.js";
+import { toDatabaseDateTime } from "../utils/helpers.js";
+import {
+  buildProductFilters,
+  buildProductSelectQuery,
+  buildProductCountQuery
+} from "../utils/productQueryBuilder.js";
+
+export const MAX_COLLECTION_ITEMS = 500;
+
+const MAX_NAME_LENGTH = 255;
+const TEXT_FIELDS = {
+  description: 2000,
+  hero_title: 255,
+  hero_alt_text: 255
+};
+const URL_FIELDS = ["hero_image_url", "hero_target_url"];
+
+// Products that may be shown: active, not in the trash, campaign not ended (0 = no end time)
+const AVAILABLE_PRODUCT_CONDITION =
+  "(p.period_end_time IS NULL OR p.period_end_time = 0 OR p.period_end_time > UNIX_TIMESTAMP())";
+
+const SCHEDULE_STATUS = `
+  CASE
+    WHEN c.is_active = 0 THEN 'inactive'
+    WHEN c.start_time IS NOT NULL AND c.start_time > NOW() THEN 'scheduled'
+    WHEN c.end_time IS NOT NULL AND c.end_time <= NOW() THEN 'ended'
+    ELSE 'live'
+  END`;
+
+const LIVE_CONDITION =
+  "c.is_active = 1 AND (c.start_time IS NULL OR c.start_time <= NOW()) AND (c.end_time IS NULL OR c.end_time > NOW())";
+
+// Date or date-time without a time zone: Bangkok wall-clock time, stored as entered (like banner schedules)
+const WALL_CLOCK_PATTERN = /^(\d{4}-\d{2}-\d{2})(?:[ T](\d{2}:\d{2})(:\d{2})?)?$/;
+
+/**
+ * Schedule time from a request as a DATETIME value in database (Bangkok) time
+ * @param {string} value - "2026-10-25 10:00", "2026-10-25", or ISO 8601 with a time zone
+ * @returns {string|null} "YYYY-MM-DD HH:MM:SS", or null if not a date
+ */
+function toScheduleTime(value) {
+  const text = String(value).trim();
+  const wallClock = text.match(WALL_CLOCK_PATTERN);
+  if (wallClock) {
+    const [, day, time = "00:00", seconds = ":00"] = wallClock;
+    return `${day} ${time}${seconds}`;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : toDatabaseDateTime(date);
+}
+
+// Relative paths (uploads) or http(s) URLs
+function isValidLink(value) {
+  return (value.startsWith("/") && !value.startsWith("//")) || sanitizeUrl(value) !== null;
+}
+
+/**
+ * Validate collection fields from a request body
+ * Without options.current every field is validated for a new collection; with it, fields left
+ * out are kept and the schedule is checked against the current start / end time.
+ * @param {Object} body - Request body
+ * @param {Object} options - Options
+ * @param {Object} options.current - Current collection (for updates)
+ * @returns {Object} { values, error } - error is a message, or null when valid
+ */
+export function validateCollection(body, { current = null } = {}) {
+  const values = {};
+
+  if (!current || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) {
+      return { values: null, error: "Collection name is required" };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+      return { values: null, error: `Collection name must be ${MAX_NAME_LENGTH} characters or less` };
+    }
+    values.name = name;
+  }
+
+  if (body.slug !== undefined && body.slug !== null && body.slug !== "") {
+    values.slug = slugify(body.slug);
+    if (!values.slug) {
+      return { values: null, error: "Slug must contain letters or digits" };
+    }
+  } else if (!current) {
+    values.slug = slugify(values.name);
+    if (!values.slug) {
+      return { values: null, error: "Slug is required when the name has no letters or digits" };
+    }
+  }
+
+  for (const [field, maxLength] of Object.entries(TEXT_FIELDS)) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] === null || body[field] === "") {
+      values[field] = null;
+      continue;
+    }
+    if (typeof body[field] !== "string" || body[field].length > maxLength) {
+      return { values: null, error: `${field} must be text of ${maxLength} characters or less` };
+    }
+    values[field] = body[field].trim();
+  }
+
+  for (const field of URL_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] === null || body[field] === "") {
+      values[field] = null;
+      continue;
+    }
+    if (typeof body[field] !== "string" || !isValidLink(body[field].trim())) {
+      return { values: null, error: `${field} must be an http(s) URL or a path starting with /` };
+    }
+    values[field] = body[field].trim();
+  }
+
+  for (const field of ["start_time", "end_time"]) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] === null || body[field] === "") {
+      values[field] = null;
+      continue;
+    }
+    values[field] = toScheduleTime(body[field]);
+    if (!values[field]) {
+      return { values: null, error: `${field} must be a date` };
+    }
+  }
+
+  // Current values come back from mysql2 as Date objects
+  const scheduleTime = (field) =>
+    values[field] !== undefined ? values[field] : current?.[field] ? toDatabaseDateTime(new Date(current[field])) : null;
+  const startTime = scheduleTime("start_time");
+  const endTime = scheduleTime("end_time");
+  if (startTime && endTime && endTime <= startTime) {
+    return { values: null, error: "end_time must be after start_time" };
+  }
+
+  if (body.is_active !== undefined) {
+    values.is_active = body.is_active ? 1 : 0;
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Get collection by ID
+ * @param {number} collectionId - Collection ID
+ * @returns {Promise<Object|null>} Collection with schedule_status and item_count
+ */
+export async function getCollection(collectionId) {
+  const result = await executeQuery(
+    `SELECT c.*, ${SCHEDULE_STATUS} as schedule_status,
+       (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = c.id) as item_count
+     FROM collections c
+     WHERE c.id = ?`,
+    [collectionId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data[0] || null;
+}
+
+/**
+ * List collections, newest first
+ * @param {Object} options - Options
+ * @param {string} options.search - Name contains
+ * @param {string} options.status - Schedule status (live, scheduled, ended, inactive)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} { collections, total }
+ */
+export async function listCollections({ search = "", status = null, limit = 20, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (search) {
+    conditions.push("c.name LIKE ?");
+    params.push(`%${search.replace(/[\\%_]/g, "\\$&")}%`);
+  }
+  if (status) {
+    conditions.push(`(${SCHEDULE_STATUS}) = ?`);
+    params.push(status);
+  }
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const [listResult, countResult] = await Promise.all([
+    executeQuery(
+      `SELECT c.*, ${SCHEDULE_STATUS} as schedule_status,
+         (SELECT COUNT(*) FROM collection_items ci WHERE ci.collection_id = c.id) as item_count
+       FROM collections c
+       ${whereClause}
+       ORDER BY c.created_at DESC, c.id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      params
+    ),
+    executeQuery(`SELECT COUNT(*) as total FROM collections c ${whereClause}`, params)
+  ]);
+  if (!listResult.success) {
+    throw new Error(listResult.error);
+  }
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+
+  return { collections: listResult.data, total: countResult.data[0].total };
+}
+
+/**
+ * Create a collection
+ * @param {Object} values - Values from validateCollection
+ * @param {number} createdBy - Admin user ID
+ * @returns {Promise<Object>} { collectionId } or { error } ("duplicate_slug")
+ */
+export async function createCollection(values, createdBy) {
+  const columns = Object.keys(values);
+  const result = await executeQuery(
+    `INSERT INTO collections (${columns.join(", ")}, created_by) VALUES (${columns.map(() => "?").join(", ")}, ?)`,
+    [...columns.map((column) => values[column]), createdBy]
+  );
+  if (!result.success) {
+    if (String(result.error).includes("Duplicate entry")) {
+      return { error: "duplicate_slug" };
+    }
+    throw new Error(result.error);
+  }
+  return { collectionId: result.data.insertId };
+}
+
+/**
+ * Update a collection (only the given fields)
+ * @param {number} collectionId - Collection ID
+ * @param {Object} values - Values from validateCollection
+ * @returns {Promise<Object>} { updated } or { error } ("duplicate_slug")
+ */
+export async function updateCollection(collectionId, values) {
+  const columns = Object.keys(values);
+  if (columns.length === 0) {
+    return { updated: false };
+  }
+
+  const result = await executeQuery(
+    `UPDATE collections SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE id = ?`,
+    [...columns.map((column) => values[column]), collectionId]
+  );
+  if (!result.success) {
+    if (String(result.error).includes("Duplicate entry")) {
+      return { error: "duplicate_slug" };
+    }
+    throw new Error(result.error);
+  }
+  return { updated: result.data.affectedRows > 0 };
+}
+
+/**
+ * Delete a collection and its items
+ * @param {number} collectionId - Collection ID
+ * @returns {Promise<boolean>} False if it did not exist
+ */
+export async function deleteCollection(collectionId) {
+  const result = await executeQuery("DELETE FROM collections WHERE id = ?", [collectionId]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * All items of a collection in order, with the reason a product is not shown publicly
+ * @param {number} collectionId - Collection ID
+ * @returns {Promise<Array<Object>>} Items with product fields and availability
+ *   (available, or missing / deleted / inactive / expired)
+ */
+export async function getCollectionItems(collectionId) {
+  const result = await executeQuery(
+    `SELECT ci.item_id, ci.position, ci.created_at as added_at,
+       p.product_name, p.image_url, p.price, p.status, p.slug,
+       CASE
+         WHEN p.id IS NULL THEN 'missing'
+         WHEN p.deleted_at IS NOT NULL THEN 'deleted'
+         WHEN p.status != 'active' THEN 'inactive'
+         WHEN NOT ${AVAILABLE_PRODUCT_CONDITION} THEN 'expired'
+         ELSE 'available'
+       END as availability
+     FROM collection_items ci
+     LEFT JOIN shopee_products p ON p.item_id = ci.item_id
+     WHERE ci.collection_id = ?
+     ORDER BY ci.position ASC, ci.id ASC`,
+    [collectionId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+async function getOrderedItemIds(collectionId) {
+  const result = await executeQuery(
+    "SELECT item_id FROM collection_items WHERE collection_id = ? ORDER BY position ASC, id ASC",
+    [collectionId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.map((row) => row.item_id);
+}
+
+// Store positions 0..n-1 in the given order (one statement)
+async function writePositions(collectionId, itemIds) {
+  if (itemIds.length === 0) {
+    return;
+  }
+  const result = await executeQuery(
+    `UPDATE collection_items
+     SET position = CASE item_id ${itemIds.map(() => "WHEN ? THEN ?").join(" ")} END
+     WHERE collection_id = ? AND item_id IN (${itemIds.map(() => "?").join(", ")})`,
+    [...itemIds.flatMap((itemId, index) => [itemId, index]), collectionId, ...itemIds]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+}
+
+/**
+ * Add products to the end of a collection
+ * Products already in the collection keep their place; unknown or deleted products are skipped.
+ * @param {number} collectionId - Collection ID
+ * @param {Array<string>} itemIds - Item IDs in the order to append them
+ * @returns {Promise<Object>} { added, duplicates, missing } or { error } ("too_many_items")
+ */
+export async function addCollectionItems(collectionId, itemIds) {
+  const uniqueIds = [...new Set(itemIds.map((itemId) => String(itemId).trim()).filter(Boolean))];
+  const current = await getOrderedItemIds(collectionId);
+  const newIds = uniqueIds.filter((itemId) => !current.includes(itemId));
+
+  if (current.length + newIds.length > MAX_COLLECTION_ITEMS) {
+    return { error: "too_many_items" };
+  }
+
+  let existing = [];
+  if (newIds.length > 0) {
+    const productsResult = await executeQuery(
+      `SELECT item_id FROM shopee_products WHERE deleted_at IS NULL AND item_id IN (${newIds.map(() => "?").join(", ")})`,
+      newIds
+    );
+    if (!productsResult.success) {
+      throw new Error(productsResult.error);
+    }
+    const found = new Set(productsResult.data.map((row) => String(row.item_id)));
+    existing = newIds.filter((itemId) => found.has(itemId));
+  }
+
+  if (existing.length > 0) {
+    const insertResult = await executeQuery(
+      `INSERT IGNORE INTO collection_items (collection_id, item_id, position)
+       VALUES ${existing.map(() => "(?, ?, ?)").join(", ")}`,
+      existing.flatMap((itemId, index) => [collectionId, itemId, current.length + index])
+    );
+    if (!insertResult.success) {
+      throw new Error(insertResult.error);
+    }
+  }
+
+  return {
+    added: existing,
+    duplicates: uniqueIds.filter((itemId) => current.includes(itemId)),
+    missing: newIds.filter((itemId) => !existing.includes(itemId))
+  };
+}
+
+/**
+ * Remove a product from a collection (the items after it move up)
+ * @param {number} collectionId - Collection ID
+ * @param {string} itemId - Item ID
+ * @returns {Promise<boolean>} False if the product was not in the collection
+ */
+export async function removeCollectionItem(collectionId, itemId) {
+  const result = await executeQuery("DELETE FROM collection_items WHERE collection_id = ? AND item_id = ?", [
+    collectionId,
+    String(itemId)
+  ]);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.affectedRows === 0) {
+    return false;
+  }
+
+  await writePositions(collectionId, await getOrderedItemIds(collectionId));
+  return true;
+}
+
+/**
+ * Set the order of all items
+ * @param {number} collectionId - Collection ID
+ * @param {Array<string>} itemIds - Every item ID of the collection, in the new order
+ * @returns {Promise<Object>} { order } or { error } with the item IDs that are missing / unknown
+ */
+export async function reorderCollectionItems(collectionId, itemIds) {
+  const order = itemIds.map((itemId) => String(itemId).trim());
+  const current = await getOrderedItemIds(collectionId);
+
+  const missing = current.filter((itemId) => !order.includes(itemId));
+  const unknown = order.filter((itemId) => !current.includes(itemId));
+  if (missing.length > 0 || unknown.length > 0 || new Set(order).size !== order.length) {
+    return { error: "order_mismatch", missing, unknown };
+  }
+
+  await writePositions(collectionId, order);
+  return { order };
+}
+
+/**
+ * Move one item to a new position (drag and drop)
+ * @param {number} collectionId - Collection ID
+ * @param {string} itemId - Item ID to move
+ * @param {number} position - New 0-based position (clamped to the list)
+ * @returns {Promise<Object|null>} { order }, or null if the product is not in the collection
+ */
+export async function moveCollectionItem(collectionId, itemId, position) {
+  const order = await getOrderedItemIds(collectionId);
+  const from = order.indexOf(String(itemId));
+  if (from === -1) {
+    return null;
+  }
+
+  const [moved] = order.splice(from, 1);
+  order.splice(Math.min(Math.max(position, 0), order.length), 0, moved);
+
+  await writePositions(collectionId, order);
+  return { order };
+}
+
+function toPublicCollection(collection) {
+  const hero = collection.hero_image_url
+    ? {
+        image_url: collection.hero_image_url,
+        title: collection.hero_title,
+        alt_text: collection.hero_alt_text,
+        target_url: collection.hero_target_url
+      }
+    : null;
+
+  return {
+    id: collection.id,
+    name: collection.name,
+    slug: collection.slug,
+    description: collection.description,
+    start_time: collection.start_time,
+    end_time: collection.end_time,
+    hero
+  };
+}
+
+/**
+ * Live collections for the storefront
+ * @returns {Promise<Array<Object>>} Collections with hero and the number of products shown
+ */
+export async function listLiveCollections() {
+  const result = await executeQuery(
+    `SELECT c.*,
+       (SELECT COUNT(*) FROM collection_items ci
+        JOIN shopee_products p ON p.item_id = ci.item_id
+        WHERE ci.collection_id = c.id AND p.deleted_at IS NULL AND p.status = 'active'
+          AND ${AVAILABLE_PRODUCT_CONDITION}) as product_count
+     FROM collections c
+     WHERE ${LIVE_CONDITION}
+     ORDER BY c.start_time IS NULL, c.start_time DESC, c.id DESC`
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.map((collection) => ({
+    ...toPublicCollection(collection),
+    product_count: collection.product_count
+  }));
+}
+
+/**
+ * Resolve a live collection to its available products, in collection order
+ * Products use the public projection of buildProductSelectQuery.
+ * @param {string} slug - Collection slug
+ * @param {Object} options - Options
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object|null>} { collection, products, total }, or null if not found or not live
+ */
+export async function resolvePublicCollection(slug, { limit = 50, offset = 0 } = {}) {
+  const collectionResult = await executeQuery(`SELECT c.* FROM collections c WHERE c.slug = ? AND ${LIVE_CONDITION}`, [
+    slug
+  ]);
+  if (!collectionResult.success) {
+    throw new Error(collectionResult.error);
+  }
+  const collection = collectionResult.data[0];
+  if (!collection) {
+    return null;
+  }
+
+  const filters = buildProductFilters({ onlyActive: true });
+  const whereClause = `${filters.whereClause} AND ci.collection_id = ? AND ${AVAILABLE_PRODUCT_CONDITION}`;
+  const joinClause = "JOIN collection_items ci ON ci.item_id = p.item_id";
+  const queryParams = [...filters.queryParams, collection.id];
+
+  const selectQuery = buildProductSelectQuery({
+    whereClause,
+    joinClause,
+    orderClause: "ORDER BY collection_position ASC",
+    limit,
+    offset,
+    includeAllFields: false,
+    extraFields: "ci.position as collection_position"
+  });
+  const countQuery = buildProductCountQuery({ whereClause, joinClause });
+
+  const [productsResult, countResult] = await Promise.all([
+    executeQuery(selectQuery, queryParams),
+    executeQuery(countQuery, queryParams)
+  ]);
+  if (!productsResult.success) {
+    throw new Error(productsResult.error);
+  }
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+
+  return {
+    collection: toPublicCollection(collection),
+    products: productsResult.data,
+    total: countResult.data[0].total
+  };
+}
@@ -0,0 +1,462 @@
+/**
+ * Conversion Report Service
+ * Ingests Shopee Affiliate conversion (order) reports and reconciles commission:
+ * - Pulled from the GraphQL conversionReport query by a background job, or uploaded as CSV
+ * - One row per order item in affiliate_conversions, upserted so status changes are picked up
+ * - estimated_commission is what the saved product's advertised rate promised,
+ *   actual_commission is what Shopee reports for the item
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { fetchConversionReport, hasShopeeCredentials } from "./shopeeApiService.js";
+import { registerJob } from "./jobScheduler.js";
+import { parseCsvLine, splitCsvLines } from "../utils/csv.js";
+import { toDatabaseDateTime } from "../utils/helpers.js";
+
+export const CONVERSION_SYNC_JOB = "conversion-sync";
+
+// Configuration (can be overridden by environment variables)
+const SYNC_ENABLED = process.env.CONVERSION_SYNC_ENABLED !== "false";
+const SYNC_INTERVAL_MS = parseInt(process.env.CONVERSION_SYNC_INTERVAL_MS) || 6 * 60 * 60 * 1000; // 6 hours
+const SYNC_LOOKBACK_DAYS = parseInt(process.env.CONVERSION_SYNC_LOOKBACK_DAYS) || 30; // Orders change status for weeks
+const SYNC_MAX_PAGES = parseInt(process.env.CONVERSION_SYNC_MAX_PAGES) || 50;
+const SYNC_PAGE_SIZE = 500;
+const SYNC_REQUEST_DELAY_MS = 1000;
+const MAX_LOOKBACK_DAYS = 90; // Shopee only serves about three months of conversions
+
+export const CONVERSION_CSV_MAX_ROWS = 20000;
+
+// Order statuses as reported by Shopee
+export const ORDER_STATUSES = ["PENDING", "COMPLETED", "CANCELLED", "UNPAID"];
+
+const SAVE_BATCH_SIZE = 100;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Columns written for every order item (order matters for the bulk insert)
+const CONVERSION_COLUMNS = [
+  "conversion_id",
+  "order_id",
+  "item_id",
+  "model_id",
+  "item_name",
+  "shop_id",
+  "shop_name",
+  "order_status",
+  "item_status",
+  "qty",
+  "item_price",
+  "actual_amount",
+  "estimated_commission",
+  "actual_commission",
+  "seller_commission",
+  "shopee_commission",
+  "utm_content",
+  "purchase_time",
+  "complete_time",
+  "click_time",
+  "source"
+];
+
+// Columns refreshed when an order item is ingested again
+const REFRESHED_COLUMNS = [
+  "conversion_id",
+  "item_name",
+  "order_status",
+  "item_status",
+  "qty",
+  "item_price",
+  "actual_amount",
+  "actual_commission",
+  "seller_commission",
+  "shopee_commission",
+  "complete_time",
+  "source"
+];
+
+// CSV header aliases (header cells are lowercased and stripped of non-alphanumerics, e.g. "Item Total Commission(฿)")
+const CSV_HEADER_ALIASES = {
+  conversion_id: ["conversionid", "checkoutid"],
+  order_id: ["orderid"],
+  item_id: ["itemid"],
+  model_id: ["modelid"],
+  item_name: ["itemname"],
+  shop_id: ["shopid"],
+  shop_name: ["shopname"],
+  order_status: ["orderstatus"],
+  item_status: ["itemstatus", "displayitemstatus"],
+  qty: ["qty", "quantity", "itemquantity"],
+  item_price: ["itemprice", "price"],
+  actual_amount: ["actualamount", "purchasevalue", "itempurchasevalue"],
+  actual_commission: ["itemtotalcommission", "totalcommission", "netcommission", "itemcommission", "commission"],
+  seller_commission: ["itemsellercommission", "sellercommission"],
+  shopee_commission: ["itemshopeecommission", "shopeecommission", "itemshopeecommissioncapped"],
+  utm_content: ["utmcontent", "subid", "subid1"],
+  purchase_time: ["purchasetime", "ordertime", "ordercreatedtime"],
+  complete_time: ["completetime", "completedtime"],
+  click_time: ["clicktime"]
+};
+
+// Localized order statuses found in Thai dashboard exports
+const ORDER_STATUS_ALIASES = {
+  "สำเร็จ": "COMPLETED",
+  "เสร็จสมบูรณ์": "COMPLETED",
+  "รอดำเนินการ": "PENDING",
+  "ยกเลิก": "CANCELLED",
+  "ยังไม่ชำระเงิน": "UNPAID"
+};
+
+function toAmount(value) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const amount = parseFloat(String(value).replace(/[^0-9.-]/g, ""));
+  return isNaN(amount) ? null : amount;
+}
+
+function toUnixDate(seconds) {
+  const value = parseInt(seconds);
+  return value > 0 ? toDatabaseDateTime(new Date(value * 1000)) : null;
+}
+
+function toCsvDate(value) {
+  const text = String(value || "").trim();
+  if (!text) {
+    return null;
+  }
+  // Dashboard exports use local (Bangkok) time, which matches the database session
+  if (/^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}(:\d{2})?)?$/.test(text)) {
+    return text.length === 16 ? `${text}:00` : text;
+  }
+  const date = new Date(text);
+  return isNaN(date.getTime()) ? null : toDatabaseDateTime(date);
+}
+
+function normalizeOrderStatus(value) {
+  const text = String(value || "").trim();
+  if (ORDER_STATUS_ALIASES[text]) {
+    return ORDER_STATUS_ALIASES[text];
+  }
+  return text.toUpperCase().replace(/\s+/g, "_") || "PENDING";
+}
+
+/**
+ * Flatten conversionReport nodes into order item rows
+ * @param {Array<Object>} nodes - conversionReport nodes
+ * @returns {Array<Object>} Order item rows
+ */
+export function mapConversionNodes(nodes) {
+  const items = [];
+
+  for (const node of nodes) {
+    for (const order of node.orders || []) {
+      for (const item of order.items || []) {
+        items.push({
+          conversion_id: node.conversionId ? String(node.conversionId) : null,
+          order_id: order.orderId ? String(order.orderId) : null,
+          item_id: item.itemId ? String(item.itemId) : null,
+          model_id: item.modelId ? String(item.modelId) : "",
+          item_name: item.itemName || null,
+          shop_id: item.shopId ? String(item.shopId) : null,
+          shop_name: item.shopName || null,
+          order_status: normalizeOrderStatus(order.orderStatus),
+          item_status: item.displayItemStatus || null,
+          qty: parseInt(item.qty) || 0,
+          item_price: toAmount(item.itemPrice),
+          actual_amount: toAmount(item.actualAmount),
+          actual_commission: toAmount(item.itemTotalCommission),
+          seller_commission: toAmount(item.itemSellerCommission),
+          shopee_commission: toAmount(item.itemShopeeCommissionCapped),
+          utm_content: node.utmContent || null,
+          purchase_time: toUnixDate(node.purchaseTime),
+          complete_time: toUnixDate(item.completeTime),
+          click_time: toUnixDate(node.clickTime)
+        });
+      }
+    }
+  }
+
+  return items;
+}
+
+/**
+ * Parse an uploaded conversion report CSV (Shopee Affiliate dashboard export)
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Array<Object>} Order item rows
+ */
+export function parseConversionCsv(file) {
+  const content = file.buffer.toString("utf8").replace(/^\uFEFF/, ""); // Strip Excel BOM
+  const lines = splitCsvLines(content);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0]).map((cell) => cell.toLowerCase().replace(/[^a-z0-9]/g, ""));
+  const columnIndex = {};
+  for (const [column, aliases] of Object.entries(CSV_HEADER_ALIASES)) {
+    // First alias wins, e.g. "Item Total Commission" over "Commission"
+    for (const alias of aliases) {
+      const index = header.indexOf(alias);
+      if (index !== -1) {
+        columnIndex[column] = index;
+        break;
+      }
+    }
+  }
+
+  if (columnIndex.order_id === undefined || columnIndex.item_id === undefined) {
+    throw new Error("CSV must have Order ID and Item ID columns");
+  }
+  if (lines.length - 1 > CONVERSION_CSV_MAX_ROWS) {
+    throw new Error(`CSV exceeds ${CONVERSION_CSV_MAX_ROWS} rows`);
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    const cell = (column) => (columnIndex[column] !== undefined ? cells[columnIndex[column]] || "" : "");
+
+    return {
+      conversion_id: cell("conversion_id") || null,
+      order_id: cell("order_id") || null,
+      item_id: cell("item_id") || null,
+      model_id: cell("model_id"),
+      item_name: cell("item_name") || null,
+      shop_id: cell("shop_id") || null,
+      shop_name: cell("shop_name") || null,
+      order_status: normalizeOrderStatus(cell("order_status")),
+      item_status: cell("item_status") || null,
+      qty: parseInt(cell("qty")) || 0,
+      item_price: toAmount(cell("item_price")),
+      actual_amount: toAmount(cell("actual_amount")),
+      actual_commission: toAmount(cell("actual_commission")),
+      seller_commission: toAmount(cell("seller_commission")),
+      shopee_commission: toAmount(cell("shopee_commission")),
+      utm_content: cell("utm_content") || null,
+      purchase_time: toCsvDate(cell("purchase_time")),
+      complete_time: toCsvDate(cell("complete_time")),
+      click_time: toCsvDate(cell("click_time"))
+    };
+  });
+}
+
+/**
+ * Load advertised commission rates of saved products
+ * @param {Array<string>} itemIds - Item IDs
+ * @returns {Promise<Map<string, number>>} item_id -> commission_rate (fraction)
+ */
+async function loadCommissionRates(itemIds) {
+  const rates = new Map();
+  if (itemIds.length === 0) {
+    return rates;
+  }
+
+  const result = await executeQuery(
+    `SELECT item_id, commission_rate FROM shopee_products WHERE item_id IN (${itemIds.map(() => "?").join(",")})`,
+    itemIds
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  for (const row of result.data) {
+    if (row.commission_rate !== null) {
+      rates.set(row.item_id, parseFloat(row.commission_rate));
+    }
+  }
+  return rates;
+}
+
+/**
+ * Upsert order item rows
+ * The estimated commission is fixed the first time an item is seen, so later rate
+ * changes on the product do not rewrite what was expected at purchase time.
+ * @param {Array<Object>} items - Order item rows (mapConversionNodes / parseConversionCsv)
+ * @param {string} source - "api" or "csv"
+ * @returns {Promise<Object>} { received, saved, skipped }
+ */
+export async function saveConversionItems(items, source) {
+  const valid = items.filter((item) => item.order_id && /^\d+$/.test(item.item_id || ""));
+  const stats = { received: items.length, saved: 0, skipped: items.length - valid.length };
+
+  for (let i = 0; i < valid.length; i += SAVE_BATCH_SIZE) {
+    const batch = valid.slice(i, i + SAVE_BATCH_SIZE);
+    const rates = await loadCommissionRates([...new Set(batch.map((item) => item.item_id))]);
+
+    const values = [];
+    for (const item of batch) {
+      const rate = rates.get(item.item_id);
+      const row = {
+        ...item,
+        model_id: item.model_id || "",
+        estimated_commission:
+          rate !== undefined && item.actual_amount !== null ? Number((item.actual_amount * rate).toFixed(2)) : null,
+        source
+      };
+      values.push(...CONVERSION_COLUMNS.map((column) => (row[column] === undefined ? null : row[column])));
+    }
+
+    const rowPlaceholder = `(${CONVERSION_COLUMNS.map(() => "?").join(", ")})`;
+    const result = await executeQuery(
+      `INSERT INTO affiliate_conversions (${CONVERSION_COLUMNS.join(", ")})
+       VALUES ${batch.map(() => rowPlaceholder).join(", ")}
+       ON DUPLICATE KEY UPDATE
+         ${REFRESHED_COLUMNS.map((column) => `${column} = VALUES(${column})`).join(",\n         ")},
+         estimated_commission = COALESCE(estimated_commission, VALUES(estimated_commission))`,
+      values
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    stats.saved += batch.length;
+  }
+
+  return stats;
+}
+
+/**
+ * Pull recent conversions from the Shopee API (job handler)
+ * @param {Object} context - Job context from jobScheduler
+ * @param {Object} context.params - Optional overrides: { days }
+ * @param {Function} context.reportProgress - Progress reporter
+ * @returns {Promise<Object>} Run statistics
+ */
+export async function syncConversionReports({ params = {}, reportProgress }) {
+  if (!hasShopeeCredentials()) {
+    throw new Error("Shopee API credentials not configured");
+  }
+
+  const days = Math.min(parseInt(params.days) || SYNC_LOOKBACK_DAYS, MAX_LOOKBACK_DAYS);
+  const purchaseTimeEnd = Math.floor(Date.now() / 1000);
+  const purchaseTimeStart = purchaseTimeEnd - days * 24 * 60 * 60;
+
+  const stats = { days, pages: 0, conversions: 0, items: 0, saved: 0, skipped: 0, truncated: false };
+  let scrollId = null;
+
+  while (true) {
+    const { nodes, pageInfo } = await fetchConversionReport({
+      purchaseTimeStart,
+      purchaseTimeEnd,
+      scrollId,
+      limit: SYNC_PAGE_SIZE
+    });
+
+    const items = mapConversionNodes(nodes);
+    const saved = await saveConversionItems(items, "api");
+
+    stats.pages++;
+    stats.conversions += nodes.length;
+    stats.items += items.length;
+    stats.saved += saved.saved;
+    stats.skipped += saved.skipped;
+    await reportProgress({ processed: stats.items, stats });
+
+    if (!pageInfo.hasNextPage || !pageInfo.scrollId) {
+      break;
+    }
+    if (stats.pages >= SYNC_MAX_PAGES) {
+      stats.truncated = true;
+      Logger.warn(`[ConversionSync] Stopped after ${stats.pages} pages, raise CONVERSION_SYNC_MAX_PAGES to fetch more`);
+      break;
+    }
+
+    scrollId = pageInfo.scrollId;
+    await sleep(SYNC_REQUEST_DELAY_MS);
+  }
+
+  Logger.info(`[ConversionSync] ${stats.items} order items from ${stats.conversions} conversions (${days} days)`);
+  return stats;
+}
+
+/**
+ * Rank saved products by commission actually earned
+ * @param {Object} options - Report options
+ * @param {string} options.from - Start date (YYYY-MM-DD, purchase time, inclusive)
+ * @param {string} options.to - End date (YYYY-MM-DD, inclusive)
+ * @param {Array<string>} options.statuses - Order statuses to count
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} { products, total, totals }
+ */
+export async function getProductEarnings({ from, to, statuses, limit = 20, offset = 0 }) {
+  const whereClause = `WHERE c.purchase_time >= ? AND c.purchase_time < DATE_ADD(?, INTERVAL 1 DAY)
+       AND c.order_status IN (${statuses.map(() => "?").join(",")})`;
+  const params = [from, to, ...statuses];
+
+  const [productsResult, totalsResult] = await Promise.all([
+    executeQuery(
+      `SELECT p.item_id, p.product_name, p.image_url, p.status, p.commission_rate,
+              COUNT(DISTINCT c.order_id) as orders,
+              SUM(c.qty) as units,
+              SUM(c.actual_amount) as sales_amount,
+              SUM(c.estimated_commission) as estimated_commission,
+              SUM(c.actual_commission) as actual_commission
+       FROM affiliate_conversions c
+       JOIN shopee_products p ON p.item_id = c.item_id
+       ${whereClause}
+       GROUP BY p.item_id
+       ORDER BY actual_commission DESC, orders DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      params
+    ),
+    executeQuery(
+      `SELECT COUNT(DISTINCT c.item_id) as total,
+              COUNT(DISTINCT c.order_id) as orders,
+              SUM(c.estimated_commission) as estimated_commission,
+              SUM(c.actual_commission) as actual_commission
+       FROM affiliate_conversions c
+       JOIN shopee_products p ON p.item_id = c.item_id
+       ${whereClause}`,
+      params
+    )
+  ]);
+
+  if (!productsResult.success) {
+    throw new Error(productsResult.error);
+  }
+  if (!totalsResult.success) {
+    throw new Error(totalsResult.error);
+  }
+
+  const toNumber = (value) => (value === null ? null : Number(parseFloat(value).toFixed(2)));
+
+  const products = productsResult.data.map((row) => {
+    const salesAmount = toNumber(row.sales_amount) || 0;
+    const estimated = toNumber(row.estimated_commission);
+    const actual = toNumber(row.actual_commission) || 0;
+    return {
+      ...row,
+      units: parseInt(row.units) || 0,
+      sales_amount: salesAmount,
+      estimated_commission: estimated,
+      actual_commission: actual,
+      commission_diff: estimated === null ? null : Number((actual - estimated).toFixed(2)),
+      // Rate actually paid on the sales amount, comparable to commission_rate
+      effective_rate: salesAmount > 0 ? Number((actual / salesAmount).toFixed(4)) : null
+    };
+  });
+
+  const totals = totalsResult.data[0];
+  return {
+    products,
+    total: totals.total,
+    totals: {
+      orders: totals.orders,
+      estimated_commission: toNumber(totals.estimated_commission),
+      actual_commission: toNumber(totals.actual_commission)
+    }
+  };
+}
+
+/**
+ * Register the conversion sync job with the scheduler
+ * Only scheduled when sync is enabled and Shopee API credentials are configured.
+ */
+export function registerConversionSyncJob() {
+  registerJob(CONVERSION_SYNC_JOB, syncConversionReports, {
+    intervalMs: SYNC_INTERVAL_MS,
+    enabled: SYNC_ENABLED && hasShopeeCredentials(),
+    description: "Import Shopee Affiliate conversion reports"
+  });
+}
@@ -0,0 +1,256 @@
+/**
+ * Background Job Scheduler
+ * Runs registered jobs on an interval or on demand and records every run in job_runs:
+ * - Only one run per job at a time (overlapping triggers are skipped)
+ * - Live progress is kept in memory and persisted on each progress report
+ * - Runs left "running" by a previous process are marked failed on startup
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+
+const jobs = new Map();
+
+/**
+ * Register a background job
+ * @param {string} name - Unique job name (e.g. "product-sync")
+ * @param {Function} handler - async (context) => stats; context has runId, params, reportProgress()
+ * @param {Object} options - Job options
+ * @param {number} options.intervalMs - Run interval, 0 for manual-only jobs
+ * @param {boolean} options.enabled - If false, the job is not scheduled (manual runs still allowed)
+ * @param {string} options.description - Human readable description for the admin UI
+ */
+export function registerJob(name, handler, options = {}) {
+  const { intervalMs = 0, enabled = true, description = "" } = options;
+
+  jobs.set(name, {
+    name,
+    handler,
+    intervalMs,
+    enabled,
+    description,
+    timer: null,
+    currentRun: null
+  });
+}
+
+/**
+ * Start interval timers for all registered, enabled jobs
+ * @returns {Promise<void>}
+ */
+export async function startScheduler() {
+  // Runs cannot survive a restart, close them so history stays accurate
+  const staleResult = await executeQuery(
+    `UPDATE job_runs
+     SET status = 'failed', error_message = 'Interrupted by server restart', finished_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'`
+  );
+  if (staleResult.success && staleResult.data.affectedRows > 0) {
+    Logger.warn(`[JobScheduler] Marked ${staleResult.data.affectedRows} interrupted run(s) as failed`);
+  }
+
+  for (const job of jobs.values()) {
+    if (!job.enabled || !job.intervalMs || job.timer) {
+      continue;
+    }
+
+    job.timer = setInterval(() => {
+      runJob(job.name, { trigger: "schedule" }).catch((error) => {
+        Logger.error(`[JobScheduler] Failed to start scheduled run of ${job.name}:`, error);
+      });
+    }, job.intervalMs);
+
+    Logger.info(`[JobScheduler] ${job.name} scheduled every ${Math.round(job.intervalMs / 60000)} minutes`);
+  }
+}
+
+/**
+ * Stop all interval timers (running jobs finish on their own)
+ */
+export function stopScheduler() {
+  for (const job of jobs.values()) {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+}
+
+/**
+ * Start a job run in the background
+ * @param {string} name - Job name
+ * @param {Object} options - Run options
+ * @param {string} options.trigger - "schedule" or "manual"
+ * @param {number|null} options.triggeredBy - Admin user ID for manual runs
+ * @param {Object} options.params - Parameters passed to the handler
+ * @returns {Promise<Object|null>} Started run, or null if the job is already running
+ */
+export async function runJob(name, options = {}) {
+  const { trigger = "manual", triggeredBy = null, params = {} } = options;
+  const job = jobs.get(name);
+
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  if (job.currentRun) {
+    Logger.debug(`[JobScheduler] ${name} is already running (run ${job.currentRun.id}), skipping`);
+    return null;
+  }
+
+  // Reserve the slot before the insert so concurrent triggers cannot both start
+  job.currentRun = { id: null };
+
+  const insertResult = await executeQuery(
+    "INSERT INTO job_runs (job_name, trigger_type, triggered_by, status) VALUES (?, ?, ?, 'running')",
+    [name, trigger, triggeredBy]
+  );
+
+  if (!insertResult.success) {
+    job.currentRun = null;
+    throw new Error(insertResult.error);
+  }
+
+  const run = {
+    id: insertResult.data.insertId,
+    job_name: name,
+    trigger_type: trigger,
+    triggered_by: triggeredBy,
+    status: "running",
+    total_items: 0,
+    processed_items: 0,
+    stats: {},
+    started_at: new Date()
+  };
+  job.currentRun = run;
+
+  Logger.info(`[JobScheduler] ${name} started (run ${run.id}, ${trigger})`);
+
+  // Run in background, the caller only needs the run ID
+  executeRun(job, run, params);
+
+  return run;
+}
+
+/**
+ * Execute a job handler and persist its outcome
+ * @param {Object} job - Registered job
+ * @param {Object} run - Run record
+ * @param {Object} params - Handler parameters
+ */
+async function executeRun(job, run, params) {
+  const context = {
+    runId: run.id,
+    params,
+    reportProgress: async ({ processed, total, stats } = {}) => {
+      if (processed !== undefined) run.processed_items = processed;
+      if (total !== undefined) run.total_items = total;
+      if (stats !== undefined) run.stats = stats;
+
+      await executeQuery(
+        "UPDATE job_runs SET processed_items = ?, total_items = ?, stats = ? WHERE id = ?",
+        [run.processed_items, run.total_items, JSON.stringify(run.stats), run.id]
+      );
+    }
+  };
+
+  try {
+    const stats = await job.handler(context);
+    if (stats !== undefined) {
+      run.stats = stats;
+    }
+    run.status = "completed";
+
+    await executeQuery(
+      `UPDATE job_runs
+       SET status = 'completed', processed_items = ?, total_items = ?, stats = ?, finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [run.processed_items, run.total_items, JSON.stringify(run.stats), run.id]
+    );
+
+    Logger.success(`[JobScheduler] ${job.name} completed (run ${run.id})`);
+  } catch (error) {
+    run.status = "failed";
+    Logger.error(`[JobScheduler] ${job.name} failed (run ${run.id}):`, error);
+
+    await executeQuery(
+      `UPDATE job_runs
+       SET status = 'failed', processed_items = ?, total_items = ?, stats = ?, error_message = ?, finished_at = CURRENT_TIMESTAMP
+       WHERE id = ?`,
+      [run.processed_items, run.total_items, JSON.stringify(run.stats), error.message, run.id]
+    );
+  } finally {
+    job.currentRun = null;
+  }
+}
+
+/**
+ * List registered jobs with their live state
+ * @returns {Array<Object>} Jobs with name, schedule and current run progress
+ */
+export function listJobs() {
+  return Array.from(jobs.values()).map(getJobState);
+}
+
+/**
+ * Get a registered job's live state
+ * @param {string} name - Job name
+ * @returns {Object|null} Job state or null if not registered
+ */
+export function getJob(name) {
+  const job = jobs.get(name);
+  return job ? getJobState(job) : null;
+}
+
+function getJobState(job) {
+  return {
+    name: job.name,
+    description: job.description,
+    enabled: job.enabled,
+    interval_ms: job.intervalMs,
+    scheduled: !!job.timer,
+    running: !!job.currentRun,
+    current_run: job.currentRun && job.currentRun.id ? { ...job.currentRun } : null
+  };
+}
+
+/**
+ * Get run history for a job
+ * @param {string} name - Job name
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} { runs, total }
+ */
+export async function getJobRuns(name, { limit = 20, offset = 0 } = {}) {
+  const countResult = await executeQuery("SELECT COUNT(*) as total FROM job_runs WHERE job_name = ?", [name]);
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+
+  // Using direct interpolation for LIMIT/OFFSET to avoid prepared statement issues
+  const runsResult = await executeQuery(
+    `SELECT id, job_name, trigger_type, triggered_by, status, total_items, processed_items,
+            stats, error_message, started_at, finished_at
+     FROM job_runs
+     WHERE job_name = ?
+     ORDER BY started_at DESC, id DESC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+    [name]
+  );
+  if (!runsResult.success) {
+    throw new Error(runsResult.error);
+  }
+
+  const runs = runsResult.data.map((run) => {
+    let stats = {};
+    try {
+      stats = run.stats ? JSON.parse(run.stats) : {};
+    } catch (error) {
+      stats = {};
+    }
+    return { ...run, stats };
+  });
+
+  return { runs, total: countResult.data[0].total };
+}
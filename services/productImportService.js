@@ -0,0 +1,574 @@
+/**
+ * Product Import Service
+ * Bulk import of products from a CSV or JSON file of item IDs / Shopee links:
+ * - Rows are validated and deduplicated up front and stored in product_import_rows
+ * - Each pending row is enriched via the Shopee API, auto-categorized and saved
+ * - Progress lives in the database, so an interrupted import resumes where it stopped
+ */
+
+import path from "path";
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { fetchProductOffer, hasShopeeCredentials } from "./shopeeApiService.js";
+import { prepareProductData, saveProduct, clearCatalogCaches } from "../utils/productService.js";
+import { registerJob, runJob } from "./jobScheduler.js";
+import { parseCsvLine, splitCsvLines } from "../utils/csv.js";
+
+export const PRODUCT_IMPORT_JOB = "product-import";
+
+// Configuration (can be overridden by environment variables)
+export const IMPORT_MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 5000;
+export const IMPORT_INLINE_MAX_ROWS = parseInt(process.env.PRODUCT_IMPORT_INLINE_MAX_ROWS) || 10; // Larger files run as a job
+const IMPORT_BATCH_SIZE = 25;
+const IMPORT_REQUEST_DELAY_MS = parseInt(process.env.PRODUCT_IMPORT_REQUEST_DELAY_MS) || 500;
+const IMPORT_RESUME_INTERVAL_MS = 5 * 60 * 1000; // Pick up interrupted imports every 5 minutes
+
+// Column names recognised in a CSV header / JSON object
+const ITEM_ID_KEYS = ["item_id", "itemid", "id"];
+const LINK_KEYS = ["link", "url", "product_link", "productlink"];
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Imports being processed by this server (inline request or job), never processed twice at once
+const activeImports = new Set();
+
+/**
+ * Extract raw values from CSV content
+ * Uses the item_id / link column when there is a header row, otherwise the first column.
+ * @param {string} content - File content
+ * @returns {Array<string>} One raw value per data row
+ */
+function parseCsvValues(content) {
+  const lines = splitCsvLines(content);
+  if (lines.length === 0) {
+    return [];
+  }
+
+  const header = parseCsvLine(lines[0]).map((cell) => cell.toLowerCase());
+  const itemIdIndex = header.findIndex((cell) => ITEM_ID_KEYS.includes(cell));
+  const linkIndex = header.findIndex((cell) => LINK_KEYS.includes(cell));
+
+  if (itemIdIndex === -1 && linkIndex === -1) {
+    return lines.map((line) => parseCsvLine(line)[0] || "");
+  }
+
+  return lines.slice(1).map((line) => {
+    const cells = parseCsvLine(line);
+    return (itemIdIndex !== -1 && cells[itemIdIndex]) || (linkIndex !== -1 && cells[linkIndex]) || "";
+  });
+}
+
+/**
+ * Extract raw values from JSON content
+ * Accepts an array (or { items: [...] }) of IDs, links, or objects with item_id / link.
+ * @param {string} content - File content
+ * @returns {Array<string>} One raw value per entry
+ */
+function parseJsonValues(content) {
+  let data;
+  try {
+    data = JSON.parse(content);
+  } catch (error) {
+    throw new Error("Invalid JSON file");
+  }
+
+  const entries = Array.isArray(data) ? data : data?.items;
+  if (!Array.isArray(entries)) {
+    throw new Error("JSON file must contain an array of item IDs or links");
+  }
+
+  return entries.map((entry) => {
+    if (entry === null || entry === undefined) {
+      return "";
+    }
+    if (typeof entry !== "object") {
+      return String(entry);
+    }
+    const keys = Object.keys(entry);
+    const itemIdKey = keys.find((key) => ITEM_ID_KEYS.includes(key.toLowerCase()));
+    const linkKey = keys.find((key) => LINK_KEYS.includes(key.toLowerCase()));
+    return String((itemIdKey && entry[itemIdKey]) || (linkKey && entry[linkKey]) || "");
+  });
+}
+
+/**
+ * Parse an uploaded import file
+ * @param {Object} file - Multer file (memory storage)
+ * @returns {Object} { format, values }
+ */
+export function parseImportFile(file) {
+  const ext = path.extname(file.originalname).toLowerCase();
+  const content = file.buffer.toString("utf8").replace(/^\uFEFF/, ""); // Strip Excel BOM
+
+  if (ext === ".json") {
+    return { format: "json", values: parseJsonValues(content) };
+  }
+  if (ext === ".csv") {
+    return { format: "csv", values: parseCsvValues(content) };
+  }
+  throw new Error("Only .csv and .json files are supported");
+}
+
+/**
+ * Resolve an item ID from a raw value (item ID or Shopee product link)
+ * @param {string} value - Raw value from the file
+ * @returns {Object} { itemId } or { error }
+ */
+export function parseProductReference(value) {
+  const input = String(value || "").trim();
+
+  if (!input) {
+    return { error: "Empty row" };
+  }
+
+  if (/^\d{5,20}$/.test(input)) {
+    return { itemId: input };
+  }
+
+  let url;
+  try {
+    url = new URL(input);
+  } catch (error) {
+    return { error: "Not a Shopee item ID or product link" };
+  }
+
+  const host = url.hostname.toLowerCase();
+  if (host === "s.shopee.co.th" || host === "shope.ee") {
+    return { error: "Short links are not supported, use the full product link" };
+  }
+  if (host !== "shopee.co.th" && !host.endsWith(".shopee.co.th")) {
+    return { error: "Not a Shopee Thailand link" };
+  }
+
+  // Product-Name-i.{shopId}.{itemId} or /product/{shopId}/{itemId}
+  const match = url.pathname.match(/-i\.(\d+)\.(\d+)/) || url.pathname.match(/\/(\d+)\/(\d+)\/?$/);
+  if (!match) {
+    return { error: "Could not find an item ID in the link" };
+  }
+
+  return { itemId: match[2] };
+}
+
+/**
+ * Create an import with validated, deduplicated rows
+ * @param {Object} params - Import parameters
+ * @param {string} params.filename - Original file name
+ * @param {string} params.format - "csv" or "json"
+ * @param {Array<string>} params.values - Raw values from parseImportFile
+ * @param {boolean} params.skipExisting - Skip items that are already saved instead of updating them
+ * @param {number} params.createdBy - Admin user ID
+ * @returns {Promise<number>} Import ID
+ */
+export async function createImport({ filename, format, values, skipExisting = false, createdBy = null }) {
+  const seen = new Map();
+  const rows = values.map((value, index) => {
+    const rowNumber = index + 1;
+    const input = String(value).slice(0, 500);
+    const { itemId, error } = parseProductReference(value);
+
+    if (error) {
+      return [rowNumber, input, null, "failed", error];
+    }
+    if (seen.has(itemId)) {
+      return [rowNumber, input, itemId, "skipped", `Duplicate of row ${seen.get(itemId)}`];
+    }
+    seen.set(itemId, rowNumber);
+    return [rowNumber, input, itemId, "pending", null];
+  });
+
+  const importResult = await executeQuery(
+    `INSERT INTO product_imports (filename, format, status, total_rows, skip_existing, created_by)
+     VALUES (?, ?, 'pending', ?, ?, ?)`,
+    [filename, format, rows.length, skipExisting, createdBy]
+  );
+  if (!importResult.success) {
+    throw new Error(importResult.error);
+  }
+
+  const importId = importResult.data.insertId;
+
+  // Insert rows in chunks to keep statements small
+  for (let i = 0; i < rows.length; i += 500) {
+    const chunk = rows.slice(i, i + 500);
+    const placeholders = chunk.map(() => "(?, ?, ?, ?, ?, ?)").join(", ");
+    const params = chunk.flatMap((row) => [importId, ...row]);
+
+    const rowsResult = await executeQuery(
+      `INSERT INTO product_import_rows (import_id, line_number, input_value, item_id, status, message) VALUES ${placeholders}`,
+      params
+    );
+    if (!rowsResult.success) {
+      await executeQuery("DELETE FROM product_imports WHERE id = ?", [importId]);
+      throw new Error(rowsResult.error);
+    }
+  }
+
+  await refreshImportCounts(importId);
+  Logger.info(`[ProductImport] Import ${importId} created with ${rows.length} rows (${seen.size} unique items)`);
+
+  return importId;
+}
+
+/**
+ * Recalculate an import's per-status counters from its rows
+ * @param {number} importId - Import ID
+ * @returns {Promise<number>} Remaining pending rows
+ */
+async function refreshImportCounts(importId) {
+  const countsResult = await executeQuery(
+    "SELECT status, COUNT(*) as count FROM product_import_rows WHERE import_id = ? GROUP BY status",
+    [importId]
+  );
+  if (!countsResult.success) {
+    throw new Error(countsResult.error);
+  }
+
+  const counts = { pending: 0, created: 0, updated: 0, skipped: 0, failed: 0 };
+  for (const row of countsResult.data) {
+    counts[row.status] = row.count;
+  }
+
+  await executeQuery(
+    `UPDATE product_imports
+     SET created_count = ?, updated_count = ?, skipped_count = ?, failed_count = ?
+     WHERE id = ?`,
+    [counts.created, counts.updated, counts.skipped, counts.failed, importId]
+  );
+
+  return counts.pending;
+}
+
+/**
+ * Convert a productOfferV2 node to the shape expected by prepareProductData
+ * @param {Object} offer - Product node from Shopee API
+ * @returns {Object} Product data
+ */
+function offerToProductData(offer) {
+  const periodEndTime = parseInt(offer.periodEndTime) || 0;
+
+  return {
+    itemId: String(offer.itemId),
+    productName: offer.productName,
+    shopName: offer.shopName || "",
+    shopId: offer.shopId ? String(offer.shopId) : "",
+    shopType: offer.shopType,
+    price: offer.price,
+    priceMin: offer.priceMin,
+    priceMax: offer.priceMax,
+    commissionRate: offer.commissionRate,
+    sellerCommissionRate: offer.sellerCommissionRate,
+    shopeeCommissionRate: offer.shopeeCommissionRate,
+    commission: offer.commission,
+    imageUrl: offer.imageUrl || "",
+    productLink: offer.productLink || "",
+    offerLink: offer.offerLink || "",
+    ratingStar: offer.ratingStar,
+    sold: offer.sales,
+    discountRate: offer.priceDiscountRate,
+    periodStartTime: offer.periodStartTime,
+    periodEndTime,
+    campaignActive: !periodEndTime || periodEndTime * 1000 > Date.now()
+  };
+}
+
+/**
+ * Import a single row
+ * @param {Object} row - product_import_rows record
+ * @param {Object} importRecord - product_imports record
+ * @returns {Promise<Object>} { status, message }
+ */
+async function importRow(row, importRecord) {
+  const existingResult = await executeQuery(
+    "SELECT id, category_id, is_flash_sale, deleted_at FROM shopee_products WHERE item_id = ?",
+    [row.item_id]
+  );
+  if (!existingResult.success) {
+    throw new Error(existingResult.error);
+  }
+
+  const existing = existingResult.data[0];
+  if (existing && existing.deleted_at) {
+    return { status: "skipped", message: "Product is in the trash" };
+  }
+  if (existing && importRecord.skip_existing) {
+    return { status: "skipped", message: "Product already saved" };
+  }
+
+  const offer = await fetchProductOffer(row.item_id);
+  if (!offer) {
+    return { status: "failed", message: "Product not found in Shopee affiliate offers" };
+  }
+
+  const productData = {
+    ...offerToProductData(offer),
+    source: "import",
+    // Keep manual category and flash sale flags of products that are already saved
+    category_id: existing ? existing.category_id : null,
+    is_flash_sale: existing ? !!existing.is_flash_sale : false
+  };
+
+  const preparedData = await prepareProductData(productData, { autoAssignCategory: true });
+  const result = await saveProduct(preparedData);
+
+  return {
+    status: result.action === "updated" ? "updated" : "created",
+    message: preparedData.categoryId ? null : "Saved without category"
+  };
+}
+
+/**
+ * Process pending rows of an import
+ * @param {number} importId - Import ID
+ * @param {Function} [onProgress] - Called after each batch with { processed, pending }
+ * @returns {Promise<Object>} Updated import summary
+ */
+export async function processImport(importId, onProgress = null) {
+  if (activeImports.has(importId)) {
+    return getImport(importId);
+  }
+  activeImports.add(importId);
+
+  try {
+    return await runImport(importId, onProgress);
+  } finally {
+    activeImports.delete(importId);
+  }
+}
+
+async function runImport(importId, onProgress) {
+  const importResult = await executeQuery("SELECT * FROM product_imports WHERE id = ?", [importId]);
+  if (!importResult.success) {
+    throw new Error(importResult.error);
+  }
+  if (importResult.data.length === 0) {
+    throw new Error(`Import ${importId} not found`);
+  }
+
+  const importRecord = importResult.data[0];
+  await executeQuery("UPDATE product_imports SET status = 'processing', error_message = NULL WHERE id = ?", [importId]);
+
+  let processed = 0;
+
+  try {
+    if (!hasShopeeCredentials()) {
+      throw new Error("Shopee API credentials not configured");
+    }
+
+    while (true) {
+      const rowsResult = await executeQuery(
+        `SELECT id, line_number, item_id FROM product_import_rows
+         WHERE import_id = ? AND status = 'pending'
+         ORDER BY line_number ASC
+         LIMIT ${IMPORT_BATCH_SIZE}`,
+        [importId]
+      );
+      if (!rowsResult.success) {
+        throw new Error(rowsResult.error);
+      }
+      if (rowsResult.data.length === 0) {
+        break;
+      }
+
+      for (const row of rowsResult.data) {
+        let outcome;
+        try {
+          outcome = await importRow(row, importRecord);
+        } catch (error) {
+          Logger.warn(`[ProductImport] Row ${row.line_number} of import ${importId} failed: ${error.message}`);
+          outcome = { status: "failed", message: error.message.slice(0, 500) };
+        }
+
+        await executeQuery(
+          "UPDATE product_import_rows SET status = ?, message = ?, processed_at = CURRENT_TIMESTAMP WHERE id = ?",
+          [outcome.status, outcome.message, row.id]
+        );
+        processed++;
+
+        if (IMPORT_REQUEST_DELAY_MS > 0) {
+          await sleep(IMPORT_REQUEST_DELAY_MS);
+        }
+      }
+
+      const pending = await refreshImportCounts(importId);
+      if (onProgress) {
+        await onProgress({ processed, pending });
+      }
+    }
+
+    await refreshImportCounts(importId);
+    await executeQuery(
+      "UPDATE product_imports SET status = 'completed', finished_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [importId]
+    );
+    Logger.success(`[ProductImport] Import ${importId} completed (${processed} rows processed)`);
+    if (processed > 0) {
+      clearCatalogCaches();
+    }
+  } catch (error) {
+    // Pending rows stay pending, so the import can be resumed
+    await refreshImportCounts(importId);
+    await executeQuery("UPDATE product_imports SET status = 'failed', error_message = ? WHERE id = ?", [
+      error.message,
+      importId
+    ]);
+    Logger.error(`[ProductImport] Import ${importId} stopped:`, error);
+  }
+
+  return getImport(importId);
+}
+
+/**
+ * Get an import summary
+ * @param {number} importId - Import ID
+ * @returns {Promise<Object|null>} Import record or null if not found
+ */
+export async function getImport(importId) {
+  const result = await executeQuery(
+    `SELECT id, filename, format, status, total_rows, created_count, updated_count, skipped_count,
+            failed_count, skip_existing, error_message, created_by, created_at, updated_at, finished_at
+     FROM product_imports WHERE id = ?`,
+    [importId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.length === 0) {
+    return null;
+  }
+
+  const record = result.data[0];
+  const done = record.created_count + record.updated_count + record.skipped_count + record.failed_count;
+  return { ...record, pending_count: record.total_rows - done };
+}
+
+/**
+ * Get per-row report of an import
+ * @param {number} importId - Import ID
+ * @param {Object} options - Filter and pagination
+ * @param {string} options.status - Row status filter (optional)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} { rows, total }
+ */
+export async function getImportRows(importId, { status, limit = 100, offset = 0 } = {}) {
+  let whereClause = "WHERE import_id = ?";
+  const queryParams = [importId];
+
+  if (status) {
+    whereClause += " AND status = ?";
+    queryParams.push(status);
+  }
+
+  const countResult = await executeQuery(`SELECT COUNT(*) as total FROM product_import_rows ${whereClause}`, queryParams);
+  const rowsResult = await executeQuery(
+    `SELECT line_number, input_value, item_id, status, message, processed_at
+     FROM product_import_rows ${whereClause}
+     ORDER BY line_number ASC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+    queryParams
+  );
+  if (!countResult.success || !rowsResult.success) {
+    throw new Error(countResult.error || rowsResult.error);
+  }
+
+  return { rows: rowsResult.data, total: countResult.data[0].total };
+}
+
+/**
+ * List imports, newest first
+ * @param {Object} options - Pagination
+ * @returns {Promise<Object>} { imports, total }
+ */
+export async function listImports({ limit = 20, offset = 0 } = {}) {
+  const countResult = await executeQuery("SELECT COUNT(*) as total FROM product_imports");
+  const importsResult = await executeQuery(
+    `SELECT id, filename, format, status, total_rows, created_count, updated_count, skipped_count,
+            failed_count, created_by, created_at, finished_at
+     FROM product_imports
+     ORDER BY created_at DESC, id DESC
+     LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`
+  );
+  if (!countResult.success || !importsResult.success) {
+    throw new Error(countResult.error || importsResult.error);
+  }
+
+  return { imports: importsResult.data, total: countResult.data[0].total };
+}
+
+/**
+ * Queue a failed import again so the job picks up its pending rows
+ * @param {number} importId - Import ID
+ * @returns {Promise<void>}
+ */
+export async function requeueImport(importId) {
+  const result = await executeQuery(
+    "UPDATE product_imports SET status = 'pending', error_message = NULL WHERE id = ? AND status = 'failed'",
+    [importId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+}
+
+/**
+ * Start the import job in the background
+ * Safe to call while the job is running: the running job picks up new imports before it finishes.
+ * @param {number|null} triggeredBy - Admin user ID
+ * @returns {Promise<Object|null>} Started run or null if already running
+ */
+export async function startImportJob(triggeredBy = null) {
+  return runJob(PRODUCT_IMPORT_JOB, { trigger: "manual", triggeredBy });
+}
+
+/**
+ * Process every import that still has pending rows (job handler)
+ * @param {Object} context - Job context from jobScheduler
+ * @returns {Promise<Object>} Run statistics
+ */
+export async function processPendingImports({ reportProgress }) {
+  const stats = { imports: 0, rows: 0 };
+  const attempted = new Set();
+
+  while (true) {
+    // Failed imports are only resumed on request, not retried automatically
+    const nextResult = await executeQuery(
+      `SELECT DISTINCT i.id FROM product_imports i
+       JOIN product_import_rows r ON r.import_id = i.id AND r.status = 'pending'
+       WHERE i.status IN ('pending', 'processing')
+       ORDER BY i.id ASC`
+    );
+    if (!nextResult.success) {
+      throw new Error(nextResult.error);
+    }
+
+    const next = nextResult.data.find((row) => !attempted.has(row.id) && !activeImports.has(row.id));
+    if (!next) {
+      break;
+    }
+
+    attempted.add(next.id);
+    stats.imports++;
+
+    let processedRows = 0;
+    await processImport(next.id, async ({ processed }) => {
+      processedRows = processed;
+      await reportProgress({ processed: stats.rows + processed, stats });
+    });
+
+    stats.rows += processedRows;
+    await reportProgress({ processed: stats.rows, stats });
+  }
+
+  return stats;
+}
+
+/**
+ * Register the import job with the scheduler
+ * The interval only resumes imports interrupted by a restart; uploads start the job directly.
+ */
+export function registerProductImportJob() {
+  registerJob(PRODUCT_IMPORT_JOB, processPendingImports, {
+    intervalMs: IMPORT_RESUME_INTERVAL_MS,
+    description: "Process uploaded product import files"
+  });
+}
@@ -0,0 +1,164 @@
+/**
+ * Product Sync Service
+ * Background re-sync of saved products against the Shopee Affiliate API:
+ * - Walks due products in batches, oldest sync attempt first: active products not attempted within
+ *   PRODUCT_SYNC_STALE_AFTER_MS, and products the sync deactivated not attempted within
+ *   PRODUCT_SYNC_INACTIVE_STALE_AFTER_MS (a returning offer reactivates them)
+ * - Every attempt is recorded, so a product that keeps failing waits a full interval like any
+ *   other product instead of being retried first on every run
+ * - Writes only fields that changed, flips products to inactive when the offer disappears
+ * - Stops once the per-run request budget is spent; the next run continues from there
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { fetchProductOffer, hasShopeeCredentials } from "./shopeeApiService.js";
+import { updateProductFromOffer, clearCatalogCaches, SYNCED_PRODUCT_COLUMNS } from "../utils/productService.js";
+import { registerJob } from "./jobScheduler.js";
+
+export const PRODUCT_SYNC_JOB = "product-sync";
+
+// Configuration (can be overridden by environment variables)
+const SYNC_ENABLED = process.env.PRODUCT_SYNC_ENABLED !== "false";
+const SYNC_INTERVAL_MS = parseInt(process.env.PRODUCT_SYNC_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+const SYNC_STALE_AFTER_MS = parseInt(process.env.PRODUCT_SYNC_STALE_AFTER_MS) || 12 * 60 * 60 * 1000; // 12 hours
+const SYNC_INACTIVE_STALE_AFTER_MS =
+  parseInt(process.env.PRODUCT_SYNC_INACTIVE_STALE_AFTER_MS) || 7 * 24 * 60 * 60 * 1000; // 7 days
+const SYNC_BATCH_SIZE = parseInt(process.env.PRODUCT_SYNC_BATCH_SIZE) || 50;
+const SYNC_REQUEST_BUDGET = parseInt(process.env.PRODUCT_SYNC_REQUEST_BUDGET) || 300; // Shopee API calls per run
+const SYNC_REQUEST_DELAY_MS = parseInt(process.env.PRODUCT_SYNC_REQUEST_DELAY_MS) || 1000;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Re-sync due products (job handler)
+ * @param {Object} context - Job context from jobScheduler
+ * @param {Object} context.params - Optional overrides: { budget, batchSize }
+ * @param {Function} context.reportProgress - Progress reporter
+ * @returns {Promise<Object>} Run statistics
+ */
+export async function syncSavedProducts({ params = {}, reportProgress }) {
+  if (!hasShopeeCredentials()) {
+    throw new Error("Shopee API credentials not configured");
+  }
+
+  const budget = parseInt(params.budget) || SYNC_REQUEST_BUDGET;
+  const batchSize = parseInt(params.batchSize) || SYNC_BATCH_SIZE;
+  // Cutoffs are computed by MySQL so they use the same clock and timezone as the timestamps.
+  // Rows never attempted since attempts were recorded fall back to their last successful sync.
+  const dueCondition = `deleted_at IS NULL AND (
+      (status = 'active' AND (COALESCE(last_sync_attempt_at, last_synced_at) IS NULL
+        OR COALESCE(last_sync_attempt_at, last_synced_at) < DATE_SUB(NOW(), INTERVAL ? SECOND)))
+      OR (status = 'inactive' AND sync_deactivated = 1
+        AND COALESCE(last_sync_attempt_at, last_synced_at) < DATE_SUB(NOW(), INTERVAL ? SECOND))
+    )`;
+  const dueParams = [Math.floor(SYNC_STALE_AFTER_MS / 1000), Math.floor(SYNC_INACTIVE_STALE_AFTER_MS / 1000)];
+
+  const stats = {
+    requests: 0,
+    unchanged: 0,
+    updated: 0,
+    deactivated: 0,
+    reactivated: 0,
+    failed: 0,
+    budget,
+    budget_exhausted: false
+  };
+
+  const countResult = await executeQuery(`SELECT COUNT(*) as total FROM shopee_products WHERE ${dueCondition}`, dueParams);
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+
+  const total = Math.min(countResult.data[0].total, budget);
+  let processed = 0;
+  await reportProgress({ processed, total, stats });
+
+  while (stats.requests < budget) {
+    const limit = Math.min(batchSize, budget - stats.requests);
+    // Oldest attempt first (never synced first); attempted products are no longer due, so
+    // every batch query picks up where the previous one stopped
+    const batchResult = await executeQuery(
+      `SELECT id, item_id, status, ${SYNCED_PRODUCT_COLUMNS.join(", ")}
+       FROM shopee_products
+       WHERE ${dueCondition}
+       ORDER BY COALESCE(last_sync_attempt_at, last_synced_at) ASC, id ASC
+       LIMIT ${limit}`,
+      dueParams
+    );
+    if (!batchResult.success) {
+      throw new Error(batchResult.error);
+    }
+
+    const batch = batchResult.data;
+    if (batch.length === 0) {
+      break;
+    }
+
+    const attemptResult = await executeQuery(
+      `UPDATE shopee_products SET last_sync_attempt_at = CURRENT_TIMESTAMP, updated_at = updated_at
+       WHERE id IN (${batch.map(() => "?").join(", ")})`,
+      batch.map((product) => product.id)
+    );
+    if (!attemptResult.success) {
+      throw new Error(attemptResult.error);
+    }
+
+    for (const product of batch) {
+      stats.requests++;
+
+      try {
+        const offer = await fetchProductOffer(product.item_id);
+        const result = await updateProductFromOffer(product.item_id, offer, product);
+
+        if (!offer) {
+          if (product.status === "active") {
+            stats.deactivated++;
+          }
+        } else if (product.status === "inactive") {
+          stats.reactivated++;
+        } else if (result.updated) {
+          stats.updated++;
+        } else {
+          stats.unchanged++;
+        }
+      } catch (error) {
+        // last_synced_at stays untouched; the product is retried once its attempt is stale
+        stats.failed++;
+        Logger.warn(`[ProductSync] Failed to sync item ${product.item_id}: ${error.message}`);
+      }
+
+      processed++;
+      if (SYNC_REQUEST_DELAY_MS > 0) {
+        await sleep(SYNC_REQUEST_DELAY_MS);
+      }
+    }
+
+    await reportProgress({ processed, total, stats });
+    Logger.debug(`[ProductSync] Progress ${processed}/${total}`, stats);
+  }
+
+  stats.budget_exhausted = stats.requests >= budget && countResult.data[0].total > budget;
+
+  if (stats.updated > 0 || stats.deactivated > 0 || stats.reactivated > 0) {
+    clearCatalogCaches();
+  }
+
+  Logger.info(
+    `[ProductSync] Done: ${stats.updated} updated, ${stats.unchanged} unchanged, ` +
+      `${stats.deactivated} deactivated, ${stats.reactivated} reactivated, ${stats.failed} failed`
+  );
+
+  return stats;
+}
+
+/**
+ * Register the product sync job with the scheduler
+ */
+export function registerProductSyncJob() {
+  registerJob(PRODUCT_SYNC_JOB, syncSavedProducts, {
+    intervalMs: SYNC_INTERVAL_MS,
+    enabled: SYNC_ENABLED && hasShopeeCredentials(),
+    description: "Re-sync saved products with the Shopee Affiliate API"
+  });
+}
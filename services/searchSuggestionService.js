@@ -0,0 +1,215 @@
+/**
+ * Search Suggestion Service
+ * Autocomplete for the storefront search box: matching products, categories, tags,
+ * shops and popular past searches.
+ *
+ * Search terms are stored anonymized: only the normalized term with counters and the
+ * result count of its last search, never who searched. A term is suggested to others only
+ * after SUGGEST_MIN_SEARCH_COUNT distinct clients searched it and it returned results, so a
+ * single client cannot publish a term by repeating it. Clients are told apart by a salted
+ * hash of their IP and the term (not linkable across terms), kept only until the term
+ * qualifies. Terms that look like personal data (emails, phone numbers, long digit runs)
+ * are never stored.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { hashClientIP } from "./clickTrackingService.js";
+import {
+  normalizeSearchTerm,
+  buildSearchPlan,
+  buildSearchCondition,
+  buildRelevanceExpression
+} from "../utils/productSearch.js";
+
+// Configuration (can be overridden by environment variables)
+const SUGGEST_MIN_SEARCH_COUNT = parseInt(process.env.SEARCH_SUGGEST_MIN_COUNT) || 3;
+
+const MAX_TERM_LENGTH = 100;
+// Shorter terms match too many products to be useful (and cannot use the full-text index)
+const MIN_PRODUCT_TERM_LENGTH = 2;
+const DEFAULT_SUGGESTION_LIMIT = 5;
+const MAX_SUGGESTION_LIMIT = 10;
+
+// Emails, phone numbers, ID / card numbers
+const PERSONAL_DATA_PATTERN = /@|\d[\d\s-]{5,}\d/;
+
+// Escape LIKE wildcards in user input
+const escapeLike = (value) => value.replace(/[\\%_]/g, "\\$&");
+
+/**
+ * Whether a search term may be stored
+ * @param {string} term - Normalized search term
+ * @returns {boolean}
+ */
+export function isRecordableSearchTerm(term) {
+  return !!term && term.length <= MAX_TERM_LENGTH && !PERSONAL_DATA_PATTERN.test(term);
+}
+
+/**
+ * Count a storefront search
+ * Never throws: a failed insert must not fail the search.
+ * @param {string} term - Search term as entered
+ * @param {number} resultCount - Number of results the search returned
+ * @param {string} clientIP - IP of the searching client (only stored hashed, see countSearchClient)
+ * @returns {Promise<boolean>} True if stored
+ */
+export async function recordSearchQuery(term, resultCount, clientIP) {
+  const normalized = normalizeSearchTerm(term);
+  if (!isRecordableSearchTerm(normalized)) {
+    return false;
+  }
+
+  try {
+    const result = await executeQuery(
+      `INSERT INTO search_queries (term, search_count, last_result_count) VALUES (?, 1, ?)
+       ON DUPLICATE KEY UPDATE
+         search_count = search_count + 1,
+         last_result_count = VALUES(last_result_count),
+         last_searched_at = CURRENT_TIMESTAMP`,
+      [normalized, Math.max(0, parseInt(resultCount) || 0)]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (clientIP) {
+      await countSearchClient(normalized, clientIP);
+    }
+    return true;
+  } catch (error) {
+    Logger.warn(`[Search] Failed to record search query: ${error.message}`);
+    return false;
+  }
+}
+
+// Count a client toward the suggestion threshold of a term, once per client. The hash covers
+// the term too, and the hashes of a term are dropped as soon as it reaches the threshold.
+async function countSearchClient(term, clientIP) {
+  const queryResult = await executeQuery(
+    "SELECT id, client_count FROM search_queries WHERE term = ?",
+    [term]
+  );
+  if (!queryResult.success) {
+    throw new Error(queryResult.error);
+  }
+  const query = queryResult.data[0];
+  if (!query || query.client_count >= SUGGEST_MIN_SEARCH_COUNT) {
+    return;
+  }
+
+  const insertResult = await executeQuery(
+    "INSERT IGNORE INTO search_query_clients (query_id, client_hash) VALUES (?, ?)",
+    [query.id, hashClientIP(`${clientIP}:${term}`)]
+  );
+  if (!insertResult.success) {
+    throw new Error(insertResult.error);
+  }
+  if (insertResult.data.affectedRows === 0) {
+    return;
+  }
+
+  const countResult = await executeQuery(
+    "UPDATE search_queries SET client_count = client_count + 1 WHERE id = ?",
+    [query.id]
+  );
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+  await executeQuery(
+    `DELETE c FROM search_query_clients c
+     JOIN search_queries q ON q.id = c.query_id
+     WHERE c.query_id = ? AND q.client_count >= ?`,
+    [query.id, SUGGEST_MIN_SEARCH_COUNT]
+  );
+}
+
+async function suggestProducts(plan, limit) {
+  const { clause, params } = buildSearchCondition(plan);
+  const relevance = buildRelevanceExpression(plan);
+  const result = await executeQuery(
+    `SELECT p.item_id, p.product_name, p.slug, p.image_url, p.price
+     FROM shopee_products p
+     WHERE p.deleted_at IS NULL AND p.status = 'active' AND ${clause}
+     ORDER BY ${relevance.expression} DESC
+     LIMIT ${limit}`,
+    [...params, ...relevance.params]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+async function suggestShops(plan, term, limit) {
+  const { clause, params } = buildSearchCondition(plan);
+  const result = await executeQuery(
+    `SELECT p.shop_id, MAX(p.shop_name) as shop_name, COUNT(*) as product_count
+     FROM shopee_products p
+     WHERE p.deleted_at IS NULL AND p.status = 'active' AND ${clause} AND p.shop_name LIKE ?
+     GROUP BY p.shop_id
+     ORDER BY product_count DESC
+     LIMIT ${limit}`,
+    [...params, `%${escapeLike(term)}%`]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+// Active categories or tags whose name contains the term, names starting with it first
+async function suggestNamed(table, term, limit) {
+  const result = await executeQuery(
+    `SELECT id, name, slug FROM ${table}
+     WHERE is_active = 1 AND deleted_at IS NULL AND name LIKE ?
+     ORDER BY (name LIKE ?) DESC, name ASC
+     LIMIT ${limit}`,
+    [`%${escapeLike(term)}%`, `${escapeLike(term)}%`]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+async function suggestPopularQueries(term, limit) {
+  const result = await executeQuery(
+    `SELECT term, search_count FROM search_queries
+     WHERE term LIKE ? AND client_count >= ? AND last_result_count > 0
+     ORDER BY search_count DESC
+     LIMIT ${limit}`,
+    [`${escapeLike(term)}%`, SUGGEST_MIN_SEARCH_COUNT]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+/**
+ * Suggestions for a partial search term
+ * @param {string} query - What the visitor has typed so far
+ * @param {Object} options - Options
+ * @param {number} options.limit - Max suggestions per group (default 5, max 10)
+ * @returns {Promise<Object>} { query, queries, products, categories, tags, shops }
+ */
+export async function getSearchSuggestions(query, { limit = DEFAULT_SUGGESTION_LIMIT } = {}) {
+  const term = normalizeSearchTerm(query).slice(0, MAX_TERM_LENGTH);
+  const groupLimit = Math.min(Math.max(parseInt(limit) || DEFAULT_SUGGESTION_LIMIT, 1), MAX_SUGGESTION_LIMIT);
+  const plan = buildSearchPlan(term);
+
+  if (!plan) {
+    return { query: term, queries: [], products: [], categories: [], tags: [], shops: [] };
+  }
+
+  const searchProducts = term.length >= MIN_PRODUCT_TERM_LENGTH;
+  const [queries, products, categories, tags, shops] = await Promise.all([
+    suggestPopularQueries(term, groupLimit),
+    searchProducts ? suggestProducts(plan, groupLimit) : [],
+    suggestNamed("categories", term, groupLimit),
+    suggestNamed("tags", term, groupLimit),
+    searchProducts ? suggestShops(plan, term, groupLimit) : []
+  ]);
+
+  return { query: term, queries, products, categories, tags, shops };
+}
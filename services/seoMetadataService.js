@@ -0,0 +1,255 @@
+/**
+ * SEO Metadata Service
+ * Per-entity SEO fields (meta_title, meta_description, og_image) for products,
+ * categories and tags, and the background job that gives existing rows a slug.
+ * Empty fields fall back to the entity's own name / image on the storefront.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { registerJob } from "./jobScheduler.js";
+import { generateMetaDescription } from "./aiSeoService.js";
+import { SLUG_ENTITIES, syncSlug } from "../utils/slug.js";
+
+export const SLUG_BACKFILL_JOB = "slug-backfill";
+
+// Configuration (can be overridden by environment variables)
+const BACKFILL_ENABLED = process.env.SLUG_BACKFILL_ENABLED !== "false";
+const BACKFILL_INTERVAL_MS = parseInt(process.env.SLUG_BACKFILL_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+const BACKFILL_BATCH_SIZE = parseInt(process.env.SLUG_BACKFILL_BATCH_SIZE) || 200;
+
+const MAX_META_TITLE_LENGTH = 255;
+const MAX_META_DESCRIPTION_LENGTH = 500;
+const GENERATED_TITLE_LENGTH = 60;
+
+export const SEO_FIELDS = ["meta_title", "meta_description", "og_image"];
+
+function getEntity(entityType) {
+  const entity = SLUG_ENTITIES[entityType];
+  if (!entity) {
+    throw new Error(`Unknown SEO entity: ${entityType}`);
+  }
+  return entity;
+}
+
+/**
+ * Validate SEO fields from a request body
+ * Only fields present in the body are returned; "" or null clears a field.
+ * @param {Object} body - Request body
+ * @returns {Object} { values, error } - error is a message, or null when valid
+ */
+export function validateSeoMetadata(body = {}) {
+  const values = {};
+
+  for (const field of SEO_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] !== null && typeof body[field] !== "string") {
+      return { values, error: `${field} must be a string` };
+    }
+    values[field] = body[field] && body[field].trim() ? body[field].trim() : null;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { values, error: `At least one of ${SEO_FIELDS.join(", ")} is required` };
+  }
+  if (values.meta_title && values.meta_title.length > MAX_META_TITLE_LENGTH) {
+    return { values, error: `meta_title must be at most ${MAX_META_TITLE_LENGTH} characters` };
+  }
+  if (values.meta_description && values.meta_description.length > MAX_META_DESCRIPTION_LENGTH) {
+    return { values, error: `meta_description must be at most ${MAX_META_DESCRIPTION_LENGTH} characters` };
+  }
+  // Absolute URL or a path of an uploaded file (/uploads/...)
+  if (values.og_image && !/^(https?:\/\/|\/)/i.test(values.og_image)) {
+    return { values, error: "og_image must be an http(s) URL or a path starting with /" };
+  }
+
+  return { values, error: null };
+}
+
+/**
+ * Get the SEO fields of an entity
+ * @param {string} entityType - Key of SLUG_ENTITIES
+ * @param {number} id - Row ID
+ * @returns {Promise<Object|null>} { id, name, slug, meta_title, meta_description, og_image } or null if not found
+ */
+export async function getSeoMetadata(entityType, id) {
+  const { table, nameColumn } = getEntity(entityType);
+  const result = await executeQuery(
+    `SELECT id, ${nameColumn} as name, slug, ${SEO_FIELDS.join(", ")}
+     FROM ${table} WHERE id = ? AND deleted_at IS NULL`,
+    [id]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data[0] || null;
+}
+
+/**
+ * Update SEO fields of an entity
+ * @param {string} entityType - Key of SLUG_ENTITIES
+ * @param {number} id - Row ID
+ * @param {Object} values - Validated fields from validateSeoMetadata()
+ * @returns {Promise<Object|null>} Updated SEO fields, or null if not found
+ */
+export async function updateSeoMetadata(entityType, id, values) {
+  const { table } = getEntity(entityType);
+  const fields = SEO_FIELDS.filter((field) => values[field] !== undefined);
+
+  const result = await executeQuery(
+    `UPDATE ${table} SET ${fields.map((field) => `${field} = ?`).join(", ")}
+     WHERE id = ? AND deleted_at IS NULL`,
+    [...fields.map((field) => values[field]), id]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.affectedRows === 0) {
+    return null;
+  }
+  return getSeoMetadata(entityType, id);
+}
+
+// Text the AI describes: the name plus whatever context the entity has
+async function buildDescriptionContent(entityType, row) {
+  if (entityType === "product") {
+    const result = await executeQuery(
+      `SELECT p.shop_name, p.price, p.image_url, c.name as category_name
+       FROM shopee_products p
+       LEFT JOIN categories c ON p.category_id = c.id AND c.deleted_at IS NULL
+       WHERE p.id = ?`,
+      [row.id]
+    );
+    const product = result.success ? result.data[0] || {} : {};
+    return {
+      content: [
+        row.name,
+        product.category_name && `Category: ${product.category_name}`,
+        product.shop_name && `Shop: ${product.shop_name}`,
+        product.price && `Price: ${product.price} THB`
+      ].filter(Boolean).join("\n"),
+      image: product.image_url || null
+    };
+  }
+
+  const countResult = entityType === "category"
+    ? await executeQuery(
+        "SELECT COUNT(*) as total FROM shopee_products WHERE category_id = ? AND status = 'active' AND deleted_at IS NULL",
+        [row.id]
+      )
+    : await executeQuery(
+        `SELECT COUNT(*) as total FROM product_tags pt
+         JOIN shopee_products p ON p.item_id = pt.product_item_id AND p.status = 'active' AND p.deleted_at IS NULL
+         WHERE pt.tag_id = ?`,
+        [row.id]
+      );
+  const total = countResult.success ? countResult.data[0].total : 0;
+  return { content: `${row.name}\n${total} products`, image: null };
+}
+
+/**
+ * Fill the SEO fields of an entity, generating meta_description with AI
+ * meta_title defaults to the name; products use their image as og_image.
+ * @param {string} entityType - Key of SLUG_ENTITIES
+ * @param {number} id - Row ID
+ * @param {Object} options - Options
+ * @param {boolean} options.overwrite - Replace fields that are already filled
+ * @param {string} options.language - Language code (th, en)
+ * @returns {Promise<Object|null>} { metadata, generated } - generated is false when the AI
+ *   service is not available; null if the entity is not found
+ */
+export async function generateSeoMetadata(entityType, id, { overwrite = false, language = "th" } = {}) {
+  const current = await getSeoMetadata(entityType, id);
+  if (!current) {
+    return null;
+  }
+
+  const { content, image } = await buildDescriptionContent(entityType, current);
+  const values = {};
+
+  if (overwrite || !current.meta_description) {
+    const description = await generateMetaDescription({ content, type: entityType, language });
+    if (!description) {
+      return { metadata: current, generated: false };
+    }
+    values.meta_description = description;
+  }
+  if (overwrite || !current.meta_title) {
+    values.meta_title = current.name.slice(0, GENERATED_TITLE_LENGTH).trim();
+  }
+  if ((overwrite || !current.og_image) && image) {
+    values.og_image = image;
+  }
+
+  if (Object.keys(values).length === 0) {
+    return { metadata: current, generated: true };
+  }
+  return { metadata: await updateSeoMetadata(entityType, id, values), generated: true };
+}
+
+/**
+ * Give rows without a slug one (job handler)
+ * Rows created before slugs existed, or whose slug update failed after a save.
+ * @param {Object} context - Job context from jobScheduler
+ * @param {Object} context.params - Optional overrides: { batchSize }
+ * @param {Function} context.reportProgress - Progress reporter
+ * @returns {Promise<Object>} Slugs assigned per entity, and failures
+ */
+export async function backfillSlugs({ params = {}, reportProgress }) {
+  const batchSize = parseInt(params.batchSize) || BACKFILL_BATCH_SIZE;
+  const stats = { failed: 0 };
+  const pending = {};
+
+  let total = 0;
+  for (const [entityType, { table }] of Object.entries(SLUG_ENTITIES)) {
+    const result = await executeQuery(`SELECT id FROM ${table} WHERE slug IS NULL ORDER BY id ASC`);
+    if (!result.success) {
+      throw new Error(`Failed to load ${table}: ${result.error}`);
+    }
+    pending[entityType] = result.data.map((row) => row.id);
+    stats[entityType] = 0;
+    total += result.data.length;
+  }
+
+  let processed = 0;
+  await reportProgress({ processed, total, stats });
+
+  for (const [entityType, ids] of Object.entries(pending)) {
+    for (let i = 0; i < ids.length; i += batchSize) {
+      for (const id of ids.slice(i, i + batchSize)) {
+        try {
+          if (await syncSlug(entityType, id)) {
+            stats[entityType]++;
+          }
+        } catch (error) {
+          stats.failed++;
+          Logger.warn(`[Slug] Backfill failed for ${entityType} ${id}: ${error.message}`);
+        }
+        processed++;
+      }
+      await reportProgress({ processed, total, stats });
+    }
+  }
+
+  if (total > 0) {
+    Logger.info(
+      `[Slug] Backfilled ${stats.product} product(s), ${stats.category} category(ies), ` +
+        `${stats.tag} tag(s); ${stats.failed} failed`
+    );
+  }
+
+  return stats;
+}
+
+/**
+ * Register the slug backfill job with the scheduler
+ */
+export function registerSlugBackfillJob() {
+  registerJob(SLUG_BACKFILL_JOB, backfillSlugs, {
+    intervalMs: BACKFILL_INTERVAL_MS,
+    enabled: BACKFILL_ENABLED,
+    description: "Generate URL slugs for products, categories and tags that do not have one"
+  });
+}
@@ -0,0 +1,130 @@
+/**
+ * Shopee Affiliate API Service
+ * Signed GraphQL client shared by the product routes and background jobs
+ */
+
+import { generateSignature, createAuthorizationHeader } from "../utils/helpers.js";
+import Logger from "../utils/logger.js";
+import { PRODUCT_OFFER_BY_ITEM_QUERY, CONVERSION_REPORT_QUERY } from "../queries.js";
+
+const API_URL = "https://open-api.affiliate.shopee.co.th/graphql";
+const APP_ID = process.env.SHOPEE_APP_ID;
+const APP_SECRET = process.env.SHOPEE_APP_SECRET;
+
+// Debug environment variables on startup (only in development)
+Logger.debug("Shopee API Environment:", {
+  API_URL: API_URL,
+  APP_ID: APP_ID ? "SET" : "NOT SET",
+  APP_SECRET: APP_SECRET ? "SET (length: " + APP_SECRET.length + ")" : "NOT SET"
+});
+
+/**
+ * Check whether Shopee API credentials are configured
+ * @returns {boolean} True if both app ID and secret are set
+ */
+export function hasShopeeCredentials() {
+  return !!(APP_ID && APP_SECRET);
+}
+
+/**
+ * Send a signed GraphQL request to the Shopee Affiliate API
+ * @param {string} query - GraphQL query
+ * @param {Object} variables - Query variables
+ * @returns {Promise<Object>} Raw GraphQL response ({ data, errors })
+ */
+export async function makeGraphQLRequest(query, variables = {}) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const payload = JSON.stringify({ query, variables });
+
+  const signature = generateSignature({
+    appId: APP_ID,
+    timestamp: timestamp.toString(),
+    payload,
+    secret: APP_SECRET
+  });
+
+  const authHeader = createAuthorizationHeader({
+    appId: APP_ID,
+    timestamp: timestamp.toString(),
+    signature
+  });
+
+  Logger.debug("Making request to Shopee API:", {
+    url: API_URL,
+    bodyLength: payload.length
+  });
+
+  try {
+    const response = await fetch(API_URL, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: authHeader
+      },
+      body: payload
+    });
+
+    Logger.debug("Response status:", response.status, response.statusText);
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      Logger.error("Error response body:", errorText);
+      throw new Error(`HTTP error! status: ${response.status}, body: ${errorText}`);
+    }
+
+    const jsonResponse = await response.json();
+    Logger.debug("Response received:", {
+      hasData: !!jsonResponse.data,
+      hasErrors: !!jsonResponse.errors
+    });
+
+    return jsonResponse;
+  } catch (error) {
+    Logger.error("GraphQL Request failed:", error);
+    throw error;
+  }
+}
+
+/**
+ * Fetch the current affiliate offer for a single item
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<Object|null>} productOfferV2 node, or null if the item is not offered
+ */
+export async function fetchProductOffer(itemId) {
+  const response = await makeGraphQLRequest(PRODUCT_OFFER_BY_ITEM_QUERY, { itemId: Number(itemId) });
+
+  if (response.errors && response.errors.length > 0) {
+    throw new Error(response.errors[0].message || "Shopee API returned an error");
+  }
+
+  const nodes = response.data?.productOfferV2?.nodes || [];
+  return nodes.find((node) => String(node.itemId) === String(itemId)) || null;
+}
+
+/**
+ * Fetch one page of the affiliate conversion report
+ * @param {Object} options - Report window and paging
+ * @param {number} options.purchaseTimeStart - Unix seconds (inclusive)
+ * @param {number} options.purchaseTimeEnd - Unix seconds (inclusive)
+ * @param {string|null} options.scrollId - scrollId from the previous page (expires after a short time)
+ * @param {number} options.limit - Page size (max 500)
+ * @returns {Promise<Object>} { nodes, pageInfo }
+ */
+export async function fetchConversionReport({ purchaseTimeStart, purchaseTimeEnd, scrollId = null, limit = 500 }) {
+  const variables = { purchaseTimeStart, purchaseTimeEnd, limit };
+  if (scrollId) {
+    variables.scrollId = scrollId;
+  }
+
+  const response = await makeGraphQLRequest(CONVERSION_REPORT_QUERY, variables);
+
+  if (response.errors && response.errors.length > 0) {
+    throw new Error(response.errors[0].message || "Shopee API returned an error");
+  }
+
+  const report = response.data?.conversionReport || {};
+  return {
+    nodes: report.nodes || [],
+    pageInfo: report.pageInfo || { hasNextPage: false, scrollId: null }
+  };
+}
@@ -0,0 +1,117 @@
+/**
+ * Smart Tag Service
+ * Keeps rule-based tags (see utils/tagRules.js) in sync with the catalog:
+ * - A saved or synced product is evaluated against every rule right away (applySmartTags)
+ * - Setting, changing or removing a rule bumps tags.rule_version; the backfill job re-evaluates
+ *   the rule against the whole catalog and records it in rule_applied_version
+ * - The job also runs periodically, so rules changed while it was running are not missed
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { registerJob, runJob } from "./jobScheduler.js";
+import { parseTagRule, applyTagRule, clearTagRuleCache } from "../utils/tagRules.js";
+
+export const SMART_TAG_BACKFILL_JOB = "smart-tag-backfill";
+
+// Configuration (can be overridden by environment variables)
+const BACKFILL_ENABLED = process.env.SMART_TAG_BACKFILL_ENABLED !== "false";
+const BACKFILL_INTERVAL_MS = parseInt(process.env.SMART_TAG_BACKFILL_INTERVAL_MS) || 60 * 60 * 1000; // 1 hour
+
+/**
+ * Set or remove the rule of a tag and queue its backfill
+ * @param {number} tagId - Tag ID
+ * @param {Object|null} rule - Rule from parseTagRule, or null to turn the tag back into a manual one
+ * @returns {Promise<boolean>} False if the tag does not exist
+ */
+export async function setTagRule(tagId, rule) {
+  const result = await executeQuery(
+    "UPDATE tags SET rule = ?, rule_version = rule_version + 1 WHERE id = ? AND deleted_at IS NULL",
+    [rule ? rule.text : null, tagId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  clearTagRuleCache();
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * Re-evaluate every tag whose rule changed since its last backfill
+ * @param {Object} context - Job context from the scheduler
+ * @returns {Promise<Object>} Stats
+ */
+export async function backfillTagRules({ reportProgress }) {
+  const stats = { tags: 0, attached: 0, detached: 0, failed: 0 };
+  // Keyed by version: a rule edited again during the run is backfilled again
+  const attempted = new Set();
+
+  while (true) {
+    const nextResult = await executeQuery(
+      `SELECT id, rule, rule_version FROM tags
+       WHERE rule_version > rule_applied_version AND deleted_at IS NULL
+       ORDER BY id ASC`
+    );
+    if (!nextResult.success) {
+      throw new Error(nextResult.error);
+    }
+
+    const next = nextResult.data.find((tag) => !attempted.has(`${tag.id}:${tag.rule_version}`));
+    if (!next) {
+      break;
+    }
+    attempted.add(`${next.id}:${next.rule_version}`);
+
+    try {
+      let rule = null;
+      if (next.rule) {
+        const parsed = parseTagRule(next.rule);
+        if (parsed.error) {
+          throw new Error(`Invalid rule: ${parsed.error}`);
+        }
+        rule = parsed.rule;
+      }
+
+      const { attached, detached } = await applyTagRule(next.id, rule);
+      const updateResult = await executeQuery(
+        "UPDATE tags SET rule_applied_version = ? WHERE id = ? AND rule_applied_version < ?",
+        [next.rule_version, next.id, next.rule_version]
+      );
+      if (!updateResult.success) {
+        throw new Error(updateResult.error);
+      }
+
+      stats.tags++;
+      stats.attached += attached;
+      stats.detached += detached;
+      Logger.info(`[SmartTags] Tag ${next.id}: ${attached} product(s) attached, ${detached} detached`);
+    } catch (error) {
+      stats.failed++;
+      Logger.error(`[SmartTags] Backfill of tag ${next.id} failed:`, error);
+    }
+    await reportProgress({ processed: stats.tags, stats });
+  }
+
+  return stats;
+}
+
+/**
+ * Start the backfill job in the background
+ * @param {number|null} triggeredBy - Admin user ID
+ * @returns {Promise<Object|null>} Started run or null if already running
+ */
+export async function startSmartTagBackfill(triggeredBy = null) {
+  return runJob(SMART_TAG_BACKFILL_JOB, { trigger: "manual", triggeredBy });
+}
+
+/**
+ * Register the smart tag backfill job with the scheduler
+ */
+export function registerSmartTagBackfillJob() {
+  registerJob(SMART_TAG_BACKFILL_JOB, backfillTagRules, {
+    intervalMs: BACKFILL_INTERVAL_MS,
+    enabled: BACKFILL_ENABLED,
+    description: "Attach and detach products of smart tags whose rule changed"
+  });
+}
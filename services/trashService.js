@@ -0,0 +1,230 @@
+/**
+ * Trash Service
+ * Soft delete for products, categories, tags and banners:
+ * - Deleting sets deleted_at; the row is hidden from admin lists and public endpoints
+ * - Restoring clears deleted_at; relationships (product tags, categories, banner positions)
+ *   are never touched while a row is in the trash, so they come back as they were
+ * - The purge job hard-deletes rows that stayed in the trash longer than the retention period
+ *   (foreign keys then cascade exactly like the old hard delete did)
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "../utils/logger.js";
+import { registerJob } from "./jobScheduler.js";
+
+export const TRASH_PURGE_JOB = "trash-purge";
+
+// Configuration (can be overridden by environment variables)
+export const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_ENABLED = process.env.TRASH_PURGE_ENABLED !== "false";
+const PURGE_INTERVAL_MS = parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 24 * 60 * 60 * 1000; // 1 day
+
+// Entities with a trash bin: table, columns shown in the trash listing, columns a row can be deleted by
+export const TRASH_ENTITIES = {
+  product: {
+    table: "shopee_products",
+    columns: "id, item_id, product_name, image_url, price, status, category_id",
+    searchColumns: ["product_name", "item_id"],
+    keys: ["id", "item_id"]
+  },
+  category: {
+    table: "categories",
+    columns: "id, name, is_active",
+    searchColumns: ["name"],
+    keys: ["id"]
+  },
+  tag: {
+    table: "tags",
+    columns: "id, name, is_active",
+    searchColumns: ["name"],
+    keys: ["id"]
+  },
+  banner: {
+    table: "banners",
+    columns: "id, position_id, campaign_id, title, image_url, is_active",
+    searchColumns: ["title", "alt_text"],
+    keys: ["id"]
+  }
+};
+
+function getEntity(entityType) {
+  const entity = TRASH_ENTITIES[entityType];
+  if (!entity) {
+    throw new Error(`Unknown trash entity: ${entityType}`);
+  }
+  return entity;
+}
+
+/**
+ * Move a row to the trash
+ * @param {string} entityType - Key of TRASH_ENTITIES
+ * @param {string|number} value - Row ID (or other key column value)
+ * @param {Object} options - Options
+ * @param {string} options.key - Column to match, one of the entity's keys (default "id")
+ * @returns {Promise<boolean>} True if a row was moved (false if not found or already in the trash)
+ */
+export async function moveToTrash(entityType, value, { key = "id" } = {}) {
+  const entity = getEntity(entityType);
+  if (!entity.keys.includes(key)) {
+    throw new Error(`Cannot delete ${entityType} by ${key}`);
+  }
+
+  const result = await executeQuery(
+    `UPDATE ${entity.table} SET deleted_at = NOW(), updated_at = updated_at WHERE ${key} = ? AND deleted_at IS NULL`,
+    [String(value)]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * Restore a row from the trash
+ * @param {string} entityType - Key of TRASH_ENTITIES
+ * @param {number} id - Row ID
+ * @returns {Promise<boolean>} True if restored (false if not in the trash)
+ */
+export async function restoreFromTrash(entityType, id) {
+  const entity = getEntity(entityType);
+  const result = await executeQuery(
+    `UPDATE ${entity.table} SET deleted_at = NULL, updated_at = updated_at WHERE id = ? AND deleted_at IS NOT NULL`,
+    [id]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.affectedRows > 0;
+}
+
+/**
+ * Find a row in the trash by one of its key columns
+ * Saving a product never takes it out of the trash, so save endpoints check this first.
+ * @param {string} entityType - Key of TRASH_ENTITIES
+ * @param {string|number} value - Row ID (or other key column value)
+ * @param {Object} options - Options
+ * @param {string} options.key - Column to match, one of the entity's keys (default "id")
+ * @returns {Promise<number|null>} ID of the row in the trash, or null
+ */
+export async function findTrashed(entityType, value, { key = "id" } = {}) {
+  const entity = getEntity(entityType);
+  if (!entity.keys.includes(key)) {
+    throw new Error(`Cannot find ${entityType} by ${key}`);
+  }
+
+  const result = await executeQuery(
+    `SELECT id FROM ${entity.table} WHERE ${key} = ? AND deleted_at IS NOT NULL LIMIT 1`,
+    [String(value)]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data.length > 0 ? result.data[0].id : null;
+}
+
+/**
+ * Find a row in the trash by name
+ * Names of categories and tags are unique, so a row in the trash still reserves its name.
+ * @param {string} entityType - Key of TRASH_ENTITIES (category or tag)
+ * @param {string} name - Name
+ * @returns {Promise<number|null>} ID of the row in the trash, or null
+ */
+export async function findTrashedByName(entityType, name) {
+  const entity = getEntity(entityType);
+  const result = await executeQuery(
+    `SELECT id FROM ${entity.table} WHERE name = ? AND deleted_at IS NOT NULL LIMIT 1`,
+    [name]
+  );
+  return result.success && result.data.length > 0 ? result.data[0].id : null;
+}
+
+/**
+ * List rows in the trash, most recently deleted first
+ * @param {string} entityType - Key of TRASH_ENTITIES
+ * @param {Object} options - Options
+ * @param {string} options.search - Search term (matched against the entity's search columns)
+ * @param {number} options.limit - Page size
+ * @param {number} options.offset - Offset
+ * @returns {Promise<Object>} { items, total }; each item has deleted_at and purge_at
+ */
+export async function listTrash(entityType, { search = "", limit = 20, offset = 0 } = {}) {
+  const entity = getEntity(entityType);
+
+  let whereClause = "WHERE deleted_at IS NOT NULL";
+  const params = [];
+  if (search && search.trim()) {
+    whereClause += ` AND (${entity.searchColumns.map((column) => `${column} LIKE ?`).join(" OR ")})`;
+    params.push(...entity.searchColumns.map(() => `%${search.trim()}%`));
+  }
+
+  const [countResult, itemsResult] = await Promise.all([
+    executeQuery(`SELECT COUNT(*) as total FROM ${entity.table} ${whereClause}`, params),
+    executeQuery(
+      `SELECT ${entity.columns}, deleted_at,
+              DATE_ADD(deleted_at, INTERVAL ${TRASH_RETENTION_DAYS} DAY) as purge_at
+       FROM ${entity.table}
+       ${whereClause}
+       ORDER BY deleted_at DESC, id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      params
+    )
+  ]);
+
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+  if (!itemsResult.success) {
+    throw new Error(itemsResult.error);
+  }
+
+  return { items: itemsResult.data, total: countResult.data[0].total };
+}
+
+/**
+ * Permanently delete rows that have been in the trash longer than the retention period (job handler)
+ * @param {Object} context - Job context from jobScheduler
+ * @param {Object} context.params - Optional overrides: { retentionDays }
+ * @param {Function} context.reportProgress - Progress reporter
+ * @returns {Promise<Object>} Purged row count per entity
+ */
+export async function purgeExpiredTrash({ params = {}, reportProgress }) {
+  const retentionDays = parseInt(params.retentionDays) || TRASH_RETENTION_DAYS;
+  const entityTypes = Object.keys(TRASH_ENTITIES);
+  const stats = { retention_days: retentionDays };
+
+  let processed = 0;
+  await reportProgress({ processed, total: entityTypes.length, stats });
+
+  for (const entityType of entityTypes) {
+    const { table } = TRASH_ENTITIES[entityType];
+    const result = await executeQuery(
+      `DELETE FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < DATE_SUB(NOW(), INTERVAL ? DAY)`,
+      [retentionDays]
+    );
+    if (!result.success) {
+      throw new Error(`Failed to purge ${table}: ${result.error}`);
+    }
+
+    stats[entityType] = result.data.affectedRows;
+    processed++;
+    await reportProgress({ processed, total: entityTypes.length, stats });
+  }
+
+  Logger.info(
+    `[Trash] Purged ${stats.product} product(s), ${stats.category} category(ies), ` +
+      `${stats.tag} tag(s), ${stats.banner} banner(s) older than ${retentionDays} days`
+  );
+
+  return stats;
+}
+
+/**
+ * Register the trash purge job with the scheduler
+ */
+export function registerTrashPurgeJob() {
+  registerJob(TRASH_PURGE_JOB, purgeExpiredTrash, {
+    intervalMs: PURGE_INTERVAL_MS,
+    enabled: PURGE_ENABLED,
+    description: `Permanently delete items kept in the trash for more than ${TRASH_RETENTION_DAYS} days`
+  });
+}
@@ -0,0 +1,233 @@
+/**
+ * Audit Log Utility
+ * Writes admin actions to admin_activity_logs (actor, action, entity, before/after
+ * diff, request body, IP) and reads them back for the activity report.
+ * Values are redacted (passwords, tokens, API keys, ...) and long values truncated
+ * before they are stored.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+
+// Field names whose values are never stored
+const SECRET_FIELD_PATTERN = /password|secret|token|api_?key|recovery|credential/i;
+
+// Columns that change on every write and only add noise to a diff
+const IGNORED_DIFF_FIELDS = ["updated_at", "last_access_at"];
+
+const MAX_VALUE_LENGTH = 200;
+const MAX_DETAILS_LENGTH = 10000;
+
+export const REDACTED = "[REDACTED]";
+
+/**
+ * Shorten long strings (e.g. base64 images) so a log row stays small
+ * @param {*} value - Value to store
+ * @returns {*} Value, truncated if it is a long string
+ */
+function truncateValue(value) {
+  if (typeof value === "string" && value.length > MAX_VALUE_LENGTH) {
+    return `${value.slice(0, 100)}… (${value.length} chars)`;
+  }
+  return value;
+}
+
+/**
+ * Redact secrets and truncate long values, recursively
+ * @param {*} value - Request body, database row, ...
+ * @returns {*} Copy safe to store in the audit log
+ */
+export function redactSecrets(value) {
+  if (Array.isArray(value)) {
+    return value.slice(0, 100).map(redactSecrets);
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SECRET_FIELD_PATTERN.test(key) && item !== null && item !== "" ? REDACTED : redactSecrets(item)
+      ])
+    );
+  }
+  return truncateValue(value);
+}
+
+/**
+ * Field-level diff between two snapshots of a row
+ * @param {Object|null} before - Row before the change (null when created)
+ * @param {Object|null} after - Row after the change (null when deleted)
+ * @returns {Object|null} { field: { from, to } } or null if nothing to compare
+ */
+export function diffSnapshots(before, after) {
+  if (!before && !after) {
+    return null;
+  }
+
+  const safeBefore = before ? redactSecrets(before) : {};
+  const safeAfter = after ? redactSecrets(after) : {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(safeBefore), ...Object.keys(safeAfter)])) {
+    if (IGNORED_DIFF_FIELDS.includes(field)) {
+      continue;
+    }
+    // Compare raw values so a changed secret shows up even though both sides are redacted
+    const rawFrom = before ? before[field] ?? null : null;
+    const rawTo = after ? after[field] ?? null : null;
+    if (JSON.stringify(rawFrom) !== JSON.stringify(rawTo)) {
+      changes[field] = {
+        from: before ? safeBefore[field] ?? null : null,
+        to: after ? safeAfter[field] ?? null : null
+      };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Write one audit log entry
+ * Never throws: a failed audit write must not fail the admin action.
+ * @param {Object} entry - Log entry
+ * @param {number|null} entry.userId - Acting admin user ID
+ * @param {string} entry.action - Action, e.g. "category.update"
+ * @param {string|null} entry.entityType - Entity type, e.g. "category"
+ * @param {string|number|null} entry.entityId - Entity ID
+ * @param {Object|null} entry.changes - Diff from diffSnapshots()
+ * @param {Object} entry.details - Extra context (method, path, status, body)
+ * @param {string|null} entry.ipAddress - Client IP
+ * @returns {Promise<boolean>} True if written
+ */
+export async function recordActivity({
+  userId,
+  action,
+  entityType = null,
+  entityId = null,
+  changes = null,
+  details = {},
+  ipAddress = null
+}) {
+  try {
+    const detailsJson = JSON.stringify(redactSecrets(details));
+    const result = await executeQuery(
+      `INSERT INTO admin_activity_logs (admin_user_id, action, entity_type, entity_id, changes, details, ip_address)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`,
+      [
+        userId,
+        action.slice(0, 255),
+        entityType,
+        entityId !== null && entityId !== undefined ? String(entityId) : null,
+        changes && Object.keys(changes).length > 0 ? JSON.stringify(changes) : null,
+        detailsJson.length > MAX_DETAILS_LENGTH ? JSON.stringify({ truncated: true }) : detailsJson,
+        ipAddress
+      ]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return true;
+  } catch (error) {
+    Logger.warn(`[AuditLog] Failed to record ${action}: ${error.message}`);
+    return false;
+  }
+}
+
+function parseJson(value) {
+  if (!value) {
+    return null;
+  }
+  try {
+    return JSON.parse(value);
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Read audit log entries, newest first
+ * @param {Object} filters - Filters (all optional)
+ * @param {number} filters.userId - Acting admin user ID
+ * @param {string} filters.action - Exact action, or prefix ending with "." (e.g. "category.")
+ * @param {string} filters.entityType - Entity type
+ * @param {string} filters.entityId - Entity ID
+ * @param {string} filters.from - Date from (YYYY-MM-DD, inclusive)
+ * @param {string} filters.to - Date to (YYYY-MM-DD, inclusive)
+ * @param {number} filters.limit - Page size
+ * @param {number} filters.offset - Offset
+ * @returns {Promise<Object>} { logs, total }
+ */
+export async function getActivityLogs({
+  userId = null,
+  action = null,
+  entityType = null,
+  entityId = null,
+  from = null,
+  to = null,
+  limit = 50,
+  offset = 0
+} = {}) {
+  let whereClause = "WHERE 1=1";
+  const params = [];
+
+  if (userId) {
+    whereClause += " AND l.admin_user_id = ?";
+    params.push(userId);
+  }
+  if (action) {
+    if (action.endsWith(".")) {
+      whereClause += " AND l.action LIKE ?";
+      params.push(`${action.replace(/[\\%_]/g, "\\$&")}%`);
+    } else {
+      whereClause += " AND l.action = ?";
+      params.push(action);
+    }
+  }
+  if (entityType) {
+    whereClause += " AND l.entity_type = ?";
+    params.push(entityType);
+  }
+  if (entityId) {
+    whereClause += " AND l.entity_id = ?";
+    params.push(String(entityId));
+  }
+  if (from) {
+    whereClause += " AND l.created_at >= ?";
+    params.push(`${from} 00:00:00`);
+  }
+  if (to) {
+    whereClause += " AND l.created_at < DATE_ADD(?, INTERVAL 1 DAY)";
+    params.push(to);
+  }
+
+  const [countResult, logsResult] = await Promise.all([
+    executeQuery(`SELECT COUNT(*) as total FROM admin_activity_logs l ${whereClause}`, params),
+    executeQuery(
+      `SELECT l.id, l.admin_user_id, u.username, l.action, l.entity_type, l.entity_id,
+              l.changes, l.details, l.ip_address, l.created_at
+       FROM admin_activity_logs l
+       LEFT JOIN admin_users u ON u.id = l.admin_user_id
+       ${whereClause}
+       ORDER BY l.created_at DESC, l.id DESC
+       LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`,
+      params
+    )
+  ]);
+
+  if (!countResult.success) {
+    throw new Error(countResult.error);
+  }
+  if (!logsResult.success) {
+    throw new Error(logsResult.error);
+  }
+
+  return {
+    total: countResult.data[0].total,
+    logs: logsResult.data.map((log) => ({
+      ...log,
+      changes: parseJson(log.changes),
+      details: parseJson(log.details)
+    }))
+  };
+}
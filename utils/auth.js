@@ -1,5 +1,6 @@
 import crypto from "crypto";
 import Logger from "./logger.js";
+import { SESSION_STORE_TYPES, createMemorySessionStore, createMysqlSessionStore } from "./sessionStore.js";
 
 /**
  * Hash a password with salt using PBKDF2
@@ -53,76 +54,141 @@ export function generateSessionToken() {
   return crypto.randomBytes(32).toString("hex");
 }
 
-/**
- * Simple session storage (in production, use Redis or database)
- */
-const sessions = new Map();
+// Session storage backend: "mysql" (default) or "memory" (development only, lost on restart)
+const SESSION_STORE = SESSION_STORE_TYPES.includes(process.env.SESSION_STORE) ? process.env.SESSION_STORE : "mysql";
+const sessionStore = SESSION_STORE === "memory" ? createMemorySessionStore() : createMysqlSessionStore();
+
+if (sessionStore.type === "memory" && process.env.NODE_ENV === "production") {
+  Logger.warn("[Auth] SESSION_STORE=memory in production: sessions are lost on restart and not shared between instances");
+}
 
 // Session timeout: 7 days (configurable via environment variable)
 const SESSION_TIMEOUT_MS = parseInt(process.env.SESSION_TIMEOUT_MS) || (7 * 24 * 60 * 60 * 1000); // Default: 7 days
 // Auto-refresh threshold: extend session if less than this time remaining
-const AUTO_REFRESH_THRESHOLD_MS = 24 * 60 * 60 * 1000; // 24 hours
+const AUTO_REFRESH_THRESHOLD_MS = parseInt(process.env.AUTO_REFRESH_THRESHOLD_MS) || (24 * 60 * 60 * 1000); // 24 hours
+// Last access is written at most this often, so every authenticated request is not a write
+const LAST_ACCESS_UPDATE_INTERVAL_MS = 60 * 1000; // 1 minute
 
-export function createSession(userId, userData) {
+/**
+ * Create a session
+ * @param {number} userId - Admin user ID
+ * @param {Object} userData - User data exposed as req.user
+ * @param {Object} meta - Optional { ipAddress, userAgent } of the login request and ttlMs (default: session timeout)
+ * @returns {Promise<string>} Session token
+ */
+export async function createSession(userId, userData, meta = {}) {
   const token = generateSessionToken();
-  const expiresAt = Date.now() + SESSION_TIMEOUT_MS;
 
-  sessions.set(token, {
+  await sessionStore.create(token, {
     userId,
     userData,
-    expiresAt,
-    createdAt: Date.now(),
-    lastAccessAt: Date.now()
+    ttlMs: meta.ttlMs || SESSION_TIMEOUT_MS,
+    ipAddress: meta.ipAddress || null,
+    userAgent: meta.userAgent || null
   });
 
   return token;
 }
 
-export function getSession(token, autoRefresh = true) {
-  const session = sessions.get(token);
+/**
+ * Get a session by token
+ * @param {string} token - Session token
+ * @param {boolean} autoRefresh - Slide expiry / record access (default: true)
+ * @returns {Promise<Object|null>} Session ({ userId, userData, createdAt, lastAccessAt, expiresAt, ... }) or null
+ */
+export async function getSession(token, autoRefresh = true) {
+  const session = await sessionStore.get(token);
 
   if (!session) {
     return null;
   }
 
-  // Check if session expired
-  if (Date.now() > session.expiresAt) {
-    sessions.delete(token);
-    return null;
-  }
-
-  // Auto-refresh: extend session if less than threshold time remaining
-  if (autoRefresh) {
-    const timeRemaining = session.expiresAt - Date.now();
-    if (timeRemaining < AUTO_REFRESH_THRESHOLD_MS) {
-      // Extend session by another full timeout period
-      session.expiresAt = Date.now() + SESSION_TIMEOUT_MS;
+  // Two-factor login challenges are short-lived and never slide
+  if (autoRefresh && !session.userData?.twoFactorChallenge) {
+    // Auto-refresh: extend session if less than threshold time remaining
+    if (session.remainingMs < AUTO_REFRESH_THRESHOLD_MS) {
+      await sessionStore.touch(token, { extendMs: SESSION_TIMEOUT_MS });
       Logger.debug(`[Auth] Session auto-refreshed for user ${session.userId}`);
+    } else if (session.idleMs >= LAST_ACCESS_UPDATE_INTERVAL_MS) {
+      await sessionStore.touch(token);
     }
-    // Update last access time
-    session.lastAccessAt = Date.now();
   }
 
   return session;
 }
 
-export function deleteSession(token) {
-  return sessions.delete(token);
+/**
+ * Delete a session (logout)
+ * @param {string} token - Session token
+ * @returns {Promise<boolean>} True if a session was removed
+ */
+export async function deleteSession(token) {
+  return sessionStore.delete(token);
 }
 
-export function cleanupExpiredSessions() {
-  const now = Date.now();
-  let cleanedCount = 0;
-  for (const [token, session] of sessions.entries()) {
-    if (now > session.expiresAt) {
-      sessions.delete(token);
-      cleanedCount++;
+/**
+ * Remove expired sessions from the store
+ * @returns {Promise<number>} Number of removed sessions
+ */
+export async function cleanupExpiredSessions() {
+  try {
+    const cleanedCount = await sessionStore.deleteExpired();
+    if (cleanedCount > 0) {
+      Logger.debug(`[Auth] Cleaned up ${cleanedCount} expired session(s)`);
     }
+    return cleanedCount;
+  } catch (error) {
+    Logger.error("[Auth] Failed to clean up expired sessions:", error);
+    return 0;
   }
-  if (cleanedCount > 0) {
-    Logger.debug(`[Auth] Cleaned up ${cleanedCount} expired session(s)`);
+}
+
+/**
+ * List a user's active sessions
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<Array<Object>>} Sessions ({ id, created_at, last_access_at, expires_at, ip_address, user_agent })
+ */
+export async function listUserSessions(userId) {
+  const sessions = await sessionStore.listByUser(parseInt(userId));
+  return sessions.map((session) => ({
+    id: session.id,
+    created_at: session.createdAt,
+    last_access_at: session.lastAccessAt,
+    expires_at: session.expiresAt,
+    ip_address: session.ipAddress,
+    user_agent: session.userAgent
+  }));
+}
+
+/**
+ * Revoke one session of a user
+ * @param {number} userId - Admin user ID (owner of the session)
+ * @param {number} sessionId - Session ID from listUserSessions
+ * @returns {Promise<boolean>} True if a session was removed
+ */
+export async function revokeSession(userId, sessionId) {
+  return sessionStore.deleteById(parseInt(userId), parseInt(sessionId));
+}
+
+/**
+ * Revoke all sessions of a user
+ * @param {number} userId - Admin user ID
+ * @param {Object} options - Optional { exceptSessionId } to keep (e.g. the caller's current session)
+ * @returns {Promise<number>} Number of removed sessions
+ */
+export async function revokeUserSessions(userId, { exceptSessionId = null } = {}) {
+  const count = await sessionStore.deleteByUser(parseInt(userId), {
+    exceptId: exceptSessionId ? parseInt(exceptSessionId) : null
+  });
+  if (count > 0) {
+    Logger.info(`[Auth] Revoked ${count} session(s) of user ${userId}`);
   }
-  return cleanedCount;
+  return count;
+}
+
+// Get session store type (for startup log)
+export function getSessionStoreType() {
+  return sessionStore.type;
 }
 
 // Get session timeout in hours (for debugging)
@@ -0,0 +1,158 @@
+/**
+ * Banner Rotation
+ * Picks which of a position's live banners is shown first:
+ * - sequential: round-robin per position (per server instance)
+ * - random: uniform
+ * - weighted: random, proportional to banners.weight
+ * - ab: weighted split with sticky assignment per visitor ID
+ */
+
+import crypto from "crypto";
+
+export const ROTATION_MODES = ["sequential", "random", "weighted", "ab"];
+
+export const DEFAULT_ROTATION_MODE = "sequential";
+
+export const VISITOR_COOKIE = "banner_vid";
+
+const MAX_WEIGHT = 1000;
+const VISITOR_ID_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+
+// Round-robin position per banner position ID
+const sequenceCounters = new Map();
+
+/**
+ * Normalize a banner weight input
+ * @param {*} value - Weight from request body
+ * @param {number|null} fallback - Returned when value is missing
+ * @returns {number|null} Integer between 0 and MAX_WEIGHT
+ */
+export function normalizeBannerWeight(value, fallback = 1) {
+  if (value === undefined || value === null || value === "") {
+    return fallback;
+  }
+  const weight = parseInt(value);
+  if (isNaN(weight)) {
+    return fallback;
+  }
+  return Math.min(Math.max(weight, 0), MAX_WEIGHT);
+}
+
+/**
+ * Read the visitor ID used for sticky A/B assignment
+ * Checked in order: visitor_id query, X-Visitor-Id header, banner_vid cookie.
+ * @param {Object} req - Express request
+ * @returns {string|null} Visitor ID or null if none / invalid
+ */
+export function getVisitorId(req) {
+  const cookieMatch = String(req.headers.cookie || "").match(new RegExp(`(?:^|;\\s*)${VISITOR_COOKIE}=([^;]+)`));
+  const candidates = [req.query.visitor_id, req.get("x-visitor-id"), cookieMatch?.[1]];
+
+  for (const candidate of candidates) {
+    if (typeof candidate === "string" && VISITOR_ID_PATTERN.test(candidate)) {
+      return candidate;
+    }
+  }
+  return null;
+}
+
+/**
+ * Create a new random visitor ID
+ * @returns {string} Visitor ID
+ */
+export function createVisitorId() {
+  return crypto.randomBytes(16).toString("hex");
+}
+
+/**
+ * Pick a banner index by weight
+ * @param {Array<Object>} banners - Banners with weight
+ * @param {number} roll - Number in [0, 1)
+ * @returns {number} Index into banners
+ */
+function pickWeightedIndex(banners, roll) {
+  const weights = banners.map((banner) => normalizeBannerWeight(banner.weight));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+
+  // All weights 0: treat as equal weights
+  if (total === 0) {
+    return Math.floor(roll * banners.length);
+  }
+
+  let threshold = roll * total;
+  for (let i = 0; i < weights.length; i++) {
+    threshold -= weights[i];
+    if (threshold < 0) {
+      return i;
+    }
+  }
+  return weights.length - 1;
+}
+
+/**
+ * Deterministic number in [0, 1) for a visitor and position
+ * @param {string} visitorId - Visitor ID
+ * @param {number} positionId - Banner position ID
+ * @returns {number} Stable roll
+ */
+function stickyRoll(visitorId, positionId) {
+  const hash = crypto.createHash("sha256").update(`${positionId}:${visitorId}`).digest();
+  return hash.readUInt32BE(0) / 0x100000000;
+}
+
+/**
+ * Variant label for a banner index ("A", "B", ... "Z", "AA", ...)
+ * @param {number} index - 0-based index in sort order
+ * @returns {string} Variant label
+ */
+function variantLabel(index) {
+  let label = "";
+  let n = index;
+  do {
+    label = String.fromCharCode(65 + (n % 26)) + label;
+    n = Math.floor(n / 26) - 1;
+  } while (n >= 0);
+  return label;
+}
+
+/**
+ * Select the banner to show for a position
+ * Banners must be in sort order; variant labels follow that order so they stay
+ * stable between requests.
+ * @param {Array<Object>} banners - Live banners of the position (sorted)
+ * @param {Object} position - { id, rotation_mode }
+ * @param {string|null} visitorId - Visitor ID (required for sticky "ab" mode)
+ * @returns {Object} { banners (selected first), rotation: { mode, banner_id, variant, sticky } }
+ */
+export function rotateBanners(banners, position, visitorId = null) {
+  const mode = ROTATION_MODES.includes(position.rotation_mode) ? position.rotation_mode : DEFAULT_ROTATION_MODE;
+
+  let index = 0;
+  let sticky = false;
+
+  if (banners.length > 1) {
+    if (mode === "sequential") {
+      const counter = sequenceCounters.get(position.id) || 0;
+      index = counter % banners.length;
+      sequenceCounters.set(position.id, (counter + 1) % Number.MAX_SAFE_INTEGER);
+    } else if (mode === "random") {
+      index = Math.floor(Math.random() * banners.length);
+    } else if (mode === "weighted") {
+      index = pickWeightedIndex(banners, Math.random());
+    } else if (mode === "ab") {
+      sticky = !!visitorId;
+      index = pickWeightedIndex(banners, visitorId ? stickyRoll(visitorId, position.id) : Math.random());
+    }
+  }
+
+  const selected = banners[index];
+  return {
+    banners: selected ? [selected, ...banners.filter((_, i) => i !== index)] : banners,
+    rotation: {
+      mode,
+      banner_id: selected ? selected.id : null,
+      variant: selected ? variantLabel(index) : null,
+      sticky
+    }
+  };
+}
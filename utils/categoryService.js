@@ -6,6 +6,7 @@
 
 import { executeQuery } from "../config/database.js";
 import Logger from "./logger.js";
+import { getCategoryPath } from "./categoryTree.js";
 
 // Cache constants
 const CATEGORY_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
@@ -24,153 +25,439 @@ export function clearCategoryCache() {
   Logger.info("[CategoryService] Category cache cleared");
 }
 
+// Points per keyword match, highest applicable rule first
+export const MATCH_POINTS = {
+  category_name: 20, // The full category name
+  category_word: 15, // A word of the category name
+  high_priority_word: 10, // High priority keyword as a whole word
+  high_priority_regex: 10, // High priority regex keyword
+  high_priority_substring: 5, // High priority keyword inside a word
+  exact_word: 5, // Keyword as a whole word
+  regex: 5, // Regex keyword
+  substring: 1 // Keyword inside a word
+};
+const MULTIPLE_MATCH_POINTS = 2; // Per matched keyword, when a category matches more than one
+const LONG_KEYWORD_POINTS = 2; // Per matched keyword longer than 5 characters
+
 /**
- * Analyze product name and match it to the most appropriate category
- * @param {string} productName - Product name to analyze
- * @returns {Promise<number|null>} Category ID or null if no match found
+ * How a keyword is matched against product names:
+ * - substring: anywhere in the name; whole-word matches score more (default)
+ * - phrase: only as whole words ("stand" does not match "standard"). Thai is written without
+ *   spaces, so a Thai phrase only matches when separated by spaces or punctuation.
+ * - regex: the keyword is a case-insensitive regular expression
  */
-export async function analyzeCategory(productName) {
-  try {
-    Logger.debug(`[CategoryService] Starting analysis for: ${productName}`);
-    
-    // Check cache first
-    const now = Date.now();
-    if (categoryCache && categoryCacheTimestamp && (now - categoryCacheTimestamp < CATEGORY_CACHE_TTL)) {
-      Logger.debug(`[CategoryService] Using cached data (age: ${Math.round((now - categoryCacheTimestamp) / 1000)}s)`);
-    } else {
-      Logger.debug(`[CategoryService] Loading fresh data from database`);
-      
-      // Get all active categories from database
-      const categoriesResult = await executeQuery(
-        "SELECT id, name FROM categories WHERE is_active = 1 ORDER BY name ASC"
-      );
+export const KEYWORD_MATCH_TYPES = ["substring", "phrase", "regex"];
+const MAX_KEYWORD_WEIGHT = 100;
+const MAX_REGEX_LENGTH = 200;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
 
-      if (!categoriesResult.success || !categoriesResult.data || categoriesResult.data.length === 0) {
-        Logger.warn(`[CategoryService] No categories available in database`);
-        return null; // No categories available
+/**
+ * Find regex constructs that can backtrack catastrophically (e.g. "(a+)+$" on a long name)
+ * Regexes run on the event loop, so a repeated group may not contain a quantifier or an
+ * alternation and backreferences are not allowed. Optional groups ("(?:pro|max)?") are fine.
+ * @param {string} source - Regex source (already known to compile)
+ * @returns {string|null} Error message, or null when safe
+ */
+function findUnsafeRegexConstruct(source) {
+  // One frame per open group, the first one is the whole pattern
+  const groups = [{ hasQuantifier: false, hasAlternation: false }];
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (char === "\\") {
+      if (/[1-9]/.test(source[i + 1]) || source[i + 1] === "k") {
+        return "Regex keywords cannot use backreferences";
+      }
+      i++;
+    } else if (char === "[") {
+      // Skip the character class, a quantifier after it is handled like any other atom
+      for (i++; i < source.length && source[i] !== "]"; i++) {
+        if (source[i] === "\\") i++;
       }
+    } else if (char === "(") {
+      groups.push({ hasQuantifier: false, hasAlternation: false });
+      if (source[i + 1] === "?" && source[i + 2] === "<" && !"=!".includes(source[i + 3])) {
+        i = source.indexOf(">", i); // (?<name>
+      } else if (source[i + 1] === "?") {
+        i += source[i + 2] === "<" ? 3 : 2; // (?: (?= (?! (?<= (?<!
+      }
+    } else if (char === ")") {
+      const group = groups.pop();
+      // Maximum repetitions of the group: "?", "{0,1}" and "{1}" do not repeat it
+      const quantifier = source.slice(i + 1).match(/^(?:[*+]|\{(\d+)(,?)(\d*)\})/);
+      let maxRepeat = 1;
+      if (quantifier) {
+        maxRepeat = quantifier[1] === undefined || (quantifier[2] && quantifier[3] === "")
+          ? Infinity
+          : Number(quantifier[2] ? quantifier[3] : quantifier[1]);
+      }
+      if (maxRepeat > 1 && (group.hasQuantifier || group.hasAlternation)) {
+        return "Regex keywords cannot repeat a group that contains a quantifier or alternation, e.g. (a+)+";
+      }
+      const parent = groups[groups.length - 1];
+      parent.hasQuantifier = parent.hasQuantifier || group.hasQuantifier;
+      parent.hasAlternation = parent.hasAlternation || group.hasAlternation;
+    } else if (char === "|") {
+      groups[groups.length - 1].hasAlternation = true;
+    } else if ("*+?{".includes(char)) {
+      groups[groups.length - 1].hasQuantifier = true;
+    }
+  }
 
-      const categories = categoriesResult.data;
-      
-      // Get all keywords from database for all categories
-      const keywordsResult = await executeQuery(
-        `SELECT ck.category_id, ck.keyword, ck.is_high_priority, c.name as category_name
-         FROM category_keywords ck
-         JOIN categories c ON ck.category_id = c.id
-         WHERE c.is_active = 1
-         ORDER BY ck.category_id, ck.is_high_priority DESC, ck.keyword ASC`
-      );
+  return null;
+}
 
-      // Build cache structure
-      const cache = {
-        categories: [],
-        categoryKeywords: {},
-        categoryWords: {},
-        categoryHighPriorityKeywords: {}
-      };
+// Letters, combining marks (Thai vowels and tone marks) and digits are part of a word
+const phrasePattern = (keyword) =>
+  new RegExp(`(?<![\\p{L}\\p{M}\\p{N}])${escapeRegExp(keyword)}(?![\\p{L}\\p{M}\\p{N}])`, "iu");
 
-      // Initialize keywords arrays for each category
-      categories.forEach(cat => {
-        cache.categories.push(cat);
-        const catName = cat.name.toLowerCase();
-        const keywords = [catName];
-        const catWords = catName.split(/[\s\-_]+/).filter(w => w.length > 1);
-        
-        cache.categoryWords[cat.id] = catWords;
-        keywords.push(...catWords);
-        cache.categoryKeywords[cat.id] = keywords;
-        cache.categoryHighPriorityKeywords[cat.id] = [];
-      });
+/**
+ * Validate a keyword rule from a request body
+ * @param {string|Object} input - Keyword, or { keyword, is_high_priority, match_type, is_negative, weight }
+ * @returns {Object} { rule, error } - error is a message, or null when valid
+ */
+export function parseKeywordRule(input) {
+  const data = typeof input === "object" && input !== null ? input : { keyword: input };
+  const keyword = typeof data.keyword === "string" ? data.keyword.trim() : "";
+  const matchType = data.match_type || "substring";
+  const isNegative = data.is_negative === true || data.is_negative === 1 || data.is_negative === "true";
 
-      // Populate keywords from database
-      if (keywordsResult.success && keywordsResult.data && keywordsResult.data.length > 0) {
-        keywordsResult.data.forEach(kw => {
-          if (cache.categoryKeywords[kw.category_id]) {
-            cache.categoryKeywords[kw.category_id].push(kw.keyword);
-            if (kw.is_high_priority) {
-              cache.categoryHighPriorityKeywords[kw.category_id].push(kw.keyword);
-            }
-          }
-        });
-        Logger.debug(`[CategoryService] Loaded ${keywordsResult.data.length} keywords from database`);
-      } else {
-        Logger.warn(`[CategoryService] No keywords found in database. Using category names only.`);
-      }
+  if (!keyword) {
+    return { rule: null, error: "Keyword is required" };
+  }
+  if (keyword.length > 255) {
+    return { rule: null, error: "Keyword must be at most 255 characters" };
+  }
+  if (!KEYWORD_MATCH_TYPES.includes(matchType)) {
+    return { rule: null, error: `match_type must be one of: ${KEYWORD_MATCH_TYPES.join(", ")}` };
+  }
+  if (matchType === "regex") {
+    if (keyword.length > MAX_REGEX_LENGTH) {
+      return { rule: null, error: `Regex keywords must be at most ${MAX_REGEX_LENGTH} characters` };
+    }
+    try {
+      new RegExp(keyword, "iu");
+    } catch (error) {
+      return { rule: null, error: `Invalid regular expression: ${error.message}` };
+    }
+    const unsafe = findUnsafeRegexConstruct(keyword);
+    if (unsafe) {
+      return { rule: null, error: unsafe };
+    }
+  }
 
-      // Update cache
-      categoryCache = cache;
-      categoryCacheTimestamp = now;
-      Logger.debug(`[CategoryService] Cache updated with ${categories.length} categories`);
+  let weight = null;
+  if (data.weight !== undefined && data.weight !== null && data.weight !== "") {
+    weight = Number(data.weight);
+    if (!Number.isInteger(weight) || weight < 1 || weight > MAX_KEYWORD_WEIGHT) {
+      return { rule: null, error: `weight must be a whole number from 1 to ${MAX_KEYWORD_WEIGHT}` };
     }
+  }
 
-    // Use cached data for analysis
-    const productNameLower = productName.toLowerCase();
-    let bestMatch = null;
-    let bestScore = 0;
-
-    categoryCache.categories.forEach(cat => {
-      const keywords = categoryCache.categoryKeywords[cat.id] || [];
-      let score = 0;
-      const matchedKeywords = [];
-      const highPriorityKeywords = categoryCache.categoryHighPriorityKeywords[cat.id] || [];
-
-      keywords.forEach(keyword => {
-        const keywordLower = keyword.toLowerCase();
-        const wordBoundaryRegex = new RegExp(`\\b${keywordLower.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'i');
-        const isExactWord = wordBoundaryRegex.test(productNameLower);
-        const isSubstring = productNameLower.includes(keywordLower);
-        
-        if (isExactWord || isSubstring) {
-          const isHighPriority = highPriorityKeywords.some(highPriority => 
-            keywordLower === highPriority.toLowerCase() || 
-            keywordLower.includes(highPriority.toLowerCase()) || 
-            highPriority.toLowerCase().includes(keywordLower)
-          );
-          
-          if (keyword === cat.name.toLowerCase()) {
-            score += 20;
-            matchedKeywords.push(keyword);
-          } 
-          else if (categoryCache.categoryWords[cat.id] && categoryCache.categoryWords[cat.id].includes(keyword)) {
-            score += 15;
-            matchedKeywords.push(keyword);
-          }
-          else if (isHighPriority && isExactWord) {
-            score += 10;
-            matchedKeywords.push(keyword);
-          }
-          else if (isHighPriority && isSubstring) {
-            score += 5;
-            matchedKeywords.push(keyword);
-          }
-          else if (isExactWord) {
-            score += 5;
-            matchedKeywords.push(keyword);
-          }
-          else {
-            score += 1;
-            matchedKeywords.push(keyword);
-          }
-        }
-      });
+  // Negative keywords exclude the category outright, points do not apply to them
+  return {
+    rule: {
+      keyword,
+      is_high_priority: !isNegative && !!data.is_high_priority && data.is_high_priority !== "false",
+      match_type: matchType,
+      is_negative: isNegative,
+      weight: isNegative ? null : weight
+    },
+    error: null
+  };
+}
 
-      // Bonus: Multiple keyword matches in same category
-      if (matchedKeywords.length > 1) {
-        score += matchedKeywords.length * 2;
-      }
+/**
+ * Compile a keyword rule for matching
+ * @returns {Object|null} Rule with a pattern, or null if its regex no longer compiles or is unsafe
+ */
+function compileRule(rule) {
+  const keyword = rule.keyword.toLowerCase();
+  // Rules saved before the backtracking check are skipped rather than run
+  const unsafe = rule.match_type === "regex" ? findUnsafeRegexConstruct(rule.keyword) : null;
+  if (unsafe) {
+    Logger.warn(`[CategoryService] Skipping regex keyword "${rule.keyword}": ${unsafe}`);
+    return null;
+  }
+  try {
+    return {
+      ...rule,
+      keyword,
+      pattern: rule.match_type === "regex" ? new RegExp(rule.keyword, "iu") : phrasePattern(keyword)
+    };
+  } catch (error) {
+    Logger.warn(`[CategoryService] Skipping invalid regex keyword "${rule.keyword}": ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Load active categories and their keyword rules (cached for CATEGORY_CACHE_TTL)
+ * @returns {Promise<Object|null>} Cache structure, or null if there are no categories
+ */
+async function loadCategoryCache() {
+  // Check cache first
+  const now = Date.now();
+  if (categoryCache && categoryCacheTimestamp && (now - categoryCacheTimestamp < CATEGORY_CACHE_TTL)) {
+    Logger.debug(`[CategoryService] Using cached data (age: ${Math.round((now - categoryCacheTimestamp) / 1000)}s)`);
+    return categoryCache;
+  }
+
+  Logger.debug(`[CategoryService] Loading fresh data from database`);
+
+  // Get all active categories from database
+  const categoriesResult = await executeQuery(
+    "SELECT id, name, parent_id FROM categories WHERE is_active = 1 AND deleted_at IS NULL ORDER BY name ASC"
+  );
+
+  if (!categoriesResult.success || !categoriesResult.data || categoriesResult.data.length === 0) {
+    Logger.warn(`[CategoryService] No categories available in database`);
+    return null; // No categories available
+  }
+
+  const categories = categoriesResult.data;
+
+  // Get all keywords from database for all categories
+  const keywordsResult = await executeQuery(
+    `SELECT ck.category_id, ck.keyword, ck.is_high_priority, ck.match_type, ck.is_negative, ck.weight,
+            c.name as category_name
+     FROM category_keywords ck
+     JOIN categories c ON ck.category_id = c.id
+     WHERE c.is_active = 1 AND c.deleted_at IS NULL
+     ORDER BY ck.category_id, ck.is_high_priority DESC, ck.keyword ASC`
+  );
+
+  // Build cache structure
+  const cache = {
+    categories: [],
+    categoryRules: {},
+    categoryNegativeRules: {},
+    categoryWords: {},
+    categoryHighPriorityKeywords: {}
+  };
+
+  // The category name and its words always match as substrings
+  categories.forEach(cat => {
+    cache.categories.push(cat);
+    const catName = cat.name.toLowerCase();
+    const catWords = catName.split(/[\s\-_]+/).filter(w => w.length > 1);
 
-      // Bonus: Longer keyword matches (more specific)
-      matchedKeywords.forEach(keyword => {
-        if (keyword.length > 5) {
-          score += 2;
-        }
+    cache.categoryWords[cat.id] = catWords;
+    cache.categoryRules[cat.id] = [catName, ...catWords].map(keyword =>
+      compileRule({ keyword, is_high_priority: false, match_type: "substring", is_negative: false, weight: null })
+    );
+    cache.categoryNegativeRules[cat.id] = [];
+    cache.categoryHighPriorityKeywords[cat.id] = [];
+  });
+
+  // Populate keyword rules from database
+  if (keywordsResult.success && keywordsResult.data && keywordsResult.data.length > 0) {
+    keywordsResult.data.forEach(kw => {
+      if (!cache.categoryRules[kw.category_id]) {
+        return;
+      }
+      const rule = compileRule({
+        keyword: kw.keyword,
+        is_high_priority: !!kw.is_high_priority,
+        match_type: kw.match_type || "substring",
+        is_negative: !!kw.is_negative,
+        weight: kw.weight
       });
+      if (!rule) {
+        return;
+      }
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = cat.id;
+      if (rule.is_negative) {
+        cache.categoryNegativeRules[kw.category_id].push(rule);
+        return;
+      }
+      cache.categoryRules[kw.category_id].push(rule);
+      if (rule.is_high_priority) {
+        cache.categoryHighPriorityKeywords[kw.category_id].push(rule.keyword);
       }
     });
+    Logger.debug(`[CategoryService] Loaded ${keywordsResult.data.length} keywords from database`);
+  } else {
+    Logger.warn(`[CategoryService] No keywords found in database. Using category names only.`);
+  }
+
+  // Update cache
+  categoryCache = cache;
+  categoryCacheTimestamp = now;
+  Logger.debug(`[CategoryService] Cache updated with ${categories.length} categories`);
+  return cache;
+}
+
+// Whether a rule matches a lowercased product name
+function matchesRule(rule, productNameLower) {
+  return rule.match_type === "substring"
+    ? productNameLower.includes(rule.keyword)
+    : rule.pattern.test(productNameLower);
+}
+
+/**
+ * Score one category's own keyword rules against a product name
+ * A matching negative keyword excludes the category (score 0).
+ * @returns {Object} { score, matches: [{ keyword, rule, points }], bonuses: [{ rule, points }], excluded_by }
+ */
+function scoreCategory(cache, cat, productNameLower) {
+  const rules = cache.categoryRules[cat.id] || [];
+  const highPriorityKeywords = cache.categoryHighPriorityKeywords[cat.id] || [];
+
+  const excludedBy = (cache.categoryNegativeRules[cat.id] || [])
+    .filter(rule => matchesRule(rule, productNameLower))
+    .map(rule => rule.keyword);
+  if (excludedBy.length > 0) {
+    return { score: 0, matches: [], bonuses: [], excluded_by: excludedBy };
+  }
+
+  const matches = [];
+
+  rules.forEach(keywordRule => {
+    const { keyword } = keywordRule;
+    if (!matchesRule(keywordRule, productNameLower)) {
+      return;
+    }
+
+    // Regex keywords have their own points; the rest score by how the keyword matched
+    let rule;
+    if (keywordRule.match_type === "regex") {
+      rule = keywordRule.is_high_priority ? "high_priority_regex" : "regex";
+    } else {
+      const wordBoundaryRegex = new RegExp(`\\b${escapeRegExp(keyword)}\\b`, 'i');
+      const isExactWord = keywordRule.match_type === "phrase" || wordBoundaryRegex.test(productNameLower);
+      const isHighPriority = highPriorityKeywords.some(highPriority =>
+        keyword === highPriority || keyword.includes(highPriority) || highPriority.includes(keyword)
+      );
+
+      if (keyword === cat.name.toLowerCase()) {
+        rule = "category_name";
+      } else if (cache.categoryWords[cat.id] && cache.categoryWords[cat.id].includes(keyword)) {
+        rule = "category_word";
+      } else if (isHighPriority && isExactWord) {
+        rule = "high_priority_word";
+      } else if (isHighPriority) {
+        rule = "high_priority_substring";
+      } else if (isExactWord) {
+        rule = "exact_word";
+      } else {
+        rule = "substring";
+      }
+    }
+
+    // An explicit weight replaces the points of the rule
+    matches.push({ keyword, rule, points: keywordRule.weight || MATCH_POINTS[rule] });
+  });
+
+  const bonuses = [];
+
+  // Bonus: Multiple keyword matches in same category
+  if (matches.length > 1) {
+    bonuses.push({ rule: "multiple_matches", points: matches.length * MULTIPLE_MATCH_POINTS });
+  }
+
+  // Bonus: Longer keyword matches (more specific)
+  const longMatches = matches.filter(match => match.keyword.length > 5).length;
+  if (longMatches > 0) {
+    bonuses.push({ rule: "long_keywords", points: longMatches * LONG_KEYWORD_POINTS });
+  }
+
+  const score = [...matches, ...bonuses].reduce((sum, item) => sum + item.points, 0);
+  return { score, matches, bonuses, excluded_by: [] };
+}
+
+// One-line explanation of the decision, e.g. 'Phones > Cases scored 37 ...'
+function describeDecision(ranked) {
+  const [best, runnerUp] = ranked;
+  if (!best || best.path_score === 0) {
+    const excluded = ranked.filter(category => category.excluded_by.length > 0).map(category => category.name);
+    return excluded.length > 0
+      ? `No category matched the product name (excluded by negative keywords: ${excluded.join(", ")})`
+      : "No category keyword matched the product name";
+  }
+
+  const keywords = best.path.flatMap(node => node.matches.map(match => `"${match.keyword}"`));
+  let reason = `${best.path.map(node => node.name).join(" > ")} scored ${best.path_score} ` +
+    `(matched ${[...new Set(keywords)].join(", ")})`;
+
+  if (runnerUp && runnerUp.path_score === best.path_score) {
+    reason += runnerUp.depth < best.depth
+      ? `; tied with ${runnerUp.name} and won as the deeper category`
+      : `; tied with ${runnerUp.name} and won by name order`;
+  } else if (runnerUp && runnerUp.path_score > 0) {
+    reason += `; next best was ${runnerUp.name} with ${runnerUp.path_score}`;
+  }
+  return reason;
+}
+
+/**
+ * Explain how a product name is classified
+ * Every category gets its own score (keyword matches plus bonuses) and a path score (its own
+ * score plus its ancestors' scores). The highest path score wins; equal scores go to the deeper
+ * category, so a matching subcategory always beats its parent (e.g. "Phones > Cases" over "Phones").
+ * A matching negative keyword excludes its category and the subcategories below it (e.g. "stand" on
+ * "Phones" keeps "iPhone stand" out of "Phones" and "Phones > Cases").
+ * @param {string} productName - Product name to analyze
+ * @returns {Promise<Object>} { category_id, category_name, score, reason, categories } - categories are
+ *   sorted best first, each with score, path_score, depth, path, matches, bonuses and excluded_by
+ */
+export async function explainCategory(productName) {
+  const cache = await loadCategoryCache();
+  if (!cache) {
+    return { category_id: null, category_name: null, score: 0, reason: "No active categories", categories: [] };
+  }
+
+  const productNameLower = String(productName || "").toLowerCase();
+  const own = new Map(cache.categories.map(cat => [cat.id, scoreCategory(cache, cat, productNameLower)]));
+
+  const ranked = cache.categories
+    .map(cat => {
+      const path = getCategoryPath(cache.categories, cat.id);
+      const { score, matches, bonuses } = own.get(cat.id);
+      const excludedBy = path.flatMap(node => own.get(node.id).excluded_by);
+      return {
+        id: cat.id,
+        name: cat.name,
+        parent_id: cat.parent_id,
+        score,
+        // A category without matches of its own does not inherit its ancestors' score
+        path_score: score > 0 && excludedBy.length === 0
+          ? path.reduce((sum, node) => sum + own.get(node.id).score, 0)
+          : 0,
+        depth: path.length - 1,
+        path: path.map(node => ({ id: node.id, name: node.name, matches: own.get(node.id).matches })),
+        matches,
+        bonuses,
+        excluded_by: excludedBy
+      };
+    })
+    // Stable sort: remaining ties keep the name order of the categories query
+    .sort((a, b) => b.path_score - a.path_score || b.depth - a.depth);
+
+  const best = ranked[0] && ranked[0].path_score > 0 ? ranked[0] : null;
+  return {
+    category_id: best ? best.id : null,
+    category_name: best ? best.name : null,
+    score: best ? best.path_score : 0,
+    reason: describeDecision(ranked),
+    categories: ranked
+  };
+}
+
+/**
+ * Analyze product name and match it to the most appropriate category
+ * In a category hierarchy the deepest matching category wins (e.g. "Phones > Cases" over "Phones").
+ * See explainCategory for the scoring.
+ * @param {string} productName - Product name to analyze
+ * @returns {Promise<number|null>} Category ID or null if no match found
+ */
+export async function analyzeCategory(productName) {
+  try {
+    Logger.debug(`[CategoryService] Starting analysis for: ${productName}`);
+
+    const { category_id: bestMatch, score: bestScore } = await explainCategory(productName);
 
     // Lower threshold: return category if score is at least 1 (any match)
     if (bestScore > 0) {
@@ -185,4 +472,3 @@ export async function analyzeCategory(productName) {
     return null;
   }
 }
-
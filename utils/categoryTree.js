@@ -0,0 +1,132 @@
+/**
+ * Category Tree
+ * Helpers for the parent/child category hierarchy (categories.parent_id):
+ * - Tree building with per-node and subtree product counts
+ * - Descendant lookup and cycle checks for re-parenting
+ * - Breadcrumb paths ("Electronics > Phones > Cases")
+ */
+
+import { executeQuery } from "../config/database.js";
+
+/**
+ * Load categories with their parent
+ * @param {Object} options - Options
+ * @param {boolean} options.includeDeleted - Include categories in the trash (needed for cycle checks)
+ * @returns {Promise<Array<Object>>} Rows { id, name, parent_id, is_active, deleted_at }
+ */
+export async function loadCategoryRows({ includeDeleted = false } = {}) {
+  const result = await executeQuery(
+    `SELECT id, name, parent_id, is_active, deleted_at FROM categories
+     ${includeDeleted ? "" : "WHERE deleted_at IS NULL"}
+     ORDER BY name ASC`
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+/**
+ * Map of parent ID -> child rows
+ * @param {Array<Object>} rows - Category rows
+ * @returns {Map<number|null, Array<Object>>}
+ */
+function groupByParent(rows) {
+  const children = new Map();
+  rows.forEach((row) => {
+    const parentId = row.parent_id || null;
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
+    }
+    children.get(parentId).push(row);
+  });
+  return children;
+}
+
+/**
+ * IDs of all descendants of a category (children, grandchildren, ...)
+ * @param {Array<Object>} rows - Category rows
+ * @param {number} categoryId - Category ID
+ * @returns {Array<number>} Descendant IDs (without the category itself)
+ */
+export function getDescendantIds(rows, categoryId) {
+  const children = groupByParent(rows);
+  const descendants = [];
+  const visited = new Set([Number(categoryId)]);
+  const queue = [Number(categoryId)];
+
+  while (queue.length > 0) {
+    const current = queue.shift();
+    (children.get(current) || []).forEach((child) => {
+      // visited guards against cycles left over from data edited by hand
+      if (!visited.has(child.id)) {
+        visited.add(child.id);
+        descendants.push(child.id);
+        queue.push(child.id);
+      }
+    });
+  }
+  return descendants;
+}
+
+/**
+ * Whether moving a category under a new parent would create a cycle
+ * @param {Array<Object>} rows - Category rows (include the trash)
+ * @param {number} categoryId - Category being moved
+ * @param {number|null} parentId - New parent ID (null for a root category)
+ * @returns {boolean}
+ */
+export function wouldCreateCycle(rows, categoryId, parentId) {
+  if (parentId === null || parentId === undefined) {
+    return false;
+  }
+  return Number(parentId) === Number(categoryId) || getDescendantIds(rows, categoryId).includes(Number(parentId));
+}
+
+/**
+ * Path from the root category down to a category
+ * @param {Array<Object>} rows - Category rows
+ * @param {number} categoryId - Category ID
+ * @returns {Array<Object>} [{ id, name }, ...] root first, empty if the category is unknown
+ */
+export function getCategoryPath(rows, categoryId) {
+  const byId = new Map(rows.map((row) => [row.id, row]));
+  const path = [];
+  const visited = new Set();
+  let current = byId.get(Number(categoryId));
+
+  while (current && !visited.has(current.id)) {
+    visited.add(current.id);
+    path.unshift({ id: current.id, name: current.name });
+    current = current.parent_id ? byId.get(current.parent_id) : null;
+  }
+  return path;
+}
+
+/**
+ * Build a nested tree
+ * A category whose parent is not in rows (e.g. an inactive parent) is left out with its subtree.
+ * @param {Array<Object>} rows - Category rows; product_count is the category's own product count
+ * @returns {Array<Object>} Root nodes; each node has children and total_product_count (own + descendants)
+ */
+export function buildCategoryTree(rows) {
+  const children = groupByParent(rows);
+  const visited = new Set();
+
+  const buildNode = (row) => {
+    visited.add(row.id);
+    const nodeChildren = (children.get(row.id) || [])
+      .filter((child) => !visited.has(child.id))
+      .map(buildNode);
+    const productCount = Number(row.product_count) || 0;
+
+    return {
+      ...row,
+      product_count: productCount,
+      total_product_count: nodeChildren.reduce((sum, child) => sum + child.total_product_count, productCount),
+      children: nodeChildren
+    };
+  };
+
+  return (children.get(null) || []).map(buildNode);
+}
@@ -0,0 +1,47 @@
+/**
+ * CSV helpers
+ * Minimal RFC 4180 reader for uploaded files (one record per line).
+ */
+
+/**
+ * Parse one CSV line (supports quoted values with escaped quotes)
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Cell values
+ */
+export function parseCsvLine(line) {
+  const cells = [];
+  let current = "";
+  let inQuotes = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"' && line[i + 1] === '"') {
+        current += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      cells.push(current.trim());
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Split CSV content into non-empty lines
+ * @param {string} content - File content (BOM already stripped)
+ * @returns {Array<string>} Lines
+ */
+export function splitCsvLines(content) {
+  return content.split(/\r?\n/).filter((line) => line.trim() !== "");
+}
@@ -81,3 +81,16 @@ export function generatePagination(page, limit, totalCount) {
     hasPrev: page > 1
   };
 }
+
+// executeQuery sends Date params as UTC, but DATETIME columns hold Bangkok time (session +07:00)
+const DB_TIMEZONE_OFFSET_MS = 7 * 60 * 60 * 1000;
+
+/**
+ * Format a date as a DATETIME value in database (Bangkok) time
+ * Pass the result instead of the Date itself, so comparisons with NOW() line up.
+ * @param {Date} date - Point in time
+ * @returns {string} "YYYY-MM-DD HH:MM:SS"
+ */
+export function toDatabaseDateTime(date) {
+  return new Date(date.getTime() + DB_TIMEZONE_OFFSET_MS).toISOString().slice(0, 19).replace("T", " ");
+}
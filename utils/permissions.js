@@ -0,0 +1,245 @@
+/**
+ * Permission Catalog
+ * Every permission slug checked by requirePermission() (routes/auth.js), grouped
+ * like the role editor shows them. Slugs follow the existing "<action>_<resource>"
+ * format of the permissions table.
+ *
+ * seedPermissionCatalog() runs at startup: missing slugs are inserted and granted
+ * to their default roles; existing rows and role mappings are never changed.
+ *
+ * Permissions are resolved per request from role_permissions (getRolePermissions), not
+ * from the session: a session lives for days and must pick up grants and revocations.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+
+// Roles that receive a permission when it is first added (by role name)
+const DEFAULT_ROLES = ["Super Admin", "Admin"];
+
+// Cache constants (the cache is also cleared when role permissions change)
+const ROLE_PERMISSION_CACHE_TTL = 60 * 1000; // 1 minute
+
+// Role permissions cache (module-level): role_id -> { permissions, loadedAt }
+const rolePermissionCache = new Map();
+
+export const PERMISSION_CATALOG = [
+  {
+    group: "Products",
+    permissions: [
+      { slug: "view_products", name: "View Products" },
+      { slug: "create_products", name: "Create Products" },
+      { slug: "edit_products", name: "Edit Products" },
+      { slug: "delete_products", name: "Delete Products" }
+    ]
+  },
+  {
+    group: "Categories",
+    permissions: [
+      { slug: "view_categories", name: "View Categories" },
+      { slug: "create_categories", name: "Create Categories" },
+      { slug: "edit_categories", name: "Edit Categories" },
+      { slug: "delete_categories", name: "Delete Categories" }
+    ]
+  },
+  {
+    group: "Tags",
+    permissions: [
+      { slug: "view_tags", name: "View Tags" },
+      { slug: "create_tags", name: "Create Tags" },
+      { slug: "edit_tags", name: "Edit Tags" },
+      { slug: "delete_tags", name: "Delete Tags" }
+    ]
+  },
+  {
+    group: "Collections",
+    permissions: [
+      { slug: "view_collections", name: "View Collections", roles: ["Super Admin", "Admin", "Editor"] },
+      { slug: "create_collections", name: "Create Collections", roles: ["Super Admin", "Admin", "Editor"] },
+      { slug: "edit_collections", name: "Edit Collections", roles: ["Super Admin", "Admin", "Editor"] },
+      { slug: "delete_collections", name: "Delete Collections" }
+    ]
+  },
+  {
+    group: "Banners",
+    permissions: [
+      { slug: "view_banners", name: "View Banners" },
+      { slug: "create_banners", name: "Create Banners" },
+      { slug: "edit_banners", name: "Edit Banners" },
+      { slug: "delete_banners", name: "Delete Banners" }
+    ]
+  },
+  {
+    group: "Settings",
+    permissions: [
+      { slug: "view_settings", name: "View Settings" },
+      { slug: "create_settings", name: "Create Settings" },
+      { slug: "edit_settings", name: "Edit Settings" },
+      { slug: "delete_settings", name: "Delete Settings" }
+    ]
+  },
+  {
+    group: "Social Media",
+    permissions: [
+      { slug: "create_socials", name: "Create Social Links" },
+      { slug: "edit_socials", name: "Edit Social Links" },
+      { slug: "delete_socials", name: "Delete Social Links" }
+    ]
+  },
+  {
+    group: "Media",
+    permissions: [
+      { slug: "view_media", name: "View Uploaded Files", roles: ["Super Admin", "Admin", "Editor"] },
+      { slug: "upload_media", name: "Upload Files", roles: ["Super Admin", "Admin", "Editor"] },
+      { slug: "delete_media", name: "Delete Uploaded Files" }
+    ]
+  },
+  {
+    group: "AI SEO",
+    permissions: [
+      { slug: "use_ai_seo", name: "Use AI SEO Tools", roles: ["Super Admin", "Admin", "Editor"] }
+    ]
+  },
+  {
+    group: "Conversions",
+    permissions: [
+      { slug: "view_conversions", name: "View Conversion Earnings" },
+      { slug: "import_conversions", name: "Import Conversion Reports" }
+    ]
+  },
+  {
+    group: "Reports",
+    permissions: [
+      { slug: "view_reports", name: "View Dashboard Stats and Click Reports" }
+    ]
+  },
+  {
+    group: "Background Jobs",
+    permissions: [
+      { slug: "view_jobs", name: "View Background Jobs" },
+      { slug: "run_jobs", name: "Run Background Jobs" }
+    ]
+  },
+  {
+    group: "Activity Log",
+    permissions: [
+      { slug: "view_activity", name: "View Activity Log" }
+    ]
+  },
+  {
+    group: "Admin Users",
+    permissions: [
+      { slug: "view_admin_users", name: "View Admin Users" },
+      { slug: "create_admin_users", name: "Create Admin Users" },
+      { slug: "edit_admin_users", name: "Edit Admin Users" },
+      { slug: "delete_admin_users", name: "Delete Admin Users" }
+    ]
+  },
+  {
+    group: "Roles",
+    permissions: [
+      { slug: "view_roles", name: "View Roles" },
+      { slug: "create_roles", name: "Create Roles" },
+      { slug: "edit_roles", name: "Edit Roles" },
+      { slug: "delete_roles", name: "Delete Roles" }
+    ]
+  }
+];
+
+/**
+ * Check whether a slug is in the catalog
+ * @param {string} slug - Permission slug
+ * @returns {boolean}
+ */
+export function isKnownPermission(slug) {
+  return PERMISSION_CATALOG.some((group) => group.permissions.some((permission) => permission.slug === slug));
+}
+
+/**
+ * Clear role permissions cache
+ * Call this when role permissions are updated or a role is deleted
+ */
+export function clearRolePermissionCache() {
+  rolePermissionCache.clear();
+}
+
+/**
+ * Permission slugs currently granted to a role (cached for ROLE_PERMISSION_CACHE_TTL)
+ * @param {number|null} roleId - Role ID
+ * @returns {Promise<Array<string>>} Permission slugs
+ */
+export async function getRolePermissions(roleId) {
+  if (!roleId) {
+    return [];
+  }
+
+  const cached = rolePermissionCache.get(roleId);
+  if (cached && Date.now() - cached.loadedAt < ROLE_PERMISSION_CACHE_TTL) {
+    return cached.permissions;
+  }
+
+  const result = await executeQuery(
+    `SELECT p.slug
+     FROM permissions p
+     JOIN role_permissions rp ON p.id = rp.permission_id
+     WHERE rp.role_id = ?`,
+    [roleId]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const permissions = result.data.map((row) => row.slug);
+  rolePermissionCache.set(roleId, { permissions, loadedAt: Date.now() });
+  return permissions;
+}
+
+/**
+ * Insert missing catalog permissions and grant them to their default roles
+ * Also fills group_name of existing permissions that have none.
+ * @returns {Promise<number>} Number of permissions added
+ */
+export async function seedPermissionCatalog() {
+  const existingResult = await executeQuery("SELECT slug FROM permissions");
+  if (!existingResult.success) {
+    throw new Error(existingResult.error);
+  }
+  const existing = new Set(existingResult.data.map((row) => row.slug));
+
+  let added = 0;
+  for (const group of PERMISSION_CATALOG) {
+    for (const permission of group.permissions) {
+      if (existing.has(permission.slug)) {
+        await executeQuery("UPDATE permissions SET group_name = ? WHERE slug = ? AND group_name IS NULL", [
+          group.group,
+          permission.slug
+        ]);
+        continue;
+      }
+
+      const insertResult = await executeQuery("INSERT INTO permissions (name, slug, group_name) VALUES (?, ?, ?)", [
+        permission.name,
+        permission.slug,
+        group.group
+      ]);
+      if (!insertResult.success) {
+        Logger.warn(`[Permissions] Failed to add permission ${permission.slug}: ${insertResult.error}`);
+        continue;
+      }
+
+      const roles = permission.roles || DEFAULT_ROLES;
+      await executeQuery(
+        `INSERT IGNORE INTO role_permissions (role_id, permission_id)
+         SELECT r.id, ? FROM roles r WHERE r.name IN (${roles.map(() => "?").join(",")})`,
+        [insertResult.data.insertId, ...roles]
+      );
+      added++;
+    }
+  }
+
+  if (added > 0) {
+    clearRolePermissionCache();
+    Logger.success(`[Permissions] Added ${added} permission(s) to the catalog`);
+  }
+  return added;
+}
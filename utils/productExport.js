@@ -0,0 +1,190 @@
+/**
+ * Product Export
+ * Streams saved products (with category and tag names) as CSV or NDJSON.
+ * Products are read in keyset-paginated chunks, so memory use stays flat
+ * no matter how large the catalog is.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+import { buildProductFilters, buildProductSelectQuery } from "./productQueryBuilder.js";
+
+export const EXPORT_FORMATS = ["csv", "ndjson"];
+
+const EXPORT_CHUNK_SIZE = 500;
+
+// Column order for CSV output
+const EXPORT_COLUMNS = [
+  "item_id",
+  "product_name",
+  "shop_name",
+  "shop_id",
+  "category_name",
+  "tag_names",
+  "price",
+  "price_min",
+  "price_max",
+  "commission_rate",
+  "commission_amount",
+  "discount_rate",
+  "rating_star",
+  "sales_count",
+  "status",
+  "is_flash_sale",
+  "product_link",
+  "offer_link",
+  "image_url",
+  "created_at",
+  "updated_at"
+];
+
+// Free-text columns that spreadsheets could evaluate as formulas
+const TEXT_COLUMNS = new Set(["product_name", "shop_name", "category_name", "tag_names"]);
+
+/**
+ * Escape a value for CSV (RFC 4180), neutralizing spreadsheet formulas in text columns
+ * @param {*} value - Cell value
+ * @param {string} column - Column name
+ * @returns {string} CSV cell
+ */
+function toCsvCell(value, column) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  if (TEXT_COLUMNS.has(column) && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Load tag names for a chunk of products
+ * @param {Array<string>} itemIds - Item IDs
+ * @returns {Promise<Map<string, Array<string>>>} item_id -> tag names
+ */
+async function loadTagNames(itemIds) {
+  const tagMap = new Map();
+  if (itemIds.length === 0) {
+    return tagMap;
+  }
+
+  const placeholders = itemIds.map(() => "?").join(",");
+  const result = await executeQuery(
+    `SELECT pt.product_item_id, t.name
+     FROM product_tags pt
+     JOIN tags t ON pt.tag_id = t.id AND t.deleted_at IS NULL
+     WHERE pt.product_item_id IN (${placeholders})
+     ORDER BY t.name ASC`,
+    itemIds
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  for (const row of result.data) {
+    if (!tagMap.has(row.product_item_id)) {
+      tagMap.set(row.product_item_id, []);
+    }
+    tagMap.get(row.product_item_id).push(row.name);
+  }
+  return tagMap;
+}
+
+/**
+ * Stream matching products to an HTTP response
+ * @param {Object} req - Express request (used to stop when the client disconnects)
+ * @param {Object} res - Express response
+ * @param {Object} options - Export options
+ * @param {Object} options.filters - Filters for buildProductFilters (status, categoryId, tagId, search)
+ * @param {string} options.format - "csv" or "ndjson"
+ * @returns {Promise<number>} Number of exported products
+ */
+export async function streamProductExport(req, res, { filters = {}, format = "csv" }) {
+  const { whereClause, joinClause, queryParams } = buildProductFilters({ ...filters, onlyActive: false });
+
+  let aborted = false;
+  req.on("close", () => {
+    aborted = !res.writableFinished;
+  });
+
+  // Respect backpressure; a disconnect also releases the wait
+  const write = async (chunk) => {
+    if (res.write(chunk)) {
+      return;
+    }
+    await new Promise((resolve) => {
+      const done = () => {
+        res.off("drain", done);
+        res.off("close", done);
+        resolve();
+      };
+      res.on("drain", done);
+      res.on("close", done);
+    });
+  };
+
+  const timestamp = new Date().toISOString().slice(0, 10);
+  if (format === "ndjson") {
+    res.setHeader("Content-Type", "application/x-ndjson; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="products-${timestamp}.ndjson"`);
+  } else {
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="products-${timestamp}.csv"`);
+    // BOM so Excel opens Thai product names as UTF-8
+    await write(`\uFEFF${EXPORT_COLUMNS.join(",")}\r\n`);
+  }
+
+  let lastId = 0;
+  let exported = 0;
+
+  while (!aborted) {
+    // Keyset pagination on p.id keeps every chunk query cheap
+    const selectQuery = buildProductSelectQuery({
+      whereClause: `${whereClause} AND p.id > ?`,
+      joinClause,
+      orderClause: "ORDER BY p.id ASC",
+      limit: EXPORT_CHUNK_SIZE,
+      offset: 0,
+      includeAllFields: true
+    });
+
+    const result = await executeQuery(selectQuery, [...queryParams, lastId]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    if (result.data.length === 0) {
+      break;
+    }
+
+    const tagMap = await loadTagNames(result.data.map((product) => product.item_id));
+
+    let chunk = "";
+    for (const product of result.data) {
+      const tagNames = tagMap.get(product.item_id) || [];
+      if (format === "ndjson") {
+        chunk += JSON.stringify({ ...product, tag_names: tagNames }) + "\n";
+      } else {
+        const row = { ...product, tag_names: tagNames.join("|") };
+        chunk += EXPORT_COLUMNS.map((column) => toCsvCell(row[column], column)).join(",") + "\r\n";
+      }
+    }
+
+    await write(chunk);
+    exported += result.data.length;
+    lastId = result.data[result.data.length - 1].id;
+
+    if (result.data.length < EXPORT_CHUNK_SIZE) {
+      break;
+    }
+  }
+
+  if (aborted) {
+    Logger.warn(`[ProductExport] Client disconnected after ${exported} products`);
+  }
+
+  res.end();
+  return exported;
+}
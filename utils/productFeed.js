@@ -0,0 +1,211 @@
+/**
+ * Product Feed
+ * Renders active products as ad catalog feeds:
+ * - Google Merchant Center RSS 2.0 (g: namespace)
+ * - Facebook catalog CSV
+ */
+
+import { executeQuery } from "../config/database.js";
+import { buildProductFilters, buildProductSelectQuery } from "./productQueryBuilder.js";
+
+// Upper bound so a single feed request cannot grow without limit
+const FEED_MAX_ITEMS = parseInt(process.env.FEED_MAX_ITEMS) || 5000;
+const FEED_CHUNK_SIZE = 500;
+const FEED_CURRENCY = "THB";
+
+/**
+ * Load active products for a feed
+ * @param {Object} filters - { categoryId, tagId } ("all" or ID / array of IDs)
+ * @returns {Promise<Array<Object>>} Products (base fields from buildProductSelectQuery)
+ */
+export async function loadFeedProducts(filters = {}) {
+  const { whereClause, joinClause, queryParams } = buildProductFilters({
+    categoryId: filters.categoryId || "all",
+    tagId: filters.tagId || "all",
+    onlyActive: true
+  });
+
+  const products = [];
+  let lastId = 0;
+
+  while (products.length < FEED_MAX_ITEMS) {
+    const selectQuery = buildProductSelectQuery({
+      whereClause: `${whereClause} AND p.id > ?`,
+      joinClause,
+      orderClause: "ORDER BY p.id ASC",
+      limit: Math.min(FEED_CHUNK_SIZE, FEED_MAX_ITEMS - products.length),
+      offset: 0,
+      includeAllFields: false
+    });
+
+    const result = await executeQuery(selectQuery, [...queryParams, lastId]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    products.push(...result.data);
+    if (result.data.length < FEED_CHUNK_SIZE) {
+      break;
+    }
+    lastId = result.data[result.data.length - 1].id;
+  }
+
+  return products;
+}
+
+/**
+ * Load site name and URL for the feed header
+ * @returns {Promise<Object>} { title, link, description }
+ */
+export async function loadFeedChannel() {
+  const result = await executeQuery("SELECT website_name, site_url, meta_description FROM settings WHERE id = 1");
+  const settings = result.success && result.data.length > 0 ? result.data[0] : {};
+
+  return {
+    title: settings.website_name || "Product Feed",
+    link: settings.site_url || process.env.CLIENT_URL || "",
+    description: settings.meta_description || settings.website_name || "Product Feed"
+  };
+}
+
+/**
+ * Format a price for feeds ("199.00 THB")
+ * @param {number} amount - Price
+ * @returns {string} Formatted price
+ */
+function formatPrice(amount) {
+  return `${Number(amount).toFixed(2)} ${FEED_CURRENCY}`;
+}
+
+/**
+ * Work out regular and sale price
+ * Shopee's price is the current (discounted) price, so the regular price is derived from discount_rate.
+ * @param {Object} product - Product row
+ * @returns {Object} { price, salePrice } (salePrice null when not discounted)
+ */
+function getFeedPrices(product) {
+  const price = parseFloat(product.price) || 0;
+  const discountRate = parseFloat(product.discount_rate) || 0;
+
+  if (discountRate > 0 && discountRate < 100) {
+    return {
+      price: formatPrice(price / (1 - discountRate / 100)),
+      salePrice: formatPrice(price)
+    };
+  }
+
+  return { price: formatPrice(price), salePrice: null };
+}
+
+/**
+ * Map a product row to catalog fields shared by both feed formats
+ * @param {Object} product - Product row
+ * @returns {Object} Feed item
+ */
+function toFeedItem(product) {
+  const { price, salePrice } = getFeedPrices(product);
+  const title = String(product.product_name || "").slice(0, 150);
+
+  return {
+    id: product.item_id,
+    title,
+    description: product.shop_name ? `${title} - ${product.shop_name}` : title,
+    link: product.offer_link || product.product_link || "",
+    image_link: product.image_url || "",
+    availability: "in stock",
+    condition: "new",
+    price,
+    sale_price: salePrice,
+    brand: product.shop_name || "",
+    product_type: product.category_name || ""
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+/**
+ * Render a Google Merchant Center RSS 2.0 feed
+ * @param {Object} channel - { title, link, description }
+ * @param {Array<Object>} products - Product rows
+ * @returns {string} XML document
+ */
+export function renderGoogleMerchantFeed(channel, products) {
+  const items = products.map((product) => {
+    const item = toFeedItem(product);
+    const lines = [
+      `<g:id>${escapeXml(item.id)}</g:id>`,
+      `<g:title>${escapeXml(item.title)}</g:title>`,
+      `<g:description>${escapeXml(item.description)}</g:description>`,
+      `<g:link>${escapeXml(item.link)}</g:link>`,
+      `<g:image_link>${escapeXml(item.image_link)}</g:image_link>`,
+      `<g:availability>in_stock</g:availability>`,
+      `<g:condition>${item.condition}</g:condition>`,
+      `<g:price>${item.price}</g:price>`
+    ];
+    if (item.sale_price) {
+      lines.push(`<g:sale_price>${item.sale_price}</g:sale_price>`);
+    }
+    if (item.brand) {
+      lines.push(`<g:brand>${escapeXml(item.brand)}</g:brand>`);
+    }
+    if (item.product_type) {
+      lines.push(`<g:product_type>${escapeXml(item.product_type)}</g:product_type>`);
+    }
+    lines.push(`<g:identifier_exists>no</g:identifier_exists>`);
+
+    return `    <item>\n      ${lines.join("\n      ")}\n    </item>`;
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<rss version="2.0" xmlns:g="http://base.google.com/ns/1.0">`,
+    `  <channel>`,
+    `    <title>${escapeXml(channel.title)}</title>`,
+    `    <link>${escapeXml(channel.link)}</link>`,
+    `    <description>${escapeXml(channel.description)}</description>`,
+    ...items,
+    `  </channel>`,
+    `</rss>`,
+    ``
+  ].join("\n");
+}
+
+const FACEBOOK_COLUMNS = [
+  "id",
+  "title",
+  "description",
+  "availability",
+  "condition",
+  "price",
+  "sale_price",
+  "link",
+  "image_link",
+  "brand",
+  "product_type"
+];
+
+function toCsvCell(value) {
+  const text = String(value ?? "");
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render a Facebook catalog CSV feed
+ * @param {Array<Object>} products - Product rows
+ * @returns {string} CSV document
+ */
+export function renderFacebookCatalogFeed(products) {
+  const rows = products.map((product) => {
+    const item = toFeedItem(product);
+    return FACEBOOK_COLUMNS.map((column) => toCsvCell(item[column])).join(",");
+  });
+
+  return [FACEBOOK_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
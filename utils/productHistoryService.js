@@ -0,0 +1,160 @@
+/**
+ * Product History Service
+ * Keeps price / commission / sales snapshots per product so trends survive
+ * /save and sync overwriting shopee_products. A snapshot is only written when
+ * one of the tracked values differs from the product's latest snapshot.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+
+// Tracked columns with decimal scale used for change detection
+const TRACKED_FIELDS = [
+  { column: "price", scale: 2 },
+  { column: "price_min", scale: 2 },
+  { column: "price_max", scale: 2 },
+  { column: "commission_rate", scale: 4 },
+  { column: "commission_amount", scale: 2 },
+  { column: "sales_count", scale: 0 },
+];
+
+const MAX_HISTORY_DAYS = 365;
+
+function normalizeValue(value, scale) {
+  if (value === null || value === undefined || value === "") {
+    return null;
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : Number(number.toFixed(scale));
+}
+
+/**
+ * Record a snapshot if tracked values changed since the latest one
+ * Never throws: history is best-effort and must not break saving a product.
+ * @param {string} itemId - Shopee item ID
+ * @param {Object} values - Current values keyed by column name (price, commission_rate, ...)
+ * @param {string} source - What produced the values ("save" or "sync")
+ * @returns {Promise<boolean>} True if a snapshot was written
+ */
+export async function recordProductSnapshot(itemId, values, source = "save") {
+  try {
+    const snapshot = {};
+    for (const { column, scale } of TRACKED_FIELDS) {
+      snapshot[column] = normalizeValue(values[column], scale);
+    }
+
+    const latestResult = await executeQuery(
+      `SELECT ${TRACKED_FIELDS.map((field) => field.column).join(", ")}
+       FROM product_price_history
+       WHERE item_id = ?
+       ORDER BY recorded_at DESC, id DESC
+       LIMIT 1`,
+      [String(itemId)]
+    );
+    if (!latestResult.success) {
+      throw new Error(latestResult.error);
+    }
+
+    const latest = latestResult.data[0];
+    if (latest) {
+      const changed = TRACKED_FIELDS.some(
+        ({ column, scale }) => normalizeValue(latest[column], scale) !== snapshot[column]
+      );
+      if (!changed) {
+        return false;
+      }
+    }
+
+    const columns = TRACKED_FIELDS.map((field) => field.column);
+    const insertResult = await executeQuery(
+      `INSERT INTO product_price_history (item_id, ${columns.join(", ")}, source)
+       VALUES (?, ${columns.map(() => "?").join(", ")}, ?)`,
+      [String(itemId), ...columns.map((column) => snapshot[column]), source]
+    );
+    if (!insertResult.success) {
+      throw new Error(insertResult.error);
+    }
+
+    return true;
+  } catch (error) {
+    Logger.warn(`[ProductHistory] Failed to record snapshot for ${itemId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Summarize one numeric series
+ * @param {Array<Object>} rows - Snapshot rows
+ * @param {string} column - Column to summarize
+ * @returns {Object} { min, max, avg } (null values ignored)
+ */
+function summarize(rows, column) {
+  const values = rows.map((row) => row[column]).filter((value) => value !== null);
+  if (values.length === 0) {
+    return { min: null, max: null, avg: null };
+  }
+  const sum = values.reduce((total, value) => total + value, 0);
+  return {
+    min: Math.min(...values),
+    max: Math.max(...values),
+    avg: Number((sum / values.length).toFixed(4))
+  };
+}
+
+/**
+ * Get a product's snapshot time series and min/max/avg over a window
+ * The last snapshot before the window is included as the starting value,
+ * since it was still in effect when the window opened.
+ * @param {string} itemId - Shopee item ID
+ * @param {number} days - Window size in days (capped at 365)
+ * @returns {Promise<Object>} { item_id, days, series, summary }
+ */
+export async function getProductHistory(itemId, days = 30) {
+  const windowDays = Math.min(Math.max(parseInt(days) || 30, 1), MAX_HISTORY_DAYS);
+  const columns = TRACKED_FIELDS.map((field) => field.column).join(", ");
+
+  const [previousResult, seriesResult] = await Promise.all([
+    executeQuery(
+      `SELECT recorded_at, ${columns}, source
+       FROM product_price_history
+       WHERE item_id = ? AND recorded_at < DATE_SUB(NOW(), INTERVAL ? DAY)
+       ORDER BY recorded_at DESC, id DESC
+       LIMIT 1`,
+      [String(itemId), windowDays]
+    ),
+    executeQuery(
+      `SELECT recorded_at, ${columns}, source
+       FROM product_price_history
+       WHERE item_id = ? AND recorded_at >= DATE_SUB(NOW(), INTERVAL ? DAY)
+       ORDER BY recorded_at ASC, id ASC`,
+      [String(itemId), windowDays]
+    )
+  ]);
+
+  if (!previousResult.success) {
+    throw new Error(previousResult.error);
+  }
+  if (!seriesResult.success) {
+    throw new Error(seriesResult.error);
+  }
+
+  const series = [...previousResult.data, ...seriesResult.data].map((row) => {
+    const point = { recorded_at: row.recorded_at, source: row.source };
+    for (const { column, scale } of TRACKED_FIELDS) {
+      point[column] = normalizeValue(row[column], scale);
+    }
+    return point;
+  });
+
+  return {
+    item_id: String(itemId),
+    days: windowDays,
+    series,
+    summary: {
+      price: summarize(series, "price"),
+      commission_rate: summarize(series, "commission_rate"),
+      commission_amount: summarize(series, "commission_amount"),
+      sales_count: summarize(series, "sales_count")
+    }
+  };
+}
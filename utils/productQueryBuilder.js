@@ -6,23 +6,29 @@
  * Features:
  * - Supports single or multiple tag IDs
  * - Supports category filtering
- * - Supports search filtering
- * - Supports sorting (date, commission, sales, price)
+ * - Supports search filtering (full-text, see productSearch.js)
+ * - Supports sorting (date, commission, sales, price, relevance)
  * - Supports pagination
  * - Handles both admin and public endpoints
  */
 
 import Logger from "./logger.js";
+import { buildSearchPlan, buildSearchCondition, buildRelevanceExpression } from "./productSearch.js";
 
 /**
  * Build WHERE clause and query parameters for product filters
  * @param {Object} filters - Filter options
  * @param {string} filters.status - Product status ('all', 'active', 'inactive', 'flash-sale')
  * @param {string} filters.categoryId - Category ID ('all' or number)
+ * @param {boolean} filters.includeDescendants - If true, the category filter also matches its subcategories
  * @param {string|Array<string|number>} filters.tagId - Tag ID ('all', single number, or array of numbers)
  * @param {string} filters.search - Search term
+ * @param {Object} filters.searchPlan - Plan from planProductSearch() (adds typo tolerance); built from search if omitted
+ * @param {string} filters.slug - Product slug (for single product lookup)
  * @param {boolean} filters.onlyActive - If true, only show active products (for public endpoints)
- * @returns {Object} - { whereClause, joinClause, queryParams }
+ * @returns {Object} - { whereClause, joinClause, queryParams, searchPlan }
+ *
+ * Products in the trash (deleted_at set) are always excluded.
  */
 export function buildProductFilters(filters = {}) {
   const {
@@ -30,11 +36,14 @@ export function buildProductFilters(filters = {}) {
     categoryId = "all",
     tagId = "all",
     search = "",
+    searchPlan = null,
     itemId = null,
+    slug = null,
+    includeDescendants = false,
     onlyActive = false
   } = filters;
 
-  let whereClause = onlyActive ? "WHERE p.status = 'active'" : "WHERE 1=1";
+  let whereClause = onlyActive ? "WHERE p.deleted_at IS NULL AND p.status = 'active'" : "WHERE p.deleted_at IS NULL";
   let queryParams = [];
   let joinClause = "";
 
@@ -44,6 +53,12 @@ export function buildProductFilters(filters = {}) {
     queryParams.push(itemId);
   }
 
+  // Slug filter (for single product lookup)
+  if (slug) {
+    whereClause += " AND p.slug = ?";
+    queryParams.push(slug);
+  }
+
   // Status filter (only for non-public endpoints)
   if (!onlyActive && status !== "all" && status !== "") {
     if (status === "flash-sale") {
@@ -56,7 +71,19 @@ export function buildProductFilters(filters = {}) {
 
   // Category filter
   if (categoryId !== "all" && categoryId !== "") {
-    whereClause += " AND p.category_id = ?";
+    if (includeDescendants) {
+      // UNION (not UNION ALL) stops the recursion even if the hierarchy contains a cycle
+      whereClause += ` AND p.category_id IN (
+        WITH RECURSIVE category_subtree AS (
+          SELECT id FROM categories WHERE id = ?
+          UNION
+          SELECT c.id FROM categories c JOIN category_subtree cs ON c.parent_id = cs.id WHERE c.deleted_at IS NULL
+        )
+        SELECT id FROM category_subtree
+      )`;
+    } else {
+      whereClause += " AND p.category_id = ?";
+    }
     queryParams.push(categoryId);
   }
 
@@ -80,23 +107,25 @@ export function buildProductFilters(filters = {}) {
   }
 
   // Search filter
-  if (search && search.trim()) {
-    const searchTerm = `%${search.trim()}%`;
+  const plan = searchPlan || (search && search.trim() ? buildSearchPlan(search) : null);
+  if (plan) {
+    const { clause, params } = buildSearchCondition(plan);
     // For public endpoints, search only in product_name and shop_name
     // For admin endpoints, also search in item_id
     if (onlyActive) {
-      whereClause += " AND (p.product_name LIKE ? OR p.shop_name LIKE ?)";
-      queryParams.push(searchTerm, searchTerm);
+      whereClause += ` AND ${clause}`;
+      queryParams.push(...params);
     } else {
-      whereClause += " AND (p.product_name LIKE ? OR p.shop_name LIKE ? OR p.item_id LIKE ?)";
-      queryParams.push(searchTerm, searchTerm, searchTerm);
+      whereClause += ` AND (${clause} OR p.item_id LIKE ?)`;
+      queryParams.push(...params, `%${plan.term}%`);
     }
   }
 
   return {
     whereClause,
     joinClause,
-    queryParams
+    queryParams,
+    searchPlan: plan
   };
 }
 
@@ -150,6 +179,10 @@ export function buildProductSort(sortBy, sortOrder = "DESC", defaultSort = "p.up
  * @param {number} options.limit - Limit
  * @param {number} options.offset - Offset
  * @param {boolean} options.includeAllFields - If true, include all fields (for admin), else minimal fields (for public)
+ * @param {boolean} options.includeSeoFields - If true, include meta_title, meta_description and og_image
+ * @param {string} options.relevanceExpression - If set, selected as "relevance" (its params go before queryParams)
+ * @param {string} options.extraFields - Additional select list entries, e.g. a joined column to sort by
+ *   (with DISTINCT, ORDER BY may only use selected columns)
  * @returns {string} - SELECT query
  */
 export function buildProductSelectQuery(options = {}) {
@@ -159,22 +192,34 @@ export function buildProductSelectQuery(options = {}) {
     orderClause,
     limit,
     offset,
-    includeAllFields = true
+    includeAllFields = true,
+    includeSeoFields = false,
+    relevanceExpression = null,
+    extraFields = null
     // queryParams is not used here but kept for consistency
   } = options;
 
   // Base fields that are always included
-  const baseFields = `p.id, p.item_id, p.category_id, c.name as category_name, p.product_name, p.price, p.price_min, p.price_max, p.commission_rate, p.commission_amount, p.image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star, p.sales_count, p.discount_rate, p.status, p.is_flash_sale, p.updated_at`;
+  const baseFields = `p.id, p.item_id, p.category_id, c.name as category_name, p.product_name, p.price, p.price_min, p.price_max, p.commission_rate, p.commission_amount, p.image_url, p.shop_name, p.shop_id, p.product_link, p.offer_link, p.rating_star, p.sales_count, p.discount_rate, p.status, p.is_flash_sale, p.slug, p.updated_at`;
 
   // Additional fields for admin endpoints
   const adminFields = includeAllFields ? `, p.seller_commission_rate, p.shopee_commission_rate, p.period_start_time, p.period_end_time, p.campaign_active, p.created_at` : '';
 
+  // SEO fields for single product pages
+  const seoFields = includeSeoFields ? `, p.meta_title, p.meta_description, p.og_image` : '';
+
+  // Search relevance, for ORDER BY relevance
+  const relevanceField = relevanceExpression ? `, ${relevanceExpression} as relevance` : '';
+
+  // Caller-provided fields (joined tables)
+  const additionalFields = extraFields ? `, ${extraFields}` : '';
+
   // Clean up joinClause and whereClause (remove extra spaces)
   const cleanJoinClause = joinClause.trim();
   const cleanWhereClause = whereClause.trim();
   const cleanOrderClause = orderClause.trim();
   
-  const selectQuery = `SELECT DISTINCT ${baseFields}${adminFields} FROM shopee_products p LEFT JOIN categories c ON p.category_id = c.id${cleanJoinClause ? ' ' + cleanJoinClause : ''} ${cleanWhereClause} ${cleanOrderClause} LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`;
+  const selectQuery = `SELECT DISTINCT ${baseFields}${adminFields}${seoFields}${relevanceField}${additionalFields} FROM shopee_products p LEFT JOIN categories c ON p.category_id = c.id AND c.deleted_at IS NULL${cleanJoinClause ? ' ' + cleanJoinClause : ''} ${cleanWhereClause} ${cleanOrderClause} LIMIT ${parseInt(limit)} OFFSET ${parseInt(offset)}`;
 
   return selectQuery;
 }
@@ -211,13 +256,15 @@ export function buildProductCountQuery(options = {}) {
  * Build complete product query (helper function that combines all)
  * @param {Object} params - Query parameters
  * @param {Object} params.filters - Filter options
- * @param {string} params.sortBy - Sort field
+ * @param {string} params.sortBy - Sort field ('relevance' sorts by search relevance when there is a search term)
  * @param {string} params.sortOrder - Sort order
  * @param {number} params.limit - Limit
  * @param {number} params.offset - Offset
  * @param {boolean} params.onlyActive - Only active products (for public endpoints)
  * @param {boolean} params.includeAllFields - Include all fields (for admin)
- * @returns {Object} - { selectQuery, countQuery, queryParams }
+ * @param {boolean} params.includeSeoFields - Include SEO fields (for single product pages)
+ * @returns {Object} - { selectQuery, countQuery, queryParams, selectParams }
+ *   (selectParams for selectQuery, queryParams for countQuery; they differ when sorting by relevance)
  */
 export function buildProductQuery(params = {}) {
   const {
@@ -227,17 +274,19 @@ export function buildProductQuery(params = {}) {
     limit = 20,
     offset = 0,
     onlyActive = false,
-    includeAllFields = true
+    includeAllFields = true,
+    includeSeoFields = false
   } = params;
 
   // Build filters
-  const { whereClause, joinClause, queryParams } = buildProductFilters({
+  const { whereClause, joinClause, queryParams, searchPlan } = buildProductFilters({
     ...filters,
     onlyActive
   });
 
-  // Build sort
-  const orderClause = buildProductSort(sortBy, sortOrder);
+  // Build sort (relevance needs a search term; without one the default sort is used)
+  const relevance = sortBy === "relevance" && searchPlan ? buildRelevanceExpression(searchPlan) : null;
+  const orderClause = relevance ? "ORDER BY relevance DESC, p.updated_at DESC" : buildProductSort(sortBy, sortOrder);
 
   // Build queries
   const selectQuery = buildProductSelectQuery({
@@ -247,7 +296,9 @@ export function buildProductQuery(params = {}) {
     queryParams,
     limit,
     offset,
-    includeAllFields
+    includeAllFields,
+    includeSeoFields,
+    relevanceExpression: relevance ? relevance.expression : null
   });
 
   const countQuery = buildProductCountQuery({
@@ -258,7 +309,8 @@ export function buildProductQuery(params = {}) {
   return {
     selectQuery,
     countQuery,
-    queryParams
+    queryParams,
+    selectParams: relevance ? [...relevance.params, ...queryParams] : queryParams
   };
 }
 
@@ -0,0 +1,240 @@
+/**
+ * Product Search
+ * Full-text search over product_name and shop_name:
+ * - FULLTEXT index with the ngram parser, so Thai text (no spaces between words) is indexed
+ *   as overlapping 2-character tokens
+ * - Search terms are split into words with Intl.Segmenter (ICU dictionary for Thai); every word
+ *   must match, in any order ("ไอโฟนเคส" finds "เคสไอโฟน 15")
+ * - Typo tolerance: when no product matches every word, products sharing enough ngrams with the
+ *   term are returned instead (natural language mode, relative to the best match)
+ * - Relevance blends the text score with sales_count and rating_star
+ * Falls back to LIKE matching when the FULLTEXT index is not available.
+ */
+
+import pool, { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+
+export const SEARCH_INDEX = "ft_products_search";
+const SEARCH_COLUMNS = "p.product_name, p.shop_name";
+
+// Configuration (can be overridden by environment variables)
+const SALES_WEIGHT = parseFloat(process.env.SEARCH_SALES_WEIGHT) || 0.3;
+const RATING_WEIGHT = parseFloat(process.env.SEARCH_RATING_WEIGHT) || 0.5;
+// Fuzzy matches must score at least this share of the best fuzzy match
+const FUZZY_MIN_SCORE_RATIO = parseFloat(process.env.SEARCH_FUZZY_MIN_SCORE_RATIO) || 0.5;
+// Text score multiplier when the product name contains the whole term as typed
+const PHRASE_BOOST = 1.5;
+// Words shorter than the ngram token size are not in the index
+const NGRAM_TOKEN_SIZE = 2;
+
+let fullTextAvailable = false;
+
+const wordSegmenter = new Intl.Segmenter("th", { granularity: "word" });
+
+/**
+ * Whether the FULLTEXT index exists (checked at startup by ensureSearchIndex)
+ * @returns {boolean}
+ */
+export function isFullTextSearchAvailable() {
+  return fullTextAvailable;
+}
+
+/**
+ * Create the FULLTEXT index if missing and detect whether full-text search can be used
+ * Stopwords are disabled for the index: with ngram tokens, English stopwords like "on" or "in"
+ * would otherwise drop every token that contains them ("iphone" loses "on").
+ * @returns {Promise<boolean>} True if full-text search is available
+ */
+export async function ensureSearchIndex() {
+  const checkQuery = `
+    SELECT COUNT(*) as count
+    FROM information_schema.statistics
+    WHERE table_schema = DATABASE() AND table_name = 'shopee_products' AND index_name = ?
+  `;
+
+  try {
+    const checkResult = await executeQuery(checkQuery, [SEARCH_INDEX]);
+    if (!checkResult.success) {
+      throw new Error(checkResult.error);
+    }
+
+    if (checkResult.data[0].count === 0) {
+      // Session setting must apply to the connection that creates the index
+      const connection = await pool.getConnection();
+      try {
+        await connection.query("SET SESSION innodb_ft_enable_stopword = OFF");
+        await connection.query(
+          `CREATE FULLTEXT INDEX ${SEARCH_INDEX} ON shopee_products (product_name, shop_name) WITH PARSER ngram`
+        );
+        Logger.success(`Index ${SEARCH_INDEX} created`);
+      } finally {
+        connection.release();
+      }
+    }
+
+    fullTextAvailable = true;
+  } catch (error) {
+    fullTextAvailable = false;
+    Logger.warn(`Full-text product search unavailable, falling back to LIKE: ${error.message}`);
+  }
+  return fullTextAvailable;
+}
+
+/**
+ * Normalize a search term: NFC, lowercase, single spaces, no boolean-mode operators
+ * @param {string} term - Search term as entered
+ * @returns {string}
+ */
+export function normalizeSearchTerm(term) {
+  return String(term || "")
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[+\-<>()~*"@]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+/**
+ * Split a search term into words (Thai words are segmented with the ICU dictionary)
+ * @param {string} term - Search term
+ * @returns {Array<string>} Unique words
+ */
+export function tokenizeSearchTerm(term) {
+  const words = [];
+  for (const { segment, isWordLike } of wordSegmenter.segment(normalizeSearchTerm(term))) {
+    if (isWordLike && !words.includes(segment)) {
+      words.push(segment);
+    }
+  }
+  return words;
+}
+
+// Escape LIKE wildcards in user input
+const likePattern = (value) => `%${value.replace(/[\\%_]/g, "\\$&")}%`;
+
+/**
+ * Build a search plan without touching the database
+ * Matches every word exactly (no typo tolerance); see planProductSearch for fuzzy fallback.
+ * @param {string} search - Search term
+ * @returns {Object|null} { mode: "fulltext" | "like", term, words } or null for an empty term
+ */
+export function buildSearchPlan(search) {
+  const term = normalizeSearchTerm(search);
+  if (!term) {
+    return null;
+  }
+
+  const words = tokenizeSearchTerm(term);
+  const indexedWords = words.filter((word) => word.length >= NGRAM_TOKEN_SIZE);
+  if (!fullTextAvailable || indexedWords.length === 0) {
+    return { mode: "like", term: String(search).trim(), words };
+  }
+  return { mode: "fulltext", term, words };
+}
+
+/**
+ * WHERE condition for a search plan
+ * @param {Object} plan - Plan from buildSearchPlan / planProductSearch
+ * @returns {Object} { clause, params }
+ */
+export function buildSearchCondition(plan) {
+  if (plan.mode === "like") {
+    return {
+      clause: "(p.product_name LIKE ? OR p.shop_name LIKE ?)",
+      params: [likePattern(plan.term), likePattern(plan.term)]
+    };
+  }
+
+  if (plan.mode === "fuzzy") {
+    // The plain MATCH() lets the optimizer use the index; the comparison drops weak matches
+    return {
+      clause:
+        `(MATCH(${SEARCH_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE)` +
+        ` AND MATCH(${SEARCH_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE) >= ?)`,
+      params: [plan.term, plan.term, plan.minScore]
+    };
+  }
+
+  // Every word as a phrase of its ngrams; one-letter words are not indexed and use LIKE
+  const indexedWords = plan.words.filter((word) => word.length >= NGRAM_TOKEN_SIZE);
+  const shortWords = plan.words.filter((word) => word.length < NGRAM_TOKEN_SIZE);
+  const clauses = [`MATCH(${SEARCH_COLUMNS}) AGAINST (? IN BOOLEAN MODE)`];
+  const params = [indexedWords.map((word) => `+"${word}"`).join(" ")];
+
+  shortWords.forEach((word) => {
+    clauses.push("(p.product_name LIKE ? OR p.shop_name LIKE ?)");
+    params.push(likePattern(word), likePattern(word));
+  });
+
+  return { clause: `(${clauses.join(" AND ")})`, params };
+}
+
+/**
+ * Relevance expression for ORDER BY: text score x popularity
+ * Popularity = 1 + SALES_WEIGHT * log10(1 + sales) + RATING_WEIGHT * rating / 5, so a best seller
+ * with 10,000 sales and 5 stars scores about 2.7x an unsold product with the same text score.
+ * @param {Object} plan - Search plan
+ * @returns {Object} { expression, params }
+ */
+export function buildRelevanceExpression(plan) {
+  const popularity =
+    `(1 + ${SALES_WEIGHT} * LOG10(1 + COALESCE(p.sales_count, 0))` +
+    ` + ${RATING_WEIGHT} * COALESCE(p.rating_star, 0) / 5)`;
+  const phraseBoost = `(CASE WHEN p.product_name LIKE ? THEN ${PHRASE_BOOST} ELSE 1 END)`;
+
+  if (plan.mode === "like") {
+    // No text score without the index: rank name matches above shop name matches
+    return {
+      expression: `(${phraseBoost} * ${popularity})`,
+      params: [likePattern(plan.term)]
+    };
+  }
+
+  return {
+    expression: `(MATCH(${SEARCH_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE) * ${phraseBoost} * ${popularity})`,
+    params: [plan.term, likePattern(plan.term)]
+  };
+}
+
+/**
+ * Plan a search, falling back to fuzzy matching when nothing matches every word
+ * @param {string} search - Search term
+ * @param {Object} options - Options
+ * @param {boolean} options.onlyActive - Only consider active products (public endpoints)
+ * @returns {Promise<Object|null>} Search plan (mode "fulltext", "fuzzy" or "like"), null for an empty term
+ */
+export async function planProductSearch(search, { onlyActive = false } = {}) {
+  const plan = buildSearchPlan(search);
+  if (!plan || plan.mode !== "fulltext") {
+    return plan;
+  }
+
+  const scope = onlyActive ? "p.deleted_at IS NULL AND p.status = 'active'" : "p.deleted_at IS NULL";
+  const { clause, params } = buildSearchCondition(plan);
+  const exactResult = await executeQuery(`SELECT 1 FROM shopee_products p WHERE ${scope} AND ${clause} LIMIT 1`, params);
+  if (!exactResult.success) {
+    throw new Error(exactResult.error);
+  }
+  if (exactResult.data.length > 0) {
+    return plan;
+  }
+
+  // No exact match: likely a typo. Keep products close to the best ngram overlap.
+  const bestResult = await executeQuery(
+    `SELECT MAX(MATCH(${SEARCH_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE)) as best
+     FROM shopee_products p
+     WHERE ${scope} AND MATCH(${SEARCH_COLUMNS}) AGAINST (? IN NATURAL LANGUAGE MODE)`,
+    [plan.term, plan.term]
+  );
+  if (!bestResult.success) {
+    throw new Error(bestResult.error);
+  }
+
+  const best = Number(bestResult.data[0]?.best) || 0;
+  if (best <= 0) {
+    return plan;
+  }
+
+  Logger.debug(`[Search] No exact match for "${plan.term}", using fuzzy match (best score ${best})`);
+  return { ...plan, mode: "fuzzy", minScore: best * FUZZY_MIN_SCORE_RATIO };
+}
@@ -7,6 +7,47 @@
 import { executeQuery } from "../config/database.js";
 import Logger from "./logger.js";
 import { analyzeCategory } from "./categoryService.js";
+import { recordProductSnapshot } from "./productHistoryService.js";
+import { clearCache } from "../middleware/responseCache.js";
+import { syncSlugSafely } from "./slug.js";
+import { applySmartTags } from "./tagRules.js";
+
+// Cached public outputs built from the product catalog (cleared when products change)
+export const CATALOG_CACHE_PATTERNS = ["/api/feeds", "/sitemap", "/robots.txt"];
+
+/**
+ * Clear cached catalog outputs (feeds, sitemaps, ...) after products change outside a request
+ * Write requests are covered by invalidateCacheOnWrite in index.js.
+ */
+export function clearCatalogCaches() {
+  CATALOG_CACHE_PATTERNS.forEach((pattern) => clearCache(pattern));
+}
+
+// Shopee shopType codes, best tier first (names match SHOP_TYPES in tagRules.js)
+const SHOP_TYPE_CODES = [
+  [1, "mall"],
+  [4, "preferred_plus"],
+  [2, "preferred"]
+];
+
+/**
+ * Normalize Shopee's shopType (list of codes, e.g. [1] for Mall) to the shop_type column value
+ * @param {Array<number>|number|string|null} shopType - Value from the offer (or an already normalized name)
+ * @returns {string|null} mall, preferred_plus, preferred, normal, or null when unknown
+ */
+export function normalizeShopType(shopType) {
+  if (shopType === null || shopType === undefined || shopType === "") {
+    return null;
+  }
+  if (typeof shopType === "string" && isNaN(shopType)) {
+    const name = shopType.toLowerCase();
+    return [...SHOP_TYPE_CODES.map(([, type]) => type), "normal"].includes(name) ? name : null;
+  }
+
+  const codes = (Array.isArray(shopType) ? shopType : [shopType]).map((code) => parseInt(code));
+  const match = SHOP_TYPE_CODES.find(([code]) => codes.includes(code));
+  return match ? match[1] : "normal";
+}
 
 /**
  * Prepare product data for saving
@@ -82,6 +123,7 @@ export function buildProductValues(preparedData) {
     categoryId,
     is_flash_sale = false,
     source,
+    shopType,
   } = preparedData;
   
   return [
@@ -108,12 +150,14 @@ export function buildProductValues(preparedData) {
     categoryId,
     is_flash_sale ? 1 : 0,
     source,
-    "active"
+    "active",
+    normalizeShopType(shopType)
   ];
 }
 
 /**
  * Save or update product in database
+ * A product in the trash stays there (deleted_at is never changed); restore it explicitly.
  * @param {Object} preparedData - Prepared product data
  * @param {Object} options - Options
  * @param {boolean} options.updateTags - If true, update product tags
@@ -131,8 +175,8 @@ export async function saveProduct(preparedData, options = {}) {
       rating_star, sales_count, discount_rate,
       period_start_time, period_end_time, campaign_active,
       category_id, is_flash_sale, source,
-      status
-    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      status, shop_type
+    ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
     ON DUPLICATE KEY UPDATE
       product_name = VALUES(product_name),
       shop_name = VALUES(shop_name),
@@ -157,6 +201,8 @@ export async function saveProduct(preparedData, options = {}) {
       is_flash_sale = VALUES(is_flash_sale),
       source = VALUES(source),
       status = 'active',
+      sync_deactivated = 0,
+      shop_type = COALESCE(VALUES(shop_type), shop_type),
       updated_at = CURRENT_TIMESTAMP
   `;
   
@@ -167,16 +213,29 @@ export async function saveProduct(preparedData, options = {}) {
   if (!result.success) {
     throw new Error(`Failed to save product: ${result.error}`);
   }
+
+  // Keep price / commission / sales history (values follow buildProductValues order)
+  await recordProductSnapshot(values[0], {
+    price: values[4],
+    price_min: values[5],
+    price_max: values[6],
+    commission_rate: values[7],
+    commission_amount: values[10],
+    sales_count: values[15],
+  }, "save");
+
+  // New product or renamed one: give it a slug matching its name
+  await syncSlugSafely("product", values[0], { key: "item_id" });
   
   // Update tags if requested
   if (updateTags && Array.isArray(preparedData.tags)) {
     const itemId = preparedData.itemId;
     const tagIds = preparedData.tags;
     
-    // Delete existing tags
-    await executeQuery("DELETE FROM product_tags WHERE product_item_id = ?", [itemId]);
+    // Delete existing manual tags (rule tags are managed by applySmartTags below)
+    await executeQuery("DELETE FROM product_tags WHERE product_item_id = ? AND source = 'manual'", [itemId]);
     
-    // Insert new tags
+    // Insert new tags (a tag the product already has through a rule becomes manual)
     if (tagIds.length > 0) {
       const placeholders = tagIds.map(() => '(?, ?)').join(',');
       const flatParams = [];
@@ -185,10 +244,14 @@ export async function saveProduct(preparedData, options = {}) {
         flatParams.push(tagId);
       });
       
-      const insertTagsQuery = `INSERT INTO product_tags (product_item_id, tag_id) VALUES ${placeholders}`;
+      const insertTagsQuery = `INSERT INTO product_tags (product_item_id, tag_id) VALUES ${placeholders}
+        ON DUPLICATE KEY UPDATE source = 'manual'`;
       await executeQuery(insertTagsQuery, flatParams);
     }
   }
+
+  // Attach / detach smart tags whose rule the saved values now (no longer) match
+  await applySmartTags(values[0]);
   
   const isUpdate = result.data.affectedRows === 2; // 1 for delete, 1 for insert = update
   const isInsert = result.data.affectedRows === 1; // 1 for insert = new record
@@ -200,3 +263,143 @@ export async function saveProduct(preparedData, options = {}) {
   };
 }
 
+
+// Columns refreshed from a productOfferV2 node (scale = decimal places used for change detection,
+// normalize = converts the API value to the column value)
+const SYNCED_PRODUCT_FIELDS = [
+  { column: "product_name", source: "productName" },
+  { column: "price", source: "price", scale: 2 },
+  { column: "price_min", source: "priceMin", scale: 2 },
+  { column: "price_max", source: "priceMax", scale: 2 },
+  { column: "commission_rate", source: "commissionRate", scale: 4 },
+  { column: "seller_commission_rate", source: "sellerCommissionRate", scale: 4 },
+  { column: "shopee_commission_rate", source: "shopeeCommissionRate", scale: 4 },
+  { column: "commission_amount", source: "commission", scale: 2 },
+  { column: "image_url", source: "imageUrl" },
+  { column: "rating_star", source: "ratingStar", scale: 1 },
+  { column: "sales_count", source: "sales", scale: 0 },
+  { column: "discount_rate", source: "priceDiscountRate", scale: 2 },
+  { column: "shop_type", source: "shopType", normalize: normalizeShopType },
+];
+
+export const SYNCED_PRODUCT_COLUMNS = SYNCED_PRODUCT_FIELDS.map((field) => field.column);
+
+/**
+ * Normalize a column value so DB values and API values compare equal
+ * @param {*} value - Raw value (DECIMAL columns come back as strings)
+ * @param {number} [scale] - Decimal places, undefined for text columns
+ * @returns {string|number|null} Normalized value
+ */
+function normalizeFieldValue(value, scale) {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  if (scale === undefined) {
+    return String(value);
+  }
+  const number = parseFloat(value);
+  return isNaN(number) ? null : Number(number.toFixed(scale));
+}
+
+/**
+ * Map a productOfferV2 node to shopee_products column values
+ * @param {Object} offer - Product node from Shopee API
+ * @returns {Object} Column values keyed by column name
+ */
+export function mapOfferToProductFields(offer) {
+  const fields = {};
+  for (const { column, source, scale, normalize } of SYNCED_PRODUCT_FIELDS) {
+    fields[column] = normalizeFieldValue(normalize ? normalize(offer[source]) : offer[source], scale);
+  }
+  fields.discount_rate = fields.discount_rate || 0;
+  return fields;
+}
+
+/**
+ * Update a saved product from fresh Shopee API data
+ * Only changed columns are written; an unchanged product just gets last_synced_at
+ * bumped so updated_at keeps meaning "content changed".
+ * @param {string} itemId - Shopee item ID
+ * @param {Object|null} offer - productOfferV2 node, or null if the item is no longer offered
+ * @param {Object} [currentProduct] - Current row (id, status and synced columns), fetched if omitted
+ * @returns {Promise<Object>} { found, status, updated, changedFields }
+ */
+export async function updateProductFromOffer(itemId, offer, currentProduct = null) {
+  if (!currentProduct) {
+    const currentResult = await executeQuery(
+      `SELECT id, item_id, status, ${SYNCED_PRODUCT_COLUMNS.join(", ")} FROM shopee_products WHERE item_id = ?`,
+      [String(itemId)]
+    );
+    if (!currentResult.success) {
+      throw new Error(currentResult.error);
+    }
+    if (currentResult.data.length === 0) {
+      return { found: !!offer, status: null, updated: false, changedFields: [] };
+    }
+    currentProduct = currentResult.data[0];
+  }
+
+  if (!offer) {
+    // Item disappeared from the affiliate offer list. sync_deactivated is set before status
+    // (MySQL applies SET left to right), so products an admin deactivated are not marked.
+    const result = await executeQuery(
+      `UPDATE shopee_products
+       SET sync_deactivated = IF(status = 'active', 1, sync_deactivated),
+         status = 'inactive', last_synced_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE item_id = ?`,
+      [String(itemId)]
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    const wasActive = currentProduct.status !== "inactive";
+    return { found: false, status: "inactive", updated: wasActive, changedFields: wasActive ? ["status"] : [] };
+  }
+
+  const fields = mapOfferToProductFields(offer);
+  const changes = {};
+  for (const { column, scale } of SYNCED_PRODUCT_FIELDS) {
+    if (normalizeFieldValue(currentProduct[column], scale) !== fields[column]) {
+      changes[column] = fields[column];
+    }
+  }
+  if (currentProduct.status !== "active") {
+    changes.status = "active";
+  }
+
+  const changedFields = Object.keys(changes);
+  let updateQuery;
+  let queryParams;
+
+  if (changedFields.length > 0) {
+    updateQuery = `
+      UPDATE shopee_products
+      SET ${changedFields.map((column) => `${column} = ?`).join(", ")},
+        ${changes.status ? "sync_deactivated = 0," : ""}
+        last_synced_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE item_id = ?
+    `;
+    queryParams = [...changedFields.map((column) => changes[column]), String(itemId)];
+  } else {
+    updateQuery = "UPDATE shopee_products SET last_synced_at = CURRENT_TIMESTAMP, updated_at = updated_at WHERE item_id = ?";
+    queryParams = [String(itemId)];
+  }
+
+  const result = await executeQuery(updateQuery, queryParams);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  await recordProductSnapshot(itemId, fields, "sync");
+
+  if (changes.product_name !== undefined) {
+    await syncSlugSafely("product", itemId, { key: "item_id" });
+  }
+
+  if (changedFields.length > 0) {
+    await applySmartTags(itemId);
+  }
+
+  return { found: true, status: "active", updated: changedFields.length > 0, changedFields };
+}
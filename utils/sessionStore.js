@@ -0,0 +1,269 @@
+/**
+ * Session Stores
+ * Storage backends for admin sessions used by utils/auth.js:
+ * - mysql: admin_sessions table, shared by every API instance and survives restarts (default)
+ * - memory: module-level Map, lost on restart (development only)
+ *
+ * Tokens are never stored, only their SHA-256 hash. Expiry is evaluated by the
+ * store itself (MySQL uses NOW()), so instances never compare clocks or timezones.
+ *
+ * Store interface (all methods async):
+ * - create(token, { userId, userData, ttlMs, ipAddress, userAgent })
+ * - get(token) -> session with remainingMs / idleMs, or null if missing or expired
+ * - touch(token, { extendMs }) -> updates last access (and expiry when extendMs is set)
+ * - delete(token) -> boolean
+ * - deleteExpired() -> number of removed sessions
+ * - listByUser(userId) -> live sessions of a user, most recently used first
+ * - deleteById(userId, sessionId) -> boolean
+ * - deleteByUser(userId, { exceptId }) -> number of removed sessions
+ */
+
+import crypto from "crypto";
+import { executeQuery } from "../config/database.js";
+
+export const SESSION_STORE_TYPES = ["mysql", "memory"];
+
+/**
+ * Hash a session token for storage
+ * @param {string} token - Session token
+ * @returns {string} Hex SHA-256 hash
+ */
+export function hashSessionToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * In-memory session store (development only)
+ * @returns {Object} Session store
+ */
+export function createMemorySessionStore() {
+  const sessions = new Map();
+
+  const toSession = (record) => ({
+    id: record.id,
+    userId: record.userId,
+    userData: record.userData,
+    ipAddress: record.ipAddress,
+    userAgent: record.userAgent,
+    createdAt: new Date(record.createdAt),
+    lastAccessAt: new Date(record.lastAccessAt),
+    expiresAt: new Date(record.expiresAt),
+    remainingMs: record.expiresAt - Date.now(),
+    idleMs: Date.now() - record.lastAccessAt
+  });
+
+  let nextId = 1;
+
+  return {
+    type: "memory",
+
+    async create(token, { userId, userData, ttlMs, ipAddress = null, userAgent = null }) {
+      const now = Date.now();
+      sessions.set(hashSessionToken(token), {
+        id: nextId++,
+        userId,
+        userData,
+        ipAddress,
+        userAgent,
+        createdAt: now,
+        lastAccessAt: now,
+        expiresAt: now + ttlMs
+      });
+    },
+
+    async get(token) {
+      const tokenHash = hashSessionToken(token);
+      const record = sessions.get(tokenHash);
+      if (!record) {
+        return null;
+      }
+      if (Date.now() > record.expiresAt) {
+        sessions.delete(tokenHash);
+        return null;
+      }
+      return toSession(record);
+    },
+
+    async touch(token, { extendMs = null } = {}) {
+      const record = sessions.get(hashSessionToken(token));
+      if (!record) {
+        return;
+      }
+      record.lastAccessAt = Date.now();
+      if (extendMs) {
+        record.expiresAt = Date.now() + extendMs;
+      }
+    },
+
+    async delete(token) {
+      return sessions.delete(hashSessionToken(token));
+    },
+
+    async deleteExpired() {
+      const now = Date.now();
+      let count = 0;
+      for (const [tokenHash, record] of sessions.entries()) {
+        if (now > record.expiresAt) {
+          sessions.delete(tokenHash);
+          count++;
+        }
+      }
+      return count;
+    },
+
+    async listByUser(userId) {
+      const now = Date.now();
+      return [...sessions.values()]
+        .filter((record) => record.userId === userId && record.expiresAt > now)
+        .sort((a, b) => b.lastAccessAt - a.lastAccessAt)
+        .map(toSession);
+    },
+
+    async deleteById(userId, sessionId) {
+      for (const [tokenHash, record] of sessions.entries()) {
+        if (record.id === sessionId && record.userId === userId) {
+          return sessions.delete(tokenHash);
+        }
+      }
+      return false;
+    },
+
+    async deleteByUser(userId, { exceptId = null } = {}) {
+      let count = 0;
+      for (const [tokenHash, record] of sessions.entries()) {
+        if (record.userId === userId && record.id !== exceptId) {
+          sessions.delete(tokenHash);
+          count++;
+        }
+      }
+      return count;
+    }
+  };
+}
+
+// Columns read for a session, with expiry math done by the database clock
+const SESSION_COLUMNS = `id, user_id, user_data, ip_address, user_agent, created_at, last_access_at, expires_at,
+                TIMESTAMPDIFF(SECOND, NOW(), expires_at) as remaining_seconds,
+                TIMESTAMPDIFF(SECOND, last_access_at, NOW()) as idle_seconds`;
+
+/**
+ * MySQL session store (admin_sessions table)
+ * @returns {Object} Session store
+ */
+export function createMysqlSessionStore() {
+  const run = async (query, params) => {
+    const result = await executeQuery(query, params);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return result.data;
+  };
+
+  const toSession = (row) => {
+    let userData = null;
+    try {
+      userData = JSON.parse(row.user_data);
+    } catch {
+      return null;
+    }
+
+    return {
+      id: row.id,
+      userId: row.user_id,
+      userData,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      createdAt: row.created_at,
+      lastAccessAt: row.last_access_at,
+      expiresAt: row.expires_at,
+      remainingMs: row.remaining_seconds * 1000,
+      idleMs: row.idle_seconds * 1000
+    };
+  };
+
+  return {
+    type: "mysql",
+
+    async create(token, { userId, userData, ttlMs, ipAddress = null, userAgent = null }) {
+      await run(
+        `INSERT INTO admin_sessions (token_hash, user_id, user_data, ip_address, user_agent, expires_at)
+         VALUES (?, ?, ?, ?, ?, DATE_ADD(NOW(), INTERVAL ? SECOND))`,
+        [
+          hashSessionToken(token),
+          userId,
+          JSON.stringify(userData),
+          ipAddress,
+          userAgent ? String(userAgent).slice(0, 500) : null,
+          Math.ceil(ttlMs / 1000)
+        ]
+      );
+    },
+
+    async get(token) {
+      const tokenHash = hashSessionToken(token);
+      const rows = await run(
+        `SELECT ${SESSION_COLUMNS}
+         FROM admin_sessions
+         WHERE token_hash = ?`,
+        [tokenHash]
+      );
+
+      const row = rows[0];
+      if (!row) {
+        return null;
+      }
+      if (row.remaining_seconds <= 0) {
+        await run("DELETE FROM admin_sessions WHERE token_hash = ?", [tokenHash]);
+        return null;
+      }
+
+      return toSession(row);
+    },
+
+    async touch(token, { extendMs = null } = {}) {
+      if (extendMs) {
+        await run(
+          `UPDATE admin_sessions
+           SET last_access_at = NOW(), expires_at = DATE_ADD(NOW(), INTERVAL ? SECOND)
+           WHERE token_hash = ?`,
+          [Math.ceil(extendMs / 1000), hashSessionToken(token)]
+        );
+      } else {
+        await run("UPDATE admin_sessions SET last_access_at = NOW() WHERE token_hash = ?", [hashSessionToken(token)]);
+      }
+    },
+
+    async delete(token) {
+      const data = await run("DELETE FROM admin_sessions WHERE token_hash = ?", [hashSessionToken(token)]);
+      return data.affectedRows > 0;
+    },
+
+    async deleteExpired() {
+      const data = await run("DELETE FROM admin_sessions WHERE expires_at <= NOW()");
+      return data.affectedRows;
+    },
+
+    async listByUser(userId) {
+      const rows = await run(
+        `SELECT ${SESSION_COLUMNS}
+         FROM admin_sessions
+         WHERE user_id = ? AND expires_at > NOW()
+         ORDER BY last_access_at DESC, id DESC`,
+        [userId]
+      );
+      return rows.map(toSession).filter(Boolean);
+    },
+
+    async deleteById(userId, sessionId) {
+      const data = await run("DELETE FROM admin_sessions WHERE id = ? AND user_id = ?", [sessionId, userId]);
+      return data.affectedRows > 0;
+    },
+
+    async deleteByUser(userId, { exceptId = null } = {}) {
+      const data = exceptId
+        ? await run("DELETE FROM admin_sessions WHERE user_id = ? AND id <> ?", [userId, exceptId])
+        : await run("DELETE FROM admin_sessions WHERE user_id = ?", [userId]);
+      return data.affectedRows;
+    }
+  };
+}
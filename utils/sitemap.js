@@ -0,0 +1,176 @@
+/**
+ * Sitemap & robots.txt
+ * Builds a sitemap index with paged child sitemaps for products, categories and tags,
+ * and a robots.txt from the settings row.
+ */
+
+import { executeQuery } from "../config/database.js";
+
+export const SITEMAP_PAGE_SIZE = parseInt(process.env.SITEMAP_PAGE_SIZE) || 5000; // Protocol limit is 50,000
+
+// Child sitemap sources: which rows are listed and the client page path for each entity.
+// Pages are addressed by slug (utils/slug.js) like the SEO metadata; key is the fallback for rows
+// the slug backfill has not reached yet.
+export const SITEMAP_TYPES = {
+  products: {
+    table: "shopee_products",
+    where: "status = 'active' AND deleted_at IS NULL",
+    key: "item_id",
+    path: "/product/"
+  },
+  categories: {
+    table: "categories",
+    where: "is_active = 1 AND deleted_at IS NULL",
+    key: "id",
+    path: "/category/"
+  },
+  tags: {
+    table: "tags",
+    where: "is_active = 1 AND deleted_at IS NULL",
+    key: "id",
+    path: "/tag/"
+  }
+};
+
+/**
+ * Load SEO settings used for sitemap and robots.txt
+ * @returns {Promise<Object>} { siteUrl, sitemapUrl, robotsMeta, maintenanceMode } (sitemapUrl empty if not configured)
+ */
+export async function loadSitemapSettings() {
+  let settings = {};
+  const result = await executeQuery(
+    "SELECT site_url, sitemap_url, canonical_url, robots_meta, maintenance_mode FROM settings WHERE id = 1"
+  );
+  if (result.success && result.data.length > 0) {
+    settings = result.data[0];
+  }
+
+  const siteUrl = (settings.canonical_url || settings.site_url || process.env.CLIENT_URL || "").replace(/\/+$/, "");
+
+  return {
+    siteUrl,
+    sitemapUrl: settings.sitemap_url || "",
+    robotsMeta: settings.robots_meta || "",
+    maintenanceMode: !!settings.maintenance_mode
+  };
+}
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+function toLastmod(date) {
+  return date ? new Date(date).toISOString() : null;
+}
+
+/**
+ * Render the sitemap index
+ * @param {string} baseUrl - Absolute URL child sitemaps are served under (no trailing slash)
+ * @returns {Promise<string>} XML document
+ */
+export async function renderSitemapIndex(baseUrl) {
+  const entries = [];
+
+  for (const [type, source] of Object.entries(SITEMAP_TYPES)) {
+    const result = await executeQuery(
+      `SELECT COUNT(*) as total, MAX(updated_at) as lastmod FROM ${source.table} WHERE ${source.where}`
+    );
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    const { total, lastmod } = result.data[0];
+    const pages = Math.ceil(total / SITEMAP_PAGE_SIZE);
+
+    for (let page = 1; page <= pages; page++) {
+      entries.push({ loc: `${baseUrl}/sitemaps/${type}-${page}.xml`, lastmod: toLastmod(lastmod) });
+    }
+  }
+
+  const items = entries.map(
+    (entry) =>
+      `  <sitemap>\n    <loc>${escapeXml(entry.loc)}</loc>` +
+      (entry.lastmod ? `\n    <lastmod>${entry.lastmod}</lastmod>` : "") +
+      `\n  </sitemap>`
+  );
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+    ...items,
+    `</sitemapindex>`,
+    ``
+  ].join("\n");
+}
+
+/**
+ * Render one page of a child sitemap
+ * @param {string} type - Key of SITEMAP_TYPES
+ * @param {number} page - 1-based page number
+ * @param {string} siteUrl - Client site URL (no trailing slash)
+ * @returns {Promise<string|null>} XML document, or null if the page does not exist
+ */
+export async function renderChildSitemap(type, page, siteUrl) {
+  const source = SITEMAP_TYPES[type];
+  if (!source || page < 1) {
+    return null;
+  }
+
+  const offset = (page - 1) * SITEMAP_PAGE_SIZE;
+  const result = await executeQuery(
+    `SELECT COALESCE(slug, ${source.key}) as url_key, updated_at
+     FROM ${source.table}
+     WHERE ${source.where}
+     ORDER BY id ASC
+     LIMIT ${SITEMAP_PAGE_SIZE} OFFSET ${offset}`
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  if (result.data.length === 0 && page > 1) {
+    return null;
+  }
+
+  const items = result.data.map(
+    (row) =>
+      `  <url>\n    <loc>${escapeXml(`${siteUrl}${source.path}${encodeURIComponent(row.url_key)}`)}</loc>` +
+      (row.updated_at ? `\n    <lastmod>${toLastmod(row.updated_at)}</lastmod>` : "") +
+      `\n  </url>`
+  );
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">`,
+    ...items,
+    `</urlset>`,
+    ``
+  ].join("\n");
+}
+
+/**
+ * Render robots.txt from settings
+ * A robots_meta containing "noindex" (or maintenance mode) blocks all crawling.
+ * @param {Object} settings - Result of loadSitemapSettings
+ * @param {string} sitemapUrl - Public URL of sitemap.xml
+ * @returns {string} robots.txt content
+ */
+export function renderRobotsTxt(settings, sitemapUrl) {
+  const blockAll = settings.maintenanceMode || /noindex/i.test(settings.robotsMeta);
+  const lines = ["User-agent: *"];
+
+  if (blockAll) {
+    lines.push("Disallow: /");
+  } else {
+    lines.push("Allow: /api/feeds/", "Disallow: /api/", "Disallow: /api-docs", "Allow: /");
+    if (sitemapUrl) {
+      lines.push("", `Sitemap: ${sitemapUrl}`);
+    }
+  }
+
+  return lines.join("\n") + "\n";
+}
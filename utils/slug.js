@@ -0,0 +1,199 @@
+/**
+ * Slug Utility
+ * URL slugs for products, categories and tags, generated from their names.
+ *
+ * Slugs keep Thai script as-is ("เคสไอโฟน-15-pro"); latin text is lowercased and
+ * stripped of accents. When a name changes the entity gets a new slug and the old one
+ * is kept in slug_history, so old URLs can redirect to the current slug.
+ * Slug columns use a binary collation: Thai tone marks must not compare equal.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+
+const MAX_SLUG_LENGTH = 80;
+
+// Entities with slugs: table and the column the slug is generated from
+export const SLUG_ENTITIES = {
+  product: { table: "shopee_products", nameColumn: "product_name" },
+  category: { table: "categories", nameColumn: "name" },
+  tag: { table: "tags", nameColumn: "name" }
+};
+
+function getEntity(entityType) {
+  const entity = SLUG_ENTITIES[entityType];
+  if (!entity) {
+    throw new Error(`Unknown slug entity: ${entityType}`);
+  }
+  return entity;
+}
+
+/**
+ * Turn a name into a slug
+ * Keeps Thai letters, vowels and tone marks, converts Thai digits to 0-9, and
+ * replaces everything else but latin letters and digits with "-".
+ * @param {string} text - Name
+ * @returns {string} Slug ("" if nothing usable is left)
+ */
+export function slugify(text) {
+  const slug = String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "") // latin accents (Thai marks are outside this range)
+    .normalize("NFC")
+    .toLowerCase()
+    .replace(/[\u0e50-\u0e59]/g, (digit) => String(digit.charCodeAt(0) - 0x0e50)) // Thai digits
+    .replace(/[\u0e2f\u0e4f\u0e5a\u0e5b]/g, " ") // Thai punctuation (ฯ ๏ ๚ ๛)
+    .replace(/[^a-z0-9\u0e01-\u0e4e]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+  if (slug.length <= MAX_SLUG_LENGTH) {
+    return slug;
+  }
+  // Cut at a word boundary when there is one reasonably close to the limit
+  const cut = slug.slice(0, MAX_SLUG_LENGTH);
+  const lastDash = cut.lastIndexOf("-");
+  return (lastDash > MAX_SLUG_LENGTH / 2 ? cut.slice(0, lastDash) : cut).replace(/-+$/, "");
+}
+
+/**
+ * Normalize a slug taken from a URL for lookup
+ * @param {string} slug - Slug from the request (already URL-decoded)
+ * @returns {string}
+ */
+export function normalizeSlug(slug) {
+  return String(slug || "").normalize("NFC").toLowerCase().trim();
+}
+
+// "base" or "base-<n>"
+function isSlugOf(slug, base) {
+  return slug === base || (slug.startsWith(`${base}-`) && /^\d+$/.test(slug.slice(base.length + 1)));
+}
+
+/**
+ * Find a free slug: base, base-2, base-3, ...
+ * A slug is taken if another row uses it or it still redirects to another row.
+ */
+async function findFreeSlug(entityType, base, entityId) {
+  const { table } = getEntity(entityType);
+  const pattern = `${base.replace(/[\\%_]/g, "\\$&")}-%`;
+
+  const [currentResult, historyResult] = await Promise.all([
+    executeQuery(`SELECT slug FROM ${table} WHERE (slug = ? OR slug LIKE ?) AND id != ?`, [base, pattern, entityId]),
+    executeQuery(
+      "SELECT old_slug as slug FROM slug_history WHERE entity_type = ? AND (old_slug = ? OR old_slug LIKE ?) AND entity_id != ?",
+      [entityType, base, pattern, entityId]
+    )
+  ]);
+  if (!currentResult.success) {
+    throw new Error(currentResult.error);
+  }
+  if (!historyResult.success) {
+    throw new Error(historyResult.error);
+  }
+
+  const taken = new Set([...currentResult.data, ...historyResult.data].map((row) => row.slug));
+  let candidate = base;
+  for (let suffix = 2; taken.has(candidate); suffix++) {
+    candidate = `${base}-${suffix}`;
+  }
+  return candidate;
+}
+
+/**
+ * Give an entity a slug matching its current name
+ * Does nothing while the slug still matches the name; otherwise assigns a new unique slug
+ * and keeps the old one in slug_history for redirects.
+ * @param {string} entityType - Key of SLUG_ENTITIES
+ * @param {number|string} value - Row ID (or item_id for products, see options.key)
+ * @param {Object} options - Options
+ * @param {string} options.key - Column to find the row by ("id", or "item_id" for products)
+ * @returns {Promise<string|null>} Current slug, or null if the row does not exist
+ */
+export async function syncSlug(entityType, value, { key = "id" } = {}) {
+  const { table, nameColumn } = getEntity(entityType);
+  if (key !== "id" && !(entityType === "product" && key === "item_id")) {
+    throw new Error(`Cannot find ${entityType} by ${key}`);
+  }
+
+  const rowResult = await executeQuery(`SELECT id, ${nameColumn} as name, slug FROM ${table} WHERE ${key} = ?`, [
+    String(value)
+  ]);
+  if (!rowResult.success) {
+    throw new Error(rowResult.error);
+  }
+  const row = rowResult.data[0];
+  if (!row) {
+    return null;
+  }
+
+  const base = slugify(row.name) || `${entityType}-${row.id}`;
+  if (row.slug && isSlugOf(row.slug, base)) {
+    return row.slug;
+  }
+
+  // Retry when another request takes the same slug between the check and the update
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const slug = await findFreeSlug(entityType, base, row.id);
+    const updateResult = await executeQuery(`UPDATE ${table} SET slug = ?, updated_at = updated_at WHERE id = ?`, [
+      slug,
+      row.id
+    ]);
+    if (!updateResult.success) {
+      if (String(updateResult.error).includes("Duplicate entry")) {
+        continue;
+      }
+      throw new Error(updateResult.error);
+    }
+
+    if (row.slug) {
+      await executeQuery(
+        `INSERT INTO slug_history (entity_type, old_slug, entity_id) VALUES (?, ?, ?)
+         ON DUPLICATE KEY UPDATE entity_id = VALUES(entity_id), created_at = CURRENT_TIMESTAMP`,
+        [entityType, row.slug, row.id]
+      );
+    }
+    // The entity got one of its own old slugs back: it no longer redirects
+    await executeQuery("DELETE FROM slug_history WHERE entity_type = ? AND old_slug = ?", [entityType, slug]);
+
+    return slug;
+  }
+
+  throw new Error(`Could not assign a unique slug to ${entityType} ${row.id}`);
+}
+
+/**
+ * Update an entity's slug without failing the caller
+ * Used after saves, where a slug problem must not fail the save itself.
+ * @param {string} entityType - Key of SLUG_ENTITIES
+ * @param {number|string} value - Row ID (or item_id, see syncSlug)
+ * @param {Object} options - Options for syncSlug
+ * @returns {Promise<string|null>} Current slug, or null if it could not be updated
+ */
+export async function syncSlugSafely(entityType, value, options = {}) {
+  try {
+    return await syncSlug(entityType, value, options);
+  } catch (error) {
+    Logger.warn(`[Slug] Failed to update slug of ${entityType} ${value}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Current slug for an old slug of an entity
+ * @param {string} entityType - Key of SLUG_ENTITIES
+ * @param {string} oldSlug - Slug that is no longer current
+ * @returns {Promise<string|null>} Current slug to redirect to, or null if unknown (or the entity is in the trash)
+ */
+export async function findSlugRedirect(entityType, oldSlug) {
+  const { table } = getEntity(entityType);
+  const result = await executeQuery(
+    `SELECT t.slug FROM slug_history h
+     JOIN ${table} t ON t.id = h.entity_id
+     WHERE h.entity_type = ? AND h.old_slug = ? AND t.deleted_at IS NULL AND t.slug IS NOT NULL`,
+    [entityType, normalizeSlug(oldSlug)]
+  );
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data[0]?.slug || null;
+}
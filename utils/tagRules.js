@@ -0,0 +1,361 @@
+/**
+ * Tag Rules (smart tags)
+ * A tag can carry a rule; every product matching it is attached to the tag automatically:
+ *   "price < 199"
+ *   "discount_rate >= 50"
+ *   "rating_star >= 4.8 and sales_count > 1000"
+ *   "shop_type = mall or shop_type = preferred_plus"
+ * A rule is "<field> <operator> <value>" conditions joined with "and" / "or" ("and" binds
+ * tighter, no parentheses). Only whitelisted fields are allowed and values are bound as query
+ * parameters, so a rule can never inject SQL.
+ *
+ * Rows attached by a rule have product_tags.source = 'rule' and are detached again when the
+ * product stops matching. Manual rows are never touched by rules; assigning a rule-attached
+ * tag manually turns its row into a manual one.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+
+// Cache constants
+const RULE_CACHE_TTL = 5 * 60 * 1000; // 5 minutes
+
+const MAX_RULE_LENGTH = 500;
+const MAX_CONDITIONS = 10;
+
+// Shop tiers stored in shopee_products.shop_type
+export const SHOP_TYPES = ["mall", "preferred_plus", "preferred", "normal"];
+
+// Fields a rule may use (column = SQL expression over shopee_products p)
+const RULE_FIELDS = {
+  price: { column: "p.price", type: "number" },
+  price_min: { column: "p.price_min", type: "number" },
+  price_max: { column: "p.price_max", type: "number" },
+  discount_rate: { column: "p.discount_rate", type: "number" },
+  rating_star: { column: "p.rating_star", type: "number" },
+  sales_count: { column: "p.sales_count", type: "number" },
+  commission_amount: { column: "p.commission_amount", type: "number" },
+  // Percent like in the admin UI (stored as a fraction: 0.1 = 10%)
+  commission_rate: { column: "(p.commission_rate * 100)", type: "number" },
+  category_id: { column: "p.category_id", type: "number" },
+  shop_type: { column: "p.shop_type", type: "enum", values: SHOP_TYPES },
+  is_flash_sale: { column: "p.is_flash_sale", type: "boolean" }
+};
+
+export const TAG_RULE_FIELDS = Object.keys(RULE_FIELDS);
+
+const NUMBER_OPERATORS = ["=", "!=", "<", "<=", ">", ">="];
+const EQUALITY_OPERATORS = ["=", "!="];
+const OPERATOR_ALIASES = { "==": "=", "<>": "!=" };
+
+const TOKEN_PATTERN = /\s*(>=|<=|!=|<>|==|=|<|>|-?\d+(?:\.\d+)?|[A-Za-z_]\w*)/y;
+
+// Rule tags cache (module-level)
+let ruleTagCache = null;
+let ruleTagCacheTimestamp = null;
+
+/**
+ * Clear rule tags cache
+ * Call this when a tag rule changes or a tag is deleted / restored
+ */
+export function clearTagRuleCache() {
+  ruleTagCache = null;
+  ruleTagCacheTimestamp = null;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  TOKEN_PATTERN.lastIndex = 0;
+  while (TOKEN_PATTERN.lastIndex < text.length) {
+    const position = TOKEN_PATTERN.lastIndex;
+    const match = TOKEN_PATTERN.exec(text);
+    if (!match) {
+      return { error: `Unexpected "${text.slice(position).trim().slice(0, 20)}"` };
+    }
+    tokens.push(match[1]);
+  }
+  return { tokens };
+}
+
+function parseCondition(fieldToken, operatorToken, valueToken) {
+  if (!fieldToken) {
+    return { error: "Expected a condition after and/or" };
+  }
+
+  const fieldName = fieldToken.toLowerCase();
+  const field = RULE_FIELDS[fieldName];
+  if (!field) {
+    return { error: `Unknown field "${fieldToken}" (allowed: ${TAG_RULE_FIELDS.join(", ")})` };
+  }
+
+  const operator = OPERATOR_ALIASES[operatorToken] || operatorToken;
+  const operators = field.type === "number" ? NUMBER_OPERATORS : EQUALITY_OPERATORS;
+  if (!operators.includes(operator)) {
+    return { error: `Expected one of ${operators.join(" ")} after ${fieldName}` };
+  }
+
+  if (valueToken === undefined) {
+    return { error: `Missing value for ${fieldName}` };
+  }
+
+  let value;
+  if (field.type === "number") {
+    value = Number(valueToken);
+    if (!/^-?\d/.test(valueToken) || !Number.isFinite(value)) {
+      return { error: `${fieldName} must be compared with a number` };
+    }
+  } else if (field.type === "enum") {
+    value = valueToken.toLowerCase();
+    if (!field.values.includes(value)) {
+      return { error: `${fieldName} must be one of: ${field.values.join(", ")}` };
+    }
+  } else {
+    const normalized = valueToken.toLowerCase();
+    if (!["true", "false", "1", "0"].includes(normalized)) {
+      return { error: `${fieldName} must be true or false` };
+    }
+    value = normalized === "true" || normalized === "1";
+  }
+
+  return { condition: { field: fieldName, operator, value } };
+}
+
+/**
+ * Parse and validate a tag rule
+ * @param {string} text - Rule as entered, e.g. "rating_star >= 4.8 and sales_count > 1000"
+ * @returns {Object} { rule: { text, groups } | null, error } - groups are OR-ed lists of AND-ed
+ *   conditions; text is the normalized rule to store
+ */
+export function parseTagRule(text) {
+  const input = typeof text === "string" ? text.trim() : "";
+  if (!input) {
+    return { rule: null, error: "Rule is required" };
+  }
+  if (input.length > MAX_RULE_LENGTH) {
+    return { rule: null, error: `Rule must be ${MAX_RULE_LENGTH} characters or less` };
+  }
+
+  const { tokens, error } = tokenize(input);
+  if (error) {
+    return { rule: null, error };
+  }
+
+  const groups = [[]];
+  let conditionCount = 0;
+  let index = 0;
+
+  while (index < tokens.length) {
+    const parsed = parseCondition(tokens[index], tokens[index + 1], tokens[index + 2]);
+    if (parsed.error) {
+      return { rule: null, error: parsed.error };
+    }
+    groups[groups.length - 1].push(parsed.condition);
+    conditionCount++;
+    index += 3;
+
+    if (index >= tokens.length) {
+      break;
+    }
+
+    const connector = tokens[index].toLowerCase();
+    if (connector === "or") {
+      groups.push([]);
+    } else if (connector !== "and") {
+      return { rule: null, error: `Expected "and" or "or" before "${tokens[index]}"` };
+    }
+    index++;
+    if (index >= tokens.length) {
+      return { rule: null, error: `Expected a condition after "${connector}"` };
+    }
+  }
+
+  if (conditionCount > MAX_CONDITIONS) {
+    return { rule: null, error: `A rule can have at most ${MAX_CONDITIONS} conditions` };
+  }
+
+  const normalizedText = groups
+    .map((conditions) => conditions.map(({ field, operator, value }) => `${field} ${operator} ${value}`).join(" and "))
+    .join(" or ");
+
+  return { rule: { text: normalizedText, groups }, error: null };
+}
+
+/**
+ * SQL condition for a parsed rule over shopee_products p
+ * Evaluates to NULL when a compared column is NULL; wrap it in COALESCE(..., FALSE) to negate it.
+ * @param {Object} rule - Rule from parseTagRule
+ * @returns {Object} { clause, params }
+ */
+export function buildTagRuleCondition(rule) {
+  const params = [];
+  const clauses = rule.groups.map((conditions) => {
+    const parts = conditions.map(({ field, operator, value }) => {
+      params.push(typeof value === "boolean" ? (value ? 1 : 0) : value);
+      return `${RULE_FIELDS[field].column} ${operator} ?`;
+    });
+    return `(${parts.join(" AND ")})`;
+  });
+  return { clause: `(${clauses.join(" OR ")})`, params };
+}
+
+/**
+ * Load tags that have a rule (cached for RULE_CACHE_TTL)
+ * Rules that no longer parse (e.g. after a field was removed) are skipped.
+ * @returns {Promise<Array<Object>>} [{ id, rule }]
+ */
+async function loadRuleTags() {
+  const now = Date.now();
+  if (ruleTagCache && ruleTagCacheTimestamp && now - ruleTagCacheTimestamp < RULE_CACHE_TTL) {
+    return ruleTagCache;
+  }
+
+  const result = await executeQuery("SELECT id, rule FROM tags WHERE rule IS NOT NULL AND deleted_at IS NULL");
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+
+  const tags = [];
+  for (const tag of result.data) {
+    const { rule, error } = parseTagRule(tag.rule);
+    if (error) {
+      Logger.warn(`[TagRules] Skipping invalid rule of tag ${tag.id}: ${error}`);
+      continue;
+    }
+    tags.push({ id: tag.id, rule });
+  }
+
+  ruleTagCache = tags;
+  ruleTagCacheTimestamp = now;
+  return tags;
+}
+
+/**
+ * Attach / detach rule tags of one product after it was saved or synced
+ * Never throws: a failed evaluation must not fail the save (the next backfill catches up).
+ * @param {string} itemId - Shopee item ID
+ * @returns {Promise<Object|null>} { attached, detached } or null on failure
+ */
+export async function applySmartTags(itemId) {
+  try {
+    const tags = await loadRuleTags();
+    if (tags.length === 0) {
+      return { attached: 0, detached: 0 };
+    }
+
+    const params = [];
+    const columns = tags.map((tag, index) => {
+      const { clause, params: ruleParams } = buildTagRuleCondition(tag.rule);
+      params.push(...ruleParams);
+      return `COALESCE(${clause}, FALSE) as rule_${index}`;
+    });
+
+    const matchResult = await executeQuery(
+      `SELECT ${columns.join(", ")} FROM shopee_products p WHERE p.item_id = ? AND p.deleted_at IS NULL`,
+      [...params, String(itemId)]
+    );
+    if (!matchResult.success) {
+      throw new Error(matchResult.error);
+    }
+    if (matchResult.data.length === 0) {
+      return { attached: 0, detached: 0 };
+    }
+
+    const row = matchResult.data[0];
+    const matching = tags.filter((tag, index) => Number(row[`rule_${index}`]) === 1).map((tag) => tag.id);
+    const notMatching = tags.filter((tag, index) => Number(row[`rule_${index}`]) !== 1).map((tag) => tag.id);
+    let attached = 0;
+    let detached = 0;
+
+    if (matching.length > 0) {
+      // A manual row for the same tag stays manual
+      const insertResult = await executeQuery(
+        `INSERT IGNORE INTO product_tags (product_item_id, tag_id, source) VALUES ${matching.map(() => "(?, ?, 'rule')").join(", ")}`,
+        matching.flatMap((tagId) => [String(itemId), tagId])
+      );
+      if (!insertResult.success) {
+        throw new Error(insertResult.error);
+      }
+      attached = insertResult.data.affectedRows;
+    }
+
+    if (notMatching.length > 0) {
+      const deleteResult = await executeQuery(
+        `DELETE FROM product_tags
+         WHERE product_item_id = ? AND source = 'rule' AND tag_id IN (${notMatching.map(() => "?").join(", ")})`,
+        [String(itemId), ...notMatching]
+      );
+      if (!deleteResult.success) {
+        throw new Error(deleteResult.error);
+      }
+      detached = deleteResult.data.affectedRows;
+    }
+
+    if (attached > 0 || detached > 0) {
+      Logger.debug(`[TagRules] Product ${itemId}: ${attached} rule tag(s) attached, ${detached} detached`);
+    }
+    return { attached, detached };
+  } catch (error) {
+    Logger.warn(`[TagRules] Failed to apply tag rules to product ${itemId}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Attach / detach rule tags of several products after a bulk update of rule fields
+ * (category moves, flash sale flags). Never throws, like applySmartTags.
+ * @param {Array<string>} itemIds - Shopee item IDs
+ * @returns {Promise<Object>} { attached, detached } over all products
+ */
+export async function applySmartTagsToProducts(itemIds) {
+  const totals = { attached: 0, detached: 0 };
+  for (const itemId of new Set(itemIds.map(String))) {
+    const result = await applySmartTags(itemId);
+    if (result) {
+      totals.attached += result.attached;
+      totals.detached += result.detached;
+    }
+  }
+  return totals;
+}
+
+/**
+ * Re-evaluate one tag's rule against the whole catalog
+ * Without a rule, every product the tag was attached to by a rule is detached.
+ * Products in the trash keep their tags until restored and saved again.
+ * @param {number} tagId - Tag ID
+ * @param {Object|null} rule - Rule from parseTagRule, or null when the rule was removed
+ * @returns {Promise<Object>} { attached, detached }
+ */
+export async function applyTagRule(tagId, rule) {
+  if (!rule) {
+    const result = await executeQuery("DELETE FROM product_tags WHERE tag_id = ? AND source = 'rule'", [tagId]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+    return { attached: 0, detached: result.data.affectedRows };
+  }
+
+  const { clause, params } = buildTagRuleCondition(rule);
+
+  const insertResult = await executeQuery(
+    `INSERT IGNORE INTO product_tags (product_item_id, tag_id, source)
+     SELECT p.item_id, ?, 'rule' FROM shopee_products p
+     WHERE p.deleted_at IS NULL AND ${clause}`,
+    [tagId, ...params]
+  );
+  if (!insertResult.success) {
+    throw new Error(insertResult.error);
+  }
+
+  const deleteResult = await executeQuery(
+    `DELETE pt FROM product_tags pt
+     JOIN shopee_products p ON p.item_id = pt.product_item_id
+     WHERE pt.tag_id = ? AND pt.source = 'rule' AND p.deleted_at IS NULL AND NOT COALESCE(${clause}, FALSE)`,
+    [tagId, ...params]
+  );
+  if (!deleteResult.success) {
+    throw new Error(deleteResult.error);
+  }
+
+  return { attached: insertResult.data.affectedRows, detached: deleteResult.data.affectedRows };
+}
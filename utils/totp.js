@@ -0,0 +1,188 @@
+/**
+ * TOTP Utility
+ * RFC 6238 time-based one-time passwords (HMAC-SHA1, 6 digits, 30 second step),
+ * compatible with Google Authenticator, Authy, 1Password, ...
+ * and one-time recovery codes.
+ */
+
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+export const TOTP_DIGITS = 6;
+export const TOTP_PERIOD_SECONDS = 30;
+
+// Accepted clock drift between server and authenticator app, in time steps
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Encode bytes as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer - Bytes
+ * @returns {string} Base32 string
+ */
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+/**
+ * Decode an RFC 4648 base32 string (case, spaces and padding ignored)
+ * @param {string} input - Base32 string
+ * @returns {Buffer} Bytes
+ */
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 secret");
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate a new TOTP secret
+ * @returns {string} Base32 secret (160 bits)
+ */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/**
+ * Build the otpauth:// URI shown as QR code by the admin UI
+ * @param {Object} options - URI options
+ * @param {string} options.secret - Base32 secret
+ * @param {string} options.account - Account name (username)
+ * @param {string} options.issuer - Issuer shown in the authenticator app
+ * @returns {string} otpauth URI
+ */
+export function buildOtpauthUri({ secret, account, issuer }) {
+  // Authenticator apps expect %20 rather than "+" for spaces, so URLSearchParams is not used
+  const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(account)}`;
+  const query = [
+    `secret=${secret}`,
+    `issuer=${encodeURIComponent(issuer)}`,
+    "algorithm=SHA1",
+    `digits=${TOTP_DIGITS}`,
+    `period=${TOTP_PERIOD_SECONDS}`
+  ].join("&");
+  return `otpauth://totp/${label}?${query}`;
+}
+
+/**
+ * Generate the code for a time step counter
+ * @param {string} secret - Base32 secret
+ * @param {number} counter - Time step counter
+ * @returns {string} Zero padded code
+ */
+function generateHotp(secret, counter) {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(message).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+}
+
+/**
+ * Current time step counter
+ * @param {number} timeMs - Unix time in milliseconds
+ * @returns {number} Counter
+ */
+export function getTotpCounter(timeMs = Date.now()) {
+  return Math.floor(timeMs / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Generate the TOTP code for a point in time
+ * @param {string} secret - Base32 secret
+ * @param {number} timeMs - Unix time in milliseconds (default: now)
+ * @returns {string} Code
+ */
+export function generateTotp(secret, timeMs = Date.now()) {
+  return generateHotp(secret, getTotpCounter(timeMs));
+}
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number|null} lastUsedCounter - Counter of the last accepted code (codes at or before it are rejected)
+ * @returns {number|null} Counter of the matching step, or null if invalid
+ */
+export function verifyTotp(secret, code, lastUsedCounter = null) {
+  const normalized = String(code ?? "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) {
+    return null;
+  }
+
+  const current = getTotpCounter();
+  for (let counter = current - TOTP_WINDOW; counter <= current + TOTP_WINDOW; counter++) {
+    if (lastUsedCounter !== null && counter <= lastUsedCounter) {
+      continue;
+    }
+    const expected = generateHotp(secret, counter);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return counter;
+    }
+  }
+  return null;
+}
+
+/**
+ * Normalize a recovery code as typed by the user
+ * @param {string} code - Recovery code
+ * @returns {string} Lowercase code without separators
+ */
+function normalizeRecoveryCode(code) {
+  return String(code ?? "").toLowerCase().replace(/[^a-z0-9]/g, "");
+}
+
+/**
+ * Hash a recovery code for storage
+ * @param {string} code - Recovery code
+ * @returns {string} Hex SHA-256 hash
+ */
+export function hashRecoveryCode(code) {
+  return crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+}
+
+/**
+ * Generate a set of one-time recovery codes
+ * @returns {Array<string>} Codes formatted as "xxxxx-xxxxx" (shown to the user once)
+ */
+export function generateRecoveryCodes() {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const code = crypto.randomBytes(5).toString("hex");
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+}
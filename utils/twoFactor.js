@@ -0,0 +1,209 @@
+/**
+ * Two-Factor Authentication Utility
+ * TOTP enrollment, login verification and recovery codes for admin users,
+ * and the per-role "2FA required" policy.
+ *
+ * Enrollment is two-step: setup stores a pending secret, enable moves it to
+ * totp_secret once the user proves the authenticator app produces valid codes.
+ */
+
+import { executeQuery } from "../config/database.js";
+import Logger from "./logger.js";
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  generateRecoveryCodes,
+  hashRecoveryCode
+} from "./totp.js";
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Shonra Admin";
+
+async function run(query, params) {
+  const result = await executeQuery(query, params);
+  if (!result.success) {
+    throw new Error(result.error);
+  }
+  return result.data;
+}
+
+function parseRecoveryHashes(value) {
+  try {
+    const hashes = JSON.parse(value || "[]");
+    return Array.isArray(hashes) ? hashes : [];
+  } catch {
+    return [];
+  }
+}
+
+async function getTwoFactorRow(userId) {
+  const rows = await run(
+    `SELECT u.id, u.username, u.totp_enabled, u.totp_secret, u.totp_pending_secret, u.totp_last_counter,
+            u.totp_recovery_codes, u.totp_enabled_at, COALESCE(r.require_2fa, 0) as role_requires_2fa
+     FROM admin_users u
+     LEFT JOIN roles r ON u.role_id = r.id
+     WHERE u.id = ?`,
+    [userId]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Two-factor status of a user
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<Object|null>} { enabled, required, enabledAt, recoveryCodesRemaining } or null if user not found
+ */
+export async function getTwoFactorStatus(userId) {
+  const row = await getTwoFactorRow(userId);
+  if (!row) {
+    return null;
+  }
+  return {
+    enabled: !!row.totp_enabled,
+    required: !!row.role_requires_2fa,
+    enabledAt: row.totp_enabled_at,
+    recoveryCodesRemaining: row.totp_enabled ? parseRecoveryHashes(row.totp_recovery_codes).length : 0
+  };
+}
+
+/**
+ * Start (or restart) enrollment: generate a pending secret
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<Object|null>} { secret, otpauthUri } or null if user not found
+ */
+export async function startTwoFactorEnrollment(userId) {
+  const row = await getTwoFactorRow(userId);
+  if (!row) {
+    return null;
+  }
+
+  const secret = generateTotpSecret();
+  await run("UPDATE admin_users SET totp_pending_secret = ? WHERE id = ?", [secret, userId]);
+
+  return {
+    secret,
+    otpauthUri: buildOtpauthUri({ secret, account: row.username, issuer: TOTP_ISSUER })
+  };
+}
+
+/**
+ * Finish enrollment with a code from the authenticator app
+ * @param {number} userId - Admin user ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<Array<string>|null>} New recovery codes (plain, shown once) or null if the code is invalid
+ */
+export async function confirmTwoFactorEnrollment(userId, code) {
+  const row = await getTwoFactorRow(userId);
+  if (!row?.totp_pending_secret) {
+    return null;
+  }
+
+  const counter = verifyTotp(row.totp_pending_secret, code);
+  if (counter === null) {
+    return null;
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+  await run(
+    `UPDATE admin_users
+     SET totp_enabled = TRUE, totp_secret = totp_pending_secret, totp_pending_secret = NULL,
+         totp_last_counter = ?, totp_recovery_codes = ?, totp_enabled_at = NOW()
+     WHERE id = ?`,
+    [counter, JSON.stringify(recoveryCodes.map(hashRecoveryCode)), userId]
+  );
+  Logger.info(`[TwoFactor] Two-factor authentication enabled for user ${userId}`);
+
+  return recoveryCodes;
+}
+
+/**
+ * Verify a second factor: TOTP code or one-time recovery code
+ * Accepted codes are consumed (TOTP time step recorded, recovery code removed).
+ * @param {number} userId - Admin user ID
+ * @param {Object} factor - { code } or { recoveryCode }
+ * @returns {Promise<Object>} { valid, method ("totp" | "recovery_code"), recoveryCodesRemaining }
+ */
+export async function verifyTwoFactor(userId, { code = null, recoveryCode = null } = {}) {
+  const row = await getTwoFactorRow(userId);
+  if (!row?.totp_enabled || !row.totp_secret) {
+    return { valid: false };
+  }
+
+  const hashes = parseRecoveryHashes(row.totp_recovery_codes);
+
+  if (code) {
+    const counter = verifyTotp(row.totp_secret, code, row.totp_last_counter);
+    if (counter === null) {
+      return { valid: false };
+    }
+    // Conditional update so two concurrent requests cannot both use the same code
+    const data = await run(
+      "UPDATE admin_users SET totp_last_counter = ? WHERE id = ? AND (totp_last_counter IS NULL OR totp_last_counter < ?)",
+      [counter, userId, counter]
+    );
+    return { valid: data.affectedRows > 0, method: "totp", recoveryCodesRemaining: hashes.length };
+  }
+
+  if (recoveryCode) {
+    const hash = hashRecoveryCode(recoveryCode);
+    if (!hashes.includes(hash)) {
+      return { valid: false };
+    }
+    const remaining = hashes.filter((item) => item !== hash);
+    const data = await run(
+      "UPDATE admin_users SET totp_recovery_codes = ? WHERE id = ? AND totp_recovery_codes = ?",
+      [JSON.stringify(remaining), userId, row.totp_recovery_codes]
+    );
+    if (data.affectedRows > 0) {
+      Logger.warn(`[TwoFactor] Recovery code used by user ${userId} (${remaining.length} remaining)`);
+    }
+    return { valid: data.affectedRows > 0, method: "recovery_code", recoveryCodesRemaining: remaining.length };
+  }
+
+  return { valid: false };
+}
+
+/**
+ * Replace a user's recovery codes
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<Array<string>>} New recovery codes (plain, shown once)
+ */
+export async function regenerateRecoveryCodes(userId) {
+  const recoveryCodes = generateRecoveryCodes();
+  await run("UPDATE admin_users SET totp_recovery_codes = ? WHERE id = ? AND totp_enabled = TRUE", [
+    JSON.stringify(recoveryCodes.map(hashRecoveryCode)),
+    userId
+  ]);
+  return recoveryCodes;
+}
+
+/**
+ * Turn two-factor authentication off and forget the secret and recovery codes
+ * Used both by the user (disable) and by an admin (reset).
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<boolean>} True if the user exists
+ */
+export async function disableTwoFactor(userId) {
+  const data = await run(
+    `UPDATE admin_users
+     SET totp_enabled = FALSE, totp_secret = NULL, totp_pending_secret = NULL,
+         totp_last_counter = NULL, totp_recovery_codes = NULL, totp_enabled_at = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+  if (data.affectedRows > 0) {
+    Logger.info(`[TwoFactor] Two-factor authentication disabled for user ${userId}`);
+  }
+  return data.affectedRows > 0;
+}
+
+/**
+ * Require (or stop requiring) two-factor authentication for a role
+ * @param {number} roleId - Role ID
+ * @param {boolean} required - Whether users of the role must use 2FA
+ * @returns {Promise<boolean>} True if the role exists
+ */
+export async function setRoleTwoFactorRequired(roleId, required) {
+  const data = await run("UPDATE roles SET require_2fa = ? WHERE id = ?", [required ? 1 : 0, roleId]);
+  return data.affectedRows > 0;
+}